@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const compression = require('compression');
+const { startJobs, stopJobs } = require('./src/jobs');
 require('dotenv').config();
 
 const app = express();
@@ -100,6 +101,9 @@ mongoose.connect(MONGODB_URI, {
   console.log(`📊 Database: ${mongoose.connection.name}`);
   console.log(`👥 Host: ${mongoose.connection.host}`);
   console.log(`🔌 Port: ${mongoose.connection.port}`);
+
+  // Start scheduled background jobs
+  startJobs();
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
@@ -122,6 +126,7 @@ mongoose.connection.on('disconnected', () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('🛑 Received SIGINT. Closing MongoDB connection...');
+  stopJobs();
   await mongoose.connection.close();
   console.log('✅ MongoDB connection closed.');
   process.exit(0);
@@ -129,6 +134,7 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('🛑 Received SIGTERM. Closing MongoDB connection...');
+  stopJobs();
   await mongoose.connection.close();
   console.log('✅ MongoDB connection closed.');
   process.exit(0);
@@ -140,9 +146,18 @@ app.use('/api/admin', require('./src/Routes/admin'));
 app.use('/api/shops', require('./src/Routes/shops'));
 app.use('/api/customers', require('./src/Routes/customers'));
 app.use('/api/records', require('./src/Routes/records'));
+app.use('/api/appointments', require('./src/Routes/appointments'));
+app.use('/api/booking', require('./src/Routes/publicBooking'));
 app.use('/api/users', require('./src/Routes/users'));
 app.use('/api/permissions', require('./src/Routes/permissions'));
 app.use('/api/user-management', require('./src/Routes/userManagement'));
+app.use('/api/audit-logs', require('./src/Routes/auditLogs'));
+app.use('/api/attachments', require('./src/Routes/attachments'));
+app.use('/api/billing', require('./src/Routes/billing'));
+app.use('/api/inventory', require('./src/Routes/inventory'));
+app.use('/api/orders', require('./src/Routes/orders'));
+app.use('/api/recalls', require('./src/Routes/recalls'));
+app.use('/api/notifications', require('./src/Routes/notifications'));
 
 // Health check route with detailed information
 app.get('/api/health', async (req, res) => {
@@ -183,9 +198,18 @@ app.get('/api/status', (req, res) => {
       shops: '/api/shops',
       customers: '/api/customers',
       records: '/api/records',
+      appointments: '/api/appointments',
+      booking: '/api/booking',
       users: '/api/users',
       permissions: '/api/permissions',
-      userManagement: '/api/user-management'
+      userManagement: '/api/user-management',
+      auditLogs: '/api/audit-logs',
+      attachments: '/api/attachments',
+      billing: '/api/billing',
+      inventory: '/api/inventory',
+      orders: '/api/orders',
+      recalls: '/api/recalls',
+      notifications: '/api/notifications'
     }
   });
 });
@@ -265,9 +289,18 @@ app.use('/api/*', (req, res) => {
       '/api/shops',
       '/api/customers',
       '/api/records',
+      '/api/appointments',
+      '/api/booking',
       '/api/users',
       '/api/permissions',
       '/api/user-management',
+      '/api/audit-logs',
+      '/api/attachments',
+      '/api/billing',
+      '/api/inventory',
+      '/api/orders',
+      '/api/recalls',
+      '/api/notifications',
       '/api/health',
       '/api/status'
     ]
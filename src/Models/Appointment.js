@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const appointmentSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop reference is required'],
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer reference is required'],
+    index: true
+  },
+  optometrist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  duration: {
+    type: Number, // minutes
+    min: [5, 'Duration must be at least 5 minutes']
+  },
+  type: {
+    type: String,
+    enum: ['routine', 'comprehensive', 'contact_lens', 'follow_up', 'emergency', 'other'],
+    default: 'routine'
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'confirmed', 'completed', 'cancelled', 'no_show'],
+    default: 'scheduled'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Online booking
+  source: {
+    type: String,
+    enum: ['staff', 'online'],
+    default: 'staff'
+  },
+  confirmationCode: {
+    type: String,
+    uppercase: true,
+    unique: true,
+    sparse: true
+  },
+
+  // Set once the reminder email went out; cleared when the slot moves
+  reminderSentAt: Date,
+
+  // Cancellation details
+  cancellation: {
+    reason: String,
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  // Previous slots when the appointment was moved
+  rescheduleHistory: [{
+    startTime: Date,
+    endTime: Date,
+    rescheduledAt: { type: Date, default: Date.now },
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for efficient querying
+appointmentSchema.index({ shop: 1, startTime: 1 });
+appointmentSchema.index({ shop: 1, optometrist: 1, startTime: 1 });
+appointmentSchema.index({ customer: 1, startTime: -1 });
+
+// Statuses that no longer occupy a slot
+appointmentSchema.statics.INACTIVE_STATUSES = ['cancelled', 'no_show'];
+
+// Status changes allowed on update; cancelling and rescheduling have their
+// own endpoints. A no-show can still be completed when the customer came late.
+appointmentSchema.statics.STATUS_TRANSITIONS = {
+  scheduled: ['confirmed', 'completed', 'no_show'],
+  confirmed: ['scheduled', 'completed', 'no_show'],
+  no_show: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+// Validate that the appointment ends after it starts
+appointmentSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  next();
+});
+
+// Static method to get appointments in a time range that still occupy a slot
+appointmentSchema.statics.findActiveInRange = function(shopId, startDate, endDate, extra = {}) {
+  return this.find({
+    shop: shopId,
+    startTime: { $lt: endDate },
+    endTime: { $gt: startDate },
+    status: { $nin: this.INACTIVE_STATUSES },
+    ...extra
+  }).sort({ startTime: 1 });
+};
+
+// Static method to generate a short, unambiguous confirmation code for online bookings
+appointmentSchema.statics.generateConfirmationCode = function() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(8);
+  return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+};
+
+// Instance method to check whether the appointment can still be changed
+appointmentSchema.methods.isModifiable = function() {
+  return !['cancelled', 'completed', 'no_show'].includes(this.status);
+};
+
+// Instance method to check a status change against STATUS_TRANSITIONS
+appointmentSchema.methods.canTransitionTo = function(status) {
+  if (status === this.status) return true;
+  return (this.constructor.STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
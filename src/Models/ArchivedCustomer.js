@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// A customer with their optometry records, record revisions, appointments,
+// attachments, invoices, payments and orders moved out of the live
+// collections after exceeding the shop's dataRetention.customerRecords
+// period. Attachment files stay in storage so a restore brings them back.
+const archivedCustomerSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true,
+    index: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  customerName: String,
+  lastVisit: Date,
+  recordCount: {
+    type: Number,
+    default: 0
+  },
+  // Raw documents as they were stored, so they can be restored unchanged
+  customer: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  records: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  revisions: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  appointments: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  attachments: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  invoices: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  payments: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  orders: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  retentionDays: Number,
+  status: {
+    type: String,
+    enum: ['archived', 'restored'],
+    default: 'archived'
+  },
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  restoredAt: Date,
+  restoredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+archivedCustomerSchema.index({ shop: 1, archivedAt: -1 });
+archivedCustomerSchema.index({ shop: 1, status: 1 });
+
+module.exports = mongoose.model('ArchivedCustomer', archivedCustomerSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const ATTACHMENT_CATEGORIES = [
+  'referral_letter',
+  'insurance_card',
+  'fundus_photo',
+  'topography',
+  'oct_scan',
+  'visual_field',
+  'prescription',
+  'other'
+];
+
+// A file attached to a customer or an optometry record. The file itself is
+// kept in storage (see src/storage) under `storageKey`.
+const attachmentSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true,
+    index: true
+  },
+  // Always set, also for record attachments, so a customer's files can be
+  // listed together
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OptometryRecord'
+  },
+  category: {
+    type: String,
+    enum: ATTACHMENT_CATEGORIES,
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: String,
+  thumbnailSize: {
+    type: Number,
+    default: 0
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+attachmentSchema.index({ shop: 1, customer: 1, createdAt: -1 });
+attachmentSchema.index({ shop: 1, record: 1, createdAt: -1 });
+
+attachmentSchema.statics.CATEGORIES = ATTACHMENT_CATEGORIES;
+
+// Bytes used by a shop's attachments, thumbnails included
+attachmentSchema.statics.getShopUsage = async function(shopId) {
+  const [usage] = await this.aggregate([
+    { $match: { shop: new mongoose.Types.ObjectId(shopId.toString()) } },
+    {
+      $group: {
+        _id: null,
+        bytes: { $sum: { $add: ['$size', { $ifNull: ['$thumbnailSize', 0] }] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  return { bytes: usage?.bytes || 0, count: usage?.count || 0 };
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
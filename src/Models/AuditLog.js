@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userName: String,
+  userEmail: String,
+  role: String,
+  action: {
+    type: String,
+    enum: [
+      'login',
+      'login_failed',
+      'view',
+      'create',
+      'update',
+      'delete',
+      'restore',
+      'archive',
+      'merge',
+      'sign',
+      'amend',
+      'export',
+      'import',
+      'issue',
+      'void',
+      'payment',
+      'refund',
+      'permissions_update',
+      'permissions_reset',
+      'password_reset'
+    ],
+    required: true
+  },
+  entity: {
+    type: String,
+    enum: ['auth', 'customer', 'record', 'permission', 'user', 'shop', 'attachment', 'invoice', 'product', 'order', 'recall'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  description: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Compound indexes for the query API and retention purge
+auditLogSchema.index({ shop: 1, createdAt: -1 });
+auditLogSchema.index({ shop: 1, user: 1, createdAt: -1 });
+auditLogSchema.index({ shop: 1, entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ shop: 1, action: 1, createdAt: -1 });
+
+// Static method to remove entries older than the retention period (in days)
+auditLogSchema.statics.purgeOlderThan = function(shopId, days) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  return this.deleteMany({ shop: shopId, createdAt: { $lt: cutoff } });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
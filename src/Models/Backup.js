@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A backup file written for a shop. The data itself lives on disk in
+// BACKUP_DIR; this document is the index used to list and restore it.
+const backupSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true,
+    index: true
+  },
+  shopName: String,
+  fileName: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual', 'pre_restore'],
+    default: 'scheduled'
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    default: 'completed'
+  },
+  error: String,
+  counts: {
+    customers: { type: Number, default: 0 },
+    records: { type: Number, default: 0 },
+    revisions: { type: Number, default: 0 },
+    appointments: { type: Number, default: 0 },
+    users: { type: Number, default: 0 },
+    permissions: { type: Number, default: 0 },
+    invoices: { type: Number, default: 0 },
+    payments: { type: Number, default: 0 },
+    products: { type: Number, default: 0 },
+    stockMovements: { type: Number, default: 0 },
+    orders: { type: Number, default: 0 },
+    recalls: { type: Number, default: 0 },
+    attachments: { type: Number, default: 0 },
+    counters: { type: Number, default: 0 },
+    emailTemplates: { type: Number, default: 0 }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  restores: [{
+    targetShop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop'
+    },
+    mode: {
+      type: String,
+      enum: ['same', 'new']
+    },
+    restoredAt: {
+      type: Date,
+      default: Date.now
+    },
+    restoredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+backupSchema.index({ shop: 1, createdAt: -1 });
+backupSchema.index({ shop: 1, status: 1, createdAt: -1 });
+
+// Most recent successful backup of a shop
+backupSchema.statics.findLatestForShop = function(shopId) {
+  return this.findOne({ shop: shopId, status: 'completed' }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Backup', backupSchema);
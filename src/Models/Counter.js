@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Per-shop sequences, e.g. invoice numbers
+const counterSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ shop: 1, name: 1 }, { unique: true });
+
+// Atomically increment a sequence and return the new value
+counterSchema.statics.next = async function(shopId, name) {
+  const counter = await this.findOneAndUpdate(
+    { shop: shopId, name },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
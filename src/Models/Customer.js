@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { ageOn } = require('../utils/age.js');
+const { buildSearchKeys } = require('../utils/searchKeys.js');
 
 const customerSchema = new mongoose.Schema({
   shop: {
@@ -13,6 +15,20 @@ const customerSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Name cannot exceed 100 characters']
   },
+  dateOfBirth: {
+    type: Date,
+    validate: {
+      validator: value => !value || value <= new Date(),
+      message: 'Date of birth cannot be in the future'
+    }
+  },
+  // True when dateOfBirth was estimated from a recorded age (see migrateCustomerDateOfBirth)
+  dateOfBirthEstimated: {
+    type: Boolean,
+    default: false
+  },
+  // Age as entered when no date of birth is known. When dateOfBirth is set
+  // this is kept in sync on save and responses report the current age.
   age: {
     type: Number,
     min: [0, 'Age cannot be negative'],
@@ -58,9 +74,31 @@ const customerSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Created from an online booking and not yet reviewed by staff
+  isProvisional: {
+    type: Boolean,
+    default: false
+  },
   lastVisit: {
     type: Date
-  }
+  },
+  // Set when restored from the archive; the customer is not archived again
+  // within the shop's retention period after this date
+  restoredFromArchiveAt: Date,
+  // Set when this customer was merged into another one as a duplicate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  mergedAt: Date,
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Search keys maintained from name and phone (see utils/searchKeys.js)
+  phoneDigits: String,
+  nameTokens: [String],
+  nameKeys: [String]
 }, {
   timestamps: true
 });
@@ -70,6 +108,42 @@ customerSchema.index({ shop: 1, name: 1 });
 customerSchema.index({ shop: 1, phone: 1 });
 customerSchema.index({ shop: 1, email: 1 });
 customerSchema.index({ shop: 1, createdAt: -1 });
+customerSchema.index({ shop: 1, dateOfBirth: 1 });
+customerSchema.index({ shop: 1, lastVisit: -1 });
+customerSchema.index({ shop: 1, phoneDigits: 1 });
+customerSchema.index({ shop: 1, nameTokens: 1 });
+customerSchema.index({ shop: 1, nameKeys: 1 });
+customerSchema.index(
+  { name: 'text', email: 'text', 'address.city': 'text' },
+  { name: 'customer_text', weights: { name: 10, email: 5, 'address.city': 1 } }
+);
+
+// Keep the stored age in line with the date of birth, and the search keys
+// in line with name and phone
+customerSchema.pre('validate', function(next) {
+  if (this.dateOfBirth) {
+    this.age = ageOn(this.dateOfBirth);
+  }
+  if (this.isNew || this.isModified('name') || this.isModified('phone')) {
+    Object.assign(this, buildSearchKeys({ name: this.name, phone: this.phone }));
+  }
+  next();
+});
+
+customerSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const valueOf = (field) => (update[field] !== undefined ? update[field] : update.$set?.[field]);
+
+  const dateOfBirth = valueOf('dateOfBirth');
+  if (dateOfBirth) {
+    const age = ageOn(dateOfBirth);
+    if (age !== null) this.set('age', age);
+  }
+
+  const keys = buildSearchKeys({ name: valueOf('name'), phone: valueOf('phone') });
+  Object.entries(keys).forEach(([field, value]) => this.set(field, value));
+  next();
+});
 
 // Virtual for full address
 customerSchema.virtual('fullAddress').get(function() {
@@ -77,6 +151,21 @@ customerSchema.virtual('fullAddress').get(function() {
   return parts.filter(part => part).join(', ');
 });
 
+// Current age, from the date of birth when known
+customerSchema.virtual('currentAge').get(function() {
+  return this.dateOfBirth ? ageOn(this.dateOfBirth) : this.age;
+});
+
+// Report the current age rather than the age stored at the last save
+customerSchema.methods.toJSON = function() {
+  const customer = this.toObject();
+  customer.age = this.currentAge;
+  delete customer.phoneDigits;
+  delete customer.nameTokens;
+  delete customer.nameKeys;
+  return customer;
+};
+
 // Update lastVisit when new records are added
 customerSchema.methods.updateLastVisit = function() {
   this.lastVisit = new Date();
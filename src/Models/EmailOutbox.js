@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const EmailTemplate = require('./EmailTemplate.js');
+
+const OUTBOX_STATUSES = ['queued', 'sending', 'sent', 'failed', 'skipped'];
+
+// Minutes to wait before each retry of a failed delivery
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+// Every email the application sends, with its delivery status. The
+// email-outbox job sends queued emails and retries failed deliveries.
+const emailOutboxSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    index: true
+  },
+  type: {
+    type: String,
+    enum: EmailTemplate.TYPES,
+    required: true
+  },
+  to: String,
+  subject: String,
+  text: String,
+  html: String,
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: RETRY_DELAYS_MINUTES.length + 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  sentAt: Date,
+  messageId: String,
+  // What the email is about, e.g. { entity: 'order', id }
+  related: {
+    entity: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ shop: 1, createdAt: -1 });
+emailOutboxSchema.index({ 'related.entity': 1, 'related.id': 1 });
+
+emailOutboxSchema.statics.STATUSES = OUTBOX_STATUSES;
+
+emailOutboxSchema.methods.markSent = function(info) {
+  this.status = 'sent';
+  this.attempts += 1;
+  this.sentAt = new Date();
+  this.messageId = info?.messageId;
+  this.lastError = undefined;
+};
+
+// Count a failed attempt and schedule the next one, or give up
+emailOutboxSchema.methods.markFailed = function(message) {
+  this.attempts += 1;
+  this.lastError = message;
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    return;
+  }
+  const delay = RETRY_DELAYS_MINUTES[Math.min(this.attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+  this.status = 'queued';
+  this.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+};
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
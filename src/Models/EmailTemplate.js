@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const TEMPLATE_TYPES = ['appointment_confirmation', 'appointment_reminder', 'order_ready', 'recall', 'password_reset'];
+
+// A shop's own wording for one kind of email; types without one use the
+// built-in default (see utils/notifications.js)
+const emailTemplateSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop reference is required']
+  },
+  type: {
+    type: String,
+    enum: TEMPLATE_TYPES,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  // Plain text with {{placeholders}}; the HTML part is generated from it
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    maxlength: [5000, 'Body cannot exceed 5000 characters']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+emailTemplateSchema.index({ shop: 1, type: 1 }, { unique: true });
+
+emailTemplateSchema.statics.TYPES = TEMPLATE_TYPES;
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const {
+  INVOICE_ITEM_TYPES,
+  roundMoney,
+  calculateInvoiceTotals,
+  derivePaymentStatus
+} = require('../utils/billing.js');
+
+const INVOICE_STATUSES = ['draft', 'issued', 'partially_paid', 'paid', 'partially_refunded', 'refunded', 'void'];
+
+const invoiceItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: INVOICE_ITEM_TYPES,
+    default: 'other'
+  },
+  description: {
+    type: String,
+    required: [true, 'Item description is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [0.01, 'Quantity must be greater than 0']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  // Calculated on save
+  amount: Number,
+  taxAmount: Number,
+  total: Number
+});
+
+const invoiceSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop reference is required'],
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer reference is required'],
+    index: true
+  },
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OptometryRecord'
+  },
+  // Assigned when the invoice is issued, so drafts leave no gaps
+  invoiceNumber: String,
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: 'draft'
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  issueDate: Date,
+  dueDate: Date,
+  items: {
+    type: [invoiceItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'An invoice needs at least one item'
+    }
+  },
+  discount: {
+    type: {
+      type: String,
+      enum: ['percent', 'amount'],
+      default: 'amount'
+    },
+    value: { type: Number, default: 0, min: [0, 'Discount cannot be negative'] },
+    reason: String
+  },
+
+  // Totals, calculated on save
+  subtotal: { type: Number, default: 0 },
+  discountTotal: { type: Number, default: 0 },
+  taxTotal: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  amountPaid: { type: Number, default: 0 },
+  amountRefunded: { type: Number, default: 0 },
+  balanceDue: { type: Number, default: 0 },
+
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  voidInfo: {
+    reason: String,
+    voidedAt: Date,
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index(
+  { shop: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+invoiceSchema.index({ shop: 1, status: 1, issueDate: -1 });
+invoiceSchema.index({ shop: 1, createdAt: -1 });
+
+invoiceSchema.statics.STATUSES = INVOICE_STATUSES;
+
+// Statuses in which money can still be received
+invoiceSchema.statics.PAYABLE_STATUSES = ['issued', 'partially_paid'];
+
+// Recalculate line amounts and totals
+invoiceSchema.pre('validate', function(next) {
+  Object.assign(this, calculateInvoiceTotals(this.items, this.discount));
+  this.balanceDue = this.getBalanceDue();
+  next();
+});
+
+// Apply payment totals (see Payment.getInvoiceTotals) and update the status
+invoiceSchema.methods.applyPaymentTotals = function({ paid, refunded }) {
+  this.amountPaid = roundMoney(paid);
+  this.amountRefunded = roundMoney(refunded);
+  if (this.status !== 'draft' && this.status !== 'void') {
+    this.status = derivePaymentStatus(this);
+  }
+};
+
+// Items, discounts and the customer can only change before the invoice is issued
+invoiceSchema.methods.isEditable = function() {
+  return this.status === 'draft';
+};
+
+// Money received minus money refunded
+invoiceSchema.methods.getNetPaid = function() {
+  return roundMoney(this.amountPaid - this.amountRefunded);
+};
+
+// What the customer still owes. Refunds on an unpaid balance are owed again;
+// refunds after paying in full are money given back, not a new debt.
+invoiceSchema.methods.getBalanceDue = function() {
+  if (['void', 'partially_refunded', 'refunded'].includes(this.status)) return 0;
+  return roundMoney(Math.max(0, this.total - this.getNetPaid()));
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -1,10 +1,55 @@
 const mongoose = require('mongoose');
+const { ageOn } = require('../utils/age.js');
+const {
+  REPLACEMENT_SCHEDULES,
+  WEAR_MODALITIES,
+  validateContactLens
+} = require('../utils/contactLens.js');
+const { LATERALITIES, resolveDiagnoses } = require('../utils/diagnosisCodes.js');
+
+// Numeric values parsed from the raw text (see utils/prescription.js)
+const parsedMeasurementSchema = new mongoose.Schema({
+  sph: { type: Number, min: -30, max: 30 }, // for ADD this is the add power
+  cyl: { type: Number, min: -10, max: 10 },
+  axis: { type: Number, min: 1, max: 180 },
+  va: String, // normalized notation: metric Snellen, N notation or CF/HM/PL/NPL
+  vaDecimal: Number
+}, { _id: false });
 
 const eyeMeasurementSchema = new mongoose.Schema({
   sph: { type: String, default: '' },
   cyl: { type: String, default: '' },
   axis: { type: String, default: '' },
-  va: { type: String, default: '' }
+  va: { type: String, default: '' },
+  parsed: { type: parsedMeasurementSchema, default: () => ({}) }
+});
+
+// What a stock product linked to a record is used for
+const RECORD_PRODUCT_ROLES = ['frame', 'right_lens', 'left_lens', 'right_contact_lens', 'left_contact_lens', 'other'];
+
+// A change made to a signed record, preserving the original values
+const amendmentSchema = new mongoose.Schema({
+  amendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amendedByName: String,
+  amendedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    required: [true, 'Amendment reason is required'],
+    trim: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    previousValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }]
 });
 
 const eyeSchema = new mongoose.Schema({
@@ -12,6 +57,232 @@ const eyeSchema = new mongoose.Schema({
   add: { type: eyeMeasurementSchema, default: () => ({}) }
 });
 
+// Contact lens fitted to one eye
+const contactLensEyeSchema = new mongoose.Schema({
+  brand: { type: String, trim: true },
+  lensName: { type: String, trim: true },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  baseCurve: {
+    type: Number,
+    min: [6.5, 'Base curve must be between 6.5 and 10.0 mm'],
+    max: [10, 'Base curve must be between 6.5 and 10.0 mm']
+  },
+  diameter: {
+    type: Number,
+    min: [8, 'Diameter must be between 8.0 and 16.0 mm'],
+    max: [16, 'Diameter must be between 8.0 and 16.0 mm']
+  },
+  power: {
+    type: Number,
+    min: [-30, 'Power must be between -30 and +30'],
+    max: [30, 'Power must be between -30 and +30']
+  },
+  // Torics
+  cylinder: {
+    type: Number,
+    min: [-10, 'Cylinder must be between -10 and 0'],
+    max: [0, 'Cylinder must be between -10 and 0']
+  },
+  axis: {
+    type: Number,
+    min: [1, 'Axis must be between 1 and 180'],
+    max: [180, 'Axis must be between 1 and 180']
+  },
+  // Multifocals
+  addition: {
+    type: Number,
+    min: [0.25, 'Addition must be between +0.25 and +4.00'],
+    max: [4, 'Addition must be between +0.25 and +4.00']
+  },
+  replacementSchedule: {
+    type: String,
+    enum: REPLACEMENT_SCHEDULES
+  },
+  wearModality: {
+    type: String,
+    enum: WEAR_MODALITIES
+  },
+  fit: {
+    centration: {
+      type: String,
+      enum: ['centred', 'decentred_superior', 'decentred_inferior', 'decentred_nasal', 'decentred_temporal']
+    },
+    movement: {
+      type: String,
+      enum: ['tight', 'optimal', 'loose']
+    },
+    coverage: {
+      type: String,
+      enum: ['full', 'partial']
+    },
+    // Toric rotation in degrees, positive clockwise
+    rotation: Number,
+    comfort: {
+      type: String,
+      enum: ['good', 'acceptable', 'poor']
+    },
+    overRefraction: String,
+    va: String,
+    assessment: {
+      type: String,
+      enum: ['acceptable', 'refit_required']
+    },
+    notes: String
+  }
+}, { _id: false });
+
+const contactLensSchema = new mongoose.Schema({
+  right_eye: contactLensEyeSchema,
+  left_eye: contactLensEyeSchema,
+  careSystem: String,
+  notes: String
+}, { _id: false });
+
+// Lenses handed over to the customer. Dispensing happens after the exam, so
+// these are kept apart from the fitting and can be added to signed records.
+// runsOutAt is calculated from the fitting's schedule when dispensed.
+const contactLensDispenseSchema = new mongoose.Schema({
+  dispensedAt: {
+    type: Date,
+    required: true
+  },
+  lensesPerEye: {
+    type: Number,
+    required: true,
+    min: [1, 'At least one lens per eye must be dispensed']
+  },
+  runsOutAt: Date,
+  dispensedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Clinical examination sections, used mainly by comprehensive exams. Every
+// section is optional; eye values follow the right_eye/left_eye naming.
+const IOP_METHODS = ['goldmann', 'non_contact', 'icare', 'tonopen', 'perkins', 'other'];
+
+const iopSchema = new mongoose.Schema({
+  right_eye: {
+    type: Number,
+    min: [0, 'IOP must be between 0 and 80 mmHg'],
+    max: [80, 'IOP must be between 0 and 80 mmHg']
+  },
+  left_eye: {
+    type: Number,
+    min: [0, 'IOP must be between 0 and 80 mmHg'],
+    max: [80, 'IOP must be between 0 and 80 mmHg']
+  },
+  method: {
+    type: String,
+    enum: IOP_METHODS
+  },
+  // Time of measurement; IOP varies over the day
+  measuredAt: Date,
+  notes: String
+}, { _id: false });
+
+const slitLampEyeSchema = new mongoose.Schema({
+  lids: String,
+  conjunctiva: String,
+  cornea: String,
+  anteriorChamber: String,
+  // Van Herick angle grade
+  vanHerick: {
+    type: Number,
+    min: [0, 'Van Herick grade must be between 0 and 4'],
+    max: [4, 'Van Herick grade must be between 0 and 4']
+  },
+  iris: String,
+  lens: String,
+  notes: String
+}, { _id: false });
+
+const fundusEyeSchema = new mongoose.Schema({
+  cdRatio: {
+    type: Number,
+    min: [0, 'Cup/disc ratio must be between 0 and 1'],
+    max: [1, 'Cup/disc ratio must be between 0 and 1']
+  },
+  disc: String,
+  macula: String,
+  vessels: String,
+  periphery: String,
+  notes: String
+}, { _id: false });
+
+const COVER_TEST_DEVIATIONS = [
+  'orthophoria',
+  'esophoria',
+  'exophoria',
+  'hyperphoria',
+  'hypophoria',
+  'esotropia',
+  'exotropia',
+  'hypertropia',
+  'hypotropia'
+];
+
+const coverTestDistanceSchema = new mongoose.Schema({
+  deviation: {
+    type: String,
+    enum: COVER_TEST_DEVIATIONS
+  },
+  // Size in prism dioptres
+  amount: {
+    type: Number,
+    min: [0, 'Deviation must be between 0 and 50 prism dioptres'],
+    max: [50, 'Deviation must be between 0 and 50 prism dioptres']
+  },
+  recovery: {
+    type: String,
+    enum: ['good', 'moderate', 'poor']
+  }
+}, { _id: false });
+
+const visualFieldEyeSchema = new mongoose.Schema({
+  result: {
+    type: String,
+    enum: ['full', 'defect', 'unreliable']
+  },
+  description: String
+}, { _id: false });
+
+const keratometryEyeSchema = new mongoose.Schema({
+  // Flat and steep meridians in dioptres
+  k1: {
+    type: Number,
+    min: [30, 'Keratometry must be between 30 and 60 D'],
+    max: [60, 'Keratometry must be between 30 and 60 D']
+  },
+  k1Axis: {
+    type: Number,
+    min: [0, 'Keratometry axis must be between 0 and 180'],
+    max: [180, 'Keratometry axis must be between 0 and 180']
+  },
+  k2: {
+    type: Number,
+    min: [30, 'Keratometry must be between 30 and 60 D'],
+    max: [60, 'Keratometry must be between 30 and 60 D']
+  },
+  k2Axis: {
+    type: Number,
+    min: [0, 'Keratometry axis must be between 0 and 180'],
+    max: [180, 'Keratometry axis must be between 0 and 180']
+  }
+}, { _id: false });
+
+const CLINICAL_SECTIONS = ['iop', 'slitLamp', 'fundus', 'coverTest', 'colorVision', 'visualFields', 'keratometry', 'binocularVision'];
+
+const accommodationSchema = {
+  type: Number,
+  min: [0, 'Amplitude of accommodation must be between 0 and 20 D'],
+  max: [20, 'Amplitude of accommodation must be between 0 and 20 D']
+};
+
 const optometryRecordSchema = new mongoose.Schema({
   shop: {
     type: mongoose.Schema.Types.ObjectId,
@@ -62,6 +333,22 @@ const optometryRecordSchema = new mongoose.Schema({
   chiefComplaint: String,
   history: String,
   diagnosis: String,
+  // Coded diagnoses (see utils/diagnosisCodes.js); `diagnosis` stays free text
+  diagnoses: [{
+    _id: false,
+    code: {
+      type: String,
+      required: [true, 'Diagnosis code is required'],
+      trim: true
+    },
+    description: String,
+    laterality: {
+      type: String,
+      enum: LATERALITIES,
+      default: 'not_applicable'
+    },
+    notes: String
+  }],
   recommendations: String,
   notes: String,
   
@@ -75,6 +362,105 @@ const optometryRecordSchema = new mongoose.Schema({
     enum: ['single_vision', 'bifocal', 'progressive', 'office', 'other']
   },
   frame: String,
+
+  // Contact lens fitting, see utils/contactLens.js
+  contact_lens: contactLensSchema,
+  contactLensDispenses: [contactLensDispenseSchema],
+
+  // Clinical examination sections
+  iop: iopSchema,
+  slitLamp: {
+    right_eye: slitLampEyeSchema,
+    left_eye: slitLampEyeSchema
+  },
+  fundus: {
+    method: {
+      type: String,
+      enum: ['direct', 'indirect', 'slit_lamp', 'photography', 'other']
+    },
+    dilated: Boolean,
+    right_eye: fundusEyeSchema,
+    left_eye: fundusEyeSchema
+  },
+  coverTest: {
+    distance: coverTestDistanceSchema,
+    near: coverTestDistanceSchema,
+    notes: String
+  },
+  colorVision: {
+    test: {
+      type: String,
+      enum: ['ishihara', 'hrr', 'farnsworth_d15', 'city_university', 'other']
+    },
+    right_eye: { type: String, enum: ['normal', 'deficient'] },
+    left_eye: { type: String, enum: ['normal', 'deficient'] },
+    deficiency: {
+      type: String,
+      enum: ['protan', 'deutan', 'tritan', 'unspecified']
+    },
+    notes: String
+  },
+  visualFields: {
+    method: {
+      type: String,
+      enum: ['confrontation', 'automated', 'goldmann', 'other']
+    },
+    right_eye: visualFieldEyeSchema,
+    left_eye: visualFieldEyeSchema,
+    notes: String
+  },
+  keratometry: {
+    method: {
+      type: String,
+      enum: ['manual', 'auto', 'topography']
+    },
+    right_eye: keratometryEyeSchema,
+    left_eye: keratometryEyeSchema
+  },
+  binocularVision: {
+    // Near point of convergence in cm
+    npc: {
+      type: Number,
+      min: [0, 'Near point of convergence must be between 0 and 50 cm'],
+      max: [50, 'Near point of convergence must be between 0 and 50 cm']
+    },
+    accommodation: {
+      right_eye: accommodationSchema,
+      left_eye: accommodationSchema
+    },
+    // Stereo acuity in seconds of arc
+    stereopsis: {
+      type: Number,
+      min: [0, 'Stereopsis must be between 0 and 4000 seconds of arc'],
+      max: [4000, 'Stereopsis must be between 0 and 4000 seconds of arc']
+    },
+    motility: String,
+    fusionalReserves: String,
+    notes: String
+  },
+
+  // Stock items chosen for this prescription (see utils/inventory.js)
+  products: [{
+    role: {
+      type: String,
+      enum: RECORD_PRODUCT_ROLES,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    sku: String,
+    description: String,
+    quantity: { type: Number, default: 1, min: 1 }
+  }],
+  // Set once the products were taken from stock
+  productsOrderedAt: Date,
+  productsOrderedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   
   // Follow-up
   nextAppointment: Date,
@@ -89,7 +475,27 @@ const optometryRecordSchema = new mongoose.Schema({
   
   // Digital Signature
   signedBy: String,
-  signatureDate: Date
+  signedByUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  signatureDate: Date,
+  isLocked: {
+    type: Boolean,
+    default: false
+  },
+  amendments: [amendmentSchema],
+
+  // Soft delete (restorable from revision history)
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
 }, {
   timestamps: true
 });
@@ -100,6 +506,11 @@ optometryRecordSchema.index({ shop: 1, date: -1 });
 optometryRecordSchema.index({ customer: 1, date: -1 });
 optometryRecordSchema.index({ shop: 1, optometrist: 1 });
 optometryRecordSchema.index({ shop: 1, status: 1 });
+optometryRecordSchema.index({ shop: 1, isDeleted: 1 });
+optometryRecordSchema.index({ shop: 1, 'contactLensDispenses.runsOutAt': 1 }, { sparse: true });
+optometryRecordSchema.index({ shop: 1, 'diagnoses.code': 1 });
+optometryRecordSchema.index({ shop: 1, 'iop.right_eye': 1 }, { sparse: true });
+optometryRecordSchema.index({ shop: 1, 'iop.left_eye': 1 }, { sparse: true });
 
 // Virtual for customer name (populate alternative)
 optometryRecordSchema.virtual('customerName', {
@@ -110,6 +521,65 @@ optometryRecordSchema.virtual('customerName', {
   options: { select: 'name' }
 });
 
+// Fields managed by the signing workflow or the dispensing endpoints that
+// cannot be set through create/update
+optometryRecordSchema.statics.PROTECTED_FIELDS = [
+  'shop',
+  'signedBy',
+  'signedByUser',
+  'signatureDate',
+  'isLocked',
+  'amendments',
+  'products',
+  'productsOrderedAt',
+  'productsOrderedBy',
+  'contactLensDispenses',
+  'isDeleted',
+  'deletedAt',
+  'deletedBy'
+];
+
+optometryRecordSchema.statics.PRODUCT_ROLES = RECORD_PRODUCT_ROLES;
+optometryRecordSchema.statics.CLINICAL_SECTIONS = CLINICAL_SECTIONS;
+
+// Contact lens checks that span fields
+optometryRecordSchema.pre('validate', function(next) {
+  if (this.contact_lens) {
+    const errors = validateContactLens(this.contact_lens);
+    if (errors.length) this.invalidate('contact_lens', errors.join('; '));
+  }
+  next();
+});
+
+// Known codes only, with the standard description filled in
+optometryRecordSchema.pre('validate', function(next) {
+  if (this.isModified('diagnoses') && this.diagnoses.length) {
+    const { diagnoses, errors } = resolveDiagnoses(this.diagnoses.map(item => item.toObject()));
+    if (errors.length) this.invalidate('diagnoses', errors.join('; '));
+    else this.diagnoses = diagnoses;
+  }
+  next();
+});
+
+// Exclude soft-deleted records from queries unless the filter asks for them
+// explicitly or the query sets the `withDeleted` option
+optometryRecordSchema.pre(
+  ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'],
+  function(next) {
+    if (!this.getOptions().withDeleted && this.getFilter().isDeleted === undefined) {
+      this.where({ isDeleted: { $ne: true } });
+    }
+    next();
+  }
+);
+
+optometryRecordSchema.pre('aggregate', function(next) {
+  if (!this.options.withDeleted) {
+    this.pipeline().unshift({ $match: { isDeleted: { $ne: true } } });
+  }
+  next();
+});
+
 // Static method to get records by date range
 optometryRecordSchema.statics.findByDateRange = function(shopId, startDate, endDate) {
   return this.find({
@@ -121,14 +591,25 @@ optometryRecordSchema.statics.findByDateRange = function(shopId, startDate, endD
   }).populate('customer', 'name age sex phone').sort({ date: -1 });
 };
 
+// Instance method to sign and lock the record
+optometryRecordSchema.methods.sign = function(user) {
+  this.status = 'completed';
+  this.signedBy = user.name;
+  this.signedByUser = user._id;
+  this.signatureDate = new Date();
+  this.isLocked = true;
+  if (!this.optometrist) this.optometrist = user.name;
+  return this.save();
+};
+
 // Instance method to calculate patient age at time of examination
 optometryRecordSchema.methods.getPatientAgeAtExam = async function() {
-  const customer = await mongoose.model('Customer').findById(this.customer);
-  if (!customer || !customer.age || !this.date) return null;
-  
-  const examDate = new Date(this.date);
-  const birthYear = examDate.getFullYear() - customer.age;
-  return examDate.getFullYear() - birthYear;
+  const customer = this.populated('customer')
+    ? this.customer
+    : await mongoose.model('Customer').findById(this.customer).select('dateOfBirth');
+  if (!customer || !customer.dateOfBirth || !this.date) return null;
+
+  return ageOn(customer.dateOfBirth, this.date);
 };
 
 module.exports = mongoose.model('OptometryRecord', optometryRecordSchema);
\ No newline at end of file
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+const ORDER_STATUSES = ['ordered', 'at_lab', 'received', 'ready', 'collected', 'remake', 'cancelled'];
+
+// Statuses an order can move to from each status
+const ORDER_TRANSITIONS = {
+  ordered: ['at_lab', 'received', 'cancelled'],
+  at_lab: ['received', 'cancelled'],
+  received: ['ready', 'remake'],
+  ready: ['collected', 'remake'],
+  collected: ['remake'],
+  remake: ['at_lab', 'received', 'cancelled'],
+  cancelled: []
+};
+
+// Days an order may stay in a status before it is listed as overdue; a shop
+// can override them in settings.orders.overdueDays
+const DEFAULT_OVERDUE_DAYS = {
+  ordered: 2,
+  at_lab: 10,
+  received: 1,
+  ready: 14,
+  remake: 10
+};
+
+const orderSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop reference is required'],
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer reference is required'],
+    index: true
+  },
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OptometryRecord',
+    required: [true, 'Record reference is required']
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['spectacles', 'contact_lenses'],
+    default: 'spectacles'
+  },
+
+  // Copied from the record when the order is created, so later amendments
+  // to the record do not change what was ordered
+  prescription: {
+    right_eye: mongoose.Schema.Types.Mixed,
+    left_eye: mongoose.Schema.Types.Mixed,
+    pd: String,
+    prism: String,
+    base: String,
+    prescriptionType: String,
+    recordDate: Date
+  },
+
+  frame: {
+    source: {
+      type: String,
+      enum: ['stock', 'customer_own', 'lab']
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    sku: String,
+    description: String
+  },
+  lenses: {
+    type: {
+      type: String,
+      enum: ['single_vision', 'bifocal', 'progressive', 'office', 'contact', 'other']
+    },
+    material: String,
+    index: Number,
+    coatings: [String],
+    tint: String,
+    description: String
+  },
+
+  lab: {
+    name: { type: String, trim: true },
+    reference: { type: String, trim: true }, // the lab's job number
+    expectedAt: Date
+  },
+
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'ordered'
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    changedAt: { type: Date, default: Date.now },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  }],
+  remakeCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Messages sent to the customer about this order
+  notifications: [{
+    _id: false,
+    type: { type: String },
+    channel: String,
+    to: String,
+    status: { type: String, enum: ['sent', 'queued', 'skipped', 'failed'] },
+    error: String,
+    outbox: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailOutbox'
+    },
+    at: { type: Date, default: Date.now }
+  }],
+
+  // Whether creating the order took the record's stock products; they are
+  // returned to stock if the order is cancelled
+  stockTaken: {
+    type: Boolean,
+    default: false
+  },
+
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ shop: 1, orderNumber: 1 }, { unique: true });
+orderSchema.index({ shop: 1, status: 1, statusChangedAt: 1 });
+orderSchema.index({ record: 1 });
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.TRANSITIONS = ORDER_TRANSITIONS;
+orderSchema.statics.DEFAULT_OVERDUE_DAYS = DEFAULT_OVERDUE_DAYS;
+
+orderSchema.methods.canMoveTo = function(status) {
+  return ORDER_TRANSITIONS[this.status].includes(status);
+};
+
+// Move to a new status, keeping the history
+orderSchema.methods.moveTo = function(status, { user, note } = {}) {
+  const now = new Date();
+  this.status = status;
+  this.statusChangedAt = now;
+  this.statusHistory.push({ status, changedAt: now, changedBy: user?._id, note });
+  if (status === 'remake') {
+    this.remakeCount += 1;
+  }
+};
+
+// When the order entered a status most recently
+orderSchema.methods.getStatusDate = function(status) {
+  const entry = [...this.statusHistory].reverse().find(item => item.status === status);
+  return entry?.changedAt;
+};
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { PAYMENT_METHODS, roundMoney } = require('../utils/billing.js');
+
+// Money received for an invoice, or returned when `type` is "refund".
+// Amounts are always positive.
+const paymentSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop reference is required'],
+    index: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'Invoice reference is required'],
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'refund'],
+    default: 'payment'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  // Card slip, transfer or cheque number
+  reference: {
+    type: String,
+    trim: true
+  },
+  // The payment a refund returns money from
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ shop: 1, paidAt: -1 });
+paymentSchema.index({ refundOf: 1 }, { sparse: true });
+
+// Sum of payments and of refunds, e.g. for one invoice or over a period
+paymentSchema.statics.getTotals = async function(match) {
+  const totals = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  const byType = Object.fromEntries(totals.map(total => [total._id, total]));
+  return {
+    paid: byType.payment?.amount || 0,
+    refunded: byType.refund?.amount || 0,
+    payments: byType.payment?.count || 0,
+    refunds: byType.refund?.count || 0
+  };
+};
+
+paymentSchema.statics.getInvoiceTotals = function(invoiceId) {
+  return this.getTotals({ invoice: new mongoose.Types.ObjectId(invoiceId.toString()) });
+};
+
+// Net revenue (payments minus refunds) for a match, e.g. all shops or a
+// period, per currency since shops bill in different currencies:
+// `{ USD: 1200, EUR: 340.5 }`
+paymentSchema.statics.getRevenue = async function(match = {}) {
+  const totals = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: ['$currency', 'USD'] },
+        amount: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, { $multiply: ['$amount', -1] }, '$amount'] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return Object.fromEntries(totals.map(total => [total._id, roundMoney(total.amount)]));
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
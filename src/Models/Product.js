@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const PRODUCT_CATEGORIES = ['frame', 'spectacle_lens', 'contact_lens', 'accessory', 'other'];
+
+// A stock item of one shop. Quantities only change through stock movements
+// (see utils/inventory.js) so that every change is traceable.
+const productSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop reference is required'],
+    index: true
+  },
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'SKU cannot exceed 50 characters']
+  },
+  category: {
+    type: String,
+    enum: PRODUCT_CATEGORIES,
+    required: [true, 'Category is required']
+  },
+  brand: {
+    type: String,
+    trim: true
+  },
+  model: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  // Frames: eye size-bridge-temple, e.g. "52-18-140"
+  size: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Spectacle and contact lenses
+  lens: {
+    design: {
+      type: String,
+      enum: ['single_vision', 'bifocal', 'progressive', 'office', 'toric', 'multifocal', 'other']
+    },
+    material: String,
+    index: Number,
+    coatings: [String],
+    // Contact lenses
+    baseCurve: Number,
+    diameter: Number,
+    sphere: Number,
+    cylinder: Number,
+    axis: Number,
+    addition: Number,
+    wearSchedule: {
+      type: String,
+      enum: ['daily', 'two_weekly', 'monthly', 'quarterly', 'yearly']
+    },
+    packSize: Number
+  },
+
+  costPrice: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost price cannot be negative']
+  },
+  salePrice: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sale price cannot be negative']
+  },
+
+  stock: {
+    quantity: { type: Number, default: 0, min: [0, 'Stock cannot be negative'] },
+    lowStockThreshold: { type: Number, default: 2, min: 0 }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+productSchema.index({ shop: 1, sku: 1 }, { unique: true });
+productSchema.index({ shop: 1, category: 1, isActive: 1 });
+productSchema.index({ shop: 1, brand: 1, model: 1 });
+
+productSchema.statics.CATEGORIES = PRODUCT_CATEGORIES;
+
+// Condition for products at or below their low-stock threshold
+productSchema.statics.lowStockCondition = function() {
+  return { $expr: { $lte: ['$stock.quantity', '$stock.lowStockThreshold'] } };
+};
+
+// Short label, e.g. "Ray-Ban RB5154 Black 51-21-145"
+productSchema.methods.getLabel = function() {
+  const label = [this.brand, this.model, this.color, this.size].filter(Boolean).join(' ');
+  return label || this.description || this.sku;
+};
+
+module.exports = mongoose.model('Product', productSchema);
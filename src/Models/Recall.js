@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Rules a recall interval can come from; `clinician` is a next appointment
+// date set on the record itself
+const RECALL_RULES = ['routine', 'diabetic', 'child', 'clinician'];
+
+const RECALL_STATUSES = ['pending', 'contacted', 'declined', 'booked'];
+
+const ATTEMPT_OUTCOMES = ['contacted', 'no_answer', 'declined', 'booked'];
+
+const CONTACT_METHODS = ['phone', 'email', 'sms', 'letter', 'in_person'];
+
+// The next eye exam a customer is due for, one per customer. It is
+// recalculated from the last completed record (see utils/recalls.js).
+const recallSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop reference is required'],
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer reference is required']
+  },
+  lastRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OptometryRecord',
+    required: true
+  },
+  lastExamDate: {
+    type: Date,
+    required: true
+  },
+  rule: {
+    type: String,
+    enum: RECALL_RULES,
+    required: true
+  },
+  intervalMonths: Number,
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: RECALL_STATUSES,
+    default: 'pending'
+  },
+  // Contact attempts for the current due date; cleared by the next exam
+  attempts: [{
+    outcome: {
+      type: String,
+      enum: ATTEMPT_OUTCOMES,
+      required: true
+    },
+    method: {
+      type: String,
+      enum: CONTACT_METHODS,
+      required: true
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastAttemptAt: Date
+}, {
+  timestamps: true
+});
+
+recallSchema.index({ shop: 1, customer: 1 }, { unique: true });
+recallSchema.index({ shop: 1, dueDate: 1 });
+recallSchema.index({ shop: 1, status: 1, dueDate: 1 });
+
+recallSchema.statics.RULES = RECALL_RULES;
+recallSchema.statics.STATUSES = RECALL_STATUSES;
+recallSchema.statics.ATTEMPT_OUTCOMES = ATTEMPT_OUTCOMES;
+recallSchema.statics.CONTACT_METHODS = CONTACT_METHODS;
+
+// Record a contact attempt; a no answer leaves the status as it was
+recallSchema.methods.addAttempt = function({ outcome, method, appointment, notes, user }) {
+  const now = new Date();
+  this.attempts.push({ outcome, method, appointment, notes, by: user?._id, at: now });
+  this.lastAttemptAt = now;
+  if (outcome !== 'no_answer') {
+    this.status = outcome;
+  }
+};
+
+module.exports = mongoose.model('Recall', recallSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { toPlain, diffObjects, changedFields } = require('../utils/objectDiff.js');
+
+// Immutable snapshot of an OptometryRecord after every change
+const recordRevisionSchema = new mongoose.Schema({
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OptometryRecord',
+    required: true
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'sign', 'amend', 'delete', 'restore', 'merge'],
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedByName: String,
+  changedFields: [String],
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Full record state after this revision
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+recordRevisionSchema.index({ record: 1, version: 1 }, { unique: true });
+
+// Revisions are append-only
+recordRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Record revisions cannot be modified'));
+  }
+  next();
+});
+
+recordRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  function(next) {
+    next(new Error('Record revisions cannot be modified'));
+  }
+);
+
+// Static method to store a new revision of a record.
+// `previous` is the snapshot before the change (null on create).
+recordRevisionSchema.statics.createFor = async function(record, { action, user, previous = null }) {
+  const snapshot = toPlain(record.toObject ? record.toObject({ depopulate: true }) : record);
+  const changes = diffObjects(previous, snapshot);
+
+  const latest = await this.findOne({ record: record._id })
+    .sort({ version: -1 })
+    .select('version');
+
+  return this.create({
+    record: record._id,
+    shop: snapshot.shop,
+    version: latest ? latest.version + 1 : 1,
+    action,
+    changedBy: user?._id,
+    changedByName: user?.name,
+    changedFields: changedFields(changes),
+    changes,
+    snapshot
+  });
+};
+
+module.exports = mongoose.model('RecordRevision', recordRevisionSchema);
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Attachment storage included with each subscription plan, in megabytes
+const PLAN_STORAGE_QUOTAS_MB = {
+  basic: 1024,
+  professional: 10 * 1024,
+  enterprise: 100 * 1024
+};
+
 const shopSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -57,7 +64,8 @@ const shopSchema = new mongoose.Schema({
       maxCustomers: { type: Number, default: 1000 },
       advancedReports: { type: Boolean, default: false },
       customPermissions: { type: Boolean, default: false },
-      apiAccess: { type: Boolean, default: false }
+      apiAccess: { type: Boolean, default: false },
+      storageQuotaMb: Number // overrides the plan's attachment storage quota
     }
   },
   settings: {
@@ -85,19 +93,46 @@ const shopSchema = new mongoose.Schema({
     },
     // Business settings
     businessHours: {
-      monday: { open: String, close: String },
-      tuesday: { open: String, close: String },
-      wednesday: { open: String, close: String },
-      thursday: { open: String, close: String },
-      friday: { open: String, close: String },
-      saturday: { open: String, close: String },
-      sunday: { open: String, close: String }
+      monday: { open: String, close: String, closed: Boolean },
+      tuesday: { open: String, close: String, closed: Boolean },
+      wednesday: { open: String, close: String, closed: Boolean },
+      thursday: { open: String, close: String, closed: Boolean },
+      friday: { open: String, close: String, closed: Boolean },
+      saturday: { open: String, close: String, closed: Boolean },
+      sunday: { open: String, close: String, closed: Boolean }
     },
     appointmentSettings: {
       slotDuration: { type: Number, default: 30 }, // minutes
       maxAppointmentsPerDay: { type: Number, default: 20 },
       allowOnlineBooking: { type: Boolean, default: false }
     },
+    // Billing settings
+    billing: {
+      invoicePrefix: { type: String, default: 'INV', trim: true, maxlength: 10 },
+      defaultTaxRate: { type: Number, default: 0, min: 0, max: 100 }, // percent
+      paymentTermsDays: { type: Number, default: 0, min: 0 } // 0 = due on issue
+    },
+    // Days an order may stay in a status before it is overdue (see Order.DEFAULT_OVERDUE_DAYS)
+    orders: {
+      overdueDays: {
+        ordered: Number,
+        at_lab: Number,
+        received: Number,
+        ready: Number,
+        remake: Number
+      }
+    },
+    // Months between eye exams; the shortest applicable rule wins (see utils/recalls.js)
+    recalls: {
+      routineMonths: { type: Number, default: 24, min: 1, max: 120 },
+      diabeticMonths: { type: Number, default: 12, min: 1, max: 120 },
+      childMonths: { type: Number, default: 12, min: 1, max: 120 },
+      childMaxAge: { type: Number, default: 16, min: 0, max: 25 } // children are younger than this
+    },
+    // Clinical settings
+    clinical: {
+      progressionThreshold: { type: Number, default: 0.5 } // diopters/year of spherical equivalent
+    },
     // Notification settings
     notifications: {
       email: { type: Boolean, default: true },
@@ -192,6 +227,14 @@ shopSchema.methods.getLimit = function(limitType) {
   return this.subscription.features[limitType] || 0;
 };
 
+// Method to get the attachment storage quota in bytes
+shopSchema.methods.getStorageQuota = function() {
+  const quotaMb = this.subscription?.features?.storageQuotaMb
+    ?? PLAN_STORAGE_QUOTAS_MB[this.subscription?.plan]
+    ?? PLAN_STORAGE_QUOTAS_MB.basic;
+  return quotaMb * 1024 * 1024;
+};
+
 // Method to initialize default permissions for the shop
 shopSchema.methods.initializePermissions = async function() {
   try {
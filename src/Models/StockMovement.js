@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['receive', 'sell', 'adjust', 'transfer_out', 'transfer_in'];
+
+// One change to a product's stock. `quantity` is the signed change, e.g. -1
+// for a sale, and `balanceAfter` the stock once it was applied.
+const stockMovementSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  unitCost: Number,
+  // Delivery note, invoice or order number
+  reference: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OptometryRecord'
+  },
+  // The other shop of a transfer
+  relatedShop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+stockMovementSchema.index({ shop: 1, product: 1, createdAt: -1 });
+stockMovementSchema.index({ shop: 1, type: 1, createdAt: -1 });
+
+stockMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -38,6 +38,15 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // SHA-256 of the emailed reset token, see authController.forgotPassword
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   
   lastLogin: {
     type: Date,
@@ -11,6 +11,19 @@ const {
   getUsers,
   updateUser
 } = require('../controllers/adminController');
+const {
+  previewArchive,
+  runArchive,
+  getArchivedCustomers,
+  getArchivedCustomerById,
+  restoreArchivedCustomer
+} = require('../controllers/archiveController');
+const {
+  getBackups,
+  createBackup,
+  downloadBackup,
+  restoreBackup
+} = require('../controllers/backupController');
 
 const router = express.Router();
 
@@ -32,4 +45,17 @@ router.get('/shops/:id/records', getShopRecords);
 router.get('/users', getUsers);
 router.put('/users/:id', updateUser);
 
+// Customer archival (dataRetention.customerRecords)
+router.get('/archive', getArchivedCustomers);
+router.get('/archive/preview', previewArchive);
+router.post('/archive/run', runArchive);
+router.get('/archive/:id', getArchivedCustomerById);
+router.post('/archive/:id/restore', restoreArchivedCustomer);
+
+// Shop backups (dataRetention.backupFrequency)
+router.get('/backups', getBackups);
+router.post('/backups', createBackup);
+router.get('/backups/:id/download', downloadBackup);
+router.post('/backups/:id/restore', restoreBackup);
+
 module.exports = router;
\ No newline at end of file
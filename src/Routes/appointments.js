@@ -0,0 +1,69 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissions');
+const {
+  getAppointments,
+  getAppointmentById,
+  getAvailableSlots,
+  createAppointment,
+  updateAppointment,
+  rescheduleAppointment,
+  cancelAppointment
+} = require('../controllers/appointmentController');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Validation rules
+const slotValidation = [
+  body('startTime')
+    .isISO8601()
+    .withMessage('Please provide a valid start time'),
+  body('duration')
+    .optional()
+    .isInt({ min: 5, max: 480 })
+    .withMessage('Duration must be between 5 and 480 minutes'),
+  body('optometrist')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid optometrist ID')
+];
+
+const appointmentValidation = [
+  body('customer')
+    .notEmpty()
+    .withMessage('Customer ID is required')
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+  ...slotValidation,
+  body('type')
+    .optional()
+    .isIn(['routine', 'comprehensive', 'contact_lens', 'follow_up', 'emergency', 'other'])
+    .withMessage('Invalid appointment type')
+];
+
+const updateAppointmentValidation = [
+  body('type')
+    .optional()
+    .isIn(['routine', 'comprehensive', 'contact_lens', 'follow_up', 'emergency', 'other'])
+    .withMessage('Invalid appointment type'),
+  body('status')
+    .optional()
+    .isIn(['scheduled', 'confirmed', 'completed', 'no_show'])
+    .withMessage('Invalid status')
+];
+
+// Routes with permission checks
+router.get('/', checkPermission('appointments', 'view'), getAppointments);
+router.get('/available-slots', checkPermission('appointments', 'view'), getAvailableSlots);
+router.get('/:id', checkPermission('appointments', 'view'), getAppointmentById);
+router.post('/', checkPermission('appointments', 'create'), appointmentValidation, handleValidationErrors, createAppointment);
+router.put('/:id', checkPermission('appointments', 'edit'), updateAppointmentValidation, handleValidationErrors, updateAppointment);
+router.put('/:id/reschedule', checkPermission('appointments', 'edit'), slotValidation, handleValidationErrors, rescheduleAppointment);
+router.patch('/:id/cancel', checkPermission('appointments', 'edit'), cancelAppointment);
+
+module.exports = router;
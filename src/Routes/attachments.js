@@ -0,0 +1,33 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const {
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment,
+  getStorageUsage
+} = require('../controllers/attachmentController');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+const usageValidation = [
+  query('shop')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid shop ID')
+];
+
+// Uploads and listings live under /api/customers/:id/attachments and
+// /api/records/:id/attachments. Permissions here depend on whether the
+// attachment belongs to a record or only to a customer, so they are checked
+// in the controller.
+router.get('/usage', usageValidation, handleValidationErrors, getStorageUsage);
+router.get('/:id/download', downloadAttachment);
+router.get('/:id/thumbnail', getAttachmentThumbnail);
+router.delete('/:id', deleteAttachment);
+
+module.exports = router;
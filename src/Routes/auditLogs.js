@@ -0,0 +1,36 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissions');
+const { getAuditLogs } = require('../controllers/auditLogController');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Validation rules
+const auditLogQueryValidation = [
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid entity ID'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+];
+
+// Routes with permission checks
+router.get('/', checkPermission('settings', 'manage'), auditLogQueryValidation, handleValidationErrors, getAuditLogs);
+
+module.exports = router;
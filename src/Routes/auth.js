@@ -7,6 +7,8 @@ const {
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
   validateToken,
   refreshToken
 } = require('../controllers/authController');
@@ -64,12 +66,32 @@ const changePasswordValidation = [
     .withMessage('New password must be at least 6 characters long')
 ];
 
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isHexadecimal()
+    .withMessage('Invalid reset token')
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
 // Routes
 router.post('/register', registerValidation, handleValidationErrors, register);
 router.post('/login', loginValidation, handleValidationErrors, login);
 router.get('/profile', auth, getProfile);
 router.put('/profile', auth, updateProfileValidation, handleValidationErrors, updateProfile);
 router.put('/change-password', auth, changePasswordValidation, handleValidationErrors, changePassword);
+router.post('/forgot-password', forgotPasswordValidation, handleValidationErrors, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, handleValidationErrors, resetPassword);
 router.get('/validate-token', validateToken); // FIXED: Remove auth middleware
 router.post('/refresh-token', refreshToken);
 
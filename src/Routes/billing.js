@@ -0,0 +1,193 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissions');
+const {
+  getInvoices,
+  getInvoiceById,
+  createInvoice,
+  updateInvoice,
+  issueInvoice,
+  voidInvoice,
+  deleteInvoice,
+  recordPayment,
+  refundPayment,
+  getPayments,
+  getBillingSummary
+} = require('../controllers/billingController');
+const { handleValidationErrors } = require('../middleware/validation');
+const Invoice = require('../Models/Invoice');
+const { INVOICE_ITEM_TYPES, PAYMENT_METHODS } = require('../utils/billing');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Validation rules
+const itemValidation = [
+  body('items.*.type')
+    .optional()
+    .isIn(INVOICE_ITEM_TYPES)
+    .withMessage(`Item type must be one of: ${INVOICE_ITEM_TYPES.join(', ')}`),
+  body('items.*.description')
+    .trim()
+    .notEmpty()
+    .withMessage('Item description is required'),
+  body('items.*.quantity')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than 0'),
+  body('items.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number'),
+  body('items.*.discount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount must be a positive number'),
+  body('items.*.taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax rate must be between 0 and 100')
+];
+
+const discountValidation = [
+  body('discount.type')
+    .optional()
+    .isIn(['percent', 'amount'])
+    .withMessage('Discount type must be "percent" or "amount"'),
+  body('discount.value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount must be a positive number')
+];
+
+const invoiceValidation = [
+  body('customer')
+    .notEmpty()
+    .withMessage('Customer ID is required')
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+  body('record')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid record ID'),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid due date'),
+  body('issue')
+    .optional()
+    .isBoolean()
+    .withMessage('Issue must be true or false'),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('An invoice needs at least one item'),
+  ...itemValidation,
+  ...discountValidation
+];
+
+const invoiceUpdateValidation = [
+  body('customer')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+  body('record')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid record ID'),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid due date'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('An invoice needs at least one item'),
+  ...itemValidation,
+  ...discountValidation
+];
+
+const paymentValidation = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body('method')
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid payment date')
+];
+
+const refundValidation = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0'),
+  body('method')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('payment')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid payment ID')
+];
+
+const voidValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Void reason must be between 3 and 500 characters')
+];
+
+const periodValidation = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+];
+
+const paymentListValidation = [
+  query('customerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+  query('type')
+    .optional()
+    .isIn(['payment', 'refund'])
+    .withMessage('Type must be "payment" or "refund"'),
+  ...periodValidation
+];
+
+const invoiceListValidation = [
+  query('status')
+    .optional()
+    .isIn(Invoice.STATUSES)
+    .withMessage(`Status must be one of: ${Invoice.STATUSES.join(', ')}`),
+  query('customerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+  ...periodValidation
+];
+
+// Routes with permission checks
+router.get('/summary', checkPermission('billing', 'view'), periodValidation, handleValidationErrors, getBillingSummary);
+router.get('/payments', checkPermission('billing', 'view'), paymentListValidation, handleValidationErrors, getPayments);
+router.get('/invoices', checkPermission('billing', 'view'), invoiceListValidation, handleValidationErrors, getInvoices);
+router.get('/invoices/:id', checkPermission('billing', 'view'), getInvoiceById);
+router.post('/invoices', checkPermission('billing', 'create'), invoiceValidation, handleValidationErrors, createInvoice);
+router.put('/invoices/:id', checkPermission('billing', 'edit'), invoiceUpdateValidation, handleValidationErrors, updateInvoice);
+router.delete('/invoices/:id', checkPermission('billing', 'delete'), deleteInvoice);
+router.post('/invoices/:id/issue', checkPermission('billing', 'edit'), issueInvoice);
+router.post('/invoices/:id/void', checkPermission('billing', 'delete'), voidValidation, handleValidationErrors, voidInvoice);
+router.post('/invoices/:id/payments', checkPermission('billing', 'create'), paymentValidation, handleValidationErrors, recordPayment);
+router.post('/invoices/:id/refunds', checkPermission('billing', 'edit'), refundValidation, handleValidationErrors, refundPayment);
+
+module.exports = router;
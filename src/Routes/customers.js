@@ -1,16 +1,26 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const { checkPermission } = require('../middleware/permissions');
 const {
   getCustomers,
+  searchCustomers,
+  typeaheadCustomers,
+  exportCustomers,
   getCustomerById,
   createCustomer,
   updateCustomer,
   deleteCustomer,
+  getDuplicateCustomers,
+  mergeCustomers,
   getCustomerStats
 } = require('../controllers/customerController');
+const { getImportFields, importCustomers } = require('../controllers/customerImportController');
+const { uploadSingle, attachmentUpload } = require('../middleware/upload');
+const { getCustomerAttachments, uploadCustomerAttachment } = require('../controllers/attachmentController');
 const { handleValidationErrors } = require('../middleware/validation');
+const { EXPORT_FORMATS } = require('../utils/dataExport');
+const Attachment = require('../Models/Attachment');
 
 const router = express.Router();
 
@@ -23,6 +33,10 @@ const customerValidation = [
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage('Name must be between 2 and 100 characters'),
+  body('dateOfBirth')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Please provide a valid date of birth'),
   body('age')
     .optional()
     .isInt({ min: 0, max: 150 })
@@ -43,12 +57,84 @@ const customerValidation = [
   //   .withMessage('Please provide a valid email')
 ];
 
+const importUpload = uploadSingle('file', {
+  maxSize: 10 * 1024 * 1024,
+  extensions: ['.csv', '.xlsx']
+});
+
+const importValidation = [
+  body('shop')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid shop ID')
+];
+
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+];
+
+const mergeValidation = [
+  body('duplicateId')
+    .isMongoId()
+    .withMessage('Invalid duplicate customer ID')
+];
+
+const searchValidation = [
+  query('sex')
+    .optional()
+    .isIn(['Male', 'Female', 'Other'])
+    .withMessage('Invalid sex value'),
+  query('hasRecords')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('hasRecords must be true or false'),
+  query('lastVisitFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid last visit start date'),
+  query('lastVisitTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid last visit end date')
+];
+
+const attachmentValidation = [
+  body('category')
+    .optional()
+    .isIn(Attachment.CATEGORIES)
+    .withMessage(`Category must be one of: ${Attachment.CATEGORIES.join(', ')}`),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
 // Routes with permission checks
 router.get('/', checkPermission('customers', 'view'), getCustomers);
 router.get('/stats', checkPermission('dashboard', 'stats'), getCustomerStats);
+router.get('/search', checkPermission('customers', 'view'), searchValidation, handleValidationErrors, searchCustomers);
+router.get('/typeahead', checkPermission('customers', 'view'), typeaheadCustomers);
+router.get('/export', checkPermission('customers', 'export'), exportValidation, handleValidationErrors, exportCustomers);
+router.get('/duplicates', checkPermission('customers', 'view'), getDuplicateCustomers);
+router.get('/import/fields', checkPermission('customers', 'import'), getImportFields);
 router.get('/:id', checkPermission('customers', 'view'), getCustomerById);
 router.post('/', checkPermission('customers', 'create'), customerValidation, handleValidationErrors, createCustomer);
+router.post('/import', checkPermission('customers', 'import'), importUpload, importValidation, handleValidationErrors, importCustomers);
 router.put('/:id', checkPermission('customers', 'edit'), customerValidation, handleValidationErrors, updateCustomer);
 router.delete('/:id', checkPermission('customers', 'delete'), deleteCustomer);
+router.post('/:id/merge', checkPermission('customers', 'delete'), mergeValidation, handleValidationErrors, mergeCustomers);
+router.get('/:id/attachments', checkPermission('customers', 'view'), getCustomerAttachments);
+router.post('/:id/attachments', checkPermission('customers', 'edit'), attachmentUpload, attachmentValidation, handleValidationErrors, uploadCustomerAttachment);
 
 module.exports = router;
\ No newline at end of file
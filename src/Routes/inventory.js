@@ -0,0 +1,138 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissions');
+const {
+  getProducts,
+  getLowStockProducts,
+  getProductById,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  getStockMovements,
+  receiveStock,
+  sellStock,
+  adjustStock,
+  transferStock
+} = require('../controllers/inventoryController');
+const { handleValidationErrors } = require('../middleware/validation');
+const Product = require('../Models/Product');
+const StockMovement = require('../Models/StockMovement');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Validation rules
+const productFieldValidation = [
+  body('category')
+    .optional()
+    .isIn(Product.CATEGORIES)
+    .withMessage(`Category must be one of: ${Product.CATEGORIES.join(', ')}`),
+  body('costPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cost price must be a positive number'),
+  body('salePrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Sale price must be a positive number'),
+  body('lowStockThreshold')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Low stock threshold must be a whole number of 0 or more'),
+  body('lens.coatings')
+    .optional()
+    .isArray()
+    .withMessage('Coatings must be a list')
+];
+
+const productValidation = [
+  body('sku')
+    .trim()
+    .notEmpty()
+    .withMessage('SKU is required')
+    .isLength({ max: 50 })
+    .withMessage('SKU cannot exceed 50 characters'),
+  body('category')
+    .notEmpty()
+    .withMessage('Category is required'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Opening quantity must be a whole number of 0 or more'),
+  ...productFieldValidation
+];
+
+const productUpdateValidation = [
+  body('sku')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('SKU cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('SKU cannot exceed 50 characters'),
+  ...productFieldValidation
+];
+
+const quantityValidation = [
+  body('quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a whole number of at least 1')
+];
+
+const adjustValidation = [
+  body('quantity')
+    .isInt()
+    .withMessage('Quantity must be a whole number, negative to remove stock')
+    .not()
+    .equals('0')
+    .withMessage('Quantity cannot be 0'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Adjustment reason must be between 3 and 500 characters')
+];
+
+const transferValidation = [
+  ...quantityValidation,
+  body('toShop')
+    .isMongoId()
+    .withMessage('Invalid target shop ID')
+];
+
+const movementQueryValidation = [
+  query('product')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  query('type')
+    .optional()
+    .isIn(StockMovement.TYPES)
+    .withMessage(`Type must be one of: ${StockMovement.TYPES.join(', ')}`),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+];
+
+// Routes with permission checks
+router.get('/products', checkPermission('inventory', 'view'), getProducts);
+router.get('/products/low-stock', checkPermission('inventory', 'view'), getLowStockProducts);
+router.get('/products/:id', checkPermission('inventory', 'view'), getProductById);
+router.get('/products/:id/movements', checkPermission('inventory', 'view'), movementQueryValidation, handleValidationErrors, getStockMovements);
+router.post('/products', checkPermission('inventory', 'create'), productValidation, handleValidationErrors, createProduct);
+router.put('/products/:id', checkPermission('inventory', 'edit'), productUpdateValidation, handleValidationErrors, updateProduct);
+router.delete('/products/:id', checkPermission('inventory', 'delete'), deleteProduct);
+router.post('/products/:id/receive', checkPermission('inventory', 'edit'), quantityValidation, handleValidationErrors, receiveStock);
+router.post('/products/:id/sell', checkPermission('inventory', 'edit'), quantityValidation, handleValidationErrors, sellStock);
+router.post('/products/:id/adjust', checkPermission('inventory', 'edit'), adjustValidation, handleValidationErrors, adjustStock);
+router.post('/products/:id/transfer', checkPermission('inventory', 'edit'), transferValidation, handleValidationErrors, transferStock);
+router.get('/movements', checkPermission('inventory', 'view'), movementQueryValidation, handleValidationErrors, getStockMovements);
+
+module.exports = router;
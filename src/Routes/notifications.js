@@ -0,0 +1,75 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissions');
+const {
+  getTemplates,
+  getTemplateByType,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate,
+  getOutbox,
+  getOutboxEmail,
+  retryOutboxEmail
+} = require('../controllers/notificationController');
+const { handleValidationErrors } = require('../middleware/validation');
+const EmailTemplate = require('../Models/EmailTemplate');
+const EmailOutbox = require('../Models/EmailOutbox');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Validation rules
+const typeValidation = [
+  param('type')
+    .isIn(EmailTemplate.TYPES)
+    .withMessage(`Template type must be one of: ${EmailTemplate.TYPES.join(', ')}`)
+];
+
+const templateValidation = [
+  ...typeValidation,
+  body('subject')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject must be between 1 and 200 characters'),
+  body('body')
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Body must be between 1 and 5000 characters')
+];
+
+const previewValidation = [
+  ...typeValidation,
+  body('subject')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Subject cannot exceed 200 characters'),
+  body('body')
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage('Body cannot exceed 5000 characters')
+];
+
+const outboxQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(EmailOutbox.STATUSES)
+    .withMessage(`Status must be one of: ${EmailOutbox.STATUSES.join(', ')}`),
+  query('type')
+    .optional()
+    .isIn(EmailTemplate.TYPES)
+    .withMessage(`Type must be one of: ${EmailTemplate.TYPES.join(', ')}`)
+];
+
+// Routes with permission checks
+router.get('/templates', checkPermission('settings', 'view'), getTemplates);
+router.get('/templates/:type', checkPermission('settings', 'view'), typeValidation, handleValidationErrors, getTemplateByType);
+router.put('/templates/:type', checkPermission('settings', 'edit'), templateValidation, handleValidationErrors, updateTemplate);
+router.delete('/templates/:type', checkPermission('settings', 'edit'), typeValidation, handleValidationErrors, resetTemplate);
+router.post('/templates/:type/preview', checkPermission('settings', 'view'), previewValidation, handleValidationErrors, previewTemplate);
+router.get('/outbox', checkPermission('settings', 'view'), outboxQueryValidation, handleValidationErrors, getOutbox);
+router.get('/outbox/:id', checkPermission('settings', 'view'), getOutboxEmail);
+router.post('/outbox/:id/retry', checkPermission('settings', 'edit'), retryOutboxEmail);
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissions');
+const {
+  getOrders,
+  getOverdueOrders,
+  getOrderById,
+  createOrder,
+  updateOrder,
+  updateOrderStatus,
+  resendReadyNotification
+} = require('../controllers/orderController');
+const { handleValidationErrors } = require('../middleware/validation');
+const Order = require('../Models/Order');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Validation rules
+const labValidation = [
+  body('lab.expectedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid expected date')
+];
+
+const lensValidation = [
+  body('lenses.type')
+    .optional()
+    .isIn(['single_vision', 'bifocal', 'progressive', 'office', 'contact', 'other'])
+    .withMessage('Invalid lens type'),
+  body('lenses.index')
+    .optional()
+    .isFloat({ min: 1.4, max: 2 })
+    .withMessage('Lens index must be between 1.4 and 2.0'),
+  body('lenses.coatings')
+    .optional()
+    .isArray()
+    .withMessage('Coatings must be a list')
+];
+
+const orderValidation = [
+  body('record')
+    .notEmpty()
+    .withMessage('Record ID is required')
+    .isMongoId()
+    .withMessage('Invalid record ID'),
+  body('type')
+    .optional()
+    .isIn(['spectacles', 'contact_lenses'])
+    .withMessage('Type must be "spectacles" or "contact_lenses"'),
+  body('frame.source')
+    .optional()
+    .isIn(['stock', 'customer_own', 'lab'])
+    .withMessage('Frame source must be "stock", "customer_own" or "lab"'),
+  ...lensValidation,
+  ...labValidation
+];
+
+const orderUpdateValidation = [
+  body('invoice')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid invoice ID'),
+  ...lensValidation,
+  ...labValidation
+];
+
+const statusValidation = [
+  body('status')
+    .isIn(Order.STATUSES)
+    .withMessage(`Status must be one of: ${Order.STATUSES.join(', ')}`),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  ...labValidation
+];
+
+const orderQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(Order.STATUSES)
+    .withMessage(`Status must be one of: ${Order.STATUSES.join(', ')}`),
+  query('customerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+  query('recordId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid record ID')
+];
+
+// Routes with permission checks
+router.get('/', checkPermission('records', 'view'), orderQueryValidation, handleValidationErrors, getOrders);
+router.get('/overdue', checkPermission('records', 'view'), getOverdueOrders);
+router.get('/:id', checkPermission('records', 'view'), getOrderById);
+router.post('/', checkPermission('records', 'create'), orderValidation, handleValidationErrors, createOrder);
+router.put('/:id', checkPermission('records', 'edit'), orderUpdateValidation, handleValidationErrors, updateOrder);
+router.post('/:id/status', checkPermission('records', 'edit'), statusValidation, handleValidationErrors, updateOrderStatus);
+router.post('/:id/notify', checkPermission('records', 'edit'), resendReadyNotification);
+
+module.exports = router;
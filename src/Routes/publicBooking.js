@@ -0,0 +1,55 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body } = require('express-validator');
+const {
+  getShopSlots,
+  createBooking,
+  getBooking,
+  cancelBooking
+} = require('../controllers/publicBookingController');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// These routes are unauthenticated, so limit how often bookings can be submitted
+const bookingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    error: 'Too many booking attempts, please try again later.',
+    retryAfter: 900
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation rules
+const bookingValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('phone')
+    .trim()
+    .isLength({ min: 10, max: 15 })
+    .withMessage('Phone must be between 10 and 15 characters'),
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Please provide a valid email'),
+  body('startTime')
+    .isISO8601()
+    .withMessage('Please provide a valid start time'),
+  body('type')
+    .optional()
+    .isIn(['routine', 'comprehensive', 'contact_lens', 'follow_up', 'other'])
+    .withMessage('Invalid appointment type')
+];
+
+// Public online booking routes (no authentication)
+router.get('/shops/:shopId/slots', getShopSlots);
+router.post('/shops/:shopId/bookings', bookingLimiter, bookingValidation, handleValidationErrors, createBooking);
+router.get('/bookings/:code', getBooking);
+router.post('/bookings/:code/cancel', bookingLimiter, cancelBooking);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissions');
+const {
+  getRecalls,
+  getCustomerRecall,
+  addRecallAttempt,
+  sendRecallEmail,
+  refreshRecalls
+} = require('../controllers/recallController');
+const { handleValidationErrors } = require('../middleware/validation');
+const { RECALL_FILTERS } = require('../utils/recalls');
+const Recall = require('../Models/Recall');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Validation rules
+const recallQueryValidation = [
+  query('filter')
+    .optional()
+    .isIn(RECALL_FILTERS)
+    .withMessage(`Filter must be one of: ${RECALL_FILTERS.join(', ')}`),
+  query('status')
+    .optional()
+    .isIn(Recall.STATUSES)
+    .withMessage(`Status must be one of: ${Recall.STATUSES.join(', ')}`),
+  query('rule')
+    .optional()
+    .isIn(Recall.RULES)
+    .withMessage(`Rule must be one of: ${Recall.RULES.join(', ')}`)
+];
+
+const customerIdValidation = [
+  param('customerId')
+    .isMongoId()
+    .withMessage('Invalid customer ID')
+];
+
+const attemptValidation = [
+  body('outcome')
+    .isIn(Recall.ATTEMPT_OUTCOMES)
+    .withMessage(`Outcome must be one of: ${Recall.ATTEMPT_OUTCOMES.join(', ')}`),
+  body('method')
+    .isIn(Recall.CONTACT_METHODS)
+    .withMessage(`Method must be one of: ${Recall.CONTACT_METHODS.join(', ')}`),
+  body('appointment')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid appointment ID'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Recalls lead to bookings, so they use the appointments permissions
+router.get('/', checkPermission('appointments', 'view'), recallQueryValidation, handleValidationErrors, getRecalls);
+router.get('/customer/:customerId', checkPermission('appointments', 'view'), customerIdValidation, handleValidationErrors, getCustomerRecall);
+router.post('/refresh', checkPermission('appointments', 'edit'), refreshRecalls);
+router.post('/:id/email', checkPermission('appointments', 'edit'), sendRecallEmail);
+router.post('/:id/attempts', checkPermission('appointments', 'edit'), attemptValidation, handleValidationErrors, addRecallAttempt);
+
+module.exports = router;
@@ -1,17 +1,40 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { auth } = require('../middleware/auth');
-const { checkPermission } = require('../middleware/permissions');
+const { checkPermission, checkMultiplePermissions } = require('../middleware/permissions');
 const {
   getRecords,
+  exportRecords,
   getRecordById,
   createRecord,
   updateRecord,
   deleteRecord,
   getCustomerRecords,
-  getRecordsStats
+  getRecordsStats,
+  transposePrescription,
+  getCustomerProgression,
+  getProgressionAlerts,
+  getPrescriptionPdf,
+  signRecord,
+  amendRecord,
+  restoreRecord,
+  getDeletedRecords
 } = require('../controllers/recordController');
+const {
+  getRecordRevisions,
+  getRecordRevision,
+  diffRecordRevisions
+} = require('../controllers/recordHistoryController');
+const { getRecordAttachments, uploadRecordAttachment } = require('../controllers/attachmentController');
+const { setRecordProducts, orderRecordProducts } = require('../controllers/inventoryController');
+const { getSupplyDue, dispenseContactLenses } = require('../controllers/contactLensController');
+const { getDiagnosisCodes, getDiagnosisReport } = require('../controllers/diagnosisController');
+const { attachmentUpload } = require('../middleware/upload');
 const { handleValidationErrors } = require('../middleware/validation');
+const { EXPORT_FORMATS } = require('../utils/dataExport');
+const { DIAGNOSIS_CATEGORIES, LATERALITIES } = require('../utils/diagnosisCodes');
+const Attachment = require('../Models/Attachment');
+const OptometryRecord = require('../Models/OptometryRecord');
 
 const router = express.Router();
 
@@ -32,19 +55,187 @@ const recordValidation = [
     .optional()
     .isIn(['routine', 'comprehensive', 'contact_lens', 'follow_up', 'emergency', 'other'])
     .withMessage('Invalid examination type'),
+  // Records only become completed through the sign endpoint
   body('status')
     .optional()
-    .isIn(['draft', 'completed', 'cancelled'])
-    .withMessage('Invalid status')
+    .isIn(['draft', 'cancelled'])
+    .withMessage('Status must be draft or cancelled; sign the record to complete it')
+];
+
+const amendmentValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Amendment reason must be between 5 and 500 characters'),
+  body('changes')
+    .isObject()
+    .withMessage('Changes must be an object')
+];
+
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('customerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+];
+
+const clinicalFilterValidation = [
+  query('examinationType')
+    .optional()
+    .isIn(['routine', 'comprehensive', 'contact_lens', 'follow_up', 'emergency', 'other'])
+    .withMessage('Invalid examination type'),
+  query('section')
+    .optional()
+    .custom(value => value.split(',').every(name => OptometryRecord.CLINICAL_SECTIONS.includes(name.trim())))
+    .withMessage(`Section must be one of: ${OptometryRecord.CLINICAL_SECTIONS.join(', ')}`),
+  query('iopAbove')
+    .optional()
+    .isFloat({ min: 0, max: 80 })
+    .withMessage('IOP must be a number between 0 and 80'),
+  query('cdRatioAbove')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Cup/disc ratio must be a number between 0 and 1'),
+  query('colorVision')
+    .optional()
+    .isIn(['normal', 'deficient'])
+    .withMessage('Color vision must be normal or deficient'),
+  query('diagnosisCode')
+    .optional()
+    .matches(/^[A-Za-z]\d{2}(\.?\d{1,2})?$/)
+    .withMessage('Diagnosis code must look like H40 or H40.1')
+];
+
+const diagnosesValidation = [
+  body('diagnoses')
+    .optional()
+    .isArray()
+    .withMessage('Diagnoses must be a list'),
+  body('diagnoses.*.code')
+    .notEmpty()
+    .withMessage('Diagnosis code is required'),
+  body('diagnoses.*.laterality')
+    .optional()
+    .isIn(LATERALITIES)
+    .withMessage(`Laterality must be one of: ${LATERALITIES.join(', ')}`)
+];
+
+const diagnosisCodeValidation = [
+  query('category')
+    .optional()
+    .isIn(DIAGNOSIS_CATEGORIES)
+    .withMessage(`Category must be one of: ${DIAGNOSIS_CATEGORIES.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const diagnosisReportValidation = [
+  query('groupBy')
+    .optional()
+    .isIn(['code', 'category'])
+    .withMessage('Group by must be code or category'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+];
+
+const attachmentValidation = [
+  body('category')
+    .optional()
+    .isIn(Attachment.CATEGORIES)
+    .withMessage(`Category must be one of: ${Attachment.CATEGORIES.join(', ')}`),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+const productsValidation = [
+  body('products')
+    .isArray()
+    .withMessage('Products must be a list'),
+  body('products.*.role')
+    .isIn(OptometryRecord.PRODUCT_ROLES)
+    .withMessage(`Product role must be one of: ${OptometryRecord.PRODUCT_ROLES.join(', ')}`),
+  body('products.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('products.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a whole number of at least 1')
+];
+
+const supplyDueValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Days must be a whole number between 0 and 365'),
+  query('overdueDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Overdue days must be a whole number between 0 and 365')
+];
+
+const dispenseValidation = [
+  body('lensesPerEye')
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Lenses per eye must be a whole number between 1 and 730'),
+  body('dispensedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid dispense date')
 ];
 
 // Routes with permission checks
-router.get('/', checkPermission('records', 'view'), getRecords);
+router.get('/', checkPermission('records', 'view'), clinicalFilterValidation, handleValidationErrors, getRecords);
 router.get('/stats', checkPermission('dashboard', 'stats'), getRecordsStats);
+router.get('/export', checkPermission('records', 'export'), exportValidation, clinicalFilterValidation, handleValidationErrors, exportRecords);
+router.get('/deleted', checkPermission('records', 'delete'), getDeletedRecords);
+router.get('/progression/alerts', checkPermission('records', 'view'), getProgressionAlerts);
+router.get('/diagnoses/codes', checkPermission('records', 'view'), diagnosisCodeValidation, handleValidationErrors, getDiagnosisCodes);
+router.get('/diagnoses/report', checkPermission('dashboard', 'stats'), diagnosisReportValidation, handleValidationErrors, getDiagnosisReport);
+router.get('/contact-lens/supply-due', checkPermission('records', 'view'), supplyDueValidation, handleValidationErrors, getSupplyDue);
 router.get('/customer/:customerId', checkPermission('records', 'view'), getCustomerRecords);
+router.get('/customer/:customerId/progression', checkPermission('records', 'view'), getCustomerProgression);
 router.get('/:id', checkPermission('records', 'view'), getRecordById);
-router.post('/', checkPermission('records', 'create'), recordValidation, handleValidationErrors, createRecord);
-router.put('/:id', checkPermission('records', 'edit'), recordValidation, handleValidationErrors, updateRecord);
+router.get('/:id/revisions', checkPermission('records', 'view'), getRecordRevisions);
+router.get('/:id/revisions/diff', checkPermission('records', 'view'), diffRecordRevisions);
+router.get('/:id/revisions/:version', checkPermission('records', 'view'), getRecordRevision);
+router.get('/:id/prescription.pdf', checkPermission('records', 'export'), getPrescriptionPdf);
+router.post('/transpose', checkPermission('records', 'view'), transposePrescription);
+router.post('/', checkPermission('records', 'create'), recordValidation, diagnosesValidation, handleValidationErrors, createRecord);
+router.put('/:id', checkPermission('records', 'edit'), recordValidation, diagnosesValidation, handleValidationErrors, updateRecord);
 router.delete('/:id', checkPermission('records', 'delete'), deleteRecord);
+router.post('/:id/restore', checkPermission('records', 'delete'), restoreRecord);
+router.post('/:id/sign', checkPermission('records', 'edit'), signRecord);
+router.post('/:id/amend', checkPermission('records', 'edit'), amendmentValidation, handleValidationErrors, amendRecord);
+router.get('/:id/attachments', checkPermission('records', 'view'), getRecordAttachments);
+router.post('/:id/attachments', checkPermission('records', 'edit'), attachmentUpload, attachmentValidation, handleValidationErrors, uploadRecordAttachment);
+router.put('/:id/products', checkPermission('records', 'edit'), productsValidation, handleValidationErrors, setRecordProducts);
+router.post('/:id/products/order', checkMultiplePermissions([
+  { module: 'records', action: 'edit' },
+  { module: 'inventory', action: 'edit' }
+]), orderRecordProducts);
+router.post('/:id/contact-lens/dispense', checkPermission('records', 'edit'), dispenseValidation, handleValidationErrors, dispenseContactLenses);
 
 module.exports = router;
\ No newline at end of file
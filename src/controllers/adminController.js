@@ -2,6 +2,7 @@ const User = require('../Models/User.js');
 const Shop = require('../Models/Shop.js');
 const Customer = require('../Models/Customer.js');
 const OptometryRecord = require('../Models/OptometryRecord.js');
+const Payment = require('../Models/Payment.js');
 
 const getDashboardStats = async (req, res) => {
   try {
@@ -17,8 +18,8 @@ const getDashboardStats = async (req, res) => {
       Shop.countDocuments({ 'subscription.status': 'active' }),
       Customer.countDocuments(),
       OptometryRecord.countDocuments(),
-      // Calculate revenue (you'll need to implement this based on your billing system)
-      Promise.resolve(0),
+      // Payments received minus refunds across all shops, per currency
+      Payment.getRevenue(),
       Shop.find()
         .populate('owner', 'name email')
         .sort({ createdAt: -1 })
@@ -47,12 +48,20 @@ const getDashboardStats = async (req, res) => {
       ? ((recordsThisMonth - recordsLastMonth) / recordsLastMonth * 100).toFixed(1)
       : 100;
 
+    const revenueThisMonth = await Payment.getRevenue({
+      paidAt: {
+        $gte: new Date(currentYear, currentMonth, 1),
+        $lt: new Date(currentYear, currentMonth + 1, 1)
+      }
+    });
+
     res.json({
       totalShops,
       activeShops,
       totalCustomers,
       totalRecords,
       totalRevenue,
+      revenueThisMonth,
       monthlyGrowth: parseFloat(monthlyGrowth),
       recentActivity: recentRegistrations.map(shop => ({
         id: shop._id,
@@ -236,7 +245,7 @@ const getShopRecords = async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
     
     const records = await OptometryRecord.find({ shop: req.params.id })
-      .populate('customer', 'name age sex')
+      .populate('customer', 'name age dateOfBirth sex')
       .sort({ date: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -0,0 +1,344 @@
+const moment = require('moment');
+const Appointment = require('../Models/Appointment.js');
+const Customer = require('../Models/Customer.js');
+const Shop = require('../Models/Shop.js');
+const User = require('../Models/User.js');
+const { notifyAppointment } = require('../utils/notifications.js');
+const {
+  getAppointmentSettings,
+  inShopTime,
+  checkSlotAvailability,
+  getAvailableSlots: findAvailableSlots
+} = require('../utils/appointmentScheduling.js');
+
+const getUserShop = (req) => Shop.findById(req.user.shop?._id || req.user.shop);
+
+// Verify the optometrist (if any) is an active user of the same shop
+const verifyOptometrist = async (optometristId, shopId) => {
+  if (!optometristId) return true;
+
+  const optometrist = await User.findOne({
+    _id: optometristId,
+    shop: shopId,
+    isActive: true
+  });
+
+  return !!optometrist;
+};
+
+const getAppointments = async (req, res) => {
+  try {
+    const { view = 'day', date, optometrist, customerId, status } = req.query;
+    const shop = await getUserShop(req);
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    // Days and weeks start at midnight in the shop's timezone
+    const period = view === 'week' ? 'isoWeek' : 'day';
+    const rangeStart = inShopTime(shop, date || new Date()).startOf(period).toDate();
+    const rangeEnd = inShopTime(shop, date || new Date()).endOf(period).toDate();
+
+    const query = {
+      shop: shop._id,
+      startTime: { $gte: rangeStart, $lte: rangeEnd }
+    };
+
+    if (optometrist) query.optometrist = optometrist;
+    if (customerId) query.customer = customerId;
+    if (status) query.status = status;
+
+    const appointments = await Appointment.find(query)
+      .populate('customer', 'name age dateOfBirth sex phone')
+      .populate('optometrist', 'name licenseNumber')
+      .sort({ startTime: 1 });
+
+    res.json({
+      appointments,
+      view: view === 'week' ? 'week' : 'day',
+      startDate: rangeStart,
+      endDate: rangeEnd,
+      total: appointments.length
+    });
+  } catch (error) {
+    console.error('Get appointments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getAppointmentById = async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({
+      _id: req.params.id,
+      shop: req.user.shop?._id || req.user.shop
+    })
+      .populate('customer', 'name age dateOfBirth sex phone email')
+      .populate('optometrist', 'name licenseNumber');
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    res.json(appointment);
+  } catch (error) {
+    console.error('Get appointment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getAvailableSlots = async (req, res) => {
+  try {
+    const { date, optometrist } = req.query;
+
+    if (!date) {
+      return res.status(400).json({ message: 'Date parameter is required' });
+    }
+
+    const shop = await getUserShop(req);
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const slots = await findAvailableSlots(shop, date, { optometrist });
+
+    res.json({
+      date,
+      slotDuration: getAppointmentSettings(shop).slotDuration,
+      slots
+    });
+  } catch (error) {
+    console.error('Get available slots error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const createAppointment = async (req, res) => {
+  try {
+    const shop = await getUserShop(req);
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const { customer: customerId, optometrist, type, reason, notes } = req.body;
+
+    // Verify customer belongs to the same shop
+    const customer = await Customer.findOne({ _id: customerId, shop: shop._id });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found or access denied' });
+    }
+
+    if (!(await verifyOptometrist(optometrist, shop._id))) {
+      return res.status(404).json({ message: 'Optometrist not found in this shop' });
+    }
+
+    const duration = parseInt(req.body.duration) || getAppointmentSettings(shop).slotDuration;
+    const startTime = new Date(req.body.startTime);
+    const endTime = moment(startTime).add(duration, 'minutes').toDate();
+
+    const conflict = await checkSlotAvailability(shop, { startTime, endTime, optometrist });
+    if (conflict) {
+      return res.status(conflict.statusCode).json({ message: conflict.message });
+    }
+
+    const appointment = new Appointment({
+      shop: shop._id,
+      customer: customer._id,
+      optometrist,
+      startTime,
+      endTime,
+      duration,
+      type,
+      reason,
+      notes,
+      createdBy: req.user._id
+    });
+    await appointment.save();
+
+    const notification = await notifyAppointment(appointment, 'appointment_confirmation', { shop, user: req.user });
+
+    await appointment.populate('customer', 'name age dateOfBirth sex phone');
+    await appointment.populate('optometrist', 'name licenseNumber');
+
+    res.status(201).json({
+      message: 'Appointment created successfully',
+      appointment,
+      notification: { status: notification.status, to: notification.to }
+    });
+  } catch (error) {
+    console.error('Create appointment error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Update details that do not affect the slot (use reschedule/cancel for those)
+const updateAppointment = async (req, res) => {
+  try {
+    const { type, reason, notes, status } = req.body;
+
+    if (status === 'cancelled') {
+      return res.status(400).json({ message: 'Use the cancel endpoint to cancel an appointment' });
+    }
+
+    const appointment = await Appointment.findOne({
+      _id: req.params.id,
+      shop: req.user.shop?._id || req.user.shop
+    });
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    if (appointment.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cancelled appointments cannot be updated' });
+    }
+
+    if (type !== undefined) appointment.type = type;
+    if (reason !== undefined) appointment.reason = reason;
+    if (notes !== undefined) appointment.notes = notes;
+    if (status !== undefined) {
+      if (!appointment.canTransitionTo(status)) {
+        return res.status(400).json({
+          message: `Cannot change the status of an appointment from ${appointment.status} to ${status}`
+        });
+      }
+      appointment.status = status;
+    }
+
+    await appointment.save();
+
+    res.json({
+      message: 'Appointment updated successfully',
+      appointment
+    });
+  } catch (error) {
+    console.error('Update appointment error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const rescheduleAppointment = async (req, res) => {
+  try {
+    const shop = await getUserShop(req);
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const appointment = await Appointment.findOne({ _id: req.params.id, shop: shop._id });
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    if (!appointment.isModifiable()) {
+      return res.status(400).json({ message: `Cannot reschedule an appointment that is ${appointment.status}` });
+    }
+
+    const optometrist = req.body.optometrist !== undefined ? req.body.optometrist : appointment.optometrist;
+    if (!(await verifyOptometrist(optometrist, shop._id))) {
+      return res.status(404).json({ message: 'Optometrist not found in this shop' });
+    }
+
+    const duration = parseInt(req.body.duration) || appointment.duration || getAppointmentSettings(shop).slotDuration;
+    const startTime = new Date(req.body.startTime);
+    const endTime = moment(startTime).add(duration, 'minutes').toDate();
+
+    const conflict = await checkSlotAvailability(shop, {
+      startTime,
+      endTime,
+      optometrist,
+      excludeId: appointment._id
+    });
+    if (conflict) {
+      return res.status(conflict.statusCode).json({ message: conflict.message });
+    }
+
+    appointment.rescheduleHistory.push({
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      rescheduledBy: req.user._id
+    });
+    appointment.startTime = startTime;
+    appointment.endTime = endTime;
+    appointment.duration = duration;
+    appointment.optometrist = optometrist || undefined;
+    appointment.status = 'scheduled';
+    appointment.reminderSentAt = undefined;
+
+    await appointment.save();
+
+    const notification = await notifyAppointment(appointment, 'appointment_confirmation', { shop, user: req.user });
+
+    await appointment.populate('customer', 'name age dateOfBirth sex phone');
+    await appointment.populate('optometrist', 'name licenseNumber');
+
+    res.json({
+      message: 'Appointment rescheduled successfully',
+      appointment,
+      notification: { status: notification.status, to: notification.to }
+    });
+  } catch (error) {
+    console.error('Reschedule appointment error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const cancelAppointment = async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({
+      _id: req.params.id,
+      shop: req.user.shop?._id || req.user.shop
+    });
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    if (!appointment.isModifiable()) {
+      return res.status(400).json({ message: `Cannot cancel an appointment that is ${appointment.status}` });
+    }
+
+    appointment.status = 'cancelled';
+    appointment.cancellation = {
+      reason: req.body.reason,
+      cancelledAt: new Date(),
+      cancelledBy: req.user._id
+    };
+
+    await appointment.save();
+
+    res.json({
+      message: 'Appointment cancelled successfully',
+      appointment
+    });
+  } catch (error) {
+    console.error('Cancel appointment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getAppointments,
+  getAppointmentById,
+  getAvailableSlots,
+  createAppointment,
+  updateAppointment,
+  rescheduleAppointment,
+  cancelAppointment
+};
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Shop = require('../Models/Shop.js');
+const Customer = require('../Models/Customer.js');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const RecordRevision = require('../Models/RecordRevision.js');
+const Appointment = require('../Models/Appointment.js');
+const Attachment = require('../Models/Attachment.js');
+const Invoice = require('../Models/Invoice.js');
+const Payment = require('../Models/Payment.js');
+const Order = require('../Models/Order.js');
+const ArchivedCustomer = require('../Models/ArchivedCustomer.js');
+const { archiveShopCustomers } = require('../jobs/customerArchival.js');
+const { logAudit } = require('../utils/auditLogger.js');
+const { refreshCustomerRecall } = require('../utils/recalls.js');
+
+// Run (or preview) archival for one shop or every active shop
+const runArchival = async (req, res, dryRun) => {
+  const shopId = req.body?.shop || req.query.shop;
+
+  if (shopId && !mongoose.Types.ObjectId.isValid(shopId)) {
+    return res.status(400).json({ message: 'Invalid shop ID' });
+  }
+
+  const shops = shopId
+    ? await Shop.find({ _id: shopId }).select('name settings.dataRetention')
+    : await Shop.find({ isActive: true }).select('name settings.dataRetention');
+
+  if (shopId && !shops.length) {
+    return res.status(404).json({ message: 'Shop not found' });
+  }
+
+  const reports = [];
+  for (const shop of shops) {
+    reports.push(await archiveShopCustomers(shop, { dryRun, user: req.user }));
+  }
+
+  if (!dryRun) {
+    for (const report of reports.filter(r => r.total > 0)) {
+      await logAudit(req, {
+        action: 'archive',
+        entity: 'customer',
+        shop: report.shop.id,
+        description: `Archived ${report.total} inactive customers`,
+        metadata: {
+          customers: report.customers.map(customer => customer.id),
+          recordCount: report.recordCount
+        }
+      });
+    }
+  }
+
+  res.json({
+    dryRun,
+    totalCustomers: reports.reduce((sum, report) => sum + report.total, 0),
+    totalRecords: reports.reduce((sum, report) => sum + report.recordCount, 0),
+    shops: reports
+  });
+};
+
+const previewArchive = async (req, res) => {
+  try {
+    await runArchival(req, res, true);
+  } catch (error) {
+    console.error('Preview archive error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const runArchive = async (req, res) => {
+  try {
+    await runArchival(req, res, req.body?.dryRun === true);
+  } catch (error) {
+    console.error('Run archive error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Report of archived customers
+const getArchivedCustomers = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, shop, status, startDate, endDate } = req.query;
+
+    if (shop && !mongoose.Types.ObjectId.isValid(shop)) {
+      return res.status(400).json({ message: 'Invalid shop ID' });
+    }
+
+    // Cast explicitly since the same query is used in the aggregation below
+    const query = {};
+    if (shop) query.shop = new mongoose.Types.ObjectId(shop);
+    if (status) query.status = status;
+
+    if (startDate || endDate) {
+      query.archivedAt = {};
+      if (startDate) query.archivedAt.$gte = new Date(startDate);
+      if (endDate) query.archivedAt.$lte = new Date(endDate);
+    }
+
+    const archives = await ArchivedCustomer.find(query)
+      .select('-customer -records -revisions -appointments -attachments -invoices -payments -orders')
+      .populate('shop', 'name')
+      .sort({ archivedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ArchivedCustomer.countDocuments(query);
+
+    const [summary] = await ArchivedCustomer.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: null,
+          customers: { $sum: 1 },
+          records: { $sum: '$recordCount' }
+        }
+      }
+    ]);
+
+    res.json({
+      archives,
+      summary: {
+        customers: summary?.customers || 0,
+        records: summary?.records || 0
+      },
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get archived customers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getArchivedCustomerById = async (req, res) => {
+  try {
+    const archive = await ArchivedCustomer.findById(req.params.id)
+      .populate('shop', 'name');
+
+    if (!archive) {
+      return res.status(404).json({ message: 'Archive entry not found' });
+    }
+
+    res.json(archive);
+  } catch (error) {
+    console.error('Get archived customer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Move an archived customer and their records back to the live collections
+const restoreArchivedCustomer = async (req, res) => {
+  try {
+    const archive = await ArchivedCustomer.findById(req.params.id);
+
+    if (!archive) {
+      return res.status(404).json({ message: 'Archive entry not found' });
+    }
+
+    if (archive.status === 'restored') {
+      return res.status(400).json({ message: 'This customer has already been restored' });
+    }
+
+    const existing = await Customer.findById(archive.customerId).select('_id');
+    if (existing) {
+      return res.status(409).json({ message: 'A customer with this ID already exists' });
+    }
+
+    // lastVisit stays as it was; restoredFromArchiveAt keeps the customer
+    // from being archived again on the next run
+    const restoredAt = new Date();
+    await Customer.collection.insertOne({
+      ...archive.customer,
+      restoredFromArchiveAt: restoredAt
+    });
+
+    if (archive.records.length) {
+      await OptometryRecord.collection.insertMany(archive.records);
+    }
+    if (archive.revisions.length) {
+      await RecordRevision.collection.insertMany(archive.revisions);
+    }
+    if (archive.appointments.length) {
+      await Appointment.collection.insertMany(archive.appointments);
+    }
+    if (archive.attachments.length) {
+      await Attachment.collection.insertMany(archive.attachments);
+    }
+    if (archive.invoices.length) {
+      await Invoice.collection.insertMany(archive.invoices);
+    }
+    if (archive.payments.length) {
+      await Payment.collection.insertMany(archive.payments);
+    }
+    if (archive.orders.length) {
+      await Order.collection.insertMany(archive.orders);
+    }
+
+    await refreshCustomerRecall(archive.shop, archive.customerId);
+
+    archive.status = 'restored';
+    archive.restoredAt = restoredAt;
+    archive.restoredBy = req.user._id;
+    await archive.save();
+
+    await logAudit(req, {
+      action: 'restore',
+      entity: 'customer',
+      entityId: archive.customerId,
+      shop: archive.shop,
+      description: `Restored archived customer ${archive.customerName}`,
+      metadata: { archive: archive._id, recordCount: archive.recordCount }
+    });
+
+    res.json({
+      message: 'Customer restored successfully',
+      customerId: archive.customerId,
+      recordCount: archive.recordCount
+    });
+  } catch (error) {
+    console.error('Restore archived customer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  previewArchive,
+  runArchive,
+  getArchivedCustomers,
+  getArchivedCustomerById,
+  restoreArchivedCustomer
+};
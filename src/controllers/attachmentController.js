@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const Attachment = require('../Models/Attachment.js');
+const Customer = require('../Models/Customer.js');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const Shop = require('../Models/Shop.js');
+const { getStorage } = require('../storage');
+const { getStorageStatus, storeAttachment, removeAttachmentFiles } = require('../utils/attachments.js');
+const { logAudit } = require('../utils/auditLogger.js');
+
+// For admin, don't filter by shop; for other roles, use shop ID
+const scopeToShop = (req, filter) => {
+  if (req.user.role !== 'admin') {
+    filter.shop = req.user.shop?._id || req.user.shop;
+  }
+  return filter;
+};
+
+// Attachments of a record are governed by the records permissions, the
+// others by the customers permissions
+const permissionModuleOf = (attachment) => (attachment.record ? 'records' : 'customers');
+
+const checkAttachmentPermission = async (req, res, attachment, action) => {
+  if (req.user.role === 'admin') return true;
+
+  const module = permissionModuleOf(attachment);
+  if (await req.user.hasPermission(module, action)) return true;
+
+  res.status(403).json({
+    message: `Access denied. You don't have permission to ${action} ${module}.`
+  });
+  return false;
+};
+
+const findAttachment = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Attachment.findOne(scopeToShop(req, { _id: req.params.id }));
+};
+
+const listAttachments = async (filter, { category }) => {
+  if (category) filter.category = category;
+  return Attachment.find(filter)
+    .populate('uploadedBy', 'name')
+    .sort({ createdAt: -1 });
+};
+
+const upload = async (req, res, { customer, record }) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'Please upload a file' });
+  }
+
+  const shop = await Shop.findById(customer.shop).select('subscription');
+  if (!shop) {
+    return res.status(404).json({ message: 'Shop not found' });
+  }
+
+  const result = await storeAttachment({
+    shop,
+    customer: customer._id,
+    record: record?._id,
+    file: req.file,
+    category: req.body.category,
+    description: req.body.description,
+    user: req.user
+  });
+
+  if (result.statusCode) {
+    return res.status(result.statusCode).json({ message: result.message });
+  }
+
+  const { attachment } = result;
+
+  await logAudit(req, {
+    action: 'create',
+    entity: 'attachment',
+    entityId: attachment._id,
+    shop: attachment.shop,
+    description: `Uploaded ${attachment.originalName}`,
+    metadata: {
+      customer: attachment.customer,
+      record: attachment.record,
+      category: attachment.category,
+      size: attachment.size
+    }
+  });
+
+  res.status(201).json(attachment);
+};
+
+const getCustomerAttachments = async (req, res) => {
+  try {
+    const customer = await Customer.findOne(scopeToShop(req, { _id: req.params.id })).select('_id shop');
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    // Record attachments are only listed with the records permission
+    const filter = { shop: customer.shop, customer: customer._id };
+    if (req.user.role !== 'admin' && !(await req.user.hasPermission('records', 'view'))) {
+      filter.record = { $exists: false };
+    }
+
+    const attachments = await listAttachments(filter, req.query);
+    res.json({ attachments });
+  } catch (error) {
+    console.error('Get customer attachments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const uploadCustomerAttachment = async (req, res) => {
+  try {
+    const customer = await Customer.findOne(scopeToShop(req, { _id: req.params.id })).select('_id shop');
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    await upload(req, res, { customer });
+  } catch (error) {
+    console.error('Upload customer attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getRecordAttachments = async (req, res) => {
+  try {
+    const record = await OptometryRecord.findOne(scopeToShop(req, { _id: req.params.id })).select('_id shop');
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    const attachments = await listAttachments({ shop: record.shop, record: record._id }, req.query);
+    res.json({ attachments });
+  } catch (error) {
+    console.error('Get record attachments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const uploadRecordAttachment = async (req, res) => {
+  try {
+    const record = await OptometryRecord.findOne(scopeToShop(req, { _id: req.params.id })).select('_id shop customer');
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    await upload(req, res, {
+      customer: { _id: record.customer, shop: record.shop },
+      record
+    });
+  } catch (error) {
+    console.error('Upload record attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const sendFile = async (req, res, key, { mimeType, fileName, disposition }) => {
+  const storage = getStorage();
+  if (!key || !(await storage.exists(key))) {
+    return res.status(404).json({ message: 'File is missing from storage' });
+  }
+
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  const stream = storage.createReadStream(key);
+  stream.on('error', (error) => {
+    console.error('Attachment stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Download the original file; ?inline=true shows it in the browser instead
+const downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    if (!(await checkAttachmentPermission(req, res, attachment, 'view'))) return;
+
+    await logAudit(req, {
+      action: 'view',
+      entity: 'attachment',
+      entityId: attachment._id,
+      shop: attachment.shop,
+      description: `Downloaded ${attachment.originalName}`
+    });
+
+    await sendFile(req, res, attachment.storageKey, {
+      mimeType: attachment.mimeType,
+      fileName: attachment.originalName,
+      disposition: req.query.inline === 'true' ? 'inline' : 'attachment'
+    });
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getAttachmentThumbnail = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    if (!attachment.thumbnailKey) {
+      return res.status(404).json({ message: 'No thumbnail for this attachment' });
+    }
+    if (!(await checkAttachmentPermission(req, res, attachment, 'view'))) return;
+
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    await sendFile(req, res, attachment.thumbnailKey, {
+      mimeType: 'image/jpeg',
+      fileName: 'thumbnail.jpg',
+      disposition: 'inline'
+    });
+  } catch (error) {
+    console.error('Get attachment thumbnail error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const deleteAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    if (!(await checkAttachmentPermission(req, res, attachment, 'edit'))) return;
+
+    await removeAttachmentFiles(attachment);
+    await attachment.deleteOne();
+
+    await logAudit(req, {
+      action: 'delete',
+      entity: 'attachment',
+      entityId: attachment._id,
+      shop: attachment.shop,
+      description: `Deleted ${attachment.originalName}`,
+      metadata: {
+        customer: attachment.customer,
+        record: attachment.record,
+        size: attachment.size
+      }
+    });
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Storage used by the shop against its plan quota
+const getStorageUsage = async (req, res) => {
+  try {
+    const shopId = req.user.role === 'admin' ? req.query.shop : (req.user.shop?._id || req.user.shop);
+    if (!shopId || !mongoose.Types.ObjectId.isValid(shopId)) {
+      return res.status(400).json({ message: 'Shop ID is required' });
+    }
+
+    const shop = await Shop.findById(shopId).select('subscription');
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const status = await getStorageStatus(shop);
+    res.json({
+      ...status,
+      plan: shop.subscription?.plan,
+      percentUsed: status.quota ? Math.round((status.used / status.quota) * 1000) / 10 : 0
+    });
+  } catch (error) {
+    console.error('Get storage usage error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getCustomerAttachments,
+  uploadCustomerAttachment,
+  getRecordAttachments,
+  uploadRecordAttachment,
+  downloadAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment,
+  getStorageUsage
+};
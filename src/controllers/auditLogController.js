@@ -0,0 +1,61 @@
+const AuditLog = require('../Models/AuditLog.js');
+
+const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      user,
+      entity,
+      entityId,
+      action,
+      startDate,
+      endDate
+    } = req.query;
+
+    const query = {};
+
+    // Admin can query any shop (or all shops); others only their own
+    if (req.user.role === 'admin') {
+      if (req.query.shop) query.shop = req.query.shop;
+    } else {
+      const shopId = req.user.shop?._id || req.user.shop;
+      if (!shopId) {
+        return res.status(400).json({ message: 'Shop ID is required' });
+      }
+      query.shop = shopId;
+    }
+
+    if (user) query.user = user;
+    if (entity) query.entity = entity;
+    if (entityId) query.entityId = entityId;
+    if (action) query.action = action;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      logs,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
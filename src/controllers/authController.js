@@ -1,7 +1,14 @@
+const crypto = require('crypto');
 const User = require('../Models/User.js');
 const Shop = require('../Models/Shop.js');
 const { generateToken, generateRefreshToken, verifyToken } = require('../utils/generateToken.js');
 const { validationResult } = require('express-validator');
+const { logAudit } = require('../utils/auditLogger.js');
+const { queueEmail, getClientUrl } = require('../utils/notifications.js');
+
+const RESET_TOKEN_MINUTES = 60;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const register = async (req, res) => {
   try {
@@ -108,11 +115,25 @@ const login = async (req, res) => {
     const user = await User.findOne({ email }).populate('shop');
     if (!user) {
       console.log('User not found:', email);
+      await logAudit(req, {
+        action: 'login_failed',
+        entity: 'auth',
+        description: 'Login attempt for unknown email',
+        metadata: { email, reason: 'unknown_user' }
+      });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     if (!user.isActive) {
       console.log('User account deactivated:', email);
+      await logAudit(req, {
+        action: 'login_failed',
+        entity: 'auth',
+        entityId: user._id,
+        user,
+        description: 'Login attempt for deactivated account',
+        metadata: { email, reason: 'deactivated' }
+      });
       return res.status(400).json({ message: 'Account is deactivated' });
     }
 
@@ -120,6 +141,14 @@ const login = async (req, res) => {
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
       console.log('Invalid password for:', email);
+      await logAudit(req, {
+        action: 'login_failed',
+        entity: 'auth',
+        entityId: user._id,
+        user,
+        description: 'Invalid password',
+        metadata: { email, reason: 'invalid_password' }
+      });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
@@ -134,6 +163,14 @@ const login = async (req, res) => {
 
     console.log('Login successful for:', email);
 
+    await logAudit(req, {
+      action: 'login',
+      entity: 'auth',
+      entityId: user._id,
+      user,
+      description: 'Login successful'
+    });
+
     res.json({
       message: 'Login successful',
       token,
@@ -230,6 +267,76 @@ const changePassword = async (req, res) => {
   }
 };
 
+// Email a password reset link. The response is the same whether or not the
+// email belongs to an account.
+const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true }).populate('shop');
+
+    if (user) {
+      const token = crypto.randomBytes(32).toString('hex');
+      user.passwordResetToken = hashResetToken(token);
+      user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
+      await user.save();
+
+      await queueEmail({
+        shop: user.shop,
+        type: 'password_reset',
+        to: user.email,
+        context: {
+          user: { name: user.name },
+          reset: {
+            url: `${getClientUrl()}/reset-password?token=${token}`,
+            expiresInMinutes: RESET_TOKEN_MINUTES
+          }
+        },
+        related: { entity: 'user', id: user._id }
+      });
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Set a new password with the token from the reset email
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashResetToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+passwordResetToken +passwordResetExpires');
+
+    if (!user) {
+      return res.status(400).json({ message: 'The reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Sign out other sessions
+    user.refreshToken = null;
+    await user.save();
+
+    await logAudit(req, {
+      action: 'password_reset',
+      entity: 'auth',
+      entityId: user._id,
+      user,
+      description: 'Password reset by email link'
+    });
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // Token validation endpoint - FIXED: Don't require auth middleware
 const validateToken = async (req, res) => {
   try {
@@ -346,6 +453,8 @@ module.exports = {
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
   validateToken,
   refreshToken
 };
\ No newline at end of file
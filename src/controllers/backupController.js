@@ -0,0 +1,163 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Shop = require('../Models/Shop.js');
+const User = require('../Models/User.js');
+const Backup = require('../Models/Backup.js');
+const { createShopBackup, getBackupPath, restoreShopBackup } = require('../utils/shopBackup.js');
+const { logAudit } = require('../utils/auditLogger.js');
+
+const getBackups = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, shop, status, trigger } = req.query;
+
+    const query = {};
+    if (shop) query.shop = shop;
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    const backups = await Backup.find(query)
+      .populate('shop', 'name settings.dataRetention.backupFrequency')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Backup.countDocuments(query);
+
+    res.json({
+      backups,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get backups error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Back up a shop right away, outside its schedule
+const createBackup = async (req, res) => {
+  try {
+    const { shop: shopId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(shopId)) {
+      return res.status(400).json({ message: 'Invalid shop ID' });
+    }
+
+    const shop = await Shop.findById(shopId).select('name');
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const backup = await createShopBackup(shop, { trigger: 'manual', user: req.user });
+
+    await logAudit(req, {
+      action: 'export',
+      entity: 'shop',
+      entityId: shop._id,
+      shop: shop._id,
+      description: `Created backup of shop ${shop.name}`,
+      metadata: { backup: backup._id, counts: backup.counts }
+    });
+
+    res.status(201).json({
+      message: 'Backup created successfully',
+      backup
+    });
+  } catch (error) {
+    console.error('Create backup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const downloadBackup = async (req, res) => {
+  try {
+    const backup = await Backup.findById(req.params.id);
+
+    if (!backup || backup.status !== 'completed') {
+      return res.status(404).json({ message: 'Backup not found' });
+    }
+
+    const filePath = getBackupPath(backup);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ message: 'Backup file is missing' });
+    }
+
+    await logAudit(req, {
+      action: 'export',
+      entity: 'shop',
+      entityId: backup.shop,
+      shop: backup.shop,
+      description: `Downloaded backup ${backup.fileName}`,
+      metadata: { backup: backup._id }
+    });
+
+    res.download(filePath, `${backup.shopName || 'shop'}-${backup.createdAt.toISOString().slice(0, 10)}.json.gz`);
+  } catch (error) {
+    console.error('Download backup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Restore a backup over its own shop (mode "same") or into a new shop (mode "new")
+const restoreBackup = async (req, res) => {
+  try {
+    const { mode = 'same', name, owner } = req.body;
+
+    if (!['same', 'new'].includes(mode)) {
+      return res.status(400).json({ message: 'Mode must be "same" or "new"' });
+    }
+
+    const backup = await Backup.findById(req.params.id);
+    if (!backup || backup.status !== 'completed') {
+      return res.status(404).json({ message: 'Backup not found' });
+    }
+
+    if (!fs.existsSync(getBackupPath(backup))) {
+      return res.status(404).json({ message: 'Backup file is missing' });
+    }
+
+    if (owner) {
+      if (mode !== 'new') {
+        return res.status(400).json({ message: 'An owner can only be set when restoring into a new shop' });
+      }
+      if (!mongoose.Types.ObjectId.isValid(owner) || !(await User.exists({ _id: owner }))) {
+        return res.status(400).json({ message: 'Owner not found' });
+      }
+    }
+
+    const result = await restoreShopBackup(backup, {
+      mode,
+      name,
+      owner: owner ? new mongoose.Types.ObjectId(owner) : undefined,
+      user: req.user
+    });
+
+    await logAudit(req, {
+      action: 'restore',
+      entity: 'shop',
+      entityId: result.shop,
+      shop: result.shop,
+      description: mode === 'same'
+        ? `Restored shop from backup ${backup.fileName}`
+        : `Restored backup ${backup.fileName} into a new shop`,
+      metadata: { backup: backup._id, ...result }
+    });
+
+    res.json({
+      message: 'Backup restored successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Restore backup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getBackups,
+  createBackup,
+  downloadBackup,
+  restoreBackup
+};
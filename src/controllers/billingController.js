@@ -0,0 +1,629 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Invoice = require('../Models/Invoice.js');
+const Payment = require('../Models/Payment.js');
+const Counter = require('../Models/Counter.js');
+const Customer = require('../Models/Customer.js');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const Shop = require('../Models/Shop.js');
+const { roundMoney, formatInvoiceNumber } = require('../utils/billing.js');
+const { logAudit } = require('../utils/auditLogger.js');
+
+const getUserShop = (req) => Shop.findById(req.user.shop?._id || req.user.shop);
+
+const getShopId = (req) => req.user.shop?._id || req.user.shop;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const validationErrorResponse = (res, error) => res.status(400).json({
+  message: 'Validation error',
+  errors: Object.values(error.errors).map(e => e.message)
+});
+
+// Only the editable fields of each line; amounts are calculated by the model.
+// Lines without a tax rate get the shop's default.
+const toInvoiceItems = (items = [], shop) => items.map(item => ({
+  type: item.type,
+  description: item.description,
+  quantity: item.quantity,
+  unitPrice: item.unitPrice,
+  discount: item.discount,
+  taxRate: item.taxRate ?? shop.settings?.billing?.defaultTaxRate ?? 0
+}));
+
+// Verify the customer, and the record if any, belong to the shop
+const findInvoiceParties = async (shopId, { customer: customerId, record: recordId }) => {
+  const customer = await Customer.findOne({ _id: customerId, shop: shopId }).select('_id');
+  if (!customer) {
+    return { statusCode: 404, message: 'Customer not found or access denied' };
+  }
+
+  if (recordId) {
+    const record = await OptometryRecord.findOne({ _id: recordId, shop: shopId, customer: customer._id }).select('_id');
+    if (!record) {
+      return { statusCode: 404, message: 'Record not found for this customer' };
+    }
+  }
+
+  return { customer };
+};
+
+// Give the invoice its number and dates; the number is only taken here so
+// deleted drafts leave no gaps in the sequence
+const issue = async (invoice, shop, user) => {
+  const sequence = await Counter.next(shop._id, 'invoice');
+  invoice.invoiceNumber = formatInvoiceNumber(shop.settings?.billing?.invoicePrefix, sequence);
+  invoice.status = 'issued';
+  invoice.issueDate = invoice.issueDate || new Date();
+  invoice.dueDate = invoice.dueDate ||
+    moment(invoice.issueDate).add(shop.settings?.billing?.paymentTermsDays || 0, 'days').toDate();
+  invoice.issuedBy = user._id;
+};
+
+// Recalculate what was paid and refunded from the payments
+const syncInvoicePayments = async (invoice) => {
+  invoice.applyPaymentTotals(await Payment.getInvoiceTotals(invoice._id));
+  await invoice.save();
+};
+
+const findShopInvoice = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Invoice.findOne({ _id: req.params.id, shop: getShopId(req) });
+};
+
+const getInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, customerId, startDate, endDate, search, overdue } = req.query;
+
+    const query = { shop: getShopId(req) };
+
+    if (status) query.status = status;
+    if (customerId) query.customer = customerId;
+
+    if (startDate || endDate) {
+      query.issueDate = {};
+      if (startDate) query.issueDate.$gte = new Date(startDate);
+      if (endDate) query.issueDate.$lte = new Date(endDate);
+    }
+
+    if (search) {
+      query.invoiceNumber = { $regex: `^${escapeRegex(search.trim())}`, $options: 'i' };
+    }
+
+    if (overdue === 'true') {
+      query.status = { $in: Invoice.PAYABLE_STATUSES };
+      query.dueDate = { $lt: new Date() };
+      query.balanceDue = { $gt: 0 };
+    }
+
+    const invoices = await Invoice.find(query)
+      .populate('customer', 'name phone email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invoice.countDocuments(query);
+
+    res.json({
+      invoices,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await findShopInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    await invoice.populate('customer', 'name phone email address');
+    await invoice.populate('record', 'date examinationType');
+
+    const payments = await Payment.find({ invoice: invoice._id })
+      .populate('receivedBy', 'name')
+      .sort({ paidAt: 1 });
+
+    res.json({ invoice, payments });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Create a draft invoice; with issue=true it is issued right away
+const createInvoice = async (req, res) => {
+  try {
+    const shop = await getUserShop(req);
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const parties = await findInvoiceParties(shop._id, req.body);
+    if (parties.statusCode) {
+      return res.status(parties.statusCode).json({ message: parties.message });
+    }
+
+    const { record, discount, notes, dueDate } = req.body;
+
+    const invoice = new Invoice({
+      shop: shop._id,
+      customer: parties.customer._id,
+      record,
+      currency: shop.settings?.currency,
+      items: toInvoiceItems(req.body.items, shop),
+      discount,
+      notes,
+      dueDate,
+      createdBy: req.user._id
+    });
+
+    if (req.body.issue === true || req.body.issue === 'true') {
+      // Validate before a number is taken from the sequence
+      await invoice.validate();
+      await issue(invoice, shop, req.user);
+    }
+
+    await invoice.save();
+
+    await logAudit(req, {
+      action: 'create',
+      entity: 'invoice',
+      entityId: invoice._id,
+      shop: shop._id,
+      description: invoice.invoiceNumber ? `Issued invoice ${invoice.invoiceNumber}` : 'Created draft invoice',
+      metadata: { customer: invoice.customer, total: invoice.total }
+    });
+
+    await invoice.populate('customer', 'name phone email');
+
+    res.status(201).json({
+      message: 'Invoice created successfully',
+      invoice
+    });
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Change a draft invoice. Only notes and the due date can change once issued.
+const updateInvoice = async (req, res) => {
+  try {
+    const invoice = await findShopInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const { items, discount, customer, record, notes, dueDate } = req.body;
+
+    if (!invoice.isEditable() && [items, discount, customer, record].some(value => value !== undefined)) {
+      return res.status(400).json({
+        message: `Items, discounts and the customer cannot be changed on an invoice that is ${invoice.status}`
+      });
+    }
+    if (invoice.status === 'void') {
+      return res.status(400).json({ message: 'Void invoices cannot be updated' });
+    }
+
+    const shop = await getUserShop(req);
+
+    if (customer !== undefined || record !== undefined) {
+      const parties = await findInvoiceParties(shop._id, {
+        customer: customer ?? invoice.customer,
+        record: record ?? invoice.record
+      });
+      if (parties.statusCode) {
+        return res.status(parties.statusCode).json({ message: parties.message });
+      }
+      invoice.customer = parties.customer._id;
+      if (record !== undefined) invoice.record = record || undefined;
+    }
+
+    if (items !== undefined) invoice.items = toInvoiceItems(items, shop);
+    if (discount !== undefined) invoice.discount = discount;
+    if (notes !== undefined) invoice.notes = notes;
+    if (dueDate !== undefined) invoice.dueDate = dueDate;
+
+    await invoice.save();
+
+    await logAudit(req, {
+      action: 'update',
+      entity: 'invoice',
+      entityId: invoice._id,
+      shop: invoice.shop,
+      metadata: { total: invoice.total }
+    });
+
+    res.json({
+      message: 'Invoice updated successfully',
+      invoice
+    });
+  } catch (error) {
+    console.error('Update invoice error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const issueInvoice = async (req, res) => {
+  try {
+    const invoice = await findShopInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({ message: `Invoice is already ${invoice.status}` });
+    }
+
+    const shop = await getUserShop(req);
+    await invoice.validate();
+    await issue(invoice, shop, req.user);
+    await invoice.save();
+
+    await logAudit(req, {
+      action: 'issue',
+      entity: 'invoice',
+      entityId: invoice._id,
+      shop: invoice.shop,
+      description: `Issued invoice ${invoice.invoiceNumber}`,
+      metadata: { total: invoice.total }
+    });
+
+    res.json({
+      message: 'Invoice issued successfully',
+      invoice
+    });
+  } catch (error) {
+    console.error('Issue invoice error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Cancel an issued invoice. Its number is kept; payments must be refunded first.
+const voidInvoice = async (req, res) => {
+  try {
+    const invoice = await findShopInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status === 'draft') {
+      return res.status(400).json({ message: 'Draft invoices are deleted, not voided' });
+    }
+    if (invoice.status === 'void') {
+      return res.status(400).json({ message: 'Invoice is already void' });
+    }
+    if (invoice.getNetPaid() > 0) {
+      return res.status(400).json({ message: 'Refund the payments on this invoice before voiding it' });
+    }
+
+    invoice.status = 'void';
+    invoice.voidInfo = {
+      reason: req.body.reason,
+      voidedAt: new Date(),
+      voidedBy: req.user._id
+    };
+    await invoice.save();
+
+    await logAudit(req, {
+      action: 'void',
+      entity: 'invoice',
+      entityId: invoice._id,
+      shop: invoice.shop,
+      description: `Voided invoice ${invoice.invoiceNumber}`,
+      metadata: { reason: req.body.reason }
+    });
+
+    res.json({
+      message: 'Invoice voided successfully',
+      invoice
+    });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const deleteInvoice = async (req, res) => {
+  try {
+    const invoice = await findShopInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft invoices can be deleted; void issued invoices instead' });
+    }
+
+    await invoice.deleteOne();
+
+    await logAudit(req, {
+      action: 'delete',
+      entity: 'invoice',
+      entityId: invoice._id,
+      shop: invoice.shop,
+      description: 'Deleted draft invoice'
+    });
+
+    res.json({ message: 'Invoice deleted successfully' });
+  } catch (error) {
+    console.error('Delete invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Record a full or partial payment
+const recordPayment = async (req, res) => {
+  try {
+    const invoice = await findShopInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (!Invoice.PAYABLE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({ message: `Cannot record a payment on an invoice that is ${invoice.status}` });
+    }
+
+    const amount = roundMoney(req.body.amount);
+    const balanceDue = invoice.getBalanceDue();
+    if (amount > balanceDue) {
+      return res.status(400).json({
+        message: `Payment exceeds the balance due of ${balanceDue.toFixed(2)} ${invoice.currency}`
+      });
+    }
+
+    const payment = await Payment.create({
+      shop: invoice.shop,
+      invoice: invoice._id,
+      customer: invoice.customer,
+      type: 'payment',
+      amount,
+      currency: invoice.currency,
+      method: req.body.method,
+      reference: req.body.reference,
+      paidAt: req.body.paidAt,
+      notes: req.body.notes,
+      receivedBy: req.user._id
+    });
+
+    await syncInvoicePayments(invoice);
+
+    await logAudit(req, {
+      action: 'payment',
+      entity: 'invoice',
+      entityId: invoice._id,
+      shop: invoice.shop,
+      description: `Received ${amount.toFixed(2)} ${invoice.currency} for invoice ${invoice.invoiceNumber}`,
+      metadata: { payment: payment._id, amount, method: payment.method }
+    });
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment,
+      invoice
+    });
+  } catch (error) {
+    console.error('Record payment error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Return money on an invoice, optionally against a specific payment
+const refundPayment = async (req, res) => {
+  try {
+    const invoice = await findShopInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const amount = roundMoney(req.body.amount);
+    const netPaid = invoice.getNetPaid();
+
+    if (amount > netPaid) {
+      return res.status(400).json({
+        message: `Refund exceeds the ${netPaid.toFixed(2)} ${invoice.currency} paid on this invoice`
+      });
+    }
+
+    let original;
+    if (req.body.payment) {
+      original = await Payment.findOne({ _id: req.body.payment, invoice: invoice._id, type: 'payment' });
+      if (!original) {
+        return res.status(404).json({ message: 'Payment not found on this invoice' });
+      }
+
+      const { refunded } = await Payment.getTotals({ refundOf: original._id });
+      const refundable = roundMoney(original.amount - refunded);
+      if (amount > refundable) {
+        return res.status(400).json({
+          message: `Refund exceeds the ${refundable.toFixed(2)} ${invoice.currency} left on this payment`
+        });
+      }
+    }
+
+    const refund = await Payment.create({
+      shop: invoice.shop,
+      invoice: invoice._id,
+      customer: invoice.customer,
+      type: 'refund',
+      amount,
+      currency: invoice.currency,
+      method: req.body.method || original?.method,
+      reference: req.body.reference,
+      refundOf: original?._id,
+      notes: req.body.notes,
+      receivedBy: req.user._id
+    });
+
+    await syncInvoicePayments(invoice);
+
+    await logAudit(req, {
+      action: 'refund',
+      entity: 'invoice',
+      entityId: invoice._id,
+      shop: invoice.shop,
+      description: `Refunded ${amount.toFixed(2)} ${invoice.currency} on invoice ${invoice.invoiceNumber}`,
+      metadata: { refund: refund._id, amount, refundOf: original?._id }
+    });
+
+    res.status(201).json({
+      message: 'Refund recorded successfully',
+      refund,
+      invoice
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getPayments = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, method, customerId, startDate, endDate } = req.query;
+
+    const query = { shop: getShopId(req) };
+
+    if (type) query.type = type;
+    if (method) query.method = method;
+    if (customerId) query.customer = customerId;
+
+    if (startDate || endDate) {
+      query.paidAt = {};
+      if (startDate) query.paidAt.$gte = new Date(startDate);
+      if (endDate) query.paidAt.$lte = new Date(endDate);
+    }
+
+    const payments = await Payment.find(query)
+      .populate('invoice', 'invoiceNumber total')
+      .populate('customer', 'name')
+      .populate('receivedBy', 'name')
+      .sort({ paidAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      payments,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Revenue for a period (this month by default) and what is still owed
+const getBillingSummary = async (req, res) => {
+  try {
+    if (!getShopId(req)) {
+      return res.status(400).json({ message: 'Shop ID is required' });
+    }
+
+    const shopId = new mongoose.Types.ObjectId(getShopId(req).toString());
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : moment().startOf('month').toDate();
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : moment().endOf('month').toDate();
+    const period = { $gte: startDate, $lte: endDate };
+
+    const [totals, byMethod, invoiced, outstanding] = await Promise.all([
+      Payment.getTotals({ shop: shopId, paidAt: period }),
+      Payment.aggregate([
+        { $match: { shop: shopId, paidAt: period } },
+        {
+          $group: {
+            _id: '$method',
+            paid: { $sum: { $cond: [{ $eq: ['$type', 'payment'] }, '$amount', 0] } },
+            refunded: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } }
+          }
+        },
+        { $sort: { paid: -1 } }
+      ]),
+      Invoice.aggregate([
+        { $match: { shop: shopId, issueDate: period, status: { $nin: ['draft', 'void'] } } },
+        { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$total' }, tax: { $sum: '$taxTotal' } } }
+      ]),
+      Invoice.aggregate([
+        { $match: { shop: shopId, status: { $in: Invoice.PAYABLE_STATUSES } } },
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            balance: { $sum: '$balanceDue' },
+            overdueCount: { $sum: { $cond: [{ $lt: ['$dueDate', new Date()] }, 1, 0] } },
+            overdueBalance: { $sum: { $cond: [{ $lt: ['$dueDate', new Date()] }, '$balanceDue', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    res.json({
+      startDate,
+      endDate,
+      revenue: {
+        paid: roundMoney(totals.paid),
+        refunded: roundMoney(totals.refunded),
+        net: roundMoney(totals.paid - totals.refunded),
+        payments: totals.payments,
+        refunds: totals.refunds
+      },
+      byMethod: byMethod.map(({ _id, paid, refunded }) => ({
+        method: _id,
+        paid: roundMoney(paid),
+        refunded: roundMoney(refunded),
+        net: roundMoney(paid - refunded)
+      })),
+      invoiced: {
+        count: invoiced[0]?.count || 0,
+        total: roundMoney(invoiced[0]?.total || 0),
+        tax: roundMoney(invoiced[0]?.tax || 0)
+      },
+      outstanding: {
+        count: outstanding[0]?.count || 0,
+        balance: roundMoney(outstanding[0]?.balance || 0),
+        overdueCount: outstanding[0]?.overdueCount || 0,
+        overdueBalance: roundMoney(outstanding[0]?.overdueBalance || 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get billing summary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoiceById,
+  createInvoice,
+  updateInvoice,
+  issueInvoice,
+  voidInvoice,
+  deleteInvoice,
+  recordPayment,
+  refundPayment,
+  getPayments,
+  getBillingSummary
+};
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const Customer = require('../Models/Customer.js');
+const { supplyRunsOutAt } = require('../utils/contactLens.js');
+const { trackRecordChange } = require('../utils/recordHistory.js');
+
+const getShopId = (req) => req.user.shop?._id || req.user.shop;
+
+// Customers whose contact lenses run out within the next `days` days, based
+// on the most recent dispense of each customer. Supplies that ran out up to
+// `overdueDays` ago are included so they can still be followed up.
+const getSupplyDue = async (req, res) => {
+  try {
+    const shopId = new mongoose.Types.ObjectId(getShopId(req).toString());
+    const days = parseInt(req.query.days) || 14;
+    const overdueDays = parseInt(req.query.overdueDays) || 30;
+
+    const now = moment();
+    const until = now.clone().add(days, 'days').endOf('day').toDate();
+    const since = now.clone().subtract(overdueDays, 'days').startOf('day').toDate();
+
+    const latest = await OptometryRecord.aggregate([
+      { $match: { shop: shopId, 'contactLensDispenses.0': { $exists: true } } },
+      { $unwind: '$contactLensDispenses' },
+      { $sort: { customer: 1, 'contactLensDispenses.dispensedAt': -1 } },
+      {
+        $group: {
+          _id: '$customer',
+          record: { $first: '$_id' },
+          date: { $first: '$date' },
+          dispense: { $first: '$contactLensDispenses' },
+          contactLens: { $first: '$contact_lens' }
+        }
+      },
+      { $match: { 'dispense.runsOutAt': { $gte: since, $lte: until } } },
+      { $sort: { 'dispense.runsOutAt': 1 } }
+    ]);
+
+    const customers = await Customer.find({
+      _id: { $in: latest.map(item => item._id) },
+      shop: shopId,
+      isActive: true
+    }).select('name phone email');
+    const customersById = new Map(customers.map(customer => [customer._id.toString(), customer]));
+
+    const due = latest
+      .filter(item => customersById.has(item._id.toString()))
+      .map(item => {
+        const { dispense } = item;
+        const { right_eye: rightEye, left_eye: leftEye } = item.contactLens || {};
+        return {
+          customer: customersById.get(item._id.toString()),
+          record: item.record,
+          recordDate: item.date,
+          dispensedAt: dispense.dispensedAt,
+          lensesPerEye: dispense.lensesPerEye,
+          runsOutAt: dispense.runsOutAt,
+          daysLeft: moment(dispense.runsOutAt).startOf('day').diff(now.clone().startOf('day'), 'days'),
+          right_eye: rightEye && { brand: rightEye.brand, replacementSchedule: rightEye.replacementSchedule },
+          left_eye: leftEye && { brand: leftEye.brand, replacementSchedule: leftEye.replacementSchedule }
+        };
+      });
+
+    res.json({
+      days,
+      overdueDays,
+      total: due.length,
+      overdue: due.filter(item => item.daysLeft < 0).length,
+      customers: due
+    });
+  } catch (error) {
+    console.error('Get contact lens supply due error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Record lenses handed to the customer. Dispenses are added to their own
+// list, so signed records take them too while the fitting stays locked.
+const dispenseContactLenses = async (req, res) => {
+  try {
+    const record = await OptometryRecord.findOne({ _id: req.params.id, shop: getShopId(req) });
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    if (!record.contact_lens?.right_eye && !record.contact_lens?.left_eye) {
+      return res.status(400).json({ message: 'This record has no contact lens fitting' });
+    }
+
+    const previous = record.toObject({ depopulate: true });
+    const dispensedAt = req.body.dispensedAt ? new Date(req.body.dispensedAt) : new Date();
+    const lensesPerEye = parseInt(req.body.lensesPerEye);
+    record.contactLensDispenses.push({
+      dispensedAt,
+      lensesPerEye,
+      runsOutAt: supplyRunsOutAt(record.contact_lens, { dispensedAt, lensesPerEye }) || undefined,
+      dispensedBy: req.user._id
+    });
+    await record.save();
+
+    const dispense = record.contactLensDispenses[record.contactLensDispenses.length - 1];
+
+    await trackRecordChange(req, record, 'update', previous, {
+      description: `Dispensed ${dispense.lensesPerEye} contact lenses per eye`,
+      metadata: { dispensedAt: dispense.dispensedAt, runsOutAt: dispense.runsOutAt }
+    });
+
+    res.json({
+      message: 'Contact lenses dispensed successfully',
+      dispense
+    });
+  } catch (error) {
+    console.error('Dispense contact lenses error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getSupplyDue,
+  dispenseContactLenses
+};
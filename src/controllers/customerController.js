@@ -1,27 +1,89 @@
+const mongoose = require('mongoose');
 const Customer = require('../Models/Customer.js');
 const OptometryRecord = require('../Models/OptometryRecord.js');
+const Appointment = require('../Models/Appointment.js');
+const Attachment = require('../Models/Attachment.js');
+const Invoice = require('../Models/Invoice.js');
+const Payment = require('../Models/Payment.js');
+const Order = require('../Models/Order.js');
+const { logAudit } = require('../utils/auditLogger.js');
+const { refreshCustomerRecall } = require('../utils/recalls.js');
+const { trackRecordChange } = require('../utils/recordHistory.js');
+const { column, streamExport } = require('../utils/dataExport.js');
+const { AGE_BANDS, ageOn, dateOfBirthRange } = require('../utils/age.js');
+const {
+  SEARCH_CANDIDATE_LIMIT,
+  TYPEAHEAD_CANDIDATE_LIMIT,
+  TYPEAHEAD_LIMIT,
+  phoneDigitsOf,
+  buildSearchCondition,
+  buildSearchFilters,
+  rankCustomers,
+  toSearchResult
+} = require('../utils/customerSearch.js');
+const {
+  groupDuplicates,
+  findPossibleDuplicates,
+  mergeCustomerData
+} = require('../utils/customerDuplicates.js');
+
+// Base filter: active customers, scoped to the user's shop unless admin.
+// Returns { query } or { error }.
+const buildShopScope = (req) => {
+  // For admin, don't filter by shop; for other roles, use shop ID
+  const query = { isActive: true };
+
+  if (req.user.role !== 'admin') {
+    const shopId = req.user.shop?._id || req.user.shop;
+    if (!shopId) {
+      return { error: 'Shop ID is required' };
+    }
+    query.shop = shopId;
+  } else if (req.query.shop) {
+    query.shop = req.query.shop;
+  }
+
+  return { query };
+};
+
+// Filter shared by the customer list and export: shop scoping, indexed search
+// (name words, phone digits or email prefix), the search filters (age, sex,
+// city, last visit) and an optional createdAt range. Returns { query } or { error }.
+const buildCustomerFilter = (req) => {
+  const { search = '', startDate, endDate } = req.query;
+
+  const { query, error } = buildShopScope(req);
+  if (error) {
+    return { error };
+  }
+
+  const { conditions, error: filterError } = buildSearchFilters(req.query);
+  if (filterError) {
+    return { error: filterError };
+  }
+  Object.assign(query, conditions);
+
+  const searchCondition = buildSearchCondition(search);
+  if (searchCondition) {
+    Object.assign(query, searchCondition);
+  }
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  return { query };
+};
 
 const getCustomers = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '' } = req.query;
-    
-    // For admin, don't filter by shop; for other roles, use shop ID
-    const query = { isActive: true };
-    
-    if (req.user.role !== 'admin') {
-      const shopId = req.user.shop?._id || req.user.shop;
-      if (!shopId) {
-        return res.status(400).json({ message: 'Shop ID is required' });
-      }
-      query.shop = shopId;
-    }
+    const { page = 1, limit = 10 } = req.query;
 
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
+    const { query, error } = buildCustomerFilter(req);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
     const customers = await Customer.find(query)
@@ -43,6 +105,202 @@ const getCustomers = async (req, res) => {
   }
 };
 
+// Age of a plain (lean) customer, from the date of birth when known
+const currentAge = (customer) => (customer.dateOfBirth ? ageOn(customer.dateOfBirth) : customer.age);
+
+// Restrict a query to customers with (or without) records. Only used when
+// browsing without a search term, where the candidates are not known up front.
+const applyHasRecordsFilter = async (query, hasRecords) => {
+  const recordQuery = query.shop ? { shop: query.shop } : {};
+  const customerIds = await OptometryRecord.distinct('customer', recordQuery);
+  query._id = hasRecords ? { $in: customerIds } : { $nin: customerIds };
+};
+
+// Ranked customer search. `q` is matched against name words (prefix and
+// phonetic), phone digits, email and the text index; results can be narrowed
+// with ageBand or minAge/maxAge, sex, city, lastVisitFrom/lastVisitTo and
+// hasRecords=true|false. Without `q` the filtered customers are listed by name.
+const searchCustomers = async (req, res) => {
+  try {
+    const { q = '', page = 1, limit = 20 } = req.query;
+    const hasRecords = req.query.hasRecords === undefined ? undefined : req.query.hasRecords === 'true';
+
+    const { query, error } = buildShopScope(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { conditions, error: filterError } = buildSearchFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ message: filterError });
+    }
+    Object.assign(query, conditions);
+
+    const searchCondition = buildSearchCondition(q);
+
+    if (!searchCondition) {
+      if (hasRecords !== undefined) {
+        await applyHasRecordsFilter(query, hasRecords);
+      }
+
+      const [customers, total] = await Promise.all([
+        Customer.find(query)
+          .sort({ name: 1 })
+          .limit(limit * 1)
+          .skip((page - 1) * limit)
+          .lean(),
+        Customer.countDocuments(query)
+      ]);
+
+      return res.json({
+        customers: customers.map(customer => ({ ...toSearchResult(customer), age: currentAge(customer) })),
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total
+      });
+    }
+
+    // Key lookups and the text index run side by side; the text index adds
+    // whole-word matches on email and city and contributes its score
+    const [keyMatches, textMatches] = await Promise.all([
+      Customer.find({ ...query, ...searchCondition })
+        .limit(SEARCH_CANDIDATE_LIMIT)
+        .lean(),
+      phoneDigitsOf(q.trim())
+        ? []
+        : Customer.find({ ...query, $text: { $search: q } }, { textScore: { $meta: 'textScore' } })
+          .sort({ textScore: { $meta: 'textScore' } })
+          .limit(SEARCH_CANDIDATE_LIMIT)
+          .lean()
+    ]);
+
+    const candidates = new Map();
+    [...textMatches, ...keyMatches].forEach(customer => {
+      const id = customer._id.toString();
+      candidates.set(id, { ...candidates.get(id), ...customer });
+    });
+
+    let results = [...candidates.values()];
+
+    if (hasRecords !== undefined && results.length) {
+      const withRecords = await OptometryRecord.distinct('customer', {
+        customer: { $in: results.map(customer => customer._id) }
+      });
+      const ids = new Set(withRecords.map(id => id.toString()));
+      results = results.filter(customer => ids.has(customer._id.toString()) === hasRecords);
+    }
+
+    const ranked = rankCustomers(results, q);
+    const start = (page - 1) * limit;
+
+    res.json({
+      customers: ranked
+        .slice(start, start + limit * 1)
+        .map(customer => ({ ...toSearchResult(customer), age: currentAge(customer) })),
+      totalPages: Math.ceil(ranked.length / limit),
+      currentPage: page,
+      total: ranked.length,
+      // More candidates exist than were ranked; refine the search to see them
+      truncated: keyMatches.length === SEARCH_CANDIDATE_LIMIT || textMatches.length === SEARCH_CANDIDATE_LIMIT
+    });
+  } catch (error) {
+    console.error('Search customers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Fast suggestions while typing: indexed key lookups only, few fields
+const typeaheadCustomers = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) {
+      return res.json({ customers: [] });
+    }
+
+    const { query, error } = buildShopScope(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const customers = await Customer.find({ ...query, ...buildSearchCondition(q) })
+      .select('name phone email dateOfBirth age lastVisit phoneDigits nameTokens nameKeys')
+      .limit(TYPEAHEAD_CANDIDATE_LIMIT)
+      .lean();
+
+    res.json({
+      customers: rankCustomers(customers, q)
+        .slice(0, TYPEAHEAD_LIMIT)
+        .map(customer => ({ ...toSearchResult(customer), age: currentAge(customer) }))
+    });
+  } catch (error) {
+    console.error('Typeahead customers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Columns for CSV/XLSX exports, with nested structures flattened
+const CUSTOMER_EXPORT_COLUMNS = [
+  column('ID', doc => doc._id.toString()),
+  column('Name', 'name'),
+  column('Date of Birth', 'dateOfBirth'),
+  column('Age', doc => currentAge(doc)),
+  column('Sex', 'sex'),
+  column('Phone', 'phone'),
+  column('Email', 'email'),
+  column('Street', 'address.street'),
+  column('City', 'address.city'),
+  column('State', 'address.state'),
+  column('Zip Code', 'address.zipCode'),
+  column('Allergies', 'medicalHistory.allergies'),
+  column('Medications', 'medicalHistory.medications'),
+  column('Conditions', 'medicalHistory.conditions'),
+  column('Medical Notes', 'medicalHistory.notes'),
+  column('Emergency Contact', 'emergencyContact.name'),
+  column('Emergency Contact Relationship', 'emergencyContact.relationship'),
+  column('Emergency Contact Phone', 'emergencyContact.phone'),
+  column('Insurance Provider', 'insurance.provider'),
+  column('Policy Number', 'insurance.policyNumber'),
+  column('Group Number', 'insurance.groupNumber'),
+  column('Last Visit', 'lastVisit'),
+  column('Created At', 'createdAt')
+];
+
+// Stream the filtered customer list as CSV, XLSX or JSON (?format=)
+const exportCustomers = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    const { query, error } = buildCustomerFilter(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await logAudit(req, {
+      action: 'export',
+      entity: 'customer',
+      description: `Exported customers as ${format.toUpperCase()}`,
+      metadata: { format, filters: req.query }
+    });
+
+    const cursor = Customer.find(query)
+      .sort({ name: 1 })
+      .lean()
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      fileName: 'customers',
+      sheetName: 'Customers',
+      columns: CUSTOMER_EXPORT_COLUMNS,
+      cursor,
+      toJson: (customer) => ({ ...toSearchResult(customer), age: currentAge(customer) })
+    });
+  } catch (error) {
+    console.error('Export customers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 const getCustomerById = async (req, res) => {
   try {
     // For admin, don't filter by shop; for other roles, use shop ID
@@ -58,6 +316,13 @@ const getCustomerById = async (req, res) => {
       return res.status(404).json({ message: 'Customer not found' });
     }
 
+    await logAudit(req, {
+      action: 'view',
+      entity: 'customer',
+      entityId: customer._id,
+      shop: customer.shop
+    });
+
     res.json(customer);
   } catch (error) {
     console.error('Get customer error:', error);
@@ -86,9 +351,23 @@ const createCustomer = async (req, res) => {
     const customer = new Customer(customerData);
     await customer.save();
 
+    await logAudit(req, {
+      action: 'create',
+      entity: 'customer',
+      entityId: customer._id,
+      shop: customer.shop,
+      description: `Created customer ${customer.name}`
+    });
+
+    // Not blocking: the client can offer to merge right away
+    const possibleDuplicates = await findPossibleDuplicates(customer.shop, customer, {
+      excludeId: customer._id
+    });
+
     res.status(201).json({
       message: 'Customer created successfully',
-      customer
+      customer,
+      possibleDuplicates
     });
   } catch (error) {
     console.error('Create customer error:', error);
@@ -121,6 +400,18 @@ const updateCustomer = async (req, res) => {
       return res.status(404).json({ message: 'Customer not found' });
     }
 
+    // Date of birth and conditions decide the recall interval
+    await refreshCustomerRecall(customer.shop, customer._id);
+
+    await logAudit(req, {
+      action: 'update',
+      entity: 'customer',
+      entityId: customer._id,
+      shop: customer.shop,
+      description: `Updated customer ${customer.name}`,
+      metadata: { fields: Object.keys(req.body) }
+    });
+
     res.json({
       message: 'Customer updated successfully',
       customer
@@ -156,6 +447,16 @@ const deleteCustomer = async (req, res) => {
       return res.status(404).json({ message: 'Customer not found' });
     }
 
+    await refreshCustomerRecall(customer.shop, customer._id);
+
+    await logAudit(req, {
+      action: 'delete',
+      entity: 'customer',
+      entityId: customer._id,
+      shop: customer.shop,
+      description: `Deleted customer ${customer.name}`
+    });
+
     res.json({ message: 'Customer deleted successfully' });
   } catch (error) {
     console.error('Delete customer error:', error);
@@ -163,6 +464,192 @@ const deleteCustomer = async (req, res) => {
   }
 };
 
+// Groups of active customers in a shop that are probably the same person
+// (same phone, same email, or similar name with the same age)
+const getDuplicateCustomers = async (req, res) => {
+  try {
+    const shopId = req.user.role === 'admin'
+      ? req.query.shop
+      : req.user.shop?._id || req.user.shop;
+
+    if (!shopId) {
+      return res.status(400).json({ message: 'Shop ID is required' });
+    }
+
+    const customers = await Customer.find({ shop: shopId, isActive: true })
+      .select('name age dateOfBirth sex phone email address.city lastVisit createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const groups = groupDuplicates(customers.map(customer => ({ ...customer, age: currentAge(customer) })));
+
+    res.json({
+      groups,
+      total: groups.length
+    });
+  } catch (error) {
+    console.error('Get duplicate customers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Merge a duplicate into the customer in the URL. The duplicate's records
+// and appointments move to the survivor, its data is combined into the
+// survivor and it is soft-deleted with a pointer to the survivor.
+const mergeCustomers = async (req, res) => {
+  try {
+    const { duplicateId } = req.body;
+
+    if (duplicateId === req.params.id) {
+      return res.status(400).json({ message: 'A customer cannot be merged into itself' });
+    }
+
+    const filter = { isActive: true };
+    if (req.user.role !== 'admin') {
+      filter.shop = req.user.shop?._id || req.user.shop;
+    }
+
+    const [survivor, duplicate] = await Promise.all([
+      Customer.findOne({ ...filter, _id: req.params.id }),
+      Customer.findOne({ ...filter, _id: duplicateId })
+    ]);
+
+    if (!survivor || !duplicate) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    if (!survivor.shop.equals(duplicate.shop)) {
+      return res.status(400).json({ message: 'Only customers of the same shop can be merged' });
+    }
+
+    // Soft-deleted records move too so restoring them keeps the right customer
+    const movedRecords = await OptometryRecord.find({ customer: duplicate._id, shop: survivor.shop })
+      .setOptions({ withDeleted: true });
+
+    const [records, appointments, attachments, invoices, payments, orders] = await Promise.all([
+      OptometryRecord.updateMany(
+        { customer: duplicate._id, shop: survivor.shop },
+        { $set: { customer: survivor._id } }
+      ).setOptions({ withDeleted: true }),
+      Appointment.updateMany(
+        { customer: duplicate._id, shop: survivor.shop },
+        { $set: { customer: survivor._id } }
+      ),
+      Attachment.updateMany(
+        { customer: duplicate._id, shop: survivor.shop },
+        { $set: { customer: survivor._id } }
+      ),
+      Invoice.updateMany(
+        { customer: duplicate._id, shop: survivor.shop },
+        { $set: { customer: survivor._id } }
+      ),
+      Payment.updateMany(
+        { customer: duplicate._id, shop: survivor.shop },
+        { $set: { customer: survivor._id } }
+      ),
+      Order.updateMany(
+        { customer: duplicate._id, shop: survivor.shop },
+        { $set: { customer: survivor._id } }
+      )
+    ]);
+
+    // Each moved record gets a revision, like any other change to a record
+    for (const record of movedRecords) {
+      const previous = record.toObject({ depopulate: true });
+      record.customer = survivor._id;
+      await trackRecordChange(req, record, 'merge', previous);
+    }
+
+    const changedFields = mergeCustomerData(survivor, duplicate);
+    await survivor.save();
+
+    duplicate.isActive = false;
+    duplicate.mergedInto = survivor._id;
+    duplicate.mergedAt = new Date();
+    duplicate.mergedBy = req.user._id;
+    await duplicate.save();
+
+    await refreshCustomerRecall(survivor.shop, survivor._id);
+    await refreshCustomerRecall(survivor.shop, duplicate._id);
+
+    const moved = {
+      records: records.modifiedCount,
+      appointments: appointments.modifiedCount,
+      attachments: attachments.modifiedCount,
+      invoices: invoices.modifiedCount,
+      payments: payments.modifiedCount,
+      orders: orders.modifiedCount
+    };
+
+    await logAudit(req, {
+      action: 'merge',
+      entity: 'customer',
+      entityId: survivor._id,
+      shop: survivor.shop,
+      description: `Merged customer ${duplicate.name} into ${survivor.name}`,
+      metadata: { duplicate: duplicate._id, changedFields, moved }
+    });
+
+    res.json({
+      message: 'Customers merged successfully',
+      customer: survivor,
+      mergedCustomer: duplicate._id,
+      changedFields,
+      moved
+    });
+  } catch (error) {
+    console.error('Merge customers error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Customer counts per age band, computed from dateOfBirth. Customers without
+// a date of birth are counted as "unknown".
+const getAgeBandCounts = async (query) => {
+  const now = new Date();
+  // Bucket boundaries are birth dates, so the oldest band comes first
+  const bands = [...AGE_BANDS].reverse();
+  const boundaries = [new Date(0, 0, 1)];
+  bands.forEach(band => {
+    const { $lte } = dateOfBirthRange(band.min, null, now);
+    boundaries.push(new Date($lte.getTime() + 1));
+  });
+
+  const match = { ...query };
+  if (match.shop) match.shop = new mongoose.Types.ObjectId(match.shop.toString());
+
+  const buckets = await Customer.aggregate([
+    { $match: match },
+    {
+      $bucket: {
+        groupBy: '$dateOfBirth',
+        boundaries,
+        default: 'unknown',
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ]);
+
+  const counts = Object.fromEntries(AGE_BANDS.map(band => [band.label, 0]));
+  counts.unknown = 0;
+  buckets.forEach(bucket => {
+    if (bucket._id === 'unknown') {
+      counts.unknown = bucket.count;
+      return;
+    }
+    const index = boundaries.findIndex(boundary => boundary.getTime() === new Date(bucket._id).getTime());
+    counts[bands[index].label] = bucket.count;
+  });
+
+  return counts;
+};
+
 const getCustomerStats = async (req, res) => {
   try {
     // For admin, get stats for all shops; for other roles, filter by shop
@@ -190,10 +677,13 @@ const getCustomerStats = async (req, res) => {
 
     const customersWithRecords = await OptometryRecord.distinct('customer', recordQuery);
 
+    const ageBands = await getAgeBandCounts(query);
+
     res.json({
       totalCustomers,
       newCustomersThisMonth,
-      customersWithRecords: customersWithRecords.length
+      customersWithRecords: customersWithRecords.length,
+      ageBands
     });
   } catch (error) {
     console.error('Get customer stats error:', error);
@@ -203,9 +693,14 @@ const getCustomerStats = async (req, res) => {
 
 module.exports = {
   getCustomers,
+  searchCustomers,
+  typeaheadCustomers,
+  exportCustomers,
   getCustomerById,
   createCustomer,
   updateCustomer,
   deleteCustomer,
+  getDuplicateCustomers,
+  mergeCustomers,
   getCustomerStats
 };
\ No newline at end of file
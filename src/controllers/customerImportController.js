@@ -0,0 +1,131 @@
+const {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  parseImportFile,
+  resolveColumnMapping,
+  analyzeImport,
+  commitImport,
+  summarize
+} = require('../utils/customerImport.js');
+const Shop = require('../Models/Shop.js');
+const { logAudit } = require('../utils/auditLogger.js');
+
+// Fields that columns can be mapped to
+const getImportFields = async (req, res) => {
+  res.json({
+    fields: Object.keys(IMPORT_FIELDS),
+    required: ['name']
+  });
+};
+
+// Import customers from an uploaded CSV or XLSX file (multipart field "file").
+// Without commit=true only a preview is returned; nothing is written.
+//
+// Optional form fields:
+// - mapping: JSON object of { customerField: columnHeader }
+// - onDuplicate: "skip" (default) or "update" existing customers
+// - shop: target shop (admin only)
+const importCustomers = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a CSV or XLSX file' });
+    }
+
+    let shopId;
+    if (req.user.role !== 'admin') {
+      shopId = req.user.shop?._id || req.user.shop;
+      if (!shopId) {
+        return res.status(400).json({ message: 'Shop ID is required' });
+      }
+    } else {
+      shopId = req.body.shop;
+      if (!shopId) {
+        return res.status(400).json({ message: 'Shop ID is required for admin' });
+      }
+      if (!(await Shop.exists({ _id: shopId }))) {
+        return res.status(404).json({ message: 'Shop not found' });
+      }
+    }
+
+    let explicitMapping = {};
+    if (req.body.mapping) {
+      try {
+        explicitMapping = typeof req.body.mapping === 'string'
+          ? JSON.parse(req.body.mapping)
+          : req.body.mapping;
+      } catch (error) {
+        return res.status(400).json({ message: 'Mapping must be valid JSON' });
+      }
+    }
+
+    const onDuplicate = req.body.onDuplicate || 'skip';
+    if (!['skip', 'update'].includes(onDuplicate)) {
+      return res.status(400).json({ message: 'onDuplicate must be "skip" or "update"' });
+    }
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file);
+    } catch (error) {
+      return res.status(400).json({ message: 'The file could not be read', error: error.message });
+    }
+
+    const { headers, rows } = parsed;
+    if (!rows.length) {
+      return res.status(400).json({ message: 'The file contains no data rows' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `A single import is limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const { mapping, errors: mappingErrors } = resolveColumnMapping(headers, explicitMapping);
+    if (mappingErrors.length) {
+      return res.status(400).json({
+        message: 'Invalid column mapping',
+        errors: mappingErrors,
+        headers,
+        mapping
+      });
+    }
+
+    const results = await analyzeImport(rows, mapping, shopId);
+    const commit = req.body.commit === true || req.body.commit === 'true';
+
+    if (!commit) {
+      return res.json({
+        committed: false,
+        headers,
+        mapping,
+        summary: summarize(results),
+        rows: results
+      });
+    }
+
+    await commitImport(results, shopId, { onDuplicate });
+    const summary = summarize(results);
+
+    await logAudit(req, {
+      action: 'import',
+      entity: 'customer',
+      shop: shopId,
+      description: `Imported customers from ${req.file.originalname}`,
+      metadata: { fileName: req.file.originalname, onDuplicate, summary }
+    });
+
+    res.json({
+      committed: true,
+      headers,
+      mapping,
+      summary,
+      rows: results
+    });
+  } catch (error) {
+    console.error('Import customers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getImportFields,
+  importCustomers
+};
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const {
+  DIAGNOSIS_CATEGORIES,
+  LATERALITIES,
+  findDiagnosisCode,
+  searchDiagnosisCodes
+} = require('../utils/diagnosisCodes.js');
+
+const getShopId = (req) => req.user.shop?._id || req.user.shop;
+
+// Look up codes of the bundled ICD-10 subset by code or description
+const getDiagnosisCodes = async (req, res) => {
+  try {
+    const { search, category, limit = 20 } = req.query;
+
+    const codes = searchDiagnosisCodes(search, { category, limit: parseInt(limit) });
+
+    res.json({
+      codes,
+      categories: DIAGNOSIS_CATEGORIES,
+      lateralities: LATERALITIES
+    });
+  } catch (error) {
+    console.error('Get diagnosis codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Number of completed records and customers per diagnosis code (or code
+// category with ?groupBy=category) in an optional date range
+const getDiagnosisReport = async (req, res) => {
+  try {
+    const { startDate, endDate, groupBy = 'code' } = req.query;
+    const shopId = new mongoose.Types.ObjectId(getShopId(req).toString());
+
+    const match = { shop: shopId, status: 'completed', 'diagnoses.0': { $exists: true } };
+    if (startDate || endDate) {
+      match.date = {};
+      if (startDate) match.date.$gte = new Date(startDate);
+      if (endDate) match.date.$lte = new Date(endDate);
+    }
+
+    const byCode = await OptometryRecord.aggregate([
+      { $match: match },
+      { $unwind: '$diagnoses' },
+      {
+        $group: {
+          _id: '$diagnoses.code',
+          records: { $addToSet: '$_id' },
+          customers: { $addToSet: '$customer' },
+          lateralities: { $push: '$diagnoses.laterality' }
+        }
+      }
+    ]);
+
+    const groups = new Map();
+    byCode.forEach(item => {
+      const known = findDiagnosisCode(item._id);
+      const key = groupBy === 'category' ? (known?.category || 'other') : item._id;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          ...(groupBy === 'category'
+            ? { category: key, codes: [] }
+            : { code: key, description: known?.description, category: known?.category }),
+          records: new Set(),
+          customers: new Set(),
+          laterality: Object.fromEntries(LATERALITIES.map(laterality => [laterality, 0]))
+        });
+      }
+
+      const group = groups.get(key);
+      if (group.codes) group.codes.push(item._id);
+      item.records.forEach(id => group.records.add(id.toString()));
+      item.customers.forEach(id => group.customers.add(id.toString()));
+      item.lateralities.forEach(laterality => {
+        group.laterality[laterality || 'not_applicable'] += 1;
+      });
+    });
+
+    const rows = [...groups.values()]
+      .map(group => ({
+        ...group,
+        records: group.records.size,
+        customers: group.customers.size
+      }))
+      .sort((a, b) => b.records - a.records);
+
+    res.json({
+      groupBy,
+      period: { startDate, endDate },
+      total: rows.length,
+      rows
+    });
+  } catch (error) {
+    console.error('Get diagnosis report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getDiagnosisCodes,
+  getDiagnosisReport
+};
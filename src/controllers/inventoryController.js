@@ -0,0 +1,424 @@
+const mongoose = require('mongoose');
+const Product = require('../Models/Product.js');
+const StockMovement = require('../Models/StockMovement.js');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const Shop = require('../Models/Shop.js');
+const {
+  changeStock,
+  transferStock: moveStock,
+  resolveRecordProducts,
+  placeRecordProductOrder
+} = require('../utils/inventory.js');
+const { logAudit } = require('../utils/auditLogger.js');
+const { trackRecordChange } = require('../utils/recordHistory.js');
+
+const getShopId = (req) => req.user.shop?._id || req.user.shop;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields that can be set through create/update; stock quantity changes go
+// through the stock movement endpoints
+const PRODUCT_FIELDS = ['sku', 'category', 'brand', 'model', 'color', 'size', 'description', 'lens', 'costPrice', 'salePrice', 'isActive'];
+
+const pickProductFields = (body) => Object.fromEntries(
+  PRODUCT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const findShopProduct = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Product.findOne({ _id: req.params.id, shop: getShopId(req) });
+};
+
+const validationErrorResponse = (res, error) => res.status(400).json({
+  message: 'Validation error',
+  errors: Object.values(error.errors).map(e => e.message)
+});
+
+const getProducts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, category, search, lowStock, includeInactive } = req.query;
+
+    const query = { shop: getShopId(req) };
+
+    if (includeInactive !== 'true') query.isActive = true;
+    if (category) query.category = category;
+    if (lowStock === 'true') Object.assign(query, Product.lowStockCondition());
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+      query.$or = [{ sku: pattern }, { brand: pattern }, { model: pattern }, { color: pattern }];
+    }
+
+    const products = await Product.find(query)
+      .sort({ category: 1, brand: 1, model: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Product.countDocuments(query);
+
+    res.json({
+      products,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Active products at or below their low-stock threshold
+const getLowStockProducts = async (req, res) => {
+  try {
+    const products = await Product.find({
+      shop: getShopId(req),
+      isActive: true,
+      ...Product.lowStockCondition()
+    }).sort({ 'stock.quantity': 1, sku: 1 });
+
+    res.json({ products, total: products.length });
+  } catch (error) {
+    console.error('Get low stock products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getProductById = async (req, res) => {
+  try {
+    const product = await findShopProduct(req);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const movements = await StockMovement.find({ product: product._id })
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({ product, movements });
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Create a product; an initial quantity is booked as a receipt
+const createProduct = async (req, res) => {
+  try {
+    const shopId = getShopId(req);
+    if (!shopId) {
+      return res.status(400).json({ message: 'Shop ID is required' });
+    }
+
+    const product = new Product({
+      ...pickProductFields(req.body),
+      shop: shopId,
+      stock: { lowStockThreshold: req.body.lowStockThreshold },
+      createdBy: req.user._id
+    });
+    await product.save();
+
+    let result = { product };
+    const initialQuantity = parseInt(req.body.quantity) || 0;
+    if (initialQuantity > 0) {
+      result = await changeStock(product, {
+        type: 'receive',
+        quantity: initialQuantity,
+        unitCost: product.costPrice,
+        reason: 'Opening stock',
+        user: req.user
+      });
+    }
+
+    await logAudit(req, {
+      action: 'create',
+      entity: 'product',
+      entityId: product._id,
+      shop: shopId,
+      description: `Created product ${product.sku}`
+    });
+
+    res.status(201).json({
+      message: 'Product created successfully',
+      product: result.product
+    });
+  } catch (error) {
+    console.error('Create product error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A product with this SKU already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const updateProduct = async (req, res) => {
+  try {
+    const product = await findShopProduct(req);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    product.set(pickProductFields(req.body));
+    if (req.body.lowStockThreshold !== undefined) {
+      product.stock.lowStockThreshold = req.body.lowStockThreshold;
+    }
+    await product.save();
+
+    await logAudit(req, {
+      action: 'update',
+      entity: 'product',
+      entityId: product._id,
+      shop: product.shop,
+      description: `Updated product ${product.sku}`
+    });
+
+    res.json({
+      message: 'Product updated successfully',
+      product
+    });
+  } catch (error) {
+    console.error('Update product error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A product with this SKU already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Products are deactivated, not removed, so their stock history remains
+const deleteProduct = async (req, res) => {
+  try {
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, shop: getShopId(req) },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    await logAudit(req, {
+      action: 'delete',
+      entity: 'product',
+      entityId: product._id,
+      shop: product.shop,
+      description: `Deleted product ${product.sku}`
+    });
+
+    res.json({ message: 'Product deleted successfully' });
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getStockMovements = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, product, type, startDate, endDate } = req.query;
+
+    const query = { shop: getShopId(req) };
+    if (req.params.id) query.product = req.params.id;
+    else if (product) query.product = product;
+    if (type) query.type = type;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const movements = await StockMovement.find(query)
+      .populate('product', 'sku brand model color size category')
+      .populate('relatedShop', 'name')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await StockMovement.countDocuments(query);
+
+    res.json({
+      movements,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Shared handler for receive, sell and adjust; `sign` turns the positive
+// quantity of the request into the stock change (adjust takes it as given)
+const stockHandler = (type, sign, label) => async (req, res) => {
+  try {
+    const product = await findShopProduct(req);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const result = await changeStock(product, {
+      type,
+      quantity: sign * parseInt(req.body.quantity),
+      unitCost: req.body.unitCost,
+      reference: req.body.reference,
+      reason: req.body.reason,
+      user: req.user
+    });
+
+    if (result.statusCode) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json({
+      message: `Stock ${label} successfully`,
+      product: result.product,
+      movement: result.movement
+    });
+  } catch (error) {
+    console.error(`Stock ${type} error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const receiveStock = stockHandler('receive', 1, 'received');
+const sellStock = stockHandler('sell', -1, 'sold');
+const adjustStock = stockHandler('adjust', 1, 'adjusted');
+
+// Move stock to another shop of the same owner
+const transferStock = async (req, res) => {
+  try {
+    const product = await findShopProduct(req);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const [fromShop, toShop] = await Promise.all([
+      Shop.findById(product.shop).select('owner'),
+      Shop.findById(req.body.toShop).select('owner name')
+    ]);
+
+    if (!toShop) {
+      return res.status(404).json({ message: 'Target shop not found' });
+    }
+    if (req.user.role !== 'admin' && !fromShop.owner.equals(toShop.owner)) {
+      return res.status(403).json({ message: 'Stock can only be transferred between shops of the same owner' });
+    }
+
+    const result = await moveStock(product, toShop._id, parseInt(req.body.quantity), {
+      reference: req.body.reference,
+      reason: req.body.reason,
+      user: req.user
+    });
+
+    if (result.statusCode) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    await logAudit(req, {
+      action: 'update',
+      entity: 'product',
+      entityId: product._id,
+      shop: product.shop,
+      description: `Transferred ${req.body.quantity} x ${product.sku} to ${toShop.name}`,
+      metadata: { toShop: toShop._id, quantity: req.body.quantity }
+    });
+
+    res.json({
+      message: 'Stock transferred successfully',
+      product: result.product,
+      target: result.target
+    });
+  } catch (error) {
+    console.error('Transfer stock error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Choose the frame and lenses of a record. Allowed on signed records since
+// dispensing happens after the exam, but not once the products were ordered.
+const setRecordProducts = async (req, res) => {
+  try {
+    const record = await OptometryRecord.findOne({ _id: req.params.id, shop: getShopId(req) });
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    if (record.productsOrderedAt) {
+      return res.status(409).json({ message: 'The products of this record were already ordered' });
+    }
+
+    const resolved = await resolveRecordProducts(record.shop, req.body.products);
+    if (resolved.statusCode) {
+      return res.status(resolved.statusCode).json({ message: resolved.message });
+    }
+
+    const previous = record.toObject({ depopulate: true });
+    record.products = resolved.products;
+    await record.save();
+
+    await trackRecordChange(req, record, 'update', previous, {
+      description: 'Linked stock products',
+      metadata: { skus: resolved.products.map(product => product.sku) }
+    });
+
+    res.json({
+      message: 'Record products updated successfully',
+      products: record.products
+    });
+  } catch (error) {
+    console.error('Set record products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Place the order for a record's products, taking them out of stock
+const orderRecordProducts = async (req, res) => {
+  try {
+    const record = await OptometryRecord.findOne({ _id: req.params.id, shop: getShopId(req) });
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    const result = await placeRecordProductOrder(req, record, { reference: req.body.reference });
+    if (result.statusCode) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    const claimed = result.record;
+
+    res.json({
+      message: 'Products ordered successfully',
+      products: claimed.products,
+      productsOrderedAt: claimed.productsOrderedAt
+    });
+  } catch (error) {
+    console.error('Order record products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getProducts,
+  getLowStockProducts,
+  getProductById,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  getStockMovements,
+  receiveStock,
+  sellStock,
+  adjustStock,
+  transferStock,
+  setRecordProducts,
+  orderRecordProducts
+};
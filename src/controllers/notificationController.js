@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const EmailTemplate = require('../Models/EmailTemplate.js');
+const EmailOutbox = require('../Models/EmailOutbox.js');
+const Shop = require('../Models/Shop.js');
+const {
+  TEMPLATE_PLACEHOLDERS,
+  findUnknownPlaceholders,
+  renderTemplate,
+  getTemplate,
+  sampleContext,
+  deliverEmail
+} = require('../utils/notifications.js');
+const { logAudit } = require('../utils/auditLogger.js');
+
+const getUserShop = (req) => Shop.findById(req.user.shop?._id || req.user.shop);
+
+const getShopId = (req) => req.user.shop?._id || req.user.shop;
+
+const withPlaceholders = (template) => ({
+  ...template,
+  placeholders: TEMPLATE_PLACEHOLDERS[template.type]
+});
+
+// Every template type with the wording the shop currently uses
+const getTemplates = async (req, res) => {
+  try {
+    const shopId = getShopId(req);
+    const templates = await Promise.all(EmailTemplate.TYPES.map(type => getTemplate(shopId, type)));
+
+    res.json({ templates: templates.map(withPlaceholders) });
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getTemplateByType = async (req, res) => {
+  try {
+    const template = await getTemplate(getShopId(req), req.params.type);
+    res.json(withPlaceholders(template));
+  } catch (error) {
+    console.error('Get email template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Save the shop's own wording for a template type
+const updateTemplate = async (req, res) => {
+  try {
+    const shopId = getShopId(req);
+    const { type } = req.params;
+    const { subject, body } = req.body;
+
+    const unknown = findUnknownPlaceholders(type, subject, body);
+    if (unknown.length) {
+      return res.status(400).json({
+        message: 'Unknown placeholders',
+        errors: unknown.map(path => `{{${path}}} is not available in this template`),
+        placeholders: TEMPLATE_PLACEHOLDERS[type]
+      });
+    }
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { shop: shopId, type },
+      { subject, body, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await logAudit(req, {
+      action: 'update',
+      entity: 'shop',
+      entityId: shopId,
+      shop: shopId,
+      description: `Updated the ${type.replace(/_/g, ' ')} email template`
+    });
+
+    res.json({
+      message: 'Email template saved successfully',
+      template: withPlaceholders({
+        type,
+        subject: template.subject,
+        body: template.body,
+        isDefault: false,
+        updatedAt: template.updatedAt
+      })
+    });
+  } catch (error) {
+    console.error('Update email template error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Go back to the built-in wording
+const resetTemplate = async (req, res) => {
+  try {
+    const shopId = getShopId(req);
+    const { type } = req.params;
+
+    await EmailTemplate.deleteOne({ shop: shopId, type });
+
+    await logAudit(req, {
+      action: 'update',
+      entity: 'shop',
+      entityId: shopId,
+      shop: shopId,
+      description: `Reset the ${type.replace(/_/g, ' ')} email template to the default`
+    });
+
+    res.json({
+      message: 'Email template reset to the default',
+      template: withPlaceholders(await getTemplate(null, type))
+    });
+  } catch (error) {
+    console.error('Reset email template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Render a template with example values. A subject and body in the request
+// preview unsaved changes; otherwise the current template is used.
+const previewTemplate = async (req, res) => {
+  try {
+    const shop = await getUserShop(req);
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const { type } = req.params;
+    const current = await getTemplate(shop._id, type);
+    const template = {
+      subject: req.body.subject ?? current.subject,
+      body: req.body.body ?? current.body
+    };
+
+    res.json({
+      ...renderTemplate(template, sampleContext(shop)),
+      unknownPlaceholders: findUnknownPlaceholders(type, template.subject, template.body)
+    });
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getOutbox = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, type, to } = req.query;
+
+    const query = { shop: getShopId(req) };
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (to) query.to = to.trim().toLowerCase();
+
+    const emails = await EmailOutbox.find(query)
+      .select('-html')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await EmailOutbox.countDocuments(query);
+
+    res.json({
+      emails,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get email outbox error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getOutboxEmail = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    const email = await EmailOutbox.findOne({ _id: req.params.id, shop: getShopId(req) })
+      .populate('createdBy', 'name');
+    if (!email) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    res.json(email);
+  } catch (error) {
+    console.error('Get outbox email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Try a failed or waiting email once more, right away
+const retryOutboxEmail = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    const email = await EmailOutbox.findOneAndUpdate(
+      { _id: req.params.id, shop: getShopId(req), status: { $in: ['failed', 'queued'] } },
+      { $set: { status: 'sending' } },
+      { new: true }
+    );
+    if (!email) {
+      return res.status(404).json({ message: 'No failed or queued email found' });
+    }
+
+    email.maxAttempts = Math.max(email.maxAttempts, email.attempts + 1);
+    await deliverEmail(email);
+
+    res.json({
+      message: email.status === 'sent' ? 'Email sent' : 'Email could not be sent',
+      email
+    });
+  } catch (error) {
+    console.error('Retry outbox email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateByType,
+  updateTemplate,
+  resetTemplate,
+  previewTemplate,
+  getOutbox,
+  getOutboxEmail,
+  retryOutboxEmail
+};
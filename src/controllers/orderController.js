@@ -0,0 +1,310 @@
+const mongoose = require('mongoose');
+const Order = require('../Models/Order.js');
+const Invoice = require('../Models/Invoice.js');
+const Counter = require('../Models/Counter.js');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const Shop = require('../Models/Shop.js');
+const { placeRecordProductOrder, returnRecordProducts } = require('../utils/inventory.js');
+const { buildOrderFromRecord, findOverdueOrders, notifyOrderReady } = require('../utils/orders.js');
+const { logAudit } = require('../utils/auditLogger.js');
+
+const getUserShop = (req) => Shop.findById(req.user.shop?._id || req.user.shop);
+
+const getShopId = (req) => req.user.shop?._id || req.user.shop;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Set the given keys of a nested object (e.g. lab) without clearing the others
+const setNested = (order, path, values) => {
+  Object.entries(values).forEach(([key, value]) => order.set(`${path}.${key}`, value));
+};
+
+const findShopOrder = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Order.findOne({ _id: req.params.id, shop: getShopId(req) });
+};
+
+const getOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, customerId, recordId, search } = req.query;
+
+    const query = { shop: getShopId(req) };
+
+    if (status) query.status = status;
+    if (customerId) query.customer = customerId;
+    if (recordId) query.record = recordId;
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+      query.$or = [{ orderNumber: pattern }, { 'lab.reference': pattern }];
+    }
+
+    const orders = await Order.find(query)
+      .populate('customer', 'name phone email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Orders that stayed longer than allowed in their current status
+const getOverdueOrders = async (req, res) => {
+  try {
+    const shop = await getUserShop(req);
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const statuses = await findOverdueOrders(shop);
+
+    res.json({
+      statuses,
+      total: statuses.reduce((sum, group) => sum + group.total, 0)
+    });
+  } catch (error) {
+    console.error('Get overdue orders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getOrderById = async (req, res) => {
+  try {
+    const order = await findShopOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    await order.populate('customer', 'name phone email');
+    await order.populate('record', 'date optometrist examinationType');
+    await order.populate('statusHistory.changedBy', 'name');
+
+    res.json(order);
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Order glasses or contact lenses for a record. Stock products linked to the
+// record are taken out of stock at this point.
+const createOrder = async (req, res) => {
+  try {
+    const shop = await getUserShop(req);
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const record = await OptometryRecord.findOne({ _id: req.body.record, shop: shop._id });
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    const { type, frame, lenses, lab, notes } = req.body;
+
+    const order = new Order({
+      ...buildOrderFromRecord(record, { type, frame, lenses }),
+      lab,
+      notes,
+      createdBy: req.user._id
+    });
+
+    const sequence = await Counter.next(shop._id, 'order');
+    order.orderNumber = `ORD-${String(sequence).padStart(6, '0')}`;
+    order.moveTo('ordered', { user: req.user });
+    await order.validate();
+
+    if (record.products.length && !record.productsOrderedAt) {
+      const placed = await placeRecordProductOrder(req, record, { reference: order.orderNumber });
+      if (placed.statusCode) {
+        return res.status(placed.statusCode).json({ message: placed.message });
+      }
+      order.stockTaken = true;
+    }
+
+    await order.save();
+
+    await logAudit(req, {
+      action: 'create',
+      entity: 'order',
+      entityId: order._id,
+      shop: shop._id,
+      description: `Created order ${order.orderNumber}`,
+      metadata: { record: record._id, customer: order.customer }
+    });
+
+    await order.populate('customer', 'name phone email');
+
+    res.status(201).json({
+      message: 'Order created successfully',
+      order
+    });
+  } catch (error) {
+    console.error('Create order error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Update lab details, lenses and notes; use the status endpoint for progress
+const updateOrder = async (req, res) => {
+  try {
+    const order = await findShopOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (['collected', 'cancelled'].includes(order.status)) {
+      return res.status(400).json({ message: `Cannot update an order that is ${order.status}` });
+    }
+
+    const { lab, lenses, frame, notes, invoice } = req.body;
+    if (invoice && !(await Invoice.exists({ _id: invoice, shop: order.shop }))) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (lab) setNested(order, 'lab', lab);
+    if (lenses) setNested(order, 'lenses', lenses);
+    if (frame?.description !== undefined) order.set('frame.description', frame.description);
+    if (notes !== undefined) order.notes = notes;
+    if (invoice !== undefined) order.invoice = invoice || undefined;
+
+    await order.save();
+
+    await logAudit(req, {
+      action: 'update',
+      entity: 'order',
+      entityId: order._id,
+      shop: order.shop,
+      description: `Updated order ${order.orderNumber}`
+    });
+
+    res.json({
+      message: 'Order updated successfully',
+      order
+    });
+  } catch (error) {
+    console.error('Update order error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Move an order through its lifecycle. The customer is notified when it
+// becomes ready. Cancelling returns the stock products taken for the order.
+const updateOrderStatus = async (req, res) => {
+  try {
+    const order = await findShopOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const { status, note, lab } = req.body;
+
+    if (!order.canMoveTo(status)) {
+      return res.status(400).json({ message: `Cannot move an order from ${order.status} to ${status}` });
+    }
+    if (status === 'remake' && !note) {
+      return res.status(400).json({ message: 'A reason is required for a remake' });
+    }
+
+    // Products no longer marked as ordered on the record were already dealt with
+    let restocked = false;
+    if (status === 'cancelled' && order.stockTaken) {
+      const record = await OptometryRecord.findOne({ _id: order.record, shop: order.shop });
+      if (record) {
+        const returned = await returnRecordProducts(req, record, {
+          reference: order.orderNumber,
+          reason: 'Order cancelled'
+        });
+        restocked = !returned.statusCode;
+      }
+      order.stockTaken = false;
+    }
+
+    const previousStatus = order.status;
+    if (lab) setNested(order, 'lab', lab);
+    order.moveTo(status, { user: req.user, note });
+
+    let notification;
+    if (status === 'ready') {
+      notification = await notifyOrderReady(order, { user: req.user });
+    }
+
+    await order.save();
+
+    await logAudit(req, {
+      action: 'update',
+      entity: 'order',
+      entityId: order._id,
+      shop: order.shop,
+      description: `Order ${order.orderNumber} moved from ${previousStatus} to ${status}`,
+      metadata: { from: previousStatus, to: status, note, restocked }
+    });
+
+    res.json({
+      message: 'Order status updated successfully',
+      order,
+      notification
+    });
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Send the ready notification again, e.g. after the customer's email was fixed
+const resendReadyNotification = async (req, res) => {
+  try {
+    const order = await findShopOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.status !== 'ready') {
+      return res.status(400).json({ message: 'Only ready orders can be notified' });
+    }
+
+    const notification = await notifyOrderReady(order, { user: req.user });
+    await order.save();
+
+    res.json({
+      message: notification.status === 'queued' ? 'Notification queued' : 'Notification not sent',
+      notification
+    });
+  } catch (error) {
+    console.error('Resend order notification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getOrders,
+  getOverdueOrders,
+  getOrderById,
+  createOrder,
+  updateOrder,
+  updateOrderStatus,
+  resendReadyNotification
+};
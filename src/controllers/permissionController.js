@@ -1,6 +1,7 @@
 const Permission = require('../Models/Permission.js');
 const Shop = require('../Models/Shop.js');
 const User = require('../Models/User.js');
+const { logAudit } = require('../utils/auditLogger.js');
 
 // Get permissions for a shop
 const getShopPermissions = async (req, res) => {
@@ -85,6 +86,15 @@ const updateRolePermissions = async (req, res) => {
       { $unset: { permissions: 1, accessiblePages: 1 } }
     );
 
+    await logAudit(req, {
+      action: 'permissions_update',
+      entity: 'permission',
+      entityId: updatedPermission._id,
+      shop: shopId,
+      description: `Updated permissions for role ${role}`,
+      metadata: { role, permissions, pageAccess }
+    });
+
     res.json({
       message: 'Permissions updated successfully',
       permission: updatedPermission
@@ -124,6 +134,15 @@ const createUserPermissions = async (req, res) => {
 
     await user.updatePermissions(permissions, accessiblePages);
 
+    await logAudit(req, {
+      action: 'permissions_update',
+      entity: 'user',
+      entityId: user._id,
+      shop: user.shop,
+      description: `Updated permissions for user ${user.email}`,
+      metadata: { permissions, accessiblePages }
+    });
+
     res.json({
       message: 'User permissions updated successfully',
       user: {
@@ -223,6 +242,15 @@ const resetRolePermissions = async (req, res) => {
       { $unset: { permissions: 1, accessiblePages: 1 } }
     );
 
+    await logAudit(req, {
+      action: 'permissions_reset',
+      entity: 'permission',
+      entityId: updatedPermission._id,
+      shop: shopId,
+      description: `Reset permissions for role ${role} to defaults`,
+      metadata: { role }
+    });
+
     res.json({
       message: 'Permissions reset to default successfully',
       permission: updatedPermission
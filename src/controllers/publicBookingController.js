@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Appointment = require('../Models/Appointment.js');
+const Customer = require('../Models/Customer.js');
+const Shop = require('../Models/Shop.js');
+const {
+  getAppointmentSettings,
+  getAvailableSlots
+} = require('../utils/appointmentScheduling.js');
+const { notifyAppointment } = require('../utils/notifications.js');
+
+// Load a shop that accepts online bookings, or null
+const findBookableShop = async (shopId) => {
+  if (!mongoose.Types.ObjectId.isValid(shopId)) return null;
+
+  const shop = await Shop.findById(shopId);
+
+  if (!shop || !shop.isActive) return null;
+  if (!shop.settings?.appointmentSettings?.allowOnlineBooking) return null;
+  if (!shop.isSubscriptionActive()) return null;
+
+  return shop;
+};
+
+// Booking details safe to return to an unauthenticated caller
+const toPublicBooking = (appointment, shop) => ({
+  confirmationCode: appointment.confirmationCode,
+  shop: {
+    id: shop._id,
+    name: shop.name,
+    phone: shop.contact?.phone
+  },
+  startTime: appointment.startTime,
+  endTime: appointment.endTime,
+  type: appointment.type,
+  status: appointment.status
+});
+
+const getShopSlots = async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!date) {
+      return res.status(400).json({ message: 'Date parameter is required' });
+    }
+
+    const shop = await findBookableShop(req.params.shopId);
+    if (!shop) {
+      return res.status(404).json({ message: 'Online booking is not available for this shop' });
+    }
+
+    const slots = await getAvailableSlots(shop, date);
+
+    res.json({
+      shop: {
+        id: shop._id,
+        name: shop.name
+      },
+      date,
+      slotDuration: getAppointmentSettings(shop).slotDuration,
+      slots
+    });
+  } catch (error) {
+    console.error('Get public slots error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const createBooking = async (req, res) => {
+  try {
+    const shop = await findBookableShop(req.params.shopId);
+    if (!shop) {
+      return res.status(404).json({ message: 'Online booking is not available for this shop' });
+    }
+
+    const { name, phone, email, type, reason } = req.body;
+    const startTime = new Date(req.body.startTime);
+
+    // The requested start must be one of the currently open slots
+    const slots = await getAvailableSlots(shop, startTime);
+    const slot = slots.find(s => s.startTime.getTime() === startTime.getTime());
+
+    if (!slot) {
+      return res.status(409).json({ message: 'The selected time slot is no longer available' });
+    }
+
+    // Match an existing customer by phone, otherwise create a provisional one
+    let customer = await Customer.findOne({
+      shop: shop._id,
+      phone: phone.trim(),
+      isActive: true
+    });
+
+    if (!customer) {
+      customer = new Customer({
+        shop: shop._id,
+        name,
+        phone: phone.trim(),
+        email,
+        isProvisional: true
+      });
+      await customer.save();
+    }
+
+    const appointment = new Appointment({
+      shop: shop._id,
+      customer: customer._id,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      duration: moment(slot.endTime).diff(slot.startTime, 'minutes'),
+      type,
+      reason,
+      source: 'online',
+      confirmationCode: Appointment.generateConfirmationCode()
+    });
+    await appointment.save();
+
+    // Only to the address on file: a booking that matched an existing
+    // customer by phone must not mail their details to someone else
+    await notifyAppointment(appointment, 'appointment_confirmation', { shop });
+
+    res.status(201).json({
+      message: 'Appointment booked successfully',
+      booking: toPublicBooking(appointment, shop)
+    });
+  } catch (error) {
+    console.error('Create online booking error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getBooking = async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({
+      confirmationCode: req.params.code.toUpperCase(),
+      source: 'online'
+    });
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const shop = await Shop.findById(appointment.shop).select('name contact');
+
+    res.json(toPublicBooking(appointment, shop));
+  } catch (error) {
+    console.error('Get online booking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const cancelBooking = async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({
+      confirmationCode: req.params.code.toUpperCase(),
+      source: 'online'
+    });
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (!appointment.isModifiable()) {
+      return res.status(400).json({ message: `Cannot cancel a booking that is ${appointment.status}` });
+    }
+
+    if (appointment.startTime <= new Date()) {
+      return res.status(400).json({ message: 'Past bookings cannot be cancelled online' });
+    }
+
+    appointment.status = 'cancelled';
+    appointment.cancellation = {
+      reason: req.body.reason || 'Cancelled online by customer',
+      cancelledAt: new Date()
+    };
+    await appointment.save();
+
+    const shop = await Shop.findById(appointment.shop).select('name contact');
+
+    res.json({
+      message: 'Booking cancelled successfully',
+      booking: toPublicBooking(appointment, shop)
+    });
+  } catch (error) {
+    console.error('Cancel online booking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getShopSlots,
+  createBooking,
+  getBooking,
+  cancelBooking
+};
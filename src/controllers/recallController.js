@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Recall = require('../Models/Recall.js');
+const Appointment = require('../Models/Appointment.js');
+const Shop = require('../Models/Shop.js');
+const {
+  getRecallSettings,
+  getRecallWindow,
+  refreshCustomerRecall,
+  refreshShopRecalls
+} = require('../utils/recalls.js');
+const { queueEmail, recallContext } = require('../utils/notifications.js');
+const { logAudit } = require('../utils/auditLogger.js');
+
+const getUserShop = (req) => Shop.findById(req.user.shop?._id || req.user.shop);
+
+const getShopId = (req) => req.user.shop?._id || req.user.shop;
+
+const withDaysOverdue = (recall, today = moment().startOf('day')) => ({
+  ...recall.toObject(),
+  daysOverdue: Math.max(today.diff(moment(recall.dueDate).startOf('day'), 'days'), 0)
+});
+
+// Recall list, by default everything due up to the end of this month that
+// has not been booked or declined. ?filter=overdue|due_this_month|upcoming
+const getRecalls = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, filter, status, rule } = req.query;
+    const shopId = getShopId(req);
+
+    const query = { shop: shopId };
+    query.dueDate = getRecallWindow(filter) || { $lte: moment().endOf('month').toDate() };
+    query.status = status || { $in: ['pending', 'contacted'] };
+    if (rule) query.rule = rule;
+
+    const recalls = await Recall.find(query)
+      .populate('customer', 'name phone email dateOfBirth age')
+      .populate('attempts.by', 'name')
+      .sort({ dueDate: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const [total, overdue, dueThisMonth] = await Promise.all([
+      Recall.countDocuments(query),
+      Recall.countDocuments({ shop: shopId, status: { $in: ['pending', 'contacted'] }, dueDate: getRecallWindow('overdue') }),
+      Recall.countDocuments({ shop: shopId, status: { $in: ['pending', 'contacted'] }, dueDate: getRecallWindow('due_this_month') })
+    ]);
+
+    res.json({
+      recalls: recalls.map(recall => withDaysOverdue(recall)),
+      counts: { overdue, dueThisMonth },
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get recalls error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Current recall of one customer, recalculated on the way
+const getCustomerRecall = async (req, res) => {
+  try {
+    const shop = await getUserShop(req);
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const recall = await refreshCustomerRecall(shop, req.params.customerId);
+    if (!recall) {
+      return res.status(404).json({ message: 'No recall for this customer; there is no completed exam yet' });
+    }
+
+    await recall.populate('attempts.by', 'name');
+    await recall.populate('lastRecord', 'date examinationType optometrist');
+
+    res.json({
+      recall: withDaysOverdue(recall),
+      settings: getRecallSettings(shop)
+    });
+  } catch (error) {
+    console.error('Get customer recall error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Log a contact attempt: contacted, no answer, declined or booked
+const addRecallAttempt = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Recall not found' });
+    }
+
+    const recall = await Recall.findOne({ _id: req.params.id, shop: getShopId(req) });
+    if (!recall) {
+      return res.status(404).json({ message: 'Recall not found' });
+    }
+
+    const { outcome, method, appointment, notes } = req.body;
+
+    if (appointment) {
+      const booked = await Appointment.findOne({ _id: appointment, shop: recall.shop, customer: recall.customer });
+      if (!booked) {
+        return res.status(404).json({ message: 'Appointment not found for this customer' });
+      }
+    }
+
+    recall.addAttempt({ outcome, method, appointment, notes, user: req.user });
+    await recall.save();
+
+    await logAudit(req, {
+      action: 'update',
+      entity: 'recall',
+      entityId: recall._id,
+      shop: recall.shop,
+      description: `Recall attempt: ${outcome} by ${method}`,
+      metadata: { customer: recall.customer, outcome, method, appointment }
+    });
+
+    await recall.populate('customer', 'name phone email');
+    await recall.populate('attempts.by', 'name');
+
+    res.status(201).json({
+      message: 'Recall attempt recorded successfully',
+      recall: withDaysOverdue(recall)
+    });
+  } catch (error) {
+    console.error('Add recall attempt error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Email the recall letter to the customer and log it as an attempt
+const sendRecallEmail = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Recall not found' });
+    }
+
+    const recall = await Recall.findOne({ _id: req.params.id, shop: getShopId(req) })
+      .populate('customer', 'name email');
+    if (!recall) {
+      return res.status(404).json({ message: 'Recall not found' });
+    }
+
+    const shop = await getUserShop(req);
+    const email = await queueEmail({
+      shop,
+      type: 'recall',
+      to: recall.customer?.email,
+      context: { customer: { name: recall.customer?.name }, recall: recallContext(recall) },
+      related: { entity: 'recall', id: recall._id },
+      user: req.user
+    });
+
+    if (email.status === 'skipped') {
+      return res.status(400).json({ message: `Recall email not sent: ${email.lastError}` });
+    }
+
+    recall.addAttempt({ outcome: 'contacted', method: 'email', notes: `Email ${email.status}`, user: req.user });
+    await recall.save();
+
+    await logAudit(req, {
+      action: 'update',
+      entity: 'recall',
+      entityId: recall._id,
+      shop: recall.shop,
+      description: 'Recall email queued',
+      metadata: { customer: recall.customer?._id, email: email._id, status: email.status }
+    });
+
+    res.json({
+      message: 'Recall email queued',
+      email: { id: email._id, status: email.status, to: email.to, lastError: email.lastError },
+      recall: withDaysOverdue(recall)
+    });
+  } catch (error) {
+    console.error('Send recall email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Recalculate all recalls of the shop, e.g. after the recall rules changed
+const refreshRecalls = async (req, res) => {
+  try {
+    const shop = await getUserShop(req);
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const result = await refreshShopRecalls(shop);
+
+    res.json({
+      message: 'Recalls refreshed successfully',
+      ...result,
+      settings: getRecallSettings(shop)
+    });
+  } catch (error) {
+    console.error('Refresh recalls error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getRecalls,
+  getCustomerRecall,
+  addRecallAttempt,
+  sendRecallEmail,
+  refreshRecalls
+};
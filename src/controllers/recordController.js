@@ -1,25 +1,132 @@
 const OptometryRecord = require('../Models/OptometryRecord.js');
 const Customer = require('../Models/Customer.js');
+const Shop = require('../Models/Shop.js');
+const {
+  parsePrescription,
+  parseEye,
+  parseMeasurement,
+  transpose,
+  toMinusCylinder,
+  toPlusCylinder,
+  sphericalEquivalent,
+  nearPrescription,
+  computePrescription
+} = require('../utils/prescription.js');
+const { getProgression, getShopThreshold } = require('../utils/progression.js');
+const { buildPrescriptionPdf } = require('../utils/prescriptionPdf.js');
+const { logAudit } = require('../utils/auditLogger.js');
+const { ageOn } = require('../utils/age.js');
+const { validateContactLens } = require('../utils/contactLens.js');
+const { resolveDiagnoses, normalizeCode } = require('../utils/diagnosisCodes.js');
+const { trackRecordChange } = require('../utils/recordHistory.js');
+const { column, streamExport } = require('../utils/dataExport.js');
+
+// Copy of the request body without fields managed by the signing workflow
+const withoutProtectedFields = (body) => {
+  const data = { ...body };
+  OptometryRecord.PROTECTED_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// Convert to a plain object and attach the computed prescription values
+// (minus-cylinder form, spherical equivalent and near Rx) for each eye, and
+// the patient's age at the time of the exam when the customer is populated
+const toRecordResponse = (record) => {
+  const recordData = record.toObject ? record.toObject() : { ...record._doc };
+  recordData.computed = computePrescription(recordData);
+  withPatientAge(recordData);
+  return recordData;
+};
+
+// Current age on the populated customer and age at the exam on the record
+const withPatientAge = (recordData) => {
+  const customer = recordData.customer;
+  if (customer?.dateOfBirth) {
+    customer.age = ageOn(customer.dateOfBirth);
+    recordData.patientAgeAtExam = ageOn(customer.dateOfBirth, recordData.date);
+  } else if (customer?.name) {
+    recordData.patientAgeAtExam = null;
+  }
+  return recordData;
+};
+
+// Filter shared by the record list and export: shop, customer, an optional
+// examination date range and clinical findings
+const buildRecordFilter = (req) => {
+  const {
+    customerId,
+    startDate,
+    endDate,
+    examinationType,
+    section,
+    iopAbove,
+    cdRatioAbove,
+    colorVision,
+    diagnosisCode
+  } = req.query;
+  const shopId = req.user.shop?._id || req.user.shop;
+
+  const query = { shop: shopId };
+  const conditions = [];
+
+  if (customerId) {
+    query.customer = customerId;
+  }
+
+  if (examinationType) {
+    query.examinationType = examinationType;
+  }
+
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+
+  // Records that have the given clinical section(s), e.g. ?section=iop,fundus
+  if (section) {
+    section.split(',').forEach(name => {
+      query[name.trim()] = { $exists: true };
+    });
+  }
+
+  // Either eye above the value, e.g. ?iopAbove=21
+  if (iopAbove !== undefined) {
+    const value = parseFloat(iopAbove);
+    conditions.push({ $or: [{ 'iop.right_eye': { $gt: value } }, { 'iop.left_eye': { $gt: value } }] });
+  }
+
+  if (cdRatioAbove !== undefined) {
+    const value = parseFloat(cdRatioAbove);
+    conditions.push({
+      $or: [{ 'fundus.right_eye.cdRatio': { $gt: value } }, { 'fundus.left_eye.cdRatio': { $gt: value } }]
+    });
+  }
+
+  if (colorVision) {
+    conditions.push({ $or: [{ 'colorVision.right_eye': colorVision }, { 'colorVision.left_eye': colorVision }] });
+  }
+
+  // A whole category matches too, e.g. ?diagnosisCode=H40 for any glaucoma
+  if (diagnosisCode) {
+    const code = normalizeCode(diagnosisCode);
+    query['diagnoses.code'] = code.includes('.') ? code : { $regex: `^${code}(\\.|$)` };
+  }
+
+  if (conditions.length) {
+    query.$and = conditions;
+  }
+
+  return query;
+};
 
 const getRecords = async (req, res) => {
   try {
-    const { page = 1, limit = 10, customerId, startDate, endDate } = req.query;
-    const shopId = req.user.shop?._id || req.user.shop;
-
-    const query = { shop: shopId };
-    
-    if (customerId) {
-      query.customer = customerId;
-    }
-    
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
-    }
+    const { page = 1, limit = 10 } = req.query;
+    const query = buildRecordFilter(req);
 
     const records = await OptometryRecord.find(query)
-      .populate('customer', 'name age sex phone')
+      .populate('customer', 'name age dateOfBirth sex phone')
       .sort({ date: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -27,7 +134,7 @@ const getRecords = async (req, res) => {
     const total = await OptometryRecord.countDocuments(query);
 
     res.json({
-      records,
+      records: records.map(toRecordResponse),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -38,19 +145,99 @@ const getRecords = async (req, res) => {
   }
 };
 
+// One column per eye, distance/near and measurement, e.g. "Right DV SPH"
+const eyeColumns = () => {
+  const columns = [];
+  [['right_eye', 'Right'], ['left_eye', 'Left']].forEach(([eye, eyeLabel]) => {
+    [['dv', 'DV'], ['add', 'ADD']].forEach(([part, partLabel]) => {
+      ['sph', 'cyl', 'axis', 'va'].forEach(field => {
+        columns.push(column(`${eyeLabel} ${partLabel} ${field.toUpperCase()}`, `${eye}.${part}.${field}`));
+      });
+    });
+  });
+  return columns;
+};
+
+// Columns for CSV/XLSX exports, with the eye structures flattened
+const RECORD_EXPORT_COLUMNS = [
+  column('ID', doc => doc._id.toString()),
+  column('Date', 'date'),
+  column('Customer', 'customer.name'),
+  column('Customer Phone', 'customer.phone'),
+  column('Age At Exam', doc => (doc.customer?.dateOfBirth ? ageOn(doc.customer.dateOfBirth, doc.date) : null)),
+  column('Examination Type', 'examinationType'),
+  column('Status', 'status'),
+  ...eyeColumns(),
+  column('PH', 'ph'),
+  column('Prism', 'prism'),
+  column('Base', 'base'),
+  column('PD', 'pd'),
+  column('Prescription Type', 'prescriptionType'),
+  column('Lens Type', 'lensType'),
+  column('Frame', 'frame'),
+  column('Right IOP', 'iop.right_eye'),
+  column('Left IOP', 'iop.left_eye'),
+  column('IOP Method', 'iop.method'),
+  column('Right C/D', 'fundus.right_eye.cdRatio'),
+  column('Left C/D', 'fundus.left_eye.cdRatio'),
+  column('Optometrist', 'optometrist'),
+  column('Assistant', 'assistant'),
+  column('Chief Complaint', 'chiefComplaint'),
+  column('Diagnosis', 'diagnosis'),
+  column('Diagnosis Codes', doc => (doc.diagnoses || []).map(item => item.code)),
+  column('Recommendations', 'recommendations'),
+  column('Notes', 'notes'),
+  column('Next Appointment', 'nextAppointment'),
+  column('Signed By', 'signedBy'),
+  column('Signature Date', 'signatureDate')
+];
+
+// Stream the filtered record list as CSV, XLSX or JSON (?format=)
+const exportRecords = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    const query = buildRecordFilter(req);
+
+    await logAudit(req, {
+      action: 'export',
+      entity: 'record',
+      description: `Exported records as ${format.toUpperCase()}`,
+      metadata: { format, filters: req.query }
+    });
+
+    const cursor = OptometryRecord.find(query)
+      .populate('customer', 'name age dateOfBirth sex phone')
+      .sort({ date: -1 })
+      .lean()
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      fileName: 'records',
+      sheetName: 'Records',
+      columns: RECORD_EXPORT_COLUMNS,
+      cursor,
+      toJson: (record) => withPatientAge({ ...record, computed: computePrescription(record) })
+    });
+  } catch (error) {
+    console.error('Export records error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 const getRecordById = async (req, res) => {
   try {
     const record = await OptometryRecord.findOne({
       _id: req.params.id,
       shop: req.user.shop?._id || req.user.shop
-    }).populate('customer', 'name age sex phone email address');
+    }).populate('customer', 'name age dateOfBirth sex phone email address');
 
     if (!record) {
       return res.status(404).json({ message: 'Record not found' });
     }
 
     // Convert to plain object and ensure all fields are properly included
-    const recordData = record.toObject ? record.toObject() : { ...record._doc };
+    const recordData = toRecordResponse(record);
 
     // Debug: Log the raw record data
     console.log('Raw record data:', JSON.stringify({
@@ -60,6 +247,13 @@ const getRecordById = async (req, res) => {
       left_eye_add_va: recordData.left_eye?.add?.va
     }, null, 2));
 
+    await logAudit(req, {
+      action: 'view',
+      entity: 'record',
+      entityId: record._id,
+      shop: record.shop
+    });
+
     res.json(recordData);
   } catch (error) {
     console.error('Get record error:', error);
@@ -83,57 +277,40 @@ const createRecord = async (req, res) => {
 
     console.log("req.body :", req.body);
 
-    // Enhanced transformation function to handle all fields including VA
-    const transformEyeData = (eyeData) => {
-      if (!eyeData) return { dv: {}, add: {} };
-      
-      const transformed = {
-        dv: {
-          sph: eyeData.dv?.sph || '',
-          cyl: eyeData.dv?.cyl || '',
-          axis: eyeData.dv?.axis || '',
-          va: eyeData.dv?.va || ''
-        },
-        add: {
-          sph: eyeData.nv?.sph || eyeData.add?.sph || '',
-          cyl: eyeData.nv?.cyl || eyeData.add?.cyl || '',
-          axis: eyeData.nv?.axis || eyeData.add?.axis || '',
-          va: eyeData.nv?.va || eyeData.add?.va || ''
-        }
-      };
-      
-      return transformed;
-    };
+    // Parse raw eye values into structured numeric values
+    const prescription = parsePrescription(req.body);
+
+    if (prescription.errors.length) {
+      return res.status(400).json({
+        message: 'Invalid prescription values',
+        errors: prescription.errors
+      });
+    }
 
-    // Ensure eye structure is properly formatted with all fields
     const recordData = {
-      ...req.body,
+      ...withoutProtectedFields(req.body),
       shop: shopId,
-      right_eye: transformEyeData(req.body.right_eye),
-      left_eye: transformEyeData(req.body.left_eye)
+      // Completed only by signing
+      status: req.body.status || 'draft',
+      right_eye: prescription.right_eye,
+      left_eye: prescription.left_eye
     };
 
-    // Remove any nv fields to avoid schema conflicts
-    if (recordData.right_eye && recordData.right_eye.nv) {
-      delete recordData.right_eye.nv;
-    }
-    if (recordData.left_eye && recordData.left_eye.nv) {
-      delete recordData.left_eye.nv;
-    }
-
     console.log("Processed record data:", JSON.stringify(recordData, null, 2));
 
     const record = new OptometryRecord(recordData);
     await record.save();
 
+    await trackRecordChange(req, record, 'create');
+
     // Update customer's last visit
     await customer.updateLastVisit();
 
     // Populate customer details for response
-    await record.populate('customer', 'name age sex phone email address');
+    await record.populate('customer', 'name age dateOfBirth sex phone email address');
 
     // Convert to plain object for consistent response
-    const responseRecord = record.toObject ? record.toObject() : { ...record._doc };
+    const responseRecord = toRecordResponse(record);
 
     res.status(201).json({
       message: 'Record created successfully',
@@ -153,55 +330,76 @@ const createRecord = async (req, res) => {
 
 const updateRecord = async (req, res) => {
   try {
-    // Enhanced transformation for update as well
-    const transformEyeData = (eyeData) => {
-      if (!eyeData) return { dv: {}, add: {} };
-      
-      return {
-        dv: {
-          sph: eyeData.dv?.sph || '',
-          cyl: eyeData.dv?.cyl || '',
-          axis: eyeData.dv?.axis || '',
-          va: eyeData.dv?.va || ''
-        },
-        add: {
-          sph: eyeData.nv?.sph || eyeData.add?.sph || '',
-          cyl: eyeData.nv?.cyl || eyeData.add?.cyl || '',
-          axis: eyeData.nv?.axis || eyeData.add?.axis || '',
-          va: eyeData.nv?.va || eyeData.add?.va || ''
-        }
-      };
+    const filter = {
+      _id: req.params.id,
+      shop: req.user.shop?._id || req.user.shop
     };
 
+    const existing = await OptometryRecord.findOne(filter);
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    if (existing.isLocked) {
+      return res.status(409).json({
+        message: 'This record has been signed and is locked. Submit an amendment to change it.'
+      });
+    }
+
+    // Parse raw eye values into structured numeric values
+    const prescription = parsePrescription(req.body);
+
+    if (prescription.errors.length) {
+      return res.status(400).json({
+        message: 'Invalid prescription values',
+        errors: prescription.errors
+      });
+    }
+
     const updateData = {
-      ...req.body,
-      right_eye: transformEyeData(req.body.right_eye),
-      left_eye: transformEyeData(req.body.left_eye)
+      ...withoutProtectedFields(req.body),
+      right_eye: prescription.right_eye,
+      left_eye: prescription.left_eye
     };
 
-    // Remove nv fields
-    if (updateData.right_eye && updateData.right_eye.nv) {
-      delete updateData.right_eye.nv;
+    // Update queries skip the document hooks, so check diagnoses and the
+    // contact lens here
+    if (Array.isArray(req.body.diagnoses)) {
+      const { diagnoses, errors } = resolveDiagnoses(req.body.diagnoses);
+      if (errors.length) {
+        return res.status(400).json({
+          message: 'Invalid diagnoses',
+          errors
+        });
+      }
+      updateData.diagnoses = diagnoses;
     }
-    if (updateData.left_eye && updateData.left_eye.nv) {
-      delete updateData.left_eye.nv;
+
+    if (req.body.contact_lens) {
+      const contactLensErrors = validateContactLens(req.body.contact_lens);
+      if (contactLensErrors.length) {
+        return res.status(400).json({
+          message: 'Invalid contact lens values',
+          errors: contactLensErrors
+        });
+      }
     }
 
     const record = await OptometryRecord.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        shop: req.user.shop?._id || req.user.shop
-      },
+      { ...filter, isLocked: { $ne: true } },
       updateData,
       { new: true, runValidators: true }
-    ).populate('customer', 'name age sex phone email address');
+    ).populate('customer', 'name age dateOfBirth sex phone email address');
 
     if (!record) {
       return res.status(404).json({ message: 'Record not found' });
     }
 
+    await trackRecordChange(req, record, 'update', existing.toObject({ depopulate: true }));
+
     // Convert to plain object for consistent response
-    const responseRecord = record.toObject ? record.toObject() : { ...record._doc };
+    const responseRecord = toRecordResponse(record);
 
     res.json({
       message: 'Record updated successfully',
@@ -219,9 +417,10 @@ const updateRecord = async (req, res) => {
   }
 };
 
+// Soft delete; the record can be restored from its revision history
 const deleteRecord = async (req, res) => {
   try {
-    const record = await OptometryRecord.findOneAndDelete({
+    const record = await OptometryRecord.findOne({
       _id: req.params.id,
       shop: req.user.shop?._id || req.user.shop
     });
@@ -230,6 +429,19 @@ const deleteRecord = async (req, res) => {
       return res.status(404).json({ message: 'Record not found' });
     }
 
+    if (record.isLocked) {
+      return res.status(409).json({ message: 'Signed records cannot be deleted' });
+    }
+
+    const previous = record.toObject({ depopulate: true });
+
+    record.isDeleted = true;
+    record.deletedAt = new Date();
+    record.deletedBy = req.user._id;
+    await record.save();
+
+    await trackRecordChange(req, record, 'delete', previous);
+
     res.json({ message: 'Record deleted successfully' });
   } catch (error) {
     console.error('Delete record error:', error);
@@ -237,6 +449,216 @@ const deleteRecord = async (req, res) => {
   }
 };
 
+const restoreRecord = async (req, res) => {
+  try {
+    const record = await OptometryRecord.findOne({
+      _id: req.params.id,
+      shop: req.user.shop?._id || req.user.shop,
+      isDeleted: true
+    });
+
+    if (!record) {
+      return res.status(404).json({ message: 'Deleted record not found' });
+    }
+
+    const previous = record.toObject({ depopulate: true });
+
+    record.isDeleted = false;
+    record.deletedAt = undefined;
+    record.deletedBy = undefined;
+    await record.save();
+
+    await trackRecordChange(req, record, 'restore', previous);
+    await record.populate('customer', 'name age dateOfBirth sex phone email address');
+
+    res.json({
+      message: 'Record restored successfully',
+      record: toRecordResponse(record)
+    });
+  } catch (error) {
+    console.error('Restore record error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getDeletedRecords = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = {
+      shop: req.user.shop?._id || req.user.shop,
+      isDeleted: true
+    };
+
+    const records = await OptometryRecord.find(query)
+      .populate('customer', 'name age dateOfBirth sex phone')
+      .populate('deletedBy', 'name')
+      .sort({ deletedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await OptometryRecord.countDocuments(query);
+
+    res.json({
+      records,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get deleted records error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Sign a record, marking it completed and locking it against further edits
+const signRecord = async (req, res) => {
+  try {
+    if (!req.user.licenseNumber) {
+      return res.status(403).json({
+        message: 'Only optometrists with a license number on their profile can sign records'
+      });
+    }
+
+    const record = await OptometryRecord.findOne({
+      _id: req.params.id,
+      shop: req.user.shop?._id || req.user.shop
+    });
+
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    if (record.isLocked) {
+      return res.status(409).json({ message: 'Record is already signed' });
+    }
+
+    if (record.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cancelled records cannot be signed' });
+    }
+
+    const previous = record.toObject({ depopulate: true });
+    await record.sign(req.user);
+    await trackRecordChange(req, record, 'sign', previous);
+    await record.populate('customer', 'name age dateOfBirth sex phone email address');
+
+    res.json({
+      message: 'Record signed successfully',
+      record: toRecordResponse(record)
+    });
+  } catch (error) {
+    console.error('Sign record error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Fields that can be changed through an amendment
+const AMENDABLE_FIELDS = [...new Set(
+  Object.keys(OptometryRecord.schema.paths).map(path => path.split('.')[0])
+)].filter(field => ![
+  ...OptometryRecord.PROTECTED_FIELDS,
+  '_id',
+  '__v',
+  'customer',
+  'status',
+  'createdAt',
+  'updatedAt'
+].includes(field));
+
+// Comparable plain value (subdocument ids are ignored)
+const comparableValue = (value) => {
+  const plain = value && value.toObject ? value.toObject() : value;
+  return JSON.stringify(plain === undefined ? null : plain, (key, val) => (key === '_id' ? undefined : val));
+};
+
+// Amend a signed record, keeping the previous values of every changed field
+const amendRecord = async (req, res) => {
+  try {
+    const { reason, changes } = req.body;
+
+    const record = await OptometryRecord.findOne({
+      _id: req.params.id,
+      shop: req.user.shop?._id || req.user.shop
+    });
+
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    if (!record.isLocked) {
+      return res.status(400).json({ message: 'Only signed records need amendments. Update the record instead.' });
+    }
+
+    const invalidFields = Object.keys(changes).filter(field => !AMENDABLE_FIELDS.includes(field));
+    if (invalidFields.length) {
+      return res.status(400).json({
+        message: 'Some fields cannot be amended',
+        errors: invalidFields.map(field => ({ field, message: 'Field cannot be amended' }))
+      });
+    }
+
+    const newValues = { ...changes };
+
+    // Parse raw eye values for the eyes being amended
+    const eyeErrors = [];
+    ['right_eye', 'left_eye'].forEach(side => {
+      if (changes[side] === undefined) return;
+      const { eye, errors } = parseEye(changes[side], side);
+      newValues[side] = eye;
+      eyeErrors.push(...errors);
+    });
+
+    if (eyeErrors.length) {
+      return res.status(400).json({
+        message: 'Invalid prescription values',
+        errors: eyeErrors
+      });
+    }
+
+    const previous = record.toObject({ depopulate: true });
+    const changed = [];
+    Object.keys(newValues).forEach(field => {
+      const previousValue = record.get(field);
+      if (comparableValue(previousValue) === comparableValue(newValues[field])) return;
+
+      changed.push({
+        field,
+        previousValue: JSON.parse(comparableValue(previousValue)),
+        newValue: JSON.parse(comparableValue(newValues[field]))
+      });
+      record.set(field, newValues[field]);
+    });
+
+    if (!changed.length) {
+      return res.status(400).json({ message: 'The amendment does not change any values' });
+    }
+
+    record.amendments.push({
+      amendedBy: req.user._id,
+      amendedByName: req.user.name,
+      reason,
+      changes: changed
+    });
+
+    await record.save();
+    await trackRecordChange(req, record, 'amend', previous);
+    await record.populate('customer', 'name age dateOfBirth sex phone email address');
+
+    res.json({
+      message: 'Record amended successfully',
+      record: toRecordResponse(record)
+    });
+  } catch (error) {
+    console.error('Amend record error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 const getCustomerRecords = async (req, res) => {
   try {
     const { customerId } = req.params;
@@ -256,13 +678,11 @@ const getCustomerRecords = async (req, res) => {
       customer: customerId,
       shop: shopId
     })
-    .populate('customer', 'name age sex phone email address')
+    .populate('customer', 'name age dateOfBirth sex phone email address')
     .sort({ date: -1 });
 
     // Convert all records to plain objects
-    const plainRecords = records.map(record => 
-      record.toObject ? record.toObject() : { ...record._doc }
-    );
+    const plainRecords = records.map(toRecordResponse);
 
     res.json({
       customer,
@@ -312,12 +732,214 @@ const getRecordsStats = async (req, res) => {
   }
 };
 
+const getPrescriptionPdf = async (req, res) => {
+  try {
+    const shopId = req.user.shop?._id || req.user.shop;
+
+    const record = await OptometryRecord.findOne({
+      _id: req.params.id,
+      shop: shopId
+    }).populate('customer', 'name age dateOfBirth sex phone');
+
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    if (record.status !== 'completed') {
+      return res.status(400).json({ message: 'Prescriptions can only be printed for completed records' });
+    }
+
+    const shop = await Shop.findById(shopId).select('name contact');
+    if (!shop) {
+      return res.status(404).json({ message: 'Shop not found' });
+    }
+
+    const doc = buildPrescriptionPdf({ record, customer: record.customer, shop });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="prescription-${record._id}.pdf"`);
+
+    await logAudit(req, {
+      action: 'export',
+      entity: 'record',
+      entityId: record._id,
+      shop: record.shop,
+      description: 'Printed prescription PDF'
+    });
+
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('Get prescription PDF error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Resolve the progression threshold from the query or the shop settings
+const resolveThreshold = async (req, shopId) => {
+  const queryThreshold = parseFloat(req.query.threshold);
+  if (!isNaN(queryThreshold) && queryThreshold > 0) return queryThreshold;
+
+  const shop = await Shop.findById(shopId).select('settings.clinical');
+  return getShopThreshold(shop);
+};
+
+const getCustomerProgression = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const shopId = req.user.shop?._id || req.user.shop;
+
+    // Verify customer belongs to the same shop
+    const customer = await Customer.findOne({
+      _id: customerId,
+      shop: shopId
+    }).select('name age dateOfBirth sex');
+
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found or access denied' });
+    }
+
+    const records = await OptometryRecord.find({
+      customer: customerId,
+      shop: shopId,
+      status: 'completed'
+    })
+    .select('date right_eye left_eye')
+    .sort({ date: 1 })
+    .lean();
+
+    const threshold = await resolveThreshold(req, shopId);
+
+    res.json({
+      customer,
+      ...getProgression(records, threshold)
+    });
+  } catch (error) {
+    console.error('Get customer progression error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// List customers whose prescription progression exceeds the threshold
+const getProgressionAlerts = async (req, res) => {
+  try {
+    const shopId = req.user.shop?._id || req.user.shop;
+    const threshold = await resolveThreshold(req, shopId);
+
+    // Stream records grouped by customer so large shops are not loaded at once
+    const cursor = OptometryRecord.find({ shop: shopId, status: 'completed' })
+      .select('customer date right_eye left_eye')
+      .sort({ customer: 1, date: 1 })
+      .lean()
+      .cursor();
+
+    const alerts = [];
+    let currentCustomer = null;
+    let customerRecords = [];
+
+    const evaluate = () => {
+      if (customerRecords.length < 2) return;
+      const progression = getProgression(customerRecords, threshold);
+      if (progression.flagged) {
+        alerts.push({
+          customer: currentCustomer,
+          visits: progression.visits,
+          flaggedEyes: progression.flaggedEyes,
+          right_eye: {
+            annualRate: progression.right_eye.annualRate,
+            totalChange: progression.right_eye.totalChange
+          },
+          left_eye: {
+            annualRate: progression.left_eye.annualRate,
+            totalChange: progression.left_eye.totalChange
+          },
+          lastVisit: customerRecords[customerRecords.length - 1].date
+        });
+      }
+    };
+
+    for await (const record of cursor) {
+      if (!currentCustomer || record.customer.toString() !== currentCustomer.toString()) {
+        evaluate();
+        currentCustomer = record.customer;
+        customerRecords = [];
+      }
+      customerRecords.push(record);
+    }
+    evaluate();
+
+    const customers = await Customer.find({ _id: { $in: alerts.map(alert => alert.customer) } })
+      .select('name age dateOfBirth sex phone');
+    const customersById = new Map(customers.map(customer => [customer._id.toString(), customer]));
+
+    res.json({
+      threshold,
+      total: alerts.length,
+      alerts: alerts.map(alert => ({
+        ...alert,
+        customer: customersById.get(alert.customer.toString()) || alert.customer
+      }))
+    });
+  } catch (error) {
+    console.error('Get progression alerts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Transpose an arbitrary prescription and compute derived values
+const transposePrescription = async (req, res) => {
+  try {
+    const { parsed, errors } = parseMeasurement(req.body, 'prescription', 'dv');
+    const add = parseMeasurement({ sph: req.body.add }, 'prescription', 'add');
+
+    if (add.errors.length) {
+      errors.push({ field: 'prescription.add', message: add.errors[0].message });
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        message: 'Invalid prescription values',
+        errors
+      });
+    }
+
+    if (parsed.sph === null && parsed.cyl === null) {
+      return res.status(400).json({ message: 'Sphere or cylinder is required' });
+    }
+
+    const input = { sph: parsed.sph, cyl: parsed.cyl, axis: parsed.axis };
+    const minusCylinder = toMinusCylinder(input);
+
+    res.json({
+      input,
+      transposed: transpose(input),
+      minusCylinder,
+      plusCylinder: toPlusCylinder(input),
+      sphericalEquivalent: sphericalEquivalent(input),
+      add: add.parsed.sph,
+      near: nearPrescription(minusCylinder, add.parsed.sph)
+    });
+  } catch (error) {
+    console.error('Transpose prescription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   getRecords,
+  exportRecords,
   getRecordById,
   createRecord,
   updateRecord,
   deleteRecord,
   getCustomerRecords,
-  getRecordsStats
+  getRecordsStats,
+  transposePrescription,
+  getCustomerProgression,
+  getProgressionAlerts,
+  getPrescriptionPdf,
+  signRecord,
+  amendRecord,
+  restoreRecord,
+  getDeletedRecords
 };
\ No newline at end of file
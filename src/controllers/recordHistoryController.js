@@ -0,0 +1,113 @@
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const RecordRevision = require('../Models/RecordRevision.js');
+const { diffObjects, changedFields } = require('../utils/objectDiff.js');
+
+// Verify the record (including soft-deleted ones) belongs to the user's shop
+const findShopRecord = (req) => OptometryRecord.findOne({
+  _id: req.params.id,
+  shop: req.user.shop?._id || req.user.shop
+})
+  .setOptions({ withDeleted: true })
+  .select('_id isDeleted');
+
+const getRecordRevisions = async (req, res) => {
+  try {
+    const record = await findShopRecord(req);
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    const revisions = await RecordRevision.find({ record: record._id })
+      .select('-snapshot -changes')
+      .populate('changedBy', 'name email role')
+      .sort({ version: -1 });
+
+    res.json({
+      record: record._id,
+      isDeleted: record.isDeleted,
+      revisions,
+      total: revisions.length
+    });
+  } catch (error) {
+    console.error('Get record revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const getRecordRevision = async (req, res) => {
+  try {
+    const record = await findShopRecord(req);
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    const revision = await RecordRevision.findOne({
+      record: record._id,
+      version: parseInt(req.params.version)
+    }).populate('changedBy', 'name email role');
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Get record revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Compare two revisions: ?from=<version>&to=<version> (to defaults to the latest)
+const diffRecordRevisions = async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = req.query.to ? parseInt(req.query.to) : null;
+
+    if (!from) {
+      return res.status(400).json({ message: 'The "from" version is required' });
+    }
+
+    const record = await findShopRecord(req);
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      RecordRevision.findOne({ record: record._id, version: from }),
+      to
+        ? RecordRevision.findOne({ record: record._id, version: to })
+        : RecordRevision.findOne({ record: record._id }).sort({ version: -1 })
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const changes = diffObjects(fromRevision.snapshot, toRevision.snapshot);
+
+    res.json({
+      record: record._id,
+      from: {
+        version: fromRevision.version,
+        action: fromRevision.action,
+        createdAt: fromRevision.createdAt
+      },
+      to: {
+        version: toRevision.version,
+        action: toRevision.action,
+        createdAt: toRevision.createdAt
+      },
+      changedFields: changedFields(changes),
+      changes
+    });
+  } catch (error) {
+    console.error('Diff record revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getRecordRevisions,
+  getRecordRevision,
+  diffRecordRevisions
+};
@@ -1,6 +1,7 @@
 const User = require('../Models/User.js');
 const Shop = require('../Models/Shop.js');
 const { generateToken } = require('../utils/generateToken');
+const { logAudit } = require('../utils/auditLogger.js');
 
 // Get all users for a shop (shop owners and admin only)
 const getShopUsers = async (req, res) => {
@@ -69,6 +70,15 @@ const createShopUser = async (req, res) => {
 
     await user.save();
 
+    await logAudit(req, {
+      action: 'create',
+      entity: 'user',
+      entityId: user._id,
+      shop: shopId,
+      description: `Created user ${user.email}`,
+      metadata: { role: user.role }
+    });
+
     res.status(201).json({
       message: 'User created successfully',
       user: {
@@ -114,6 +124,15 @@ const updateShopUser = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    await logAudit(req, {
+      action: 'update',
+      entity: 'user',
+      entityId: user._id,
+      shop: shopId,
+      description: `Updated user ${user.email}`,
+      metadata: { fields: Object.keys(req.body) }
+    });
+
     res.json({
       message: 'User updated successfully',
       user
@@ -146,6 +165,14 @@ const deleteShopUser = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    await logAudit(req, {
+      action: 'delete',
+      entity: 'user',
+      entityId: user._id,
+      shop: shopId,
+      description: `Deactivated user ${user.email}`
+    });
+
     res.json({
       message: 'User deleted successfully',
       user
@@ -192,6 +219,14 @@ const resetUserPassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    await logAudit(req, {
+      action: 'password_reset',
+      entity: 'user',
+      entityId: user._id,
+      shop: shopId,
+      description: `Reset password for user ${user.email}`
+    });
+
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
     console.error('Reset user password error:', error);
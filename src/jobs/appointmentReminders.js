@@ -0,0 +1,46 @@
+const moment = require('moment');
+const Appointment = require('../Models/Appointment.js');
+const Shop = require('../Models/Shop.js');
+const { notifyAppointment } = require('../utils/notifications.js');
+
+const REMINDER_HOURS = 24;
+
+// Queue a reminder email for appointments starting within the next day.
+// Each appointment is claimed first so it is reminded only once.
+const sendAppointmentReminders = async () => {
+  const now = new Date();
+  const appointments = await Appointment.find({
+    status: { $in: ['scheduled', 'confirmed'] },
+    startTime: { $gt: now, $lte: moment(now).add(REMINDER_HOURS, 'hours').toDate() },
+    reminderSentAt: null
+  }).select('shop customer startTime type confirmationCode');
+
+  const shops = new Map();
+  let queued = 0;
+
+  for (const appointment of appointments) {
+    const claimed = await Appointment.updateOne(
+      { _id: appointment._id, reminderSentAt: null },
+      { $set: { reminderSentAt: now } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const shopId = appointment.shop.toString();
+    if (!shops.has(shopId)) {
+      shops.set(shopId, await Shop.findById(shopId).select('name contact settings.notifications settings.timezone'));
+    }
+
+    const email = await notifyAppointment(appointment, 'appointment_reminder', { shop: shops.get(shopId) });
+    if (email.status === 'queued') queued += 1;
+  }
+
+  if (queued > 0) {
+    console.log(`🔔 Queued ${queued} appointment reminders`);
+  }
+
+  return queued;
+};
+
+module.exports = {
+  sendAppointmentReminders
+};
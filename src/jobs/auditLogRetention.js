@@ -0,0 +1,30 @@
+const Shop = require('../Models/Shop.js');
+const AuditLog = require('../Models/AuditLog.js');
+
+const DEFAULT_RETENTION_DAYS = 365;
+
+// Purge audit log entries older than each shop's dataRetention.auditLogs setting
+const purgeExpiredAuditLogs = async () => {
+  const shops = await Shop.find({}).select('name settings.dataRetention.auditLogs');
+  let purged = 0;
+
+  for (const shop of shops) {
+    const days = shop.settings?.dataRetention?.auditLogs || DEFAULT_RETENTION_DAYS;
+    const result = await AuditLog.purgeOlderThan(shop._id, days);
+    purged += result.deletedCount || 0;
+  }
+
+  // Entries without a shop (e.g. admin logins, unknown emails) use the default
+  const result = await AuditLog.purgeOlderThan(null, DEFAULT_RETENTION_DAYS);
+  purged += result.deletedCount || 0;
+
+  if (purged > 0) {
+    console.log(`🧹 Purged ${purged} expired audit log entries`);
+  }
+
+  return purged;
+};
+
+module.exports = {
+  purgeExpiredAuditLogs
+};
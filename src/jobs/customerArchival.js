@@ -0,0 +1,181 @@
+const Shop = require('../Models/Shop.js');
+const Customer = require('../Models/Customer.js');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const Appointment = require('../Models/Appointment.js');
+const RecordRevision = require('../Models/RecordRevision.js');
+const Attachment = require('../Models/Attachment.js');
+const ArchivedCustomer = require('../Models/ArchivedCustomer.js');
+const Recall = require('../Models/Recall.js');
+const Invoice = require('../Models/Invoice.js');
+const Payment = require('../Models/Payment.js');
+const Order = require('../Models/Order.js');
+
+const DEFAULT_RETENTION_DAYS = 3650;
+
+// Invoices still being written or paid, and orders not yet finished, keep a
+// customer out of the archive
+const OPEN_INVOICE_STATUSES = ['draft', ...Invoice.PAYABLE_STATUSES];
+const CLOSED_ORDER_STATUSES = ['collected', 'cancelled'];
+
+const getRetentionDays = (shop) => shop.settings?.dataRetention?.customerRecords || DEFAULT_RETENTION_DAYS;
+
+const getCutoffDate = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+// Customers of a shop with no visit within the retention window. Customers
+// with appointments inside the window, restored from the archive within it,
+// or with open invoices or orders are kept.
+const findArchivableCustomers = async (shop) => {
+  const retentionDays = getRetentionDays(shop);
+  const cutoff = getCutoffDate(retentionDays);
+
+  const candidates = await Customer.find({
+    shop: shop._id,
+    $and: [
+      {
+        $or: [
+          { lastVisit: { $lt: cutoff } },
+          { lastVisit: null, createdAt: { $lt: cutoff } }
+        ]
+      },
+      {
+        $or: [
+          { restoredFromArchiveAt: null },
+          { restoredFromArchiveAt: { $lt: cutoff } }
+        ]
+      }
+    ]
+  }).lean();
+
+  if (!candidates.length) {
+    return { retentionDays, cutoff, customers: [] };
+  }
+
+  const candidateIds = candidates.map(customer => customer._id);
+  const [recentlyBooked, openInvoices, openOrders] = await Promise.all([
+    Appointment.distinct('customer', {
+      shop: shop._id,
+      customer: { $in: candidateIds },
+      startTime: { $gte: cutoff }
+    }),
+    Invoice.distinct('customer', {
+      shop: shop._id,
+      customer: { $in: candidateIds },
+      status: { $in: OPEN_INVOICE_STATUSES }
+    }),
+    Order.distinct('customer', {
+      shop: shop._id,
+      customer: { $in: candidateIds },
+      status: { $nin: CLOSED_ORDER_STATUSES }
+    })
+  ]);
+  const keptIds = new Set([...recentlyBooked, ...openInvoices, ...openOrders].map(id => id.toString()));
+
+  return {
+    retentionDays,
+    cutoff,
+    customers: candidates.filter(customer => !keptIds.has(customer._id.toString()))
+  };
+};
+
+// Move inactive customers of one shop to the archive, together with their
+// records, record revisions, appointments, attachments, invoices, payments
+// and orders. With dryRun nothing is changed and the report lists what would
+// be archived.
+const archiveShopCustomers = async (shop, { dryRun = false, user } = {}) => {
+  const { retentionDays, cutoff, customers } = await findArchivableCustomers(shop);
+
+  const report = {
+    shop: { id: shop._id, name: shop.name },
+    retentionDays,
+    cutoff,
+    dryRun,
+    customers: []
+  };
+
+  for (const customer of customers) {
+    const records = await OptometryRecord.find({ customer: customer._id, shop: shop._id })
+      .setOptions({ withDeleted: true })
+      .lean();
+    const recordIds = records.map(record => record._id);
+
+    const [revisions, appointments, attachments, invoices, payments, orders] = await Promise.all([
+      RecordRevision.find({ record: { $in: recordIds } }).lean(),
+      Appointment.find({ customer: customer._id, shop: shop._id }).lean(),
+      Attachment.find({ customer: customer._id, shop: shop._id }).lean(),
+      Invoice.find({ customer: customer._id, shop: shop._id }).lean(),
+      Payment.find({ customer: customer._id, shop: shop._id }).lean(),
+      Order.find({ customer: customer._id, shop: shop._id }).lean()
+    ]);
+
+    report.customers.push({
+      id: customer._id,
+      name: customer.name,
+      lastVisit: customer.lastVisit,
+      recordCount: records.length,
+      appointmentCount: appointments.length,
+      attachmentCount: attachments.length,
+      invoiceCount: invoices.length,
+      orderCount: orders.length
+    });
+
+    if (dryRun) continue;
+
+    // Write the archive entry first so nothing is lost if a delete fails
+    await ArchivedCustomer.create({
+      shop: shop._id,
+      customerId: customer._id,
+      customerName: customer.name,
+      lastVisit: customer.lastVisit,
+      recordCount: records.length,
+      customer,
+      records,
+      revisions,
+      appointments,
+      attachments,
+      invoices,
+      payments,
+      orders,
+      retentionDays,
+      archivedBy: user?._id
+    });
+
+    // Revisions are append-only through the model, so use the collection
+    await RecordRevision.collection.deleteMany({ _id: { $in: revisions.map(revision => revision._id) } });
+    await Appointment.collection.deleteMany({ _id: { $in: appointments.map(appointment => appointment._id) } });
+    await Attachment.collection.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+    await Payment.collection.deleteMany({ _id: { $in: payments.map(payment => payment._id) } });
+    await Invoice.collection.deleteMany({ _id: { $in: invoices.map(invoice => invoice._id) } });
+    await Order.collection.deleteMany({ _id: { $in: orders.map(order => order._id) } });
+    await OptometryRecord.collection.deleteMany({ _id: { $in: recordIds } });
+    await Customer.collection.deleteOne({ _id: customer._id });
+    await Recall.deleteOne({ shop: shop._id, customer: customer._id });
+  }
+
+  report.total = report.customers.length;
+  report.recordCount = report.customers.reduce((sum, customer) => sum + customer.recordCount, 0);
+
+  return report;
+};
+
+// Scheduled job: archive inactive customers for every active shop. It only
+// logs what would be archived unless ARCHIVE_CUSTOMERS=true is set.
+const archiveInactiveCustomers = async ({ dryRun = process.env.ARCHIVE_CUSTOMERS !== 'true' } = {}) => {
+  const shops = await Shop.find({ isActive: true }).select('name settings.dataRetention');
+  const reports = [];
+
+  for (const shop of shops) {
+    const report = await archiveShopCustomers(shop, { dryRun });
+    if (report.total > 0) {
+      console.log(`🗄️ ${dryRun ? 'Would archive' : 'Archived'} ${report.total} customers (${report.recordCount} records) for shop ${shop.name}`);
+      reports.push(report);
+    }
+  }
+
+  return reports;
+};
+
+module.exports = {
+  findArchivableCustomers,
+  archiveShopCustomers,
+  archiveInactiveCustomers
+};
@@ -0,0 +1,16 @@
+const { processOutbox } = require('../utils/notifications.js');
+
+// Send new emails and retry failed ones whose next attempt is due
+const sendQueuedEmails = async () => {
+  const processed = await processOutbox();
+
+  if (processed > 0) {
+    console.log(`📧 Processed ${processed} queued emails`);
+  }
+
+  return processed;
+};
+
+module.exports = {
+  sendQueuedEmails
+};
@@ -0,0 +1,33 @@
+const { scheduleJob, stopJobs } = require('./scheduler.js');
+const { purgeExpiredAuditLogs } = require('./auditLogRetention.js');
+const { archiveInactiveCustomers } = require('./customerArchival.js');
+const { runScheduledBackups } = require('./shopBackup.js');
+const { refreshRecalls } = require('./recallRefresh.js');
+const { sendAppointmentReminders } = require('./appointmentReminders.js');
+const { sendQueuedEmails } = require('./emailOutbox.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Start all recurring background jobs (call once the database is connected)
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('⏸️ Background jobs disabled');
+    return;
+  }
+
+  scheduleJob('audit-log-retention', 24 * HOUR, purgeExpiredAuditLogs);
+  // Not run on start, so a restart never archives before anyone looks
+  scheduleJob('customer-archival', 24 * HOUR, archiveInactiveCustomers, { runOnStart: false });
+  scheduleJob('recall-refresh', 24 * HOUR, refreshRecalls);
+  // Checked hourly; each shop is backed up according to its backupFrequency
+  scheduleJob('shop-backup', HOUR, runScheduledBackups);
+  scheduleJob('appointment-reminders', HOUR, sendAppointmentReminders);
+  // Every email goes through the outbox, so it runs often
+  scheduleJob('email-outbox', MINUTE, sendQueuedEmails);
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
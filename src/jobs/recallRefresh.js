@@ -0,0 +1,23 @@
+const Shop = require('../Models/Shop.js');
+const { refreshShopRecalls } = require('../utils/recalls.js');
+
+// Recalculate recall due dates for every active shop
+const refreshRecalls = async () => {
+  const shops = await Shop.find({ isActive: true }).select('name settings.recalls');
+  let updated = 0;
+
+  for (const shop of shops) {
+    const result = await refreshShopRecalls(shop);
+    updated += result.updated;
+  }
+
+  if (updated > 0) {
+    console.log(`📅 Refreshed ${updated} recalls`);
+  }
+
+  return updated;
+};
+
+module.exports = {
+  refreshRecalls
+};
@@ -0,0 +1,40 @@
+// Minimal in-process scheduler for recurring background jobs
+
+const timers = new Map();
+
+// Run `task` every `intervalMs`, optionally once right away. Errors are
+// logged so one failed run does not stop the schedule.
+const scheduleJob = (name, intervalMs, task, { runOnStart = true } = {}) => {
+  if (timers.has(name)) {
+    clearInterval(timers.get(name));
+  }
+
+  const run = async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`❌ Job "${name}" failed:`, error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // Do not keep the process alive just for scheduled jobs
+  timer.unref();
+  timers.set(name, timer);
+
+  if (runOnStart) {
+    setImmediate(run);
+  }
+
+  console.log(`⏰ Scheduled job "${name}" every ${Math.round(intervalMs / 60000)} minutes`);
+};
+
+const stopJobs = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.clear();
+};
+
+module.exports = {
+  scheduleJob,
+  stopJobs
+};
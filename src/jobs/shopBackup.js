@@ -0,0 +1,48 @@
+const moment = require('moment');
+const Shop = require('../Models/Shop.js');
+const Backup = require('../Models/Backup.js');
+const { createShopBackup } = require('../utils/shopBackup.js');
+
+const FREQUENCY_UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month'
+};
+
+// A shop is due once its backupFrequency has passed since the last successful backup
+const isBackupDue = (shop, latestBackup, now = moment()) => {
+  if (!latestBackup) return true;
+
+  const frequency = shop.settings?.dataRetention?.backupFrequency || 'weekly';
+  return moment(latestBackup.createdAt).add(1, FREQUENCY_UNITS[frequency] || 'week').isSameOrBefore(now);
+};
+
+// Scheduled job: back up every active shop whose backupFrequency has elapsed
+const runScheduledBackups = async () => {
+  const shops = await Shop.find({ isActive: true }).select('name settings.dataRetention');
+  let completed = 0;
+
+  for (const shop of shops) {
+    const latestBackup = await Backup.findLatestForShop(shop._id);
+    if (!isBackupDue(shop, latestBackup)) continue;
+
+    try {
+      await createShopBackup(shop, { trigger: 'scheduled' });
+      completed++;
+    } catch (error) {
+      // Keep going so one failing shop does not block the others
+      console.error(`❌ Backup failed for shop ${shop.name}:`, error);
+    }
+  }
+
+  if (completed > 0) {
+    console.log(`💾 Backed up ${completed} shops`);
+  }
+
+  return completed;
+};
+
+module.exports = {
+  isBackupDue,
+  runScheduledBackups
+};
@@ -0,0 +1,53 @@
+const path = require('path');
+const multer = require('multer');
+const { MAX_ATTACHMENT_SIZE, ALLOWED_EXTENSIONS } = require('../utils/attachments.js');
+
+// Single-file upload kept in memory. `extensions` and `mimeTypes` restrict
+// what is accepted; multer errors are returned as 400 responses instead of
+// reaching the global error handler.
+const uploadSingle = (field, { maxSize = 5 * 1024 * 1024, extensions = [], mimeTypes = [] } = {}) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      const allowedExtension = !extensions.length || extensions.includes(extension);
+      const allowedMimeType = !mimeTypes.length || mimeTypes.includes(file.mimetype);
+
+      if (!allowedExtension || !allowedMimeType) {
+        const error = new Error(`Unsupported file type${extensions.length ? `. Allowed: ${extensions.join(', ')}` : ''}`);
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          message: `File is too large. Maximum size is ${Math.round(maxSize / (1024 * 1024))} MB`
+        });
+      }
+      if (error instanceof multer.MulterError || error.code === 'UNSUPPORTED_FILE_TYPE') {
+        return res.status(400).json({ message: error.message });
+      }
+      next(error);
+    });
+  };
+};
+
+// Customer and record attachments; the content itself is checked again
+// against its magic bytes before it is stored
+const attachmentUpload = uploadSingle('file', {
+  maxSize: MAX_ATTACHMENT_SIZE,
+  extensions: ALLOWED_EXTENSIONS
+});
+
+module.exports = {
+  uploadSingle,
+  attachmentUpload
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Customer = require('../Models/Customer.js');
+const { estimateDateOfBirth } = require('../utils/age.js');
+require('dotenv').config();
+
+// Estimate a date of birth for customers that only have a static age. The age
+// is assumed to have been recorded when the customer was created, so the
+// estimate is createdAt minus age (mid-year). Estimated dates are flagged with
+// dateOfBirthEstimated. Pass --dry-run to only report without writing.
+const migrateCustomerDateOfBirth = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/optometry_db');
+    console.log('Connected to MongoDB');
+    if (dryRun) console.log('Dry run: no customers will be modified');
+
+    const cursor = Customer.find({
+      dateOfBirth: null,
+      age: { $ne: null }
+    }).select('name age createdAt').lean().cursor();
+
+    let processed = 0;
+    let updated = 0;
+    const samples = [];
+
+    for await (const customer of cursor) {
+      processed++;
+
+      const dateOfBirth = estimateDateOfBirth(customer.age, customer.createdAt || customer._id.getTimestamp());
+
+      if (samples.length < 20) {
+        samples.push({
+          customer: customer._id.toString(),
+          name: customer.name,
+          age: customer.age,
+          createdAt: customer.createdAt,
+          dateOfBirth
+        });
+      }
+
+      if (!dryRun) {
+        await Customer.collection.updateOne(
+          { _id: customer._id },
+          { $set: { dateOfBirth, dateOfBirthEstimated: true } }
+        );
+        updated++;
+      }
+    }
+
+    console.log(`Processed ${processed} customers, updated ${updated}`);
+    if (samples.length) {
+      console.log('Sample estimates:');
+      console.table(samples);
+    }
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error migrating customer dates of birth:', error);
+    process.exit(1);
+  }
+};
+
+migrateCustomerDateOfBirth();
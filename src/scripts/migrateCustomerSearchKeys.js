@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Customer = require('../Models/Customer.js');
+const { buildSearchKeys } = require('../utils/searchKeys.js');
+require('dotenv').config();
+
+// Backfill the search keys (phone digits, name words and phonetic keys) used
+// by customer search. Safe to run again; every customer is recomputed.
+// Pass --dry-run to only count without writing.
+const migrateCustomerSearchKeys = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/optometry_db');
+    console.log('Connected to MongoDB');
+    if (dryRun) console.log('Dry run: no customers will be modified');
+
+    // Creates the text and key indexes if they do not exist yet
+    if (!dryRun) {
+      await Customer.syncIndexes();
+    }
+
+    const cursor = Customer.find({}).select('name phone').lean().cursor();
+
+    let processed = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length && !dryRun) {
+        await Customer.collection.bulkWrite(batch, { ordered: false });
+      }
+      batch = [];
+    };
+
+    for await (const customer of cursor) {
+      processed++;
+      batch.push({
+        updateOne: {
+          filter: { _id: customer._id },
+          update: { $set: buildSearchKeys({ name: customer.name, phone: customer.phone || '' }) }
+        }
+      });
+
+      if (batch.length === 500) {
+        await flush();
+      }
+    }
+    await flush();
+
+    console.log(`Processed ${processed} customers${dryRun ? '' : ', search keys updated'}`);
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error migrating customer search keys:', error);
+    process.exit(1);
+  }
+};
+
+migrateCustomerSearchKeys();
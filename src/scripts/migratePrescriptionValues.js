@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const { parseEye } = require('../utils/prescription.js');
+require('dotenv').config();
+
+// Backfill parsed numeric prescription values for existing records.
+// Fields that cannot be parsed are left empty and reported at the end.
+// Pass --dry-run to only report without writing.
+const migratePrescriptionValues = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/optometry_db');
+    console.log('Connected to MongoDB');
+    if (dryRun) console.log('Dry run: no records will be modified');
+
+    const cursor = OptometryRecord.find({}).lean().cursor();
+
+    let processed = 0;
+    let updated = 0;
+    const failures = [];
+
+    for await (const record of cursor) {
+      processed++;
+
+      const update = {};
+
+      for (const side of ['right_eye', 'left_eye']) {
+        const { eye, errors } = parseEye(record[side], side);
+
+        update[`${side}.dv.parsed`] = eye.dv.parsed;
+        update[`${side}.add.parsed`] = eye.add.parsed;
+
+        errors.forEach(error => {
+          const [, measurement, field] = error.field.split('.');
+          failures.push({
+            record: record._id.toString(),
+            shop: record.shop?.toString(),
+            field: error.field,
+            value: record[side]?.[measurement]?.[field],
+            message: error.message
+          });
+        });
+      }
+
+      if (!dryRun) {
+        await OptometryRecord.collection.updateOne({ _id: record._id }, { $set: update });
+        updated++;
+      }
+    }
+
+    console.log(`Processed ${processed} records, updated ${updated}`);
+
+    if (failures.length) {
+      console.log(`${failures.length} values could not be parsed:`);
+      console.table(failures);
+    } else {
+      console.log('All prescription values parsed successfully');
+    }
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error migrating prescription values:', error);
+    process.exit(1);
+  }
+};
+
+migratePrescriptionValues();
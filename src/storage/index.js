@@ -0,0 +1,30 @@
+const { createLocalStorage } = require('./localStorage.js');
+
+// File storage used for attachments. Every driver exposes the same interface:
+//
+//   save(key, buffer)       -> Promise
+//   exists(key)             -> Promise<boolean>
+//   createReadStream(key)   -> Readable
+//   remove(key)             -> Promise (no error when the key is missing)
+//
+// Select the driver with STORAGE_DRIVER; register new ones in `drivers`.
+const drivers = {
+  local: createLocalStorage
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage
+};
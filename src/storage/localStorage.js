@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files under a root directory on the local disk. Keys are relative
+// paths such as "<shopId>/<attachmentId>/original".
+const createLocalStorage = ({ root = process.env.UPLOAD_DIR || 'uploads' } = {}) => {
+  const rootDir = path.resolve(root);
+
+  // Keys are generated by the server, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,53 @@
+const moment = require('moment');
+
+// Age bands used for search filters and stats (inclusive, in whole years)
+const AGE_BANDS = [
+  { label: '0-5', min: 0, max: 5 },
+  { label: '6-17', min: 6, max: 17 },
+  { label: '18-39', min: 18, max: 39 },
+  { label: '40-64', min: 40, max: 64 },
+  { label: '65+', min: 65, max: null }
+];
+
+// Age in completed years on `date` (defaults to today)
+const ageOn = (dateOfBirth, date = new Date()) => {
+  if (!dateOfBirth) return null;
+  const age = moment(date).diff(moment(dateOfBirth), 'years');
+  return age >= 0 ? age : null;
+};
+
+// Best guess of a birth date from an age recorded on `referenceDate`: the
+// middle of the year in which the person had that age
+const estimateDateOfBirth = (age, referenceDate = new Date()) => (
+  moment(referenceDate).subtract(age, 'years').subtract(6, 'months').startOf('day').toDate()
+);
+
+// dateOfBirth condition matching people aged min..max (inclusive) today.
+// Either bound may be omitted.
+const dateOfBirthRange = (min, max, now = new Date()) => {
+  const range = {};
+  if (min !== undefined && min !== null) {
+    range.$lte = moment(now).subtract(min, 'years').endOf('day').toDate();
+  }
+  if (max !== undefined && max !== null) {
+    range.$gt = moment(now).subtract(max + 1, 'years').endOf('day').toDate();
+  }
+  return range;
+};
+
+const findAgeBand = (label) => AGE_BANDS.find(band => band.label === label);
+
+// Label of the band an age falls in
+const ageBandOf = (age) => {
+  if (age === null || age === undefined) return null;
+  return AGE_BANDS.find(band => age >= band.min && (band.max === null || age <= band.max))?.label || null;
+};
+
+module.exports = {
+  AGE_BANDS,
+  ageOn,
+  estimateDateOfBirth,
+  dateOfBirthRange,
+  findAgeBand,
+  ageBandOf
+};
@@ -0,0 +1,150 @@
+const moment = require('moment-timezone');
+const Appointment = require('../Models/Appointment.js');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_SLOT_DURATION = 30;
+const DEFAULT_MAX_PER_DAY = 20;
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Business hours are wall-clock times in the shop's timezone
+const getShopTimezone = (shop) => {
+  const timezone = shop?.settings?.timezone;
+  return timezone && moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+// A date in the shop's timezone; "YYYY-MM-DD" strings are read as that day
+// in the shop, not on the server
+const inShopTime = (shop, date) => moment.tz(date, getShopTimezone(shop));
+
+// Combine a date with an "HH:mm" string from the shop settings
+const atTime = (shop, date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return inShopTime(shop, date).startOf('day').hours(hours).minutes(minutes || 0).toDate();
+};
+
+// Get opening and closing time for the given date, or null when closed
+const getBusinessHours = (shop, date) => {
+  const day = DAYS[inShopTime(shop, date).day()];
+  const hours = shop.settings?.businessHours?.[day];
+
+  if (!hours || hours.closed || !hours.open || !hours.close) {
+    return null;
+  }
+
+  return {
+    open: atTime(shop, date, hours.open),
+    close: atTime(shop, date, hours.close)
+  };
+};
+
+const getAppointmentSettings = (shop) => ({
+  slotDuration: shop.settings?.appointmentSettings?.slotDuration || DEFAULT_SLOT_DURATION,
+  maxAppointmentsPerDay: shop.settings?.appointmentSettings?.maxAppointmentsPerDay || DEFAULT_MAX_PER_DAY
+});
+
+const getDayRange = (shop, date) => ({
+  start: inShopTime(shop, date).startOf('day').toDate(),
+  end: inShopTime(shop, date).endOf('day').toDate()
+});
+
+// Check a proposed slot against business hours, the daily cap and the
+// optometrist's existing appointments. Returns { statusCode, message } when
+// the slot cannot be booked, otherwise null.
+const checkSlotAvailability = async (shop, { startTime, endTime, optometrist, excludeId }) => {
+  const hours = getBusinessHours(shop, startTime);
+
+  if (!hours) {
+    return { statusCode: 400, message: 'The shop is closed on the selected day' };
+  }
+
+  if (startTime < hours.open || endTime > hours.close) {
+    return {
+      statusCode: 400,
+      message: `Appointments must be between ${inShopTime(shop, hours.open).format('HH:mm')} and ${inShopTime(shop, hours.close).format('HH:mm')}`
+    };
+  }
+
+  const { maxAppointmentsPerDay } = getAppointmentSettings(shop);
+  const { start, end } = getDayRange(shop, startTime);
+  const exclude = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  const dayCount = await Appointment.countDocuments({
+    shop: shop._id,
+    startTime: { $gte: start, $lte: end },
+    status: { $nin: Appointment.INACTIVE_STATUSES },
+    ...exclude
+  });
+
+  if (dayCount >= maxAppointmentsPerDay) {
+    return {
+      statusCode: 409,
+      message: `The shop is fully booked on this day (maximum ${maxAppointmentsPerDay} appointments)`
+    };
+  }
+
+  if (optometrist) {
+    const overlapping = await Appointment.findActiveInRange(shop._id, startTime, endTime, {
+      optometrist,
+      ...exclude
+    }).findOne();
+
+    if (overlapping) {
+      return {
+        statusCode: 409,
+        message: 'The optometrist already has an appointment in this time slot'
+      };
+    }
+  }
+
+  return null;
+};
+
+// List bookable slots for a day. With an optometrist only their appointments
+// block a slot; without one any active appointment does.
+const getAvailableSlots = async (shop, date, { optometrist } = {}) => {
+  const hours = getBusinessHours(shop, date);
+  if (!hours) return [];
+
+  const { slotDuration, maxAppointmentsPerDay } = getAppointmentSettings(shop);
+  const { start, end } = getDayRange(shop, date);
+
+  const appointments = await Appointment.findActiveInRange(shop._id, start, end)
+    .select('startTime endTime optometrist');
+
+  if (appointments.length >= maxAppointmentsPerDay) return [];
+
+  const blocking = optometrist
+    ? appointments.filter(a => a.optometrist && a.optometrist.toString() === optometrist.toString())
+    : appointments;
+
+  const now = new Date();
+  const slots = [];
+
+  for (
+    let slotStart = moment(hours.open);
+    !moment(slotStart).add(slotDuration, 'minutes').isAfter(hours.close);
+    slotStart = moment(slotStart).add(slotDuration, 'minutes')
+  ) {
+    const slotEnd = moment(slotStart).add(slotDuration, 'minutes');
+
+    if (slotStart.isBefore(now)) continue;
+
+    const taken = blocking.some(a => a.startTime < slotEnd.toDate() && a.endTime > slotStart.toDate());
+    if (!taken) {
+      slots.push({ startTime: slotStart.toDate(), endTime: slotEnd.toDate() });
+    }
+  }
+
+  return slots;
+};
+
+module.exports = {
+  getShopTimezone,
+  inShopTime,
+  getBusinessHours,
+  getAppointmentSettings,
+  getDayRange,
+  checkSlotAvailability,
+  getAvailableSlots
+};
@@ -0,0 +1,156 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Attachment = require('../Models/Attachment.js');
+const { getStorage } = require('../storage');
+
+const MAX_ATTACHMENT_SIZE = (Number(process.env.MAX_ATTACHMENT_SIZE_MB) || 20) * 1024 * 1024;
+
+const THUMBNAIL_SIZE = 256;
+
+// Accepted file types with their extensions
+const ALLOWED_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/webp': ['.webp'],
+  'image/tiff': ['.tif', '.tiff'],
+  'application/pdf': ['.pdf'],
+  'application/dicom': ['.dcm']
+};
+
+const ALLOWED_EXTENSIONS = [...new Set(Object.values(ALLOWED_TYPES).flat())];
+
+// Types that get a thumbnail
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff'];
+
+// Identify the file type from its first bytes so a renamed file cannot pass
+// as another type
+const detectMimeType = (buffer) => {
+  const startsWith = (bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+
+  if (startsWith([0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+  if (startsWith([0x49, 0x49, 0x2a, 0x00]) || startsWith([0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  if (startsWith([0x25, 0x50, 0x44, 0x46])) return 'application/pdf';
+  if (buffer.length > 132 && buffer.toString('ascii', 128, 132) === 'DICM') return 'application/dicom';
+  return null;
+};
+
+// Check an uploaded file. Returns an error message or null.
+const validateAttachmentFile = (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const detected = detectMimeType(file.buffer);
+
+  if (!detected || !ALLOWED_TYPES[detected]) {
+    return `Unsupported file type. Allowed: ${ALLOWED_EXTENSIONS.join(', ')}`;
+  }
+  if (!ALLOWED_TYPES[detected].includes(extension)) {
+    return `File extension ${extension || '(none)'} does not match its content (${detected})`;
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `File is too large. Maximum size is ${Math.round(MAX_ATTACHMENT_SIZE / (1024 * 1024))} MB`;
+  }
+  return null;
+};
+
+const createThumbnail = (buffer) => sharp(buffer, { failOn: 'none' })
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .jpeg({ quality: 75 })
+  .toBuffer();
+
+// Remaining storage of a shop in bytes, with the quota and current usage
+const getStorageStatus = async (shop) => {
+  const quota = shop.getStorageQuota();
+  const usage = await Attachment.getShopUsage(shop._id);
+  return {
+    quota,
+    used: usage.bytes,
+    available: Math.max(0, quota - usage.bytes),
+    files: usage.count
+  };
+};
+
+// Validate, store and index an uploaded file. Returns { attachment } or
+// { statusCode, message } when the file is rejected.
+const storeAttachment = async ({ shop, customer, record, file, category, description, user }) => {
+  const invalid = validateAttachmentFile(file);
+  if (invalid) {
+    return { statusCode: 400, message: invalid };
+  }
+
+  const mimeType = detectMimeType(file.buffer);
+  const storage = getStorage();
+  const attachmentId = new mongoose.Types.ObjectId();
+  const baseKey = `${shop._id}/${attachmentId}`;
+
+  let thumbnail = null;
+  if (THUMBNAIL_TYPES.includes(mimeType)) {
+    try {
+      thumbnail = await createThumbnail(file.buffer);
+    } catch (error) {
+      // A damaged image is still stored, just without a preview
+      console.error('Thumbnail error:', error.message);
+    }
+  }
+
+  const { available } = await getStorageStatus(shop);
+  const required = file.size + (thumbnail?.length || 0);
+  if (required > available) {
+    return {
+      statusCode: 413,
+      message: 'Storage quota exceeded for this shop. Delete unused attachments or upgrade the subscription plan.'
+    };
+  }
+
+  const storageKey = `${baseKey}/original${path.extname(file.originalname).toLowerCase()}`;
+  const thumbnailKey = thumbnail ? `${baseKey}/thumbnail.jpg` : undefined;
+
+  await storage.save(storageKey, file.buffer);
+  if (thumbnail) {
+    await storage.save(thumbnailKey, thumbnail);
+  }
+
+  try {
+    const attachment = await Attachment.create({
+      _id: attachmentId,
+      shop: shop._id,
+      customer,
+      record,
+      category,
+      description,
+      originalName: file.originalname,
+      mimeType,
+      size: file.size,
+      storageKey,
+      thumbnailKey,
+      thumbnailSize: thumbnail?.length || 0,
+      uploadedBy: user?._id
+    });
+    return { attachment };
+  } catch (error) {
+    // Do not leave orphaned files behind
+    await removeAttachmentFiles({ storageKey, thumbnailKey });
+    throw error;
+  }
+};
+
+const removeAttachmentFiles = async ({ storageKey, thumbnailKey }) => {
+  const storage = getStorage();
+  await storage.remove(storageKey);
+  if (thumbnailKey) {
+    await storage.remove(thumbnailKey);
+  }
+};
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  ALLOWED_TYPES,
+  ALLOWED_EXTENSIONS,
+  detectMimeType,
+  validateAttachmentFile,
+  getStorageStatus,
+  storeAttachment,
+  removeAttachmentFiles
+};
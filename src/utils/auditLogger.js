@@ -0,0 +1,34 @@
+const AuditLog = require('../Models/AuditLog.js');
+
+// Record an audit log entry for the current request. Never throws: a failure
+// to write the log is reported but does not affect the request.
+//
+// `user` defaults to req.user; pass it explicitly where the request is not
+// authenticated yet (e.g. login).
+const logAudit = async (req, { action, entity, entityId, shop, user, description, metadata }) => {
+  try {
+    const actor = user || req.user;
+    const shopId = shop || actor?.shop?._id || actor?.shop;
+
+    await AuditLog.create({
+      shop: shopId || undefined,
+      user: actor?._id,
+      userName: actor?.name,
+      userEmail: actor?.email || metadata?.email,
+      role: actor?.role,
+      action,
+      entity,
+      entityId,
+      description,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get ? req.get('User-Agent') : undefined
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  logAudit
+};
@@ -0,0 +1,89 @@
+// Money amounts are kept as numbers rounded to cents at every step so that
+// line totals always add up to the invoice totals
+
+const INVOICE_ITEM_TYPES = ['exam_fee', 'frames', 'lenses', 'contact_lenses', 'other'];
+
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'cheque', 'insurance', 'other'];
+
+const roundMoney = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// Amount of an invoice-level discount on a given net amount
+const invoiceDiscountAmount = (discount, net) => {
+  if (!discount?.value || net <= 0) return 0;
+  const amount = discount.type === 'percent'
+    ? net * Math.min(discount.value, 100) / 100
+    : discount.value;
+  return roundMoney(Math.min(amount, net));
+};
+
+// Compute the amounts of every line and the invoice totals. Line discounts
+// are applied first, then the invoice discount is spread over the lines in
+// proportion to their amount so that tax is charged on what is actually paid.
+// Sets `amount`, `taxAmount` and `total` on each item and returns the totals.
+const calculateInvoiceTotals = (items = [], discount) => {
+  let subtotal = 0;
+  let lineDiscounts = 0;
+
+  items.forEach(item => {
+    const gross = roundMoney(item.quantity * item.unitPrice);
+    const lineDiscount = roundMoney(Math.min(item.discount || 0, gross));
+    item.amount = roundMoney(gross - lineDiscount);
+    subtotal += gross;
+    lineDiscounts += lineDiscount;
+  });
+
+  const net = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+  const extraDiscount = invoiceDiscountAmount(discount, net);
+
+  let remaining = extraDiscount;
+  let taxTotal = 0;
+  let total = 0;
+
+  items.forEach((item, index) => {
+    // The last line takes what is left so rounding never loses a cent
+    const share = index === items.length - 1
+      ? remaining
+      : roundMoney(net ? extraDiscount * item.amount / net : 0);
+    remaining = roundMoney(remaining - share);
+
+    const taxable = roundMoney(item.amount - share);
+    item.taxAmount = roundMoney(taxable * (item.taxRate || 0) / 100);
+    item.total = roundMoney(taxable + item.taxAmount);
+
+    taxTotal += item.taxAmount;
+    total += item.total;
+  });
+
+  return {
+    subtotal: roundMoney(subtotal),
+    discountTotal: roundMoney(lineDiscounts + extraDiscount),
+    taxTotal: roundMoney(taxTotal),
+    total: roundMoney(total)
+  };
+};
+
+// Status of an issued invoice from what was paid and refunded on it. Money
+// still owed keeps the invoice issued or partially paid whatever was refunded
+// in between, so it can still take payments. Only an invoice that had been
+// paid in full becomes partially refunded or refunded.
+const derivePaymentStatus = ({ total, amountPaid = 0, amountRefunded = 0 }) => {
+  const netPaid = roundMoney(amountPaid - amountRefunded);
+  if (netPaid >= total) {
+    return 'paid';
+  }
+  if (amountRefunded > 0 && amountPaid >= total) {
+    return netPaid > 0 ? 'partially_refunded' : 'refunded';
+  }
+  return netPaid > 0 ? 'partially_paid' : 'issued';
+};
+
+const formatInvoiceNumber = (prefix, sequence) => `${prefix || 'INV'}-${String(sequence).padStart(6, '0')}`;
+
+module.exports = {
+  INVOICE_ITEM_TYPES,
+  PAYMENT_METHODS,
+  roundMoney,
+  calculateInvoiceTotals,
+  derivePaymentStatus,
+  formatInvoiceNumber
+};
@@ -0,0 +1,72 @@
+const moment = require('moment');
+
+// Days one lens lasts for each replacement schedule
+const REPLACEMENT_DAYS = {
+  daily: 1,
+  two_weekly: 14,
+  monthly: 30,
+  quarterly: 91,
+  yearly: 365
+};
+
+const REPLACEMENT_SCHEDULES = Object.keys(REPLACEMENT_DAYS);
+
+const WEAR_MODALITIES = ['daily_wear', 'flexible_wear', 'extended_wear', 'continuous_wear'];
+
+const POWER_STEP = 0.25;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+const isStep = (value) => Math.abs(value / POWER_STEP - Math.round(value / POWER_STEP)) < 1e-9;
+
+// Checks that span several fields of one eye; ranges are checked by the
+// schema. Returns a list of messages.
+const validateContactLensEye = (eye, label) => {
+  const errors = [];
+  if (!eye) return errors;
+
+  ['power', 'cylinder', 'addition'].forEach(field => {
+    if (isSet(eye[field]) && !isStep(Number(eye[field]))) {
+      errors.push(`${label} ${field} must be in steps of ${POWER_STEP}`);
+    }
+  });
+
+  const hasCylinder = isSet(eye.cylinder) && Number(eye.cylinder) !== 0;
+  if (hasCylinder && !isSet(eye.axis)) {
+    errors.push(`${label} axis is required for a toric lens`);
+  }
+  if (!hasCylinder && isSet(eye.axis)) {
+    errors.push(`${label} axis is only allowed together with a cylinder`);
+  }
+
+  return errors;
+};
+
+const validateContactLens = (contactLens) => {
+  if (!contactLens) return [];
+  return [
+    ...validateContactLensEye(contactLens.right_eye, 'Right eye'),
+    ...validateContactLensEye(contactLens.left_eye, 'Left eye')
+  ];
+};
+
+// Date lenses dispensed for a fitting run out: the eye whose supply ends
+// first counts. Returns null when no schedule is known.
+const supplyRunsOutAt = (contactLens, { dispensedAt, lensesPerEye }) => {
+  const lenses = lensesPerEye || 1;
+  const dates = [contactLens.right_eye, contactLens.left_eye]
+    .map(eye => REPLACEMENT_DAYS[eye?.replacementSchedule])
+    .filter(Boolean)
+    .map(days => moment(dispensedAt).add(days * lenses, 'days'));
+
+  if (!dates.length) return null;
+  return moment.min(dates).toDate();
+};
+
+module.exports = {
+  REPLACEMENT_DAYS,
+  REPLACEMENT_SCHEDULES,
+  WEAR_MODALITIES,
+  validateContactLens,
+  supplyRunsOutAt
+};
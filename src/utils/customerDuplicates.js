@@ -0,0 +1,245 @@
+const Customer = require('../Models/Customer.js');
+const { normalizePhone, nameTokens } = require('./searchKeys.js');
+
+// Minimum name similarity (0-1) for two customers of about the same age to be
+// reported as probable duplicates
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+const MAX_AGE_DIFFERENCE = 1;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Words sorted so that "Smith John" matches "John Smith"
+const normalizeName = (name) => nameTokens(name).sort().join(' ');
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for identical normalized names, 0 for nothing in common
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+const agesMatch = (a, b) => (
+  a !== undefined && a !== null &&
+  b !== undefined && b !== null &&
+  Math.abs(a - b) <= MAX_AGE_DIFFERENCE
+);
+
+// Why two customers look like the same person, or null
+const matchReason = (a, b) => {
+  const phone = normalizePhone(a.phone);
+  if (phone && phone === normalizePhone(b.phone)) {
+    return { type: 'phone', score: 1 };
+  }
+
+  const email = normalizeEmail(a.email);
+  if (email && email === normalizeEmail(b.email)) {
+    return { type: 'email', score: 1 };
+  }
+
+  if (agesMatch(a.age, b.age)) {
+    const score = nameSimilarity(a.name, b.name);
+    if (score >= NAME_SIMILARITY_THRESHOLD) {
+      return { type: 'name_age', score: Math.round(score * 100) / 100 };
+    }
+  }
+
+  return null;
+};
+
+// Group probable duplicates among a list of customers. Phone and email are
+// matched through lookups; fuzzy names are only compared between customers
+// whose ages are within MAX_AGE_DIFFERENCE, which keeps large shops fast.
+const groupDuplicates = (customers) => {
+  const parent = customers.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const matches = [];
+
+  const link = (i, j, reason) => {
+    matches.push({ customers: [customers[i]._id, customers[j]._id], ...reason });
+    parent[find(i)] = find(j);
+  };
+
+  const linkByKey = (keyOf, type) => {
+    const firstByKey = new Map();
+    customers.forEach((customer, index) => {
+      const key = keyOf(customer);
+      if (!key) return;
+      if (firstByKey.has(key)) {
+        link(firstByKey.get(key), index, { type, score: 1 });
+      } else {
+        firstByKey.set(key, index);
+      }
+    });
+  };
+
+  linkByKey(customer => normalizePhone(customer.phone), 'phone');
+  linkByKey(customer => normalizeEmail(customer.email), 'email');
+
+  const byAge = customers
+    .map((customer, index) => ({ index, age: customer.age }))
+    .filter(entry => entry.age !== undefined && entry.age !== null)
+    .sort((a, b) => a.age - b.age);
+
+  for (let i = 0; i < byAge.length; i++) {
+    for (let j = i + 1; j < byAge.length && byAge[j].age - byAge[i].age <= MAX_AGE_DIFFERENCE; j++) {
+      const a = byAge[i].index;
+      const b = byAge[j].index;
+      if (find(a) === find(b)) continue;
+
+      const score = nameSimilarity(customers[a].name, customers[b].name);
+      if (score >= NAME_SIMILARITY_THRESHOLD) {
+        link(a, b, { type: 'name_age', score: Math.round(score * 100) / 100 });
+      }
+    }
+  }
+
+  const groups = new Map();
+  customers.forEach((customer, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(customer);
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => {
+      const ids = new Set(group.map(customer => customer._id.toString()));
+      return {
+        customers: group,
+        matches: matches.filter(match => ids.has(match.customers[0].toString()))
+      };
+    });
+};
+
+// Active customers of the shop that look like the given customer data
+const findPossibleDuplicates = async (shopId, customer, { excludeId } = {}) => {
+  const phone = normalizePhone(customer.phone);
+  const email = normalizeEmail(customer.email);
+  const conditions = [];
+
+  // Narrow the candidates down before comparing in detail
+  if (phone) conditions.push({ phoneDigits: phone });
+  if (email) conditions.push({ email });
+  if (customer.age !== undefined && customer.age !== null && customer.age !== '') {
+    const age = Number(customer.age);
+    conditions.push({ age: { $gte: age - MAX_AGE_DIFFERENCE, $lte: age + MAX_AGE_DIFFERENCE } });
+  }
+  if (!conditions.length) return [];
+
+  const query = { shop: shopId, isActive: true, $or: conditions };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const candidates = await Customer.find(query)
+    .select('name age sex phone email lastVisit')
+    .lean();
+
+  return candidates
+    .map(candidate => ({ customer: candidate, reason: matchReason(customer, candidate) }))
+    .filter(entry => entry.reason)
+    .map(entry => ({ ...entry.customer, match: entry.reason }));
+};
+
+const uniqueValues = (...lists) => {
+  const seen = new Set();
+  return lists.flat().filter(value => {
+    const key = String(value || '').trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Fields copied from the duplicate when the survivor has no value
+const FILL_FIELDS = [
+  'dateOfBirth',
+  'age',
+  'sex',
+  'phone',
+  'email',
+  'address.street',
+  'address.city',
+  'address.state',
+  'address.zipCode',
+  'emergencyContact.name',
+  'emergencyContact.relationship',
+  'emergencyContact.phone',
+  'insurance.provider',
+  'insurance.policyNumber',
+  'insurance.groupNumber'
+];
+
+// Apply the duplicate's data to the surviving customer document: medical
+// history lists are combined, notes appended, empty fields (the date of birth
+// included) filled in and the latest lastVisit kept. Returns the list of fields that changed.
+const mergeCustomerData = (survivor, duplicate) => {
+  const changed = [];
+
+  ['allergies', 'medications', 'conditions'].forEach(list => {
+    const current = survivor.medicalHistory?.[list] || [];
+    const combined = uniqueValues(current, duplicate.medicalHistory?.[list] || []);
+    if (combined.length !== current.length) {
+      survivor.set(`medicalHistory.${list}`, combined);
+      changed.push(`medicalHistory.${list}`);
+    }
+  });
+
+  const notes = survivor.medicalHistory?.notes;
+  const duplicateNotes = duplicate.medicalHistory?.notes;
+  if (duplicateNotes && duplicateNotes !== notes) {
+    survivor.set('medicalHistory.notes', notes ? `${notes}\n${duplicateNotes}` : duplicateNotes);
+    changed.push('medicalHistory.notes');
+  }
+
+  // A recorded date of birth wins over one estimated from an age
+  if (duplicate.dateOfBirth && survivor.dateOfBirth && survivor.dateOfBirthEstimated && !duplicate.dateOfBirthEstimated) {
+    survivor.dateOfBirth = undefined;
+  }
+
+  FILL_FIELDS.forEach(field => {
+    const current = survivor.get(field);
+    const value = duplicate.get(field);
+    if ((current === undefined || current === null || current === '') && value !== undefined && value !== null && value !== '') {
+      survivor.set(field, value);
+      changed.push(field);
+    }
+  });
+
+  if (changed.includes('dateOfBirth')) {
+    survivor.dateOfBirthEstimated = duplicate.dateOfBirthEstimated;
+  }
+
+  if (duplicate.lastVisit && (!survivor.lastVisit || duplicate.lastVisit > survivor.lastVisit)) {
+    survivor.lastVisit = duplicate.lastVisit;
+    changed.push('lastVisit');
+  }
+
+  return changed;
+};
+
+module.exports = {
+  normalizePhone,
+  normalizeName,
+  nameSimilarity,
+  matchReason,
+  groupDuplicates,
+  findPossibleDuplicates,
+  mergeCustomerData
+};
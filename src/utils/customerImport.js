@@ -0,0 +1,378 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const Customer = require('../Models/Customer.js');
+const { buildSearchKeys, normalizePhone } = require('./searchKeys.js');
+const { ageOn } = require('./age.js');
+
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_BATCH_SIZE = 100;
+
+// Customer fields that can be imported, with the column headers recognised
+// automatically when no explicit mapping is given (compared case-insensitively,
+// ignoring spaces, dashes and underscores)
+const IMPORT_FIELDS = {
+  name: ['name', 'fullname', 'customername', 'patientname'],
+  dateOfBirth: ['dateofbirth', 'dob', 'birthdate', 'birthday'],
+  age: ['age'],
+  sex: ['sex', 'gender'],
+  phone: ['phone', 'phonenumber', 'mobile', 'telephone', 'contactnumber'],
+  email: ['email', 'emailaddress'],
+  'address.street': ['street', 'address', 'streetaddress'],
+  'address.city': ['city', 'town'],
+  'address.state': ['state', 'province', 'region'],
+  'address.zipCode': ['zipcode', 'zip', 'postcode', 'postalcode'],
+  'medicalHistory.allergies': ['allergies'],
+  'medicalHistory.medications': ['medications'],
+  'medicalHistory.conditions': ['conditions', 'medicalconditions'],
+  'medicalHistory.notes': ['medicalnotes', 'notes'],
+  'emergencyContact.name': ['emergencycontact', 'emergencycontactname'],
+  'emergencyContact.relationship': ['emergencycontactrelationship', 'relationship'],
+  'emergencyContact.phone': ['emergencycontactphone', 'emergencyphone'],
+  'insurance.provider': ['insurance', 'insuranceprovider'],
+  'insurance.policyNumber': ['policynumber', 'insurancepolicynumber'],
+  'insurance.groupNumber': ['groupnumber', 'insurancegroupnumber']
+};
+
+// Fields holding a list, given in a single cell separated by ; or ,
+const LIST_FIELDS = [
+  'medicalHistory.allergies',
+  'medicalHistory.medications',
+  'medicalHistory.conditions'
+];
+
+// Accepted date of birth formats; day-first is assumed for ambiguous dates
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'D/M/YYYY', 'YYYY/MM/DD'];
+
+const SEX_VALUES = {
+  m: 'Male',
+  male: 'Male',
+  f: 'Female',
+  female: 'Female',
+  o: 'Other',
+  other: 'Other'
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[\s_\-.]/g, '');
+
+const cellText = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const parseCsv = (buffer) => {
+  const records = parse(buffer, {
+    bom: true,
+    relax_column_count: true,
+    trim: true
+  });
+
+  const [headers = [], ...rows] = records;
+  return {
+    headers: headers.map(cellText),
+    rows: rows.map((cells, index) => ({ rowNumber: index + 2, cells }))
+  };
+};
+
+// Reads the first worksheet; the first row holds the headers
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return { headers: [], rows: [] };
+  }
+
+  const readRow = (row) => {
+    const values = [];
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      const cell = row.getCell(column);
+      // Date cells are stored as UTC midnight; keep only the calendar date
+      values.push(cell.value instanceof Date
+        ? moment.utc(cell.value).format('YYYY-MM-DD')
+        : cellText(cell.text));
+    }
+    return values;
+  };
+
+  const headers = readRow(worksheet.getRow(1));
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber > 1) rows.push({ rowNumber, cells: readRow(row) });
+  });
+
+  return { headers, rows };
+};
+
+// Parse an uploaded CSV or XLSX file into headers and rows of cell text.
+// Row numbers match the spreadsheet (the header is row 1).
+const parseImportFile = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const { headers, rows } = extension === '.xlsx'
+    ? await parseXlsx(file.buffer)
+    : parseCsv(file.buffer);
+
+  return {
+    headers,
+    rows: rows
+      .map(({ rowNumber, cells }) => ({
+        rowNumber,
+        values: Object.fromEntries(headers.map((header, column) => [header, cellText(cells[column])]))
+      }))
+      .filter(row => Object.values(row.values).some(Boolean))
+  };
+};
+
+// Resolve which column feeds each customer field. An explicit mapping
+// ({ field: header }) wins; remaining fields are matched by header name.
+// Returns { mapping, errors }.
+const resolveColumnMapping = (headers, explicitMapping = {}) => {
+  const mapping = {};
+  const errors = [];
+
+  Object.entries(explicitMapping).forEach(([field, header]) => {
+    if (!IMPORT_FIELDS[field]) {
+      errors.push(`Unknown customer field "${field}"`);
+    } else if (header && !headers.includes(header)) {
+      errors.push(`Column "${header}" mapped to ${field} was not found in the file`);
+    } else if (header) {
+      mapping[field] = header;
+    }
+  });
+
+  const usedHeaders = new Set(Object.values(mapping));
+  Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+    if (field in explicitMapping) return;
+
+    const header = headers.find(candidate =>
+      !usedHeaders.has(candidate) && aliases.includes(normalizeHeader(candidate))
+    );
+    if (header) {
+      mapping[field] = header;
+      usedHeaders.add(header);
+    }
+  });
+
+  if (!mapping.name) {
+    errors.push('No column is mapped to the customer name');
+  }
+
+  return { mapping, errors };
+};
+
+const setPath = (target, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    object[key] = object[key] || {};
+    return object[key];
+  }, target);
+  parent[last] = value;
+};
+
+// Turn one row of cell text into customer data using the column mapping
+const mapRowToCustomer = (values, mapping) => {
+  const data = {};
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    const raw = values[header];
+    if (!raw) return;
+
+    let value = raw;
+    if (LIST_FIELDS.includes(field)) {
+      value = raw.split(/[;,]/).map(item => item.trim()).filter(Boolean);
+    } else if (field === 'age') {
+      // Left as text when not numeric so validation reports the original value
+      value = Number.isNaN(Number(raw)) ? raw : Number(raw);
+    } else if (field === 'dateOfBirth') {
+      const date = moment(raw, DATE_FORMATS, true);
+      value = date.isValid() ? date.toDate() : raw;
+    } else if (field === 'sex') {
+      value = SEX_VALUES[raw.toLowerCase()] || raw;
+    } else if (field === 'email') {
+      value = raw.toLowerCase();
+    }
+
+    setPath(data, field, value);
+  });
+
+  return data;
+};
+
+const validationMessages = (error) => (
+  error ? Object.values(error.errors).map(e => e.message) : []
+);
+
+// Build the per-row preview: mapped data, schema validation errors and
+// duplicates, either against existing customers of the shop (same phone or
+// email) or against an earlier row of the same file. Phones are compared by
+// their digits, so "(555) 123-4567" matches "555 123 4567".
+const analyzeImport = async (rows, mapping, shopId) => {
+  const results = rows.map(row => {
+    const data = mapRowToCustomer(row.values, mapping);
+    const errors = validationMessages(new Customer({ ...data, shop: shopId }).validateSync());
+
+    return {
+      row: row.rowNumber,
+      status: errors.length ? 'invalid' : 'valid',
+      errors,
+      data
+    };
+  });
+
+  const phones = results.map(result => normalizePhone(result.data.phone)).filter(Boolean);
+  const emails = results.map(result => result.data.email).filter(Boolean);
+
+  const existing = (phones.length || emails.length)
+    ? await Customer.find({
+      shop: shopId,
+      isActive: true,
+      $or: [
+        { phoneDigits: { $in: phones } },
+        { email: { $in: emails } }
+      ]
+    }).select('name phone phoneDigits email').lean()
+    : [];
+
+  const byPhone = new Map(existing.filter(c => c.phoneDigits).map(c => [c.phoneDigits, c]));
+  const byEmail = new Map(existing.filter(c => c.email).map(c => [c.email, c]));
+  const seenPhones = new Map();
+  const seenEmails = new Map();
+
+  results.forEach(result => {
+    if (result.status === 'invalid') return;
+    const { email } = result.data;
+    const phone = normalizePhone(result.data.phone);
+
+    const match = (phone && byPhone.get(phone)) || (email && byEmail.get(email));
+    if (match) {
+      result.status = 'duplicate';
+      result.duplicateOf = {
+        customer: match._id,
+        name: match.name,
+        matchedOn: phone && match.phoneDigits === phone ? 'phone' : 'email'
+      };
+      return;
+    }
+
+    const earlierRow = (phone && seenPhones.get(phone)) || (email && seenEmails.get(email));
+    if (earlierRow) {
+      result.status = 'duplicate';
+      result.duplicateOf = { row: earlierRow };
+      return;
+    }
+
+    if (phone) seenPhones.set(phone, result.row);
+    if (email) seenEmails.set(email, result.row);
+  });
+
+  return results;
+};
+
+const flattenForUpdate = (data, prefix = '', target = {}) => {
+  Object.entries(data).forEach(([key, value]) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      flattenForUpdate(value, fieldPath, target);
+    } else {
+      target[fieldPath] = value;
+    }
+  });
+  return target;
+};
+
+// $set for an existing customer. Bulk writes skip the document hooks, so
+// the search keys and the age are computed here as the hooks would.
+const buildCustomerUpdate = (data) => {
+  const update = {
+    ...flattenForUpdate(data),
+    ...buildSearchKeys({ name: data.name, phone: data.phone })
+  };
+  const age = data.dateOfBirth instanceof Date ? ageOn(data.dateOfBirth) : null;
+  if (age !== null) update.age = age;
+  return update;
+};
+
+// Write the analyzed rows in batches. Valid rows are created; duplicates of
+// existing customers are updated when onDuplicate is "update" and skipped
+// otherwise. Each result gets its final status.
+const commitImport = async (results, shopId, { onDuplicate = 'skip' } = {}) => {
+  const toCreate = results.filter(result => result.status === 'valid');
+  const toUpdate = onDuplicate === 'update'
+    ? results.filter(result => result.status === 'duplicate' && result.duplicateOf.customer)
+    : [];
+
+  results.forEach(result => {
+    if (result.status === 'duplicate' && !toUpdate.includes(result)) {
+      result.status = 'skipped';
+    }
+  });
+
+  for (let start = 0; start < toCreate.length; start += IMPORT_BATCH_SIZE) {
+    const batch = toCreate.slice(start, start + IMPORT_BATCH_SIZE);
+
+    // IDs are assigned up front so each row can report its customer even
+    // when part of the batch fails
+    const docs = batch.map(result => ({ _id: new mongoose.Types.ObjectId(), ...result.data, shop: shopId }));
+
+    try {
+      await Customer.insertMany(docs, { ordered: false });
+      batch.forEach((result, index) => {
+        result.status = 'created';
+        result.customer = docs[index]._id;
+      });
+    } catch (error) {
+      const failed = new Map((error.writeErrors || []).map(writeError => [writeError.index, writeError.errmsg]));
+
+      batch.forEach((result, index) => {
+        if (error.writeErrors && !failed.has(index)) {
+          result.status = 'created';
+          result.customer = docs[index]._id;
+        } else {
+          result.status = 'failed';
+          result.errors.push(failed.get(index) || error.message);
+        }
+      });
+    }
+  }
+
+  for (let start = 0; start < toUpdate.length; start += IMPORT_BATCH_SIZE) {
+    const batch = toUpdate.slice(start, start + IMPORT_BATCH_SIZE);
+
+    try {
+      await Customer.bulkWrite(batch.map(result => ({
+        updateOne: {
+          filter: { _id: result.duplicateOf.customer, shop: shopId },
+          update: { $set: buildCustomerUpdate(result.data) }
+        }
+      })), { ordered: false });
+      batch.forEach(result => {
+        result.status = 'updated';
+        result.customer = result.duplicateOf.customer;
+      });
+    } catch (error) {
+      batch.forEach(result => {
+        result.status = 'failed';
+        result.errors.push(error.message);
+      });
+    }
+  }
+
+  return results;
+};
+
+const summarize = (results) => results.reduce((summary, result) => {
+  summary[result.status] = (summary[result.status] || 0) + 1;
+  return summary;
+}, { total: results.length });
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  parseImportFile,
+  resolveColumnMapping,
+  mapRowToCustomer,
+  analyzeImport,
+  commitImport,
+  summarize
+};
@@ -0,0 +1,155 @@
+const { AGE_BANDS, dateOfBirthRange, findAgeBand } = require('./age.js');
+const { normalizePhone, nameTokens, phoneticKey } = require('./searchKeys.js');
+
+// Upper bound of candidates ranked per search; results beyond it are not
+// worth paging through and the user should refine the search instead
+const SEARCH_CANDIDATE_LIMIT = 200;
+const TYPEAHEAD_CANDIDATE_LIMIT = 50;
+const TYPEAHEAD_LIMIT = 10;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A term made of digits and phone punctuation only is a phone search
+const phoneDigitsOf = (term) => {
+  const compact = term.replace(/[\s()+\-.]/g, '');
+  return /^\d{3,}$/.test(compact) ? compact.slice(-10) : null;
+};
+
+// Condition matching a search term through indexed keys only: a phone
+// number prefix, an email prefix, every word as a prefix of a name word, or
+// the same phonetic keys as the words typed. Returns null for an empty term.
+const buildSearchCondition = (term) => {
+  const text = String(term || '').trim();
+  if (!text) return null;
+
+  const digits = phoneDigitsOf(text);
+  if (digits) {
+    return { phoneDigits: { $regex: `^${digits}` } };
+  }
+
+  const emailPrefix = { email: { $regex: `^${escapeRegex(text.toLowerCase())}` } };
+  if (text.includes('@')) {
+    return emailPrefix;
+  }
+
+  const tokens = nameTokens(text);
+  if (!tokens.length) {
+    return emailPrefix;
+  }
+
+  const conditions = [
+    { $and: tokens.map(token => ({ nameTokens: { $regex: `^${token}` } })) },
+    emailPrefix
+  ];
+
+  const keys = tokens.map(phoneticKey).filter(Boolean);
+  if (keys.length) {
+    conditions.push({ nameKeys: { $all: keys } });
+  }
+
+  return { $or: conditions };
+};
+
+// Conditions for the optional search filters: ageBand or minAge/maxAge,
+// sex, city and a last visit range. Returns { conditions } or { error }.
+const buildSearchFilters = ({ ageBand, minAge, maxAge, sex, city, lastVisitFrom, lastVisitTo }) => {
+  const conditions = {};
+
+  if (ageBand) {
+    const band = findAgeBand(ageBand);
+    if (!band) {
+      return { error: `Age band must be one of: ${AGE_BANDS.map(b => b.label).join(', ')}` };
+    }
+    conditions.dateOfBirth = dateOfBirthRange(band.min, band.max);
+  } else if (minAge !== undefined || maxAge !== undefined) {
+    if ([minAge, maxAge].some(value => value !== undefined && !/^\d+$/.test(value))) {
+      return { error: 'minAge and maxAge must be whole numbers' };
+    }
+    conditions.dateOfBirth = dateOfBirthRange(
+      minAge !== undefined ? Number(minAge) : null,
+      maxAge !== undefined ? Number(maxAge) : null
+    );
+  }
+
+  if (sex) {
+    conditions.sex = sex;
+  }
+
+  if (city) {
+    conditions['address.city'] = { $regex: `^${escapeRegex(city.trim())}$`, $options: 'i' };
+  }
+
+  if (lastVisitFrom || lastVisitTo) {
+    conditions.lastVisit = {};
+    if (lastVisitFrom) conditions.lastVisit.$gte = new Date(lastVisitFrom);
+    if (lastVisitTo) conditions.lastVisit.$lte = new Date(lastVisitTo);
+  }
+
+  return { conditions };
+};
+
+// Relevance of a customer for a search term. Exact phone/email matches rank
+// first, then name words matched exactly, by prefix and phonetically; the
+// text index score is added when the customer came from the text search.
+const scoreCustomer = (customer, term) => {
+  const text = String(term || '').trim();
+  let score = (customer.textScore || 0) * 5;
+
+  const digits = phoneDigitsOf(text);
+  if (digits) {
+    const phone = customer.phoneDigits || normalizePhone(customer.phone);
+    if (phone === digits) return score + 100;
+    if (phone?.startsWith(digits)) return score + 80;
+    return score;
+  }
+
+  const email = (customer.email || '').toLowerCase();
+  if (email && email === text.toLowerCase()) return score + 90;
+  if (email && email.startsWith(text.toLowerCase())) score += 40;
+
+  const words = customer.nameTokens?.length ? customer.nameTokens : nameTokens(customer.name);
+  const keys = customer.nameKeys?.length ? customer.nameKeys : words.map(phoneticKey);
+  const tokens = nameTokens(text);
+  let matched = 0;
+
+  tokens.forEach(token => {
+    if (words.includes(token)) {
+      score += 10;
+      matched++;
+    } else if (words.some(word => word.startsWith(token))) {
+      score += 6;
+      matched++;
+    } else if (keys.includes(phoneticKey(token))) {
+      score += 3;
+      matched++;
+    }
+  });
+
+  // Bonus when every word typed was found
+  if (tokens.length && matched === tokens.length) score += 5;
+
+  return score;
+};
+
+// Sort by score, then most recent visit, then name
+const rankCustomers = (customers, term) => customers
+  .map(customer => ({ ...customer, score: scoreCustomer(customer, term) }))
+  .sort((a, b) => (
+    b.score - a.score ||
+    (b.lastVisit ? new Date(b.lastVisit).getTime() : 0) - (a.lastVisit ? new Date(a.lastVisit).getTime() : 0) ||
+    String(a.name).localeCompare(String(b.name))
+  ));
+
+// Remove internal keys from a lean customer before it is returned
+const toSearchResult = ({ phoneDigits, nameTokens: tokens, nameKeys, textScore, ...customer }) => customer;
+
+module.exports = {
+  SEARCH_CANDIDATE_LIMIT,
+  TYPEAHEAD_CANDIDATE_LIMIT,
+  TYPEAHEAD_LIMIT,
+  phoneDigitsOf,
+  buildSearchCondition,
+  buildSearchFilters,
+  rankCustomers,
+  toSearchResult
+};
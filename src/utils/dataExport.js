@@ -0,0 +1,145 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const moment = require('moment');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+// Read a dotted path ("address.city") from a plain object
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+// Column helper: `value` is a dotted path or a function of the document
+const column = (header, value) => ({
+  header,
+  value: typeof value === 'function' ? value : (doc) => getPath(doc, value)
+});
+
+const formatCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return formatCsvValue(value.join('; '));
+
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas; signed numbers
+  // such as "-1.25" are left alone
+  if (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && Number.isNaN(Number(text)))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatXlsxValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.join('; ');
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') return value;
+  return String(value);
+};
+
+// Raised when the client goes away in the middle of a download
+const abortedError = () => Object.assign(new Error('Export aborted by the client'), { aborted: true });
+
+// Wait until the response can take more data; rejects when the connection
+// closes first, so a disconnected client does not leave the export hanging
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  const onDrain = () => {
+    cleanup();
+    resolve();
+  };
+  const onClose = () => {
+    cleanup();
+    reject(abortedError());
+  };
+  const cleanup = () => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onClose);
+  };
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+  res.on('error', onClose);
+});
+
+// Write while respecting backpressure so large exports stay out of memory
+const write = async (res, chunk) => {
+  if (res.destroyed) throw abortedError();
+  if (!res.write(chunk)) {
+    await waitForDrain(res);
+  }
+};
+
+const streamCsv = async (res, cursor, columns) => {
+  // BOM so Excel opens the file as UTF-8
+  await write(res, `\uFEFF${columns.map(col => formatCsvValue(col.header)).join(',')}\r\n`);
+  for await (const doc of cursor) {
+    await write(res, `${columns.map(col => formatCsvValue(col.value(doc))).join(',')}\r\n`);
+  }
+  res.end();
+};
+
+const streamXlsx = async (res, cursor, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false
+  });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map(col => ({ header: col.header, width: Math.max(12, col.header.length + 2) }));
+
+  for await (const doc of cursor) {
+    if (res.destroyed) throw abortedError();
+    worksheet.addRow(columns.map(col => formatXlsxValue(col.value(doc)))).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// JSON keeps the documents' nested structure
+const streamJson = async (res, cursor, toJson) => {
+  await write(res, '[');
+  let first = true;
+  for await (const doc of cursor) {
+    await write(res, `${first ? '' : ','}\n${JSON.stringify(toJson ? toJson(doc) : doc)}`);
+    first = false;
+  }
+  res.end('\n]\n');
+};
+
+// Stream the documents of a query cursor as a file download. Tabular formats
+// (CSV, XLSX) use `columns`; JSON writes each document, passed through
+// `toJson` when given.
+const streamExport = async (res, { format, fileName, sheetName = 'Export', columns, cursor, toJson }) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${fileName}-${moment().format('YYYYMMDD-HHmmss')}.${format}"`
+  );
+
+  try {
+    if (format === 'xlsx') {
+      await streamXlsx(res, cursor, columns, sheetName);
+    } else if (format === 'json') {
+      await streamJson(res, cursor, toJson);
+    } else {
+      await streamCsv(res, cursor, columns);
+    }
+  } catch (error) {
+    // Headers are already sent, so the only option is to abort the download
+    if (!error.aborted) {
+      console.error('Export stream error:', error);
+    }
+    await cursor.close?.();
+    res.destroy();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  column,
+  streamExport
+};
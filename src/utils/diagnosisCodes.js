@@ -0,0 +1,172 @@
+// ICD-10 (WHO) codes commonly used in optometric practice. Laterality is kept
+// on the diagnosis itself rather than in the code. `keywords` holds everyday
+// terms staff search for.
+const DIAGNOSIS_CODES = [
+  // Refraction and accommodation
+  { code: 'H52.0', description: 'Hypermetropia', category: 'refraction', keywords: ['hyperopia', 'long sight', 'farsighted'] },
+  { code: 'H52.1', description: 'Myopia', category: 'refraction', keywords: ['short sight', 'nearsighted'] },
+  { code: 'H52.2', description: 'Astigmatism', category: 'refraction' },
+  { code: 'H52.3', description: 'Anisometropia and aniseikonia', category: 'refraction' },
+  { code: 'H52.4', description: 'Presbyopia', category: 'refraction', keywords: ['reading glasses'] },
+  { code: 'H52.5', description: 'Disorders of accommodation', category: 'refraction' },
+  { code: 'H52.6', description: 'Other disorders of refraction', category: 'refraction' },
+  { code: 'H52.7', description: 'Disorder of refraction, unspecified', category: 'refraction' },
+  { code: 'H44.2', description: 'Degenerative myopia', category: 'refraction', keywords: ['pathological myopia', 'high myopia'] },
+
+  // Glaucoma
+  { code: 'H40.0', description: 'Glaucoma suspect', category: 'glaucoma', keywords: ['ocular hypertension', 'OHT', 'raised IOP'] },
+  { code: 'H40.1', description: 'Primary open-angle glaucoma', category: 'glaucoma', keywords: ['POAG', 'normal tension glaucoma'] },
+  { code: 'H40.2', description: 'Primary angle-closure glaucoma', category: 'glaucoma', keywords: ['PACG', 'narrow angles'] },
+  { code: 'H40.3', description: 'Glaucoma secondary to eye trauma', category: 'glaucoma' },
+  { code: 'H40.4', description: 'Glaucoma secondary to eye inflammation', category: 'glaucoma' },
+  { code: 'H40.5', description: 'Glaucoma secondary to other eye disorders', category: 'glaucoma', keywords: ['pigmentary', 'pseudoexfoliation'] },
+  { code: 'H40.6', description: 'Glaucoma secondary to drugs', category: 'glaucoma', keywords: ['steroid induced'] },
+  { code: 'H40.8', description: 'Other glaucoma', category: 'glaucoma' },
+  { code: 'H40.9', description: 'Glaucoma, unspecified', category: 'glaucoma' },
+
+  // Diabetes and retina
+  { code: 'E10.3', description: 'Type 1 diabetes mellitus with ophthalmic complications', category: 'diabetic', keywords: ['IDDM'] },
+  { code: 'E11.3', description: 'Type 2 diabetes mellitus with ophthalmic complications', category: 'diabetic', keywords: ['NIDDM'] },
+  { code: 'H36.0', description: 'Diabetic retinopathy', category: 'diabetic', keywords: ['DR', 'maculopathy'] },
+  { code: 'H35.0', description: 'Background retinopathy and retinal vascular changes', category: 'retina', keywords: ['hypertensive retinopathy'] },
+  { code: 'H35.1', description: 'Retinopathy of prematurity', category: 'retina', keywords: ['ROP'] },
+  { code: 'H35.3', description: 'Degeneration of macula and posterior pole', category: 'retina', keywords: ['AMD', 'ARMD', 'macular degeneration', 'drusen'] },
+  { code: 'H35.4', description: 'Peripheral retinal degeneration', category: 'retina', keywords: ['lattice'] },
+  { code: 'H35.8', description: 'Other specified retinal disorders', category: 'retina', keywords: ['CSR', 'central serous', 'macular oedema'] },
+  { code: 'H33.0', description: 'Retinal detachment with retinal break', category: 'retina', keywords: ['RD', 'retinal tear'] },
+  { code: 'H34.1', description: 'Central retinal artery occlusion', category: 'retina', keywords: ['CRAO'] },
+  { code: 'H34.8', description: 'Other retinal vascular occlusions', category: 'retina', keywords: ['CRVO', 'BRVO', 'vein occlusion'] },
+  { code: 'H43.1', description: 'Vitreous haemorrhage', category: 'retina' },
+  { code: 'H43.8', description: 'Other disorders of vitreous body', category: 'retina', keywords: ['PVD', 'floaters', 'vitreous detachment'] },
+
+  // Lens
+  { code: 'H25.0', description: 'Senile incipient cataract', category: 'lens' },
+  { code: 'H25.1', description: 'Senile nuclear cataract', category: 'lens', keywords: ['nuclear sclerosis'] },
+  { code: 'H25.9', description: 'Senile cataract, unspecified', category: 'lens' },
+  { code: 'H26.4', description: 'After-cataract', category: 'lens', keywords: ['PCO', 'posterior capsule opacification'] },
+  { code: 'H26.9', description: 'Cataract, unspecified', category: 'lens' },
+  { code: 'H27.0', description: 'Aphakia', category: 'lens' },
+  { code: 'Z96.1', description: 'Presence of intraocular lens', category: 'lens', keywords: ['pseudophakia', 'IOL'] },
+
+  // Cornea, conjunctiva and lids
+  { code: 'H04.1', description: 'Other disorders of lacrimal gland', category: 'anterior_segment', keywords: ['dry eye', 'keratoconjunctivitis sicca'] },
+  { code: 'H01.0', description: 'Blepharitis', category: 'anterior_segment', keywords: ['MGD', 'meibomian'] },
+  { code: 'H00.0', description: 'Hordeolum and other deep inflammation of eyelid', category: 'anterior_segment', keywords: ['stye'] },
+  { code: 'H00.1', description: 'Chalazion', category: 'anterior_segment' },
+  { code: 'H02.4', description: 'Ptosis of eyelid', category: 'anterior_segment' },
+  { code: 'H10.1', description: 'Acute atopic conjunctivitis', category: 'anterior_segment', keywords: ['allergic conjunctivitis', 'hay fever'] },
+  { code: 'H10.3', description: 'Acute conjunctivitis, unspecified', category: 'anterior_segment', keywords: ['red eye'] },
+  { code: 'H10.4', description: 'Chronic conjunctivitis', category: 'anterior_segment' },
+  { code: 'H11.0', description: 'Pterygium', category: 'anterior_segment' },
+  { code: 'H11.1', description: 'Conjunctival degenerations and deposits', category: 'anterior_segment', keywords: ['pinguecula'] },
+  { code: 'H16.0', description: 'Corneal ulcer', category: 'anterior_segment', keywords: ['microbial keratitis'] },
+  { code: 'H16.1', description: 'Other superficial keratitis without conjunctivitis', category: 'anterior_segment', keywords: ['SPK', 'punctate keratitis'] },
+  { code: 'H18.5', description: 'Hereditary corneal dystrophies', category: 'anterior_segment', keywords: ['Fuchs'] },
+  { code: 'H18.6', description: 'Keratoconus', category: 'anterior_segment' },
+  { code: 'H20.0', description: 'Acute and subacute iridocyclitis', category: 'anterior_segment', keywords: ['anterior uveitis', 'iritis'] },
+  { code: 'S05.0', description: 'Injury of conjunctiva and corneal abrasion without mention of foreign body', category: 'anterior_segment', keywords: ['abrasion'] },
+  { code: 'T15.0', description: 'Foreign body in cornea', category: 'anterior_segment', keywords: ['FB'] },
+
+  // Binocular vision
+  { code: 'H50.0', description: 'Convergent concomitant strabismus', category: 'binocular_vision', keywords: ['esotropia', 'squint'] },
+  { code: 'H50.1', description: 'Divergent concomitant strabismus', category: 'binocular_vision', keywords: ['exotropia', 'squint'] },
+  { code: 'H50.5', description: 'Heterophoria', category: 'binocular_vision', keywords: ['decompensated phoria'] },
+  { code: 'H51.1', description: 'Convergence insufficiency and excess', category: 'binocular_vision' },
+  { code: 'H53.0', description: 'Amblyopia ex anopsia', category: 'binocular_vision', keywords: ['lazy eye'] },
+  { code: 'H53.2', description: 'Diplopia', category: 'binocular_vision', keywords: ['double vision'] },
+
+  // Visual function and neuro-ophthalmology
+  { code: 'H53.1', description: 'Subjective visual disturbances', category: 'visual_function', keywords: ['flashes', 'halos'] },
+  { code: 'H53.4', description: 'Visual field defects', category: 'visual_function' },
+  { code: 'H53.5', description: 'Colour vision deficiencies', category: 'visual_function', keywords: ['color blindness', 'colour blindness'] },
+  { code: 'H54.2', description: 'Low vision, binocular', category: 'visual_function', keywords: ['visual impairment'] },
+  { code: 'H54.0', description: 'Blindness, binocular', category: 'visual_function' },
+  { code: 'H46', description: 'Optic neuritis', category: 'neuro', keywords: ['papillitis'] },
+  { code: 'H47.1', description: 'Papilloedema, unspecified', category: 'neuro', keywords: ['disc swelling'] },
+  { code: 'H47.2', description: 'Optic atrophy', category: 'neuro' },
+  { code: 'H57.0', description: 'Anomalies of pupillary function', category: 'neuro', keywords: ['anisocoria', 'RAPD'] },
+  { code: 'H57.1', description: 'Ocular pain', category: 'other' },
+
+  // Encounters
+  { code: 'Z01.0', description: 'Examination of eyes and vision', category: 'other', keywords: ['routine eye test'] },
+  { code: 'Z97.3', description: 'Presence of spectacles and contact lenses', category: 'other' }
+];
+
+const DIAGNOSIS_CATEGORIES = [...new Set(DIAGNOSIS_CODES.map(item => item.category))];
+
+const LATERALITIES = ['right', 'left', 'both', 'not_applicable'];
+
+const codesByCode = new Map(DIAGNOSIS_CODES.map(item => [item.code, item]));
+
+// "h401" and "H40.1" both find H40.1
+const normalizeCode = (code) => {
+  const compact = String(code || '').trim().toUpperCase().replace(/\./g, '');
+  return compact.length > 3 ? `${compact.slice(0, 3)}.${compact.slice(3)}` : compact;
+};
+
+const findDiagnosisCode = (code) => codesByCode.get(normalizeCode(code)) || null;
+
+// Rank codes for a search term: code matches first, then descriptions
+// starting with the term, then descriptions or keywords containing it
+const searchDiagnosisCodes = (search, { category, limit = 20 } = {}) => {
+  const candidates = category
+    ? DIAGNOSIS_CODES.filter(item => item.category === category)
+    : DIAGNOSIS_CODES;
+
+  const term = String(search || '').trim().toLowerCase();
+  if (!term) return candidates.slice(0, limit);
+
+  const code = normalizeCode(term);
+  const words = term.split(/\s+/);
+
+  const scored = candidates.map(item => {
+    const description = item.description.toLowerCase();
+    const keywords = (item.keywords || []).map(keyword => keyword.toLowerCase());
+    const text = [description, ...keywords].join(' ');
+
+    let score = 0;
+    if (item.code === code) score = 100;
+    else if (item.code.startsWith(code)) score = 80;
+    else if (description.startsWith(term)) score = 60;
+    else if (keywords.some(keyword => keyword === term)) score = 50;
+    else if (words.every(word => text.includes(word))) score = 30;
+
+    return { item, score };
+  });
+
+  return scored
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.item.code.localeCompare(b.item.code))
+    .slice(0, limit)
+    .map(entry => entry.item);
+};
+
+// Validate the coded diagnoses of a record and fill in the standard
+// description when none was given. Returns { diagnoses, errors }.
+const resolveDiagnoses = (diagnoses = []) => {
+  const errors = [];
+  const resolved = diagnoses.map((diagnosis, index) => {
+    const known = findDiagnosisCode(diagnosis?.code);
+    if (!known) {
+      errors.push(`Diagnosis ${index + 1}: unknown diagnosis code ${diagnosis?.code || ''}`.trim());
+      return diagnosis;
+    }
+    return {
+      ...diagnosis,
+      code: known.code,
+      description: diagnosis.description || known.description
+    };
+  });
+
+  return { diagnoses: resolved, errors };
+};
+
+module.exports = {
+  DIAGNOSIS_CODES,
+  DIAGNOSIS_CATEGORIES,
+  LATERALITIES,
+  normalizeCode,
+  findDiagnosisCode,
+  searchDiagnosisCodes,
+  resolveDiagnoses
+};
@@ -0,0 +1,244 @@
+const Product = require('../Models/Product.js');
+const StockMovement = require('../Models/StockMovement.js');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const { trackRecordChange } = require('./recordHistory.js');
+
+// Product category each record product role accepts ("other" accepts any)
+const ROLE_CATEGORIES = {
+  frame: 'frame',
+  right_lens: 'spectacle_lens',
+  left_lens: 'spectacle_lens',
+  right_contact_lens: 'contact_lens',
+  left_contact_lens: 'contact_lens'
+};
+
+// Fields copied when a transfer creates the product in the receiving shop
+const PRODUCT_COPY_FIELDS = ['sku', 'category', 'brand', 'model', 'color', 'size', 'description', 'lens', 'costPrice', 'salePrice'];
+
+// Apply a signed change to a product's stock and log it. A decrease never
+// takes the stock below zero. Returns { product, movement } or
+// { statusCode, message }.
+const changeStock = async (product, { type, quantity, unitCost, reference, reason, record, relatedShop, user }) => {
+  const filter = { _id: product._id, shop: product.shop };
+  if (quantity < 0) {
+    filter['stock.quantity'] = { $gte: -quantity };
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { 'stock.quantity': quantity } },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await Product.findById(product._id).select('sku stock');
+    return {
+      statusCode: 400,
+      message: `Not enough stock for ${product.sku}: ${current?.stock.quantity ?? 0} available, ${-quantity} needed`
+    };
+  }
+
+  const movement = await StockMovement.create({
+    shop: product.shop,
+    product: product._id,
+    type,
+    quantity,
+    balanceAfter: updated.stock.quantity,
+    unitCost,
+    reference,
+    reason,
+    record,
+    relatedShop,
+    createdBy: user?._id
+  });
+
+  return { product: updated, movement };
+};
+
+// Move stock to another shop, creating the product there (same SKU, no
+// stock) when it does not exist yet
+const transferStock = async (product, toShopId, quantity, { reference, reason, user } = {}) => {
+  if (product.shop.equals(toShopId)) {
+    return { statusCode: 400, message: 'Cannot transfer stock to the same shop' };
+  }
+
+  let target = await Product.findOne({ shop: toShopId, sku: product.sku });
+  if (!target) {
+    const copy = Object.fromEntries(PRODUCT_COPY_FIELDS.map(field => [field, product[field]]));
+    target = await Product.create({ ...copy, shop: toShopId, createdBy: user?._id });
+  }
+
+  const out = await changeStock(product, {
+    type: 'transfer_out',
+    quantity: -quantity,
+    reference,
+    reason,
+    relatedShop: toShopId,
+    user
+  });
+  if (out.statusCode) return out;
+
+  const incoming = await changeStock(target, {
+    type: 'transfer_in',
+    quantity,
+    reference,
+    reason,
+    relatedShop: product.shop,
+    user
+  });
+
+  return { product: out.product, target: incoming.product, movements: [out.movement, incoming.movement] };
+};
+
+// Check the products chosen for a record: they must be active products of
+// the shop whose category fits the role. Returns { products } ready to be
+// stored on the record, or { statusCode, message }.
+const resolveRecordProducts = async (shopId, entries = []) => {
+  const products = await Product.find({
+    _id: { $in: entries.map(entry => entry.product) },
+    shop: shopId,
+    isActive: true
+  });
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  const resolved = [];
+  for (const entry of entries) {
+    const product = byId.get(String(entry.product));
+    if (!product) {
+      return { statusCode: 404, message: `Product ${entry.product} not found in this shop` };
+    }
+
+    const category = ROLE_CATEGORIES[entry.role];
+    if (category && product.category !== category) {
+      return {
+        statusCode: 400,
+        message: `${product.sku} is a ${product.category.replace('_', ' ')} and cannot be used as ${entry.role.replace(/_/g, ' ')}`
+      };
+    }
+
+    resolved.push({
+      role: entry.role,
+      product: product._id,
+      sku: product.sku,
+      description: product.getLabel(),
+      quantity: entry.quantity || 1
+    });
+  }
+
+  return { products: resolved };
+};
+
+// Take the products chosen for a record out of stock. Either every product
+// is taken or none: when one runs out, the ones already taken are put back.
+const sellRecordProducts = async (record, { reference, user } = {}) => {
+  const taken = [];
+
+  for (const entry of record.products) {
+    const result = await changeStock({ _id: entry.product, shop: record.shop, sku: entry.sku }, {
+      type: 'sell',
+      quantity: -entry.quantity,
+      reference,
+      record: record._id,
+      user
+    });
+
+    if (result.statusCode) {
+      for (const done of taken) {
+        await changeStock({ _id: done.product, shop: record.shop, sku: done.sku }, {
+          type: 'adjust',
+          quantity: done.quantity,
+          reason: 'Order not placed: another product was out of stock',
+          record: record._id,
+          user
+        });
+      }
+      return result;
+    }
+
+    taken.push(entry);
+  }
+
+  return { movements: taken.length };
+};
+
+// Place the order for a record's products: mark the record as ordered and
+// take the products out of stock. The change is tracked like any other record
+// change. Returns { record } (the updated record) or { statusCode, message }.
+const placeRecordProductOrder = async (req, record, { reference } = {}) => {
+  if (!record.products.length) {
+    return { statusCode: 400, message: 'No products are linked to this record' };
+  }
+
+  const previous = record.toObject({ depopulate: true });
+
+  // Claim the order first so two requests cannot both take the stock
+  const claimed = await OptometryRecord.findOneAndUpdate(
+    { _id: record._id, productsOrderedAt: { $exists: false } },
+    { productsOrderedAt: new Date(), productsOrderedBy: req.user?._id },
+    { new: true }
+  );
+  if (!claimed) {
+    return { statusCode: 409, message: 'The products of this record were already ordered' };
+  }
+
+  const result = await sellRecordProducts(claimed, { reference, user: req.user });
+  if (result.statusCode) {
+    await OptometryRecord.updateOne(
+      { _id: record._id },
+      { $unset: { productsOrderedAt: 1, productsOrderedBy: 1 } }
+    );
+    return result;
+  }
+
+  await trackRecordChange(req, claimed, 'update', previous, {
+    description: 'Ordered linked products',
+    metadata: { skus: claimed.products.map(product => product.sku), reference }
+  });
+
+  return { record: claimed };
+};
+
+// Undo placeRecordProductOrder, e.g. when the order is cancelled: put the
+// products back in stock and mark them as not ordered, so they can be changed
+// or ordered again. Returns { record } or { statusCode, message }.
+const returnRecordProducts = async (req, record, { reference, reason } = {}) => {
+  const previous = record.toObject({ depopulate: true });
+
+  // Release the claim first so the stock is only returned once
+  const released = await OptometryRecord.findOneAndUpdate(
+    { _id: record._id, productsOrderedAt: { $exists: true } },
+    { $unset: { productsOrderedAt: 1, productsOrderedBy: 1 } },
+    { new: true }
+  );
+  if (!released) {
+    return { statusCode: 409, message: 'The products of this record are not ordered' };
+  }
+
+  for (const entry of released.products) {
+    await changeStock({ _id: entry.product, shop: released.shop, sku: entry.sku }, {
+      type: 'adjust',
+      quantity: entry.quantity,
+      reference,
+      reason,
+      record: released._id,
+      user: req.user
+    });
+  }
+
+  await trackRecordChange(req, released, 'update', previous, {
+    description: 'Returned linked products to stock',
+    metadata: { skus: released.products.map(product => product.sku), reference }
+  });
+
+  return { record: released };
+};
+
+module.exports = {
+  ROLE_CATEGORIES,
+  changeStock,
+  transferStock,
+  resolveRecordProducts,
+  sellRecordProducts,
+  placeRecordProductOrder,
+  returnRecordProducts
+};
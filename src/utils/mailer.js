@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+
+// SMTP settings come from the environment: SMTP_HOST, SMTP_PORT,
+// SMTP_SECURE, SMTP_USER, SMTP_PASS and MAIL_FROM
+let transporter;
+
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+const sendMail = ({ to, subject, text, html, from }) => getTransporter().sendMail({
+  from: from || process.env.MAIL_FROM || process.env.SMTP_USER,
+  to,
+  subject,
+  text,
+  html
+});
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
@@ -0,0 +1,299 @@
+const moment = require('moment');
+const EmailTemplate = require('../Models/EmailTemplate.js');
+const EmailOutbox = require('../Models/EmailOutbox.js');
+const Customer = require('../Models/Customer.js');
+const Shop = require('../Models/Shop.js');
+const { isMailConfigured, sendMail } = require('./mailer.js');
+const { inShopTime } = require('./appointmentScheduling.js');
+
+// Built-in wording, used until a shop saves its own template
+const DEFAULT_TEMPLATES = {
+  appointment_confirmation: {
+    subject: 'Your appointment at {{shop.name}} on {{appointment.date}}',
+    body: [
+      'Dear {{customer.name}},',
+      '',
+      'Your {{appointment.type}} appointment at {{shop.name}} is booked for {{appointment.date}} at {{appointment.time}}.',
+      '{{appointment.confirmationLine}}',
+      '',
+      'If you need to change it, call us on {{shop.phone}}.',
+      '',
+      '{{shop.name}}'
+    ].join('\n')
+  },
+  appointment_reminder: {
+    subject: 'Reminder: your appointment tomorrow at {{shop.name}}',
+    body: [
+      'Dear {{customer.name}},',
+      '',
+      'This is a reminder of your {{appointment.type}} appointment at {{shop.name}} on {{appointment.date}} at {{appointment.time}}.',
+      '',
+      'If you cannot come, please call us on {{shop.phone}}.',
+      '',
+      '{{shop.name}}'
+    ].join('\n')
+  },
+  order_ready: {
+    subject: 'Your order {{order.number}} is ready for collection',
+    body: [
+      'Dear {{customer.name}},',
+      '',
+      'Your {{order.items}} ready for collection at {{shop.name}}.',
+      'If you have any questions, call us on {{shop.phone}}.',
+      '',
+      'Order number: {{order.number}}'
+    ].join('\n')
+  },
+  recall: {
+    subject: 'Your eye examination is due',
+    body: [
+      'Dear {{customer.name}},',
+      '',
+      'Our records show that your next eye examination is due on {{recall.dueDate}}. Your last examination was on {{recall.lastExamDate}}.',
+      '',
+      'Regular eye examinations check your vision and the health of your eyes. Call us on {{shop.phone}} to book.',
+      '',
+      '{{shop.name}}'
+    ].join('\n')
+  },
+  password_reset: {
+    subject: 'Reset your password',
+    body: [
+      'Hello {{user.name}},',
+      '',
+      'We received a request to reset your password. Use the link below within {{reset.expiresInMinutes}} minutes:',
+      '',
+      '{{reset.url}}',
+      '',
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  }
+};
+
+// Placeholders available to each template type
+const SHOP_PLACEHOLDERS = ['shop.name', 'shop.phone', 'shop.email', 'shop.address'];
+const TEMPLATE_PLACEHOLDERS = {
+  appointment_confirmation: [
+    ...SHOP_PLACEHOLDERS,
+    'customer.name',
+    'appointment.date',
+    'appointment.time',
+    'appointment.type',
+    'appointment.confirmationCode',
+    'appointment.confirmationLine'
+  ],
+  appointment_reminder: [
+    ...SHOP_PLACEHOLDERS,
+    'customer.name',
+    'appointment.date',
+    'appointment.time',
+    'appointment.type',
+    'appointment.confirmationCode'
+  ],
+  order_ready: [...SHOP_PLACEHOLDERS, 'customer.name', 'order.number', 'order.type', 'order.items'],
+  recall: [...SHOP_PLACEHOLDERS, 'customer.name', 'recall.dueDate', 'recall.lastExamDate'],
+  password_reset: [...SHOP_PLACEHOLDERS, 'user.name', 'reset.url', 'reset.expiresInMinutes']
+};
+
+const PLACEHOLDER_PATTERN = /{{\s*([\w.]+)\s*}}/g;
+
+// Links in emails point at the web app
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+const formatDate = (date) => (date ? moment(date).format('dddd D MMMM YYYY') : '');
+
+const getValue = (context, path) => path.split('.').reduce((value, key) => value?.[key], context);
+
+// Replace {{placeholders}}; unknown or empty ones become an empty string
+const renderText = (text, context) => text.replace(PLACEHOLDER_PATTERN, (match, path) => {
+  const value = getValue(context, path);
+  return value === undefined || value === null ? '' : String(value);
+});
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// HTML part from the rendered text; links become clickable
+const textToHtml = (text) => escapeHtml(text)
+  .replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`)
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+// Placeholders in a template that its type does not provide
+const findUnknownPlaceholders = (type, ...texts) => {
+  const allowed = TEMPLATE_PLACEHOLDERS[type] || [];
+  const used = texts.flatMap(text => [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]));
+  return [...new Set(used.filter(path => !allowed.includes(path)))];
+};
+
+const renderTemplate = (template, context) => {
+  const text = renderText(template.body, context).replace(/\n{3,}/g, '\n\n').trim();
+  return {
+    subject: renderText(template.subject, context).trim(),
+    text,
+    html: textToHtml(text)
+  };
+};
+
+// The shop's template for a type, or the default
+const getTemplate = async (shopId, type) => {
+  const custom = shopId ? await EmailTemplate.findOne({ shop: shopId, type }) : null;
+  if (custom) {
+    return { type, subject: custom.subject, body: custom.body, isDefault: false, updatedAt: custom.updatedAt };
+  }
+  return { type, ...DEFAULT_TEMPLATES[type], isDefault: true };
+};
+
+// Context builders for the placeholders
+const shopContext = (shop) => ({
+  name: shop?.name,
+  phone: shop?.contact?.phone,
+  email: shop?.contact?.email,
+  address: [shop?.contact?.address?.street, shop?.contact?.address?.city].filter(Boolean).join(', ')
+});
+
+// Dates and times as the shop's clock shows them
+const appointmentContext = (appointment, shop) => ({
+  date: formatDate(inShopTime(shop, appointment.startTime)),
+  time: inShopTime(shop, appointment.startTime).format('HH:mm'),
+  type: (appointment.type || 'routine').replace(/_/g, ' '),
+  confirmationCode: appointment.confirmationCode,
+  confirmationLine: appointment.confirmationCode ? `Your confirmation code is ${appointment.confirmationCode}.` : ''
+});
+
+const orderContext = (order) => ({
+  number: order.orderNumber,
+  type: order.type === 'contact_lenses' ? 'contact lenses' : 'glasses',
+  items: order.type === 'contact_lenses' ? 'contact lenses are' : 'glasses are'
+});
+
+const recallContext = (recall) => ({
+  dueDate: formatDate(recall.dueDate),
+  lastExamDate: formatDate(recall.lastExamDate)
+});
+
+// Example values for previews
+const sampleContext = (shop) => ({
+  shop: shopContext(shop),
+  customer: { name: 'Jane Smith' },
+  user: { name: 'Jane Smith' },
+  appointment: appointmentContext({
+    startTime: inShopTime(shop, new Date()).add(1, 'day').hour(10).minute(30).startOf('minute').toDate(),
+    type: 'routine',
+    confirmationCode: 'ABC123'
+  }, shop),
+  order: orderContext({ orderNumber: 'ORD-000123', type: 'spectacles' }),
+  recall: recallContext({ dueDate: moment().add(2, 'weeks').toDate(), lastExamDate: moment().subtract(2, 'years').toDate() }),
+  reset: { url: `${getClientUrl()}/reset-password?token=example`, expiresInMinutes: 60 }
+});
+
+// Send one outbox entry now, keeping the outcome on the entry
+const deliverEmail = async (entry) => {
+  if (!isMailConfigured()) {
+    entry.markFailed('Email is not configured');
+  } else {
+    try {
+      const info = await sendMail({ to: entry.to, subject: entry.subject, text: entry.text, html: entry.html });
+      entry.markSent(info);
+    } catch (error) {
+      console.error(`Email ${entry._id} delivery error:`, error.message);
+      entry.markFailed(error.message);
+    }
+  }
+  await entry.save();
+  return entry;
+};
+
+// Render the shop's template and put the email in the outbox; the outbox
+// job sends it. Nothing is sent inside the request, so a response does not
+// reveal how delivery went. Emails that cannot be sent are kept as skipped,
+// so callers can always report what happened.
+const queueEmail = async ({ shop, type, to, context, related, user }) => {
+  const template = await getTemplate(shop?._id, type);
+  const rendered = renderTemplate(template, { shop: shopContext(shop), ...context });
+
+  const entry = new EmailOutbox({
+    shop: shop?._id,
+    type,
+    to,
+    ...rendered,
+    related,
+    createdBy: user?._id
+  });
+
+  // Password resets are sent even when a shop turned customer emails off
+  if (type !== 'password_reset' && shop?.settings?.notifications?.email === false) {
+    entry.status = 'skipped';
+    entry.lastError = 'Email notifications are disabled for this shop';
+  } else if (!to) {
+    entry.status = 'skipped';
+    entry.lastError = 'No email address';
+  }
+
+  await entry.save();
+  return entry;
+};
+
+// Confirmation or reminder of an appointment, sent to the email address
+// stored on the customer
+const notifyAppointment = async (appointment, type, { shop, user } = {}) => {
+  const [appointmentShop, customer] = await Promise.all([
+    shop || Shop.findById(appointment.shop).select('name contact settings.notifications settings.timezone'),
+    Customer.findById(appointment.customer?._id || appointment.customer).select('name email')
+  ]);
+
+  return queueEmail({
+    shop: appointmentShop,
+    type,
+    to: customer?.email,
+    context: { customer: { name: customer?.name }, appointment: appointmentContext(appointment, appointmentShop) },
+    related: { entity: 'appointment', id: appointment._id },
+    user
+  });
+};
+
+// Send queued emails whose next attempt is due. Each entry is claimed
+// first so parallel runs do not send it twice; entries left in `sending` by
+// a crash are picked up again after 10 minutes.
+const processOutbox = async ({ batchSize = 50 } = {}) => {
+  await EmailOutbox.updateMany(
+    { status: 'sending', updatedAt: { $lt: moment().subtract(10, 'minutes').toDate() } },
+    { $set: { status: 'queued' } }
+  );
+
+  let processed = 0;
+  while (processed < batchSize) {
+    const entry = await EmailOutbox.findOneAndUpdate(
+      { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'sending' } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!entry) break;
+    await deliverEmail(entry);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_PLACEHOLDERS,
+  getClientUrl,
+  findUnknownPlaceholders,
+  renderTemplate,
+  getTemplate,
+  shopContext,
+  appointmentContext,
+  orderContext,
+  recallContext,
+  sampleContext,
+  deliverEmail,
+  queueEmail,
+  notifyAppointment,
+  processOutbox
+};
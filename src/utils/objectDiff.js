@@ -0,0 +1,67 @@
+// Field-level differences between two plain objects (e.g. document snapshots)
+
+const IGNORED_KEYS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const isPlainObject = (value) => (
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value._bsontype)
+);
+
+// Normalize ObjectIds, Dates and subdocuments to JSON-comparable values
+const toPlain = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Flatten nested objects into dot paths. Arrays are compared as a whole.
+const flatten = (value, prefix = '', result = {}) => {
+  if (!isPlainObject(value)) {
+    if (prefix) result[prefix] = value;
+    return result;
+  }
+
+  Object.keys(value).forEach(key => {
+    if (IGNORED_KEYS.includes(key)) return;
+    flatten(value[key], prefix ? `${prefix}.${key}` : key, result);
+  });
+
+  return result;
+};
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+// List of { path, before, after } for every path whose value differs
+const diffObjects = (before, after) => {
+  const flatBefore = flatten(toPlain(before || {}));
+  const flatAfter = flatten(toPlain(after || {}));
+
+  const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+
+  return paths.reduce((changes, path) => {
+    const previous = flatBefore[path];
+    const next = flatAfter[path];
+
+    if (isEmptyValue(previous) && isEmptyValue(next)) return changes;
+    if (JSON.stringify(previous) === JSON.stringify(next)) return changes;
+
+    changes.push({
+      path,
+      before: previous === undefined ? null : previous,
+      after: next === undefined ? null : next
+    });
+    return changes;
+  }, []);
+};
+
+// Top-level field names touched by a list of changes
+const changedFields = (changes) => [...new Set(changes.map(change => change.path.split('.')[0]))];
+
+module.exports = {
+  toPlain,
+  flatten,
+  diffObjects,
+  changedFields
+};
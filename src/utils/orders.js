@@ -0,0 +1,122 @@
+const moment = require('moment');
+const Order = require('../Models/Order.js');
+const Customer = require('../Models/Customer.js');
+const Shop = require('../Models/Shop.js');
+const { queueEmail, orderContext } = require('./notifications.js');
+
+// Prescription as it stands on the record, without subdocument ids
+const snapshotPrescription = (record) => {
+  const data = JSON.parse(JSON.stringify(record.toObject(), (key, value) => (key === '_id' ? undefined : value)));
+  return {
+    right_eye: data.right_eye,
+    left_eye: data.left_eye,
+    pd: data.pd,
+    prism: data.prism,
+    base: data.base,
+    prescriptionType: data.prescriptionType,
+    recordDate: data.date
+  };
+};
+
+// Order fields taken from the record: the prescription, and the frame and
+// lenses chosen from stock when there are any. Values sent with the request
+// take precedence.
+const buildOrderFromRecord = (record, { type = 'spectacles', frame = {}, lenses = {} } = {}) => {
+  const productFor = (...roles) => record.products.find(item => roles.includes(item.role));
+  const stockFrame = productFor('frame');
+  const stockLens = type === 'contact_lenses'
+    ? productFor('right_contact_lens', 'left_contact_lens')
+    : productFor('right_lens', 'left_lens');
+
+  return {
+    shop: record.shop,
+    customer: record.customer,
+    record: record._id,
+    type,
+    prescription: snapshotPrescription(record),
+    frame: type === 'contact_lenses' ? undefined : {
+      source: stockFrame ? 'stock' : frame.source,
+      product: stockFrame?.product,
+      sku: stockFrame?.sku,
+      description: frame.description || stockFrame?.description || record.frame
+    },
+    lenses: {
+      type: type === 'contact_lenses' ? 'contact' : record.lensType,
+      description: stockLens?.description,
+      ...lenses
+    }
+  };
+};
+
+const getOverdueDays = (shop) => {
+  const configured = shop?.settings?.orders?.overdueDays || {};
+  return Object.fromEntries(
+    Object.entries(Order.DEFAULT_OVERDUE_DAYS).map(([status, days]) => [status, configured[status] ?? days])
+  );
+};
+
+// Orders that stayed too long in their status, grouped by status. Orders at
+// the lab are also overdue once the date the lab promised has passed.
+const findOverdueOrders = async (shop) => {
+  const overdueDays = getOverdueDays(shop);
+  const now = new Date();
+
+  return Promise.all(Object.entries(overdueDays).map(async ([status, days]) => {
+    const since = moment(now).subtract(days, 'days').toDate();
+    const condition = status === 'at_lab'
+      ? { $or: [{ statusChangedAt: { $lt: since } }, { 'lab.expectedAt': { $lt: now } }] }
+      : { statusChangedAt: { $lt: since } };
+
+    const orders = await Order.find({ shop: shop._id, status, ...condition })
+      .populate('customer', 'name phone email')
+      .sort({ statusChangedAt: 1 });
+
+    return {
+      status,
+      overdueAfterDays: days,
+      total: orders.length,
+      orders: orders.map(order => ({
+        ...order.toObject(),
+        daysInStatus: moment(now).diff(order.statusChangedAt, 'days')
+      }))
+    };
+  }));
+};
+
+// Tell the customer their order can be collected. The outcome is kept on
+// the order; a failure to send never fails the status change.
+const notifyOrderReady = async (order, { user } = {}) => {
+  const [shop, customer] = await Promise.all([
+    Shop.findById(order.shop).select('name contact settings.notifications'),
+    Customer.findById(order.customer).select('name email')
+  ]);
+
+  const email = await queueEmail({
+    shop,
+    type: 'order_ready',
+    to: customer?.email,
+    context: { customer: { name: customer?.name }, order: orderContext(order) },
+    related: { entity: 'order', id: order._id },
+    user
+  });
+
+  // Sent and retried by the outbox job
+  const notification = {
+    type: 'order_ready',
+    channel: 'email',
+    to: email.to,
+    status: email.status,
+    error: email.lastError,
+    outbox: email._id
+  };
+
+  order.notifications.push(notification);
+  return notification;
+};
+
+module.exports = {
+  buildOrderFromRecord,
+  getOverdueDays,
+  findOverdueOrders,
+  notifyOrderReady
+};
@@ -0,0 +1,298 @@
+// Parsing and validation of free-text prescription values (sph/cyl/axis/va)
+
+const DIOPTER_STEP = 0.25;
+
+const LIMITS = {
+  sph: { min: -30, max: 30, label: 'Sphere' },
+  cyl: { min: -10, max: 10, label: 'Cylinder' },
+  add: { min: 0.25, max: 4, label: 'Add power' }
+};
+
+const PLANO_VALUES = ['PL', 'PLANO', 'PLAN'];
+
+const VA_CODES = {
+  CF: 'CF',
+  FC: 'CF',
+  HM: 'HM',
+  PL: 'PL',
+  LP: 'PL',
+  NPL: 'NPL',
+  NLP: 'NPL'
+};
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Normalize unicode minus signs, decimal commas and spaces
+const normalizeNumberText = (value) => String(value)
+  .trim()
+  .replace(/[−–—]/g, '-')
+  .replace(/,/g, '.')
+  .replace(/\s+/g, '')
+  .toUpperCase();
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Parse a sphere, cylinder or add power. Returns { value } or { error }.
+const parseDiopter = (raw, kind = 'sph') => {
+  if (isEmpty(raw)) return { value: null };
+
+  const { min, max, label } = LIMITS[kind];
+  const text = normalizeNumberText(raw);
+
+  if (PLANO_VALUES.includes(text) && kind !== 'add') {
+    return { value: 0 };
+  }
+
+  // Drop a trailing unit ("-1.50D", "-2.00DS")
+  const number = text.replace(/(DS|D)$/, '');
+
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(number)) {
+    return { error: `${label} "${raw}" is not a valid number` };
+  }
+
+  const value = parseFloat(number);
+
+  if (value < min || value > max) {
+    return { error: `${label} must be between ${min} and ${max}` };
+  }
+
+  if (Math.abs(value / DIOPTER_STEP - Math.round(value / DIOPTER_STEP)) > 1e-6) {
+    return { error: `${label} must be in ${DIOPTER_STEP} D steps` };
+  }
+
+  // Avoid storing -0
+  return { value: round(value) || 0 };
+};
+
+// Parse a cylinder axis (whole degrees, 1-180; 0 is recorded as 180)
+const parseAxis = (raw) => {
+  if (isEmpty(raw)) return { value: null };
+
+  const text = normalizeNumberText(raw).replace(/°$/, '');
+
+  if (!/^\d+$/.test(text)) {
+    return { error: `Axis "${raw}" must be a whole number of degrees` };
+  }
+
+  const value = parseInt(text, 10);
+
+  if (value > 180) {
+    return { error: 'Axis must be between 1 and 180' };
+  }
+
+  return { value: value === 0 ? 180 : value };
+};
+
+// Parse visual acuity into metric Snellen ("6/9", "6/9+2"), N notation for
+// near ("N6") or a low-vision code (CF, HM, PL, NPL). Returns { va, decimal } or { error }.
+const parseVisualAcuity = (raw) => {
+  if (isEmpty(raw)) return { va: null, decimal: null };
+
+  const text = String(raw).trim().toUpperCase().replace(/\s+/g, '').replace(/,/g, '.');
+
+  if (VA_CODES[text]) {
+    return { va: VA_CODES[text], decimal: null };
+  }
+
+  const nearMatch = text.match(/^N(\d+(?:\.\d+)?)$/);
+  if (nearMatch) {
+    return { va: `N${parseFloat(nearMatch[1])}`, decimal: null };
+  }
+
+  const snellenMatch = text.match(/^(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)([+-]\d)?$/);
+  if (snellenMatch) {
+    let numerator = parseFloat(snellenMatch[1]);
+    let denominator = parseFloat(snellenMatch[2]);
+    const modifier = snellenMatch[3] || '';
+
+    if (!numerator || !denominator) {
+      return { error: `Visual acuity "${raw}" is not a valid Snellen fraction` };
+    }
+
+    // Convert imperial (20 ft) to metric (6 m)
+    if (numerator === 20) {
+      denominator = round(denominator * 6 / 20, 1);
+      numerator = 6;
+    }
+
+    return {
+      va: `${numerator}/${denominator}${modifier}`,
+      decimal: round(numerator / denominator)
+    };
+  }
+
+  const decimalMatch = text.match(/^(\d*\.\d+|\d)$/);
+  if (decimalMatch) {
+    const decimal = parseFloat(decimalMatch[1]);
+
+    if (decimal <= 0 || decimal > 2) {
+      return { error: 'Decimal visual acuity must be greater than 0 and at most 2.0' };
+    }
+
+    return { va: `6/${round(6 / decimal, 1)}`, decimal: round(decimal) };
+  }
+
+  return { error: `Visual acuity "${raw}" is not a recognized notation` };
+};
+
+// Parse one measurement (dv or add). Field paths in errors are prefixed with `path`.
+const parseMeasurement = (measurement = {}, path, kind = 'dv') => {
+  const errors = [];
+  const parsed = {};
+
+  const sph = parseDiopter(measurement.sph, kind === 'add' ? 'add' : 'sph');
+  const cyl = parseDiopter(measurement.cyl, 'cyl');
+  const axis = parseAxis(measurement.axis);
+  const va = parseVisualAcuity(measurement.va);
+
+  if (sph.error) errors.push({ field: `${path}.sph`, message: sph.error });
+  else parsed.sph = sph.value;
+
+  if (cyl.error) errors.push({ field: `${path}.cyl`, message: cyl.error });
+  else parsed.cyl = cyl.value;
+
+  if (axis.error) errors.push({ field: `${path}.axis`, message: axis.error });
+  else parsed.axis = axis.value;
+
+  if (va.error) errors.push({ field: `${path}.va`, message: va.error });
+  else {
+    parsed.va = va.va;
+    parsed.vaDecimal = va.decimal;
+  }
+
+  if (parsed.cyl && parsed.axis === null) {
+    errors.push({ field: `${path}.axis`, message: 'Axis is required when cylinder is set' });
+  }
+
+  return { parsed, errors };
+};
+
+// Build the stored eye structure (raw text plus parsed values) from request data.
+// Accepts `nv` as an alias of `add`.
+const parseEye = (eyeData, path) => {
+  const dvRaw = eyeData?.dv || {};
+  const addRaw = eyeData?.nv || eyeData?.add || {};
+
+  const text = (value) => (isEmpty(value) ? '' : String(value).trim());
+  const rawText = (measurement) => ({
+    sph: text(measurement.sph),
+    cyl: text(measurement.cyl),
+    axis: text(measurement.axis),
+    va: text(measurement.va)
+  });
+
+  const dv = parseMeasurement(dvRaw, `${path}.dv`, 'dv');
+  const add = parseMeasurement(addRaw, `${path}.add`, 'add');
+
+  return {
+    eye: {
+      dv: { ...rawText(dvRaw), parsed: dv.parsed },
+      add: { ...rawText(addRaw), parsed: add.parsed }
+    },
+    errors: [...dv.errors, ...add.errors]
+  };
+};
+
+// Parse both eyes of a record payload
+const parsePrescription = (data = {}) => {
+  const right = parseEye(data.right_eye, 'right_eye');
+  const left = parseEye(data.left_eye, 'left_eye');
+
+  return {
+    right_eye: right.eye,
+    left_eye: left.eye,
+    errors: [...right.errors, ...left.errors]
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Optics calculations on parsed values ({ sph, cyl, axis } in diopters/degrees)
+// ---------------------------------------------------------------------------
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Convert between plus- and minus-cylinder form
+const transpose = ({ sph, cyl, axis }) => {
+  if (!hasValue(sph) && !hasValue(cyl)) return { sph: null, cyl: null, axis: null };
+  if (!cyl) return { sph: sph || 0, cyl, axis };
+
+  return {
+    sph: round((sph || 0) + cyl) || 0,
+    cyl: round(-cyl) || 0,
+    axis: hasValue(axis) ? (axis > 90 ? axis - 90 : axis + 90) : null
+  };
+};
+
+const toMinusCylinder = (rx) => (rx.cyl > 0 ? transpose(rx) : { sph: rx.sph, cyl: rx.cyl, axis: rx.axis });
+
+const toPlusCylinder = (rx) => (rx.cyl < 0 ? transpose(rx) : { sph: rx.sph, cyl: rx.cyl, axis: rx.axis });
+
+// Spherical equivalent: sphere plus half the cylinder
+const sphericalEquivalent = ({ sph, cyl }) => {
+  if (!hasValue(sph) && !hasValue(cyl)) return null;
+  return round((sph || 0) + (cyl || 0) / 2, 3) || 0;
+};
+
+// Near prescription: distance sphere plus the add power
+const nearPrescription = (distance, addPower) => {
+  if (!hasValue(addPower) || (!hasValue(distance.sph) && !hasValue(distance.cyl))) return null;
+
+  return {
+    sph: round((distance.sph || 0) + addPower) || 0,
+    cyl: distance.cyl,
+    axis: distance.axis
+  };
+};
+
+// Parsed values of a stored measurement, parsing the raw text for records
+// saved before parsed values existed
+const getParsedValues = (measurement, kind) => {
+  if (!measurement) return {};
+  if (measurement.parsed && Object.values(measurement.parsed).some(hasValue)) {
+    return measurement.parsed;
+  }
+  return parseMeasurement(measurement, '', kind).parsed;
+};
+
+// Normalized minus-cylinder form, spherical equivalent and near Rx for a stored eye
+const computeEye = (eye = {}) => {
+  const dv = getParsedValues(eye.dv, 'dv');
+  const add = getParsedValues(eye.add, 'add');
+
+  const distance = toMinusCylinder({ sph: dv.sph, cyl: dv.cyl, axis: dv.axis });
+  const near = nearPrescription(distance, add.sph);
+
+  return {
+    distance,
+    sphericalEquivalent: sphericalEquivalent(distance),
+    add: hasValue(add.sph) ? add.sph : null,
+    near,
+    nearSphericalEquivalent: near ? sphericalEquivalent(near) : null
+  };
+};
+
+const computePrescription = (record) => ({
+  right_eye: computeEye(record.right_eye),
+  left_eye: computeEye(record.left_eye)
+});
+
+module.exports = {
+  normalizeNumberText,
+  parseDiopter,
+  parseAxis,
+  parseVisualAcuity,
+  parseMeasurement,
+  parseEye,
+  parsePrescription,
+  transpose,
+  toMinusCylinder,
+  toPlusCylinder,
+  sphericalEquivalent,
+  nearPrescription,
+  getParsedValues,
+  computeEye,
+  computePrescription
+};
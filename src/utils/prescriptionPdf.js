@@ -0,0 +1,135 @@
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const { getParsedValues } = require('./prescription.js');
+const { ageOn } = require('./age.js');
+
+const LENS_TYPES = {
+  single_vision: 'Single vision',
+  bifocal: 'Bifocal',
+  progressive: 'Progressive',
+  office: 'Office',
+  other: 'Other'
+};
+
+const formatDiopter = (value, raw) => {
+  if (value === null || value === undefined) return raw || '-';
+  if (value === 0) return 'Plano';
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+};
+
+const formatValue = (value, raw) => {
+  if (value === null || value === undefined) return raw || '-';
+  return String(value);
+};
+
+const formatDate = (date) => (date ? moment(date).format('DD MMM YYYY') : '-');
+
+// Table row values for one measurement of one eye
+const measurementRow = (label, measurement, kind) => {
+  const parsed = getParsedValues(measurement, kind);
+  return [
+    label,
+    formatDiopter(parsed.sph, measurement?.sph),
+    formatDiopter(parsed.cyl, measurement?.cyl),
+    formatValue(parsed.axis, measurement?.axis),
+    formatValue(parsed.va, measurement?.va)
+  ];
+};
+
+const drawTable = (doc, headers, rows, { x, y, widths }) => {
+  const rowHeight = 20;
+  let currentY = y;
+
+  const drawRow = (cells, bold) => {
+    let currentX = x;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    cells.forEach((cell, i) => {
+      doc.rect(currentX, currentY, widths[i], rowHeight).stroke('#999999');
+      doc.fillColor('#000000').text(cell, currentX + 5, currentY + 6, {
+        width: widths[i] - 10,
+        align: i === 0 ? 'left' : 'center'
+      });
+      currentX += widths[i];
+    });
+    currentY += rowHeight;
+  };
+
+  drawRow(headers, true);
+  rows.forEach(row => drawRow(row, false));
+
+  return currentY;
+};
+
+const drawField = (doc, label, value) => {
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+    .font('Helvetica').text(value || '-');
+};
+
+// Render a completed record as a printable prescription. Returns the PDF
+// document; the caller pipes it to a stream and calls doc.end().
+const buildPrescriptionPdf = ({ record, customer, shop }) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Shop header
+  const address = shop.contact?.address || {};
+  const addressLine = [address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(part => part)
+    .join(', ');
+  const contactLine = [shop.contact?.phone, shop.contact?.email].filter(part => part).join('  |  ');
+
+  doc.font('Helvetica-Bold').fontSize(18).text(shop.name, { align: 'center' });
+  doc.font('Helvetica').fontSize(10);
+  if (addressLine) doc.text(addressLine, { align: 'center' });
+  if (contactLine) doc.text(contactLine, { align: 'center' });
+
+  doc.moveDown();
+  doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.margins.left + pageWidth, doc.y).stroke();
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(14).text('Spectacle Prescription', { align: 'center' });
+  doc.moveDown();
+
+  // Patient details
+  doc.fontSize(10);
+  drawField(doc, 'Patient', customer?.name);
+  const age = customer?.dateOfBirth ? ageOn(customer.dateOfBirth, record.date) : customer?.age;
+  drawField(doc, 'Age / Sex', [age, customer?.sex].filter(part => part !== undefined && part !== null && part !== '').join(' / '));
+  drawField(doc, 'Phone', customer?.phone);
+  drawField(doc, 'Examination date', formatDate(record.date));
+  doc.moveDown();
+
+  // Refraction
+  const widths = [110, 90, 90, 90, 115];
+  const tableBottom = drawTable(doc, ['', 'SPH', 'CYL', 'AXIS', 'VA'], [
+    measurementRow('Right (DV)', record.right_eye?.dv, 'dv'),
+    measurementRow('Left (DV)', record.left_eye?.dv, 'dv'),
+    measurementRow('Right (ADD)', record.right_eye?.add, 'add'),
+    measurementRow('Left (ADD)', record.left_eye?.add, 'add')
+  ], { x: doc.page.margins.left, y: doc.y, widths });
+
+  doc.x = doc.page.margins.left;
+  doc.y = tableBottom + 15;
+
+  // Additional measurements
+  drawField(doc, 'PD', record.pd);
+  drawField(doc, 'Prism / Base', [record.prism, record.base].filter(part => part).join(' / '));
+  drawField(doc, 'Lens type', LENS_TYPES[record.lensType] || record.lensType);
+  if (record.recommendations) {
+    drawField(doc, 'Recommendations', record.recommendations);
+  }
+  if (record.nextAppointment) {
+    drawField(doc, 'Next examination', formatDate(record.nextAppointment));
+  }
+
+  // Signature
+  doc.moveDown(3);
+  drawField(doc, 'Optometrist', record.signedBy || record.optometrist);
+  drawField(doc, 'Signed on', formatDate(record.signatureDate));
+
+  return doc;
+};
+
+module.exports = {
+  buildPrescriptionPdf
+};
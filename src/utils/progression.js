@@ -0,0 +1,133 @@
+// Prescription progression across a customer's completed records
+
+const { computeEye, getParsedValues } = require('./prescription.js');
+
+const DEFAULT_THRESHOLD = 0.5; // diopters per year
+const MIN_SPAN_DAYS = 90; // shorter spans give unreliable annual rates
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, decimals = 2) => {
+  if (value === null || value === undefined) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const difference = (current, previous) => (
+  current === null || current === undefined || previous === null || previous === undefined
+    ? null
+    : round(current - previous)
+);
+
+// Axis change the short way round: axes repeat every 180 degrees, so 179
+// to 1 is a change of 2, kept within -90..90
+const axisDifference = (current, previous) => {
+  const change = difference(current, previous);
+  if (change === null) return null;
+  return ((change + 90) % 180 + 180) % 180 - 90;
+};
+
+// Least-squares slope of spherical equivalent over time, in diopters per year
+const annualizedRate = (series) => {
+  const points = series.filter(point => point.sphericalEquivalent !== null);
+  if (points.length < 2) return null;
+
+  const start = new Date(points[0].date).getTime();
+  const years = points.map(point => (new Date(point.date).getTime() - start) / (365.25 * DAY_MS));
+  const spanDays = years[years.length - 1] * 365.25;
+
+  if (spanDays < MIN_SPAN_DAYS) return null;
+
+  const meanX = years.reduce((sum, x) => sum + x, 0) / years.length;
+  const meanY = points.reduce((sum, point) => sum + point.sphericalEquivalent, 0) / points.length;
+
+  let numerator = 0;
+  let denominator = 0;
+  points.forEach((point, i) => {
+    numerator += (years[i] - meanX) * (point.sphericalEquivalent - meanY);
+    denominator += (years[i] - meanX) * (years[i] - meanX);
+  });
+
+  return denominator ? round(numerator / denominator) : null;
+};
+
+// Time series for one eye with deltas between consecutive visits.
+// Records must be sorted by date ascending.
+const buildEyeSeries = (records, side) => {
+  const series = [];
+
+  records.forEach(record => {
+    const eye = record[side] || {};
+    const computed = computeEye(eye);
+    const dv = getParsedValues(eye.dv, 'dv');
+
+    if (computed.distance.sph === null && computed.distance.cyl === null) return;
+
+    const point = {
+      record: record._id,
+      date: record.date,
+      sph: computed.distance.sph,
+      cyl: computed.distance.cyl,
+      axis: computed.distance.axis,
+      sphericalEquivalent: computed.sphericalEquivalent,
+      va: dv.va ?? null,
+      vaDecimal: dv.vaDecimal ?? null,
+      delta: null
+    };
+
+    const previous = series[series.length - 1];
+    if (previous) {
+      point.delta = {
+        days: Math.round((new Date(point.date) - new Date(previous.date)) / DAY_MS),
+        sph: difference(point.sph, previous.sph),
+        cyl: difference(point.cyl, previous.cyl),
+        axis: axisDifference(point.axis, previous.axis),
+        sphericalEquivalent: difference(point.sphericalEquivalent, previous.sphericalEquivalent),
+        vaDecimal: difference(point.vaDecimal, previous.vaDecimal)
+      };
+    }
+
+    series.push(point);
+  });
+
+  const first = series[0];
+  const last = series[series.length - 1];
+
+  return {
+    series,
+    totalChange: series.length > 1
+      ? difference(last.sphericalEquivalent, first.sphericalEquivalent)
+      : null,
+    annualRate: annualizedRate(series)
+  };
+};
+
+// Progression for both eyes, flagged when either eye's annual rate of
+// spherical equivalent change exceeds the threshold
+const getProgression = (records, threshold = DEFAULT_THRESHOLD) => {
+  const sorted = [...records].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const right = buildEyeSeries(sorted, 'right_eye');
+  const left = buildEyeSeries(sorted, 'left_eye');
+
+  const flaggedEyes = [];
+  if (right.annualRate !== null && Math.abs(right.annualRate) > threshold) flaggedEyes.push('right_eye');
+  if (left.annualRate !== null && Math.abs(left.annualRate) > threshold) flaggedEyes.push('left_eye');
+
+  return {
+    visits: sorted.length,
+    threshold,
+    flagged: flaggedEyes.length > 0,
+    flaggedEyes,
+    right_eye: right,
+    left_eye: left
+  };
+};
+
+const getShopThreshold = (shop) => shop?.settings?.clinical?.progressionThreshold ?? DEFAULT_THRESHOLD;
+
+module.exports = {
+  annualizedRate,
+  buildEyeSeries,
+  getProgression,
+  getShopThreshold
+};
@@ -0,0 +1,166 @@
+const moment = require('moment');
+const Recall = require('../Models/Recall.js');
+const Customer = require('../Models/Customer.js');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const Shop = require('../Models/Shop.js');
+const { ageOn } = require('./age.js');
+const { DIAGNOSIS_CODES } = require('./diagnosisCodes.js');
+
+const DEFAULT_RECALL_SETTINGS = {
+  routineMonths: 24,
+  diabeticMonths: 12,
+  childMonths: 12,
+  childMaxAge: 16
+};
+
+// Diagnosis codes that put a customer on the diabetic recall
+const DIABETIC_CODES = DIAGNOSIS_CODES
+  .filter(diagnosis => diagnosis.category === 'diabetic')
+  .map(diagnosis => diagnosis.code);
+
+const RECALL_FILTERS = ['overdue', 'due_this_month', 'upcoming'];
+
+const getRecallSettings = (shop) => ({
+  ...DEFAULT_RECALL_SETTINGS,
+  ...Object.fromEntries(
+    Object.entries(shop?.settings?.recalls || {}).filter(([, value]) => value !== undefined && value !== null)
+  )
+});
+
+const isDiabetic = (customer, record) => (
+  (customer.medicalHistory?.conditions || []).some(condition => /diabet/i.test(condition)) ||
+  (record.diagnoses || []).some(diagnosis => DIABETIC_CODES.includes(diagnosis.code))
+);
+
+// Due date of the next exam after `record`. A next appointment set on the
+// record wins; otherwise the shortest interval of the rules that apply.
+const computeRecall = (customer, record, settings) => {
+  if (record.nextAppointment) {
+    return { rule: 'clinician', intervalMonths: null, dueDate: record.nextAppointment };
+  }
+
+  const age = customer.dateOfBirth ? ageOn(customer.dateOfBirth) : customer.age;
+  const candidates = [{ rule: 'routine', intervalMonths: settings.routineMonths }];
+  if (isDiabetic(customer, record)) {
+    candidates.push({ rule: 'diabetic', intervalMonths: settings.diabeticMonths });
+  }
+  if (age !== null && age !== undefined && age < settings.childMaxAge) {
+    candidates.push({ rule: 'child', intervalMonths: settings.childMonths });
+  }
+
+  const { rule, intervalMonths } = candidates.reduce((best, item) => (
+    item.intervalMonths < best.intervalMonths ? item : best
+  ));
+
+  return {
+    rule,
+    intervalMonths,
+    dueDate: moment(record.date).add(intervalMonths, 'months').toDate()
+  };
+};
+
+// Store the recall computed from the customer's last completed record. A
+// newer exam starts a new recall, so its status and attempts are reset.
+const saveRecall = async (shopId, customer, record, settings) => {
+  const computed = computeRecall(customer, record, settings);
+
+  let recall = await Recall.findOne({ shop: shopId, customer: customer._id });
+  if (!recall) {
+    recall = new Recall({ shop: shopId, customer: customer._id });
+  } else if (!recall.lastRecord.equals(record._id)) {
+    recall.status = 'pending';
+    recall.attempts = [];
+    recall.lastAttemptAt = undefined;
+  }
+
+  recall.set({ lastRecord: record._id, lastExamDate: record.date, ...computed });
+  if (recall.isNew || recall.isModified()) {
+    await recall.save();
+  }
+  return recall;
+};
+
+// Recalculate the recall of one customer, e.g. after a record was signed,
+// changed or deleted. Customers without a completed record have no recall.
+const refreshCustomerRecall = async (shopOrId, customerId) => {
+  const shop = shopOrId?.settings ? shopOrId : await Shop.findById(shopOrId).select('settings.recalls');
+  if (!shop) return null;
+
+  const [customer, record] = await Promise.all([
+    Customer.findOne({ _id: customerId, shop: shop._id, isActive: true, mergedInto: null }),
+    OptometryRecord.findOne({ shop: shop._id, customer: customerId, status: 'completed' })
+      .select('date nextAppointment diagnoses')
+      .sort({ date: -1 })
+  ]);
+
+  if (!customer || !record) {
+    await Recall.deleteOne({ shop: shop._id, customer: customerId });
+    return null;
+  }
+
+  return saveRecall(shop._id, customer, record, getRecallSettings(shop));
+};
+
+// Recalculate every recall of a shop, picking up changed rules and children
+// growing out of the child rule
+const refreshShopRecalls = async (shop) => {
+  const settings = getRecallSettings(shop);
+
+  const latest = await OptometryRecord.aggregate([
+    { $match: { shop: shop._id, status: 'completed' } },
+    { $sort: { customer: 1, date: -1 } },
+    {
+      $group: {
+        _id: '$customer',
+        record: {
+          $first: { _id: '$_id', date: '$date', nextAppointment: '$nextAppointment', diagnoses: '$diagnoses' }
+        }
+      }
+    }
+  ]);
+
+  const customers = await Customer.find({
+    _id: { $in: latest.map(item => item._id) },
+    shop: shop._id,
+    isActive: true,
+    mergedInto: null
+  }).select('dateOfBirth age medicalHistory.conditions');
+  const customersById = new Map(customers.map(customer => [customer._id.toString(), customer]));
+
+  const kept = [];
+  for (const item of latest) {
+    const customer = customersById.get(item._id.toString());
+    if (!customer) continue;
+    await saveRecall(shop._id, customer, item.record, settings);
+    kept.push(customer._id);
+  }
+
+  const { deletedCount } = await Recall.deleteMany({ shop: shop._id, customer: { $nin: kept } });
+
+  return { updated: kept.length, removed: deletedCount };
+};
+
+// Date range of a recall list filter
+const getRecallWindow = (filter, now = new Date()) => {
+  const today = moment(now).startOf('day');
+  switch (filter) {
+    case 'overdue':
+      return { $lt: today.toDate() };
+    case 'due_this_month':
+      return { $gte: moment(now).startOf('month').toDate(), $lte: moment(now).endOf('month').toDate() };
+    case 'upcoming':
+      return { $gte: today.toDate(), $lte: moment(now).add(30, 'days').endOf('day').toDate() };
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_RECALL_SETTINGS,
+  RECALL_FILTERS,
+  getRecallSettings,
+  computeRecall,
+  refreshCustomerRecall,
+  refreshShopRecalls,
+  getRecallWindow
+};
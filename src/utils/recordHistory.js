@@ -0,0 +1,31 @@
+const RecordRevision = require('../Models/RecordRevision.js');
+const { logAudit } = require('./auditLogger.js');
+const { refreshCustomerRecall } = require('./recalls.js');
+
+// Store a revision of the record, write the matching audit log entry and
+// recalculate the customer's recall. Every change to a record goes through
+// here, whichever endpoint makes it. `description` and `metadata` are added
+// to the audit entry.
+const trackRecordChange = async (req, record, action, previous = null, { description, metadata } = {}) => {
+  const revision = await RecordRevision.createFor(record, { action, user: req.user, previous });
+  await refreshCustomerRecall(record.shop, record.customer?._id || record.customer);
+
+  await logAudit(req, {
+    action,
+    entity: 'record',
+    entityId: record._id,
+    shop: record.shop,
+    description,
+    metadata: {
+      ...metadata,
+      version: revision.version,
+      changedFields: revision.changedFields
+    }
+  });
+
+  return revision;
+};
+
+module.exports = {
+  trackRecordChange
+};
@@ -0,0 +1,75 @@
+// Normalized keys stored on customers so that search can use anchored,
+// indexed queries instead of unanchored regular expressions
+
+// Digits only, compared on the last 10 so "+1 555..." matches "555..."
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+};
+
+// Lowercase words without accents or punctuation
+const nameTokens = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// Phonetic key of a single word, a simplified Metaphone: letters that sound
+// alike are folded together and vowels after the first letter are dropped,
+// so "Catherine", "Katherine" and "Kathryn" all give "k0rn"
+const phoneticKey = (word) => {
+  let key = String(word || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!key) return '';
+
+  // "X" stands for the "sh" sound and "0" for "th"
+  key = key
+    .replace(/^(kn|gn|pn|wr|ps)/, match => match[1])
+    .replace(/^wh/, 'w')
+    .replace(/^x/, 's')
+    .replace(/x/g, 'ks')
+    .replace(/mb$/, 'm')
+    .replace(/sch/g, 'sk')
+    .replace(/(sh|sio|tio|tia)/g, 'X')
+    .replace(/t?ch/g, 'X')
+    .replace(/ph/g, 'f')
+    .replace(/th/g, '0')
+    .replace(/dg(?=[eiy])/g, 'j')
+    .replace(/gh(?![aeiou])/g, '')
+    .replace(/g(?=[eiy])/g, 'j')
+    .replace(/ck/g, 'k')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/c/g, 'k')
+    .replace(/q/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/v/g, 'f')
+    .replace(/d/g, 't');
+
+  const first = /[aeiou]/.test(key[0]) ? 'a' : key[0];
+  const rest = key.slice(1).replace(/[aeiouhwy]/g, '');
+
+  // Collapse repeated letters ("ll" -> "l")
+  return (first + rest).replace(/(.)\1+/g, '$1');
+};
+
+// Search keys for a customer document or update
+const buildSearchKeys = ({ name, phone }) => {
+  const keys = {};
+  if (name !== undefined) {
+    const tokens = nameTokens(name);
+    keys.nameTokens = [...new Set(tokens)];
+    keys.nameKeys = [...new Set(tokens.map(phoneticKey).filter(Boolean))];
+  }
+  if (phone !== undefined) {
+    keys.phoneDigits = normalizePhone(phone);
+  }
+  return keys;
+};
+
+module.exports = {
+  normalizePhone,
+  nameTokens,
+  phoneticKey,
+  buildSearchKeys
+};
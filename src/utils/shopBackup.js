@@ -0,0 +1,383 @@
+const fs = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Shop = require('../Models/Shop.js');
+const User = require('../Models/User.js');
+const Customer = require('../Models/Customer.js');
+const OptometryRecord = require('../Models/OptometryRecord.js');
+const RecordRevision = require('../Models/RecordRevision.js');
+const Appointment = require('../Models/Appointment.js');
+const Permission = require('../Models/Permission.js');
+const Invoice = require('../Models/Invoice.js');
+const Payment = require('../Models/Payment.js');
+const Product = require('../Models/Product.js');
+const StockMovement = require('../Models/StockMovement.js');
+const Order = require('../Models/Order.js');
+const Recall = require('../Models/Recall.js');
+const Attachment = require('../Models/Attachment.js');
+const Counter = require('../Models/Counter.js');
+const EmailTemplate = require('../Models/EmailTemplate.js');
+const Backup = require('../Models/Backup.js');
+const { getStorage } = require('../storage/index.js');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Extended JSON keeps ObjectIds and Dates intact across a round trip
+const { EJSON, ObjectId } = mongoose.mongo.BSON;
+
+const BACKUP_FORMAT_VERSION = 1;
+
+// Collections copied verbatim for a shop, keyed by their name in the backup
+// file. Backups written before a collection was added simply lack its key.
+const SHOP_COLLECTIONS = {
+  customers: Customer,
+  records: OptometryRecord,
+  revisions: RecordRevision,
+  appointments: Appointment,
+  permissions: Permission,
+  invoices: Invoice,
+  payments: Payment,
+  products: Product,
+  stockMovements: StockMovement,
+  orders: Order,
+  recalls: Recall,
+  attachments: Attachment,
+  counters: Counter,
+  emailTemplates: EmailTemplate
+};
+
+const getBackupDir = () => path.resolve(process.env.BACKUP_DIR || 'backups');
+
+const getBackupPath = (backup) => path.join(getBackupDir(), backup.fileName);
+
+// Gather everything belonging to a shop. Users are exported without their
+// password hash or refresh token.
+const collectShopData = async (shopId) => {
+  const shop = await Shop.findById(shopId).lean();
+
+  const keys = Object.keys(SHOP_COLLECTIONS);
+  const [users, ...collections] = await Promise.all([
+    User.find({ $or: [{ shop: shopId }, { _id: shop.owner }] })
+      .select('-password -refreshToken')
+      .lean(),
+    // Soft-deleted documents are backed up as well
+    ...keys.map(key => SHOP_COLLECTIONS[key].find({ shop: shopId }).setOptions({ withDeleted: true }).lean())
+  ]);
+
+  return {
+    shop,
+    users,
+    ...Object.fromEntries(keys.map((key, index) => [key, collections[index]]))
+  };
+};
+
+// Write a gzipped backup of one shop to BACKUP_DIR and index it. A failed
+// attempt is indexed too so it shows up in the backup list.
+const createShopBackup = async (shop, { trigger = 'scheduled', user } = {}) => {
+  // Pre-restore backups get their own name so they never overwrite the backup
+  // being restored when both are taken within the same second
+  const suffix = trigger === 'pre_restore' ? '-pre-restore' : '';
+  const fileName = path.join(shop._id.toString(), `${moment().format('YYYYMMDD-HHmmss')}${suffix}.json.gz`);
+
+  try {
+    const data = await collectShopData(shop._id);
+    const payload = {
+      format: BACKUP_FORMAT_VERSION,
+      createdAt: new Date(),
+      ...data
+    };
+
+    const buffer = await gzip(EJSON.stringify(payload));
+    const filePath = path.join(getBackupDir(), fileName);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return await Backup.create({
+      shop: shop._id,
+      shopName: shop.name,
+      fileName,
+      size: buffer.length,
+      trigger,
+      counts: {
+        users: data.users.length,
+        ...Object.fromEntries(Object.keys(SHOP_COLLECTIONS).map(key => [key, data[key].length]))
+      },
+      createdBy: user?._id
+    });
+  } catch (error) {
+    await Backup.create({
+      shop: shop._id,
+      shopName: shop.name,
+      fileName,
+      trigger,
+      status: 'failed',
+      error: error.message,
+      createdBy: user?._id
+    });
+    throw error;
+  }
+};
+
+const readBackupFile = async (backup) => {
+  const buffer = await fs.readFile(getBackupPath(backup));
+  const data = EJSON.parse((await gunzip(buffer)).toString('utf8'));
+
+  if (data.format !== BACKUP_FORMAT_VERSION) {
+    throw new Error(`Unsupported backup format: ${data.format}`);
+  }
+
+  Object.keys(SHOP_COLLECTIONS).forEach(key => {
+    data[key] = data[key] || [];
+  });
+
+  return data;
+};
+
+// Replace every ObjectId found in `idMap` (keyed by hex string), at any depth
+const remapIds = (value, idMap) => {
+  if (value instanceof ObjectId) {
+    return idMap.get(value.toString()) || value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapIds(item, idMap));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, remapIds(item, idMap)])
+    );
+  }
+  return value;
+};
+
+// Match backup users to existing accounts by email. Users that no longer exist
+// are recreated inactive with a random password and must be reset by an admin.
+// Existing accounts of another shop cannot be moved, so references to them
+// point to `fallbackUserId` instead. Recreated users are added to `created`.
+const restoreUsers = async (users, { targetShopId, sameShop, fallbackUserId, idMap, created = [] }) => {
+  const summary = { matched: 0, created: 0, reassigned: 0 };
+
+  for (const backupUser of users) {
+    const existing = await User.findOne({ email: backupUser.email }).select('_id shop');
+
+    if (existing) {
+      if (sameShop || existing.shop?.equals(targetShopId)) {
+        idMap.set(backupUser._id.toString(), existing._id);
+        summary.matched++;
+      } else {
+        idMap.set(backupUser._id.toString(), fallbackUserId);
+        summary.reassigned++;
+      }
+      continue;
+    }
+
+    const { _id, createdAt, updatedAt, __v, ...fields } = backupUser;
+    const restored = new User({
+      ...fields,
+      _id: sameShop ? _id : new ObjectId(),
+      shop: backupUser.role === 'admin' ? fields.shop : targetShopId,
+      password: crypto.randomBytes(24).toString('hex'),
+      refreshToken: null,
+      isActive: false
+    });
+    await restored.save();
+    created.push(restored._id);
+
+    idMap.set(_id.toString(), restored._id);
+    summary.created++;
+  }
+
+  return summary;
+};
+
+// Copy the files of restored attachments to keys under the new shop, so
+// deleting an attachment in one shop leaves the other shop's copy alone.
+// Returns the keys written, for cleanup.
+const copyAttachmentFiles = async (attachments, originals) => {
+  const storage = getStorage();
+  const written = [];
+
+  for (const [index, attachment] of attachments.entries()) {
+    const original = originals[index];
+    const fromBase = `${original.shop}/${original._id}`;
+    const toBase = `${attachment.shop}/${attachment._id}`;
+
+    for (const field of ['storageKey', 'thumbnailKey']) {
+      const fromKey = original[field];
+      if (!fromKey || !(await storage.exists(fromKey))) continue;
+
+      const toKey = fromKey.startsWith(fromBase)
+        ? toBase + fromKey.slice(fromBase.length)
+        : `${toBase}/${path.basename(fromKey)}`;
+      const chunks = [];
+      for await (const chunk of storage.createReadStream(fromKey)) {
+        chunks.push(chunk);
+      }
+      await storage.save(toKey, Buffer.concat(chunks));
+      written.push(toKey);
+      attachment[field] = toKey;
+    }
+  }
+
+  return written;
+};
+
+// Remove what a failed new-shop restore already wrote
+const removePartialShop = async (shopId, { users, files }) => {
+  for (const Model of Object.values(SHOP_COLLECTIONS)) {
+    await Model.collection.deleteMany({ shop: shopId });
+  }
+  await Shop.collection.deleteOne({ _id: shopId });
+  if (users.length) {
+    await User.collection.deleteMany({ _id: { $in: users } });
+  }
+  const storage = getStorage();
+  for (const key of files) {
+    await storage.remove(key);
+  }
+};
+
+// Put a shop back the way a pre-restore backup found it after a failed
+// same-shop restore: its settings and collections, without the users the
+// failed restore recreated
+const rollbackShop = async (previousBackup, { targetShopId, user, created }) => {
+  const previous = await readBackupFile(previousBackup);
+  if (created.users.length) {
+    await User.collection.deleteMany({ _id: { $in: created.users } });
+  }
+  await restoreShopData(previous, { sameShop: true, targetShopId, idMap: new Map(), user, created });
+};
+
+// Write the shop document and its collections; returns the count per collection
+const restoreShopData = async (data, { sameShop, targetShopId, idMap, name, owner, user, created }) => {
+  if (sameShop) {
+    const exists = await Shop.exists({ _id: targetShopId });
+    if (exists) {
+      await Shop.collection.updateOne(
+        { _id: targetShopId },
+        { $set: { settings: data.shop.settings, updatedAt: new Date() } }
+      );
+    } else {
+      await Shop.collection.insertOne(remapIds(data.shop, idMap));
+    }
+
+    for (const Model of Object.values(SHOP_COLLECTIONS)) {
+      await Model.collection.deleteMany({ shop: targetShopId });
+    }
+  } else {
+    const now = new Date();
+    await Shop.collection.insertOne({
+      ...remapIds(data.shop, idMap),
+      name: name || `${data.shop.name} (restored)`,
+      owner: owner || idMap.get(data.shop.owner.toString()) || user._id,
+      createdBy: user._id,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  const counts = {};
+  for (const [key, Model] of Object.entries(SHOP_COLLECTIONS)) {
+    const docs = data[key].map(doc => remapIds(doc, idMap));
+
+    if (!sameShop && key === 'appointments') {
+      // Confirmation codes are unique across all shops
+      docs.forEach(doc => {
+        if (doc.confirmationCode) doc.confirmationCode = Appointment.generateConfirmationCode();
+      });
+    }
+    if (!sameShop && key === 'attachments') {
+      created.files.push(...await copyAttachmentFiles(docs, data[key]));
+    }
+
+    if (docs.length) {
+      await Model.collection.insertMany(docs);
+    }
+    counts[key] = docs.length;
+  }
+
+  return counts;
+};
+
+// Restore a backup either over its own shop ("same") or as a brand new shop
+// ("new"). A same-shop restore replaces the shop's settings and every
+// collection in SHOP_COLLECTIONS with the backed-up documents and keeps their
+// IDs. A new-shop restore gives every document a fresh ID and rewrites all
+// references to match; appointments get new confirmation codes and
+// attachment files are copied. If it fails, everything it created is removed.
+//
+// Before a same-shop restore touches anything, the shop's current state is
+// saved as a "pre_restore" backup; a failed restore is rolled back from it.
+//
+// Audit logs, the email outbox and archived customers are not part of a backup.
+const restoreShopBackup = async (backup, { mode = 'same', name, owner, user } = {}) => {
+  const data = await readBackupFile(backup);
+  const sameShop = mode === 'same';
+  const idMap = new Map();
+
+  const targetShopId = sameShop ? data.shop._id : new ObjectId();
+  idMap.set(data.shop._id.toString(), targetShopId);
+
+  if (!sameShop) {
+    for (const key of Object.keys(SHOP_COLLECTIONS)) {
+      data[key].forEach(doc => idMap.set(doc._id.toString(), new ObjectId()));
+    }
+  }
+
+  const created = { users: [], files: [] };
+
+  let previousBackup = null;
+  if (sameShop) {
+    const currentShop = await Shop.findById(targetShopId).select('name').lean();
+    if (currentShop) {
+      previousBackup = await createShopBackup(currentShop, { trigger: 'pre_restore', user });
+    }
+  }
+
+  try {
+    const users = await restoreUsers(data.users, {
+      targetShopId,
+      sameShop,
+      fallbackUserId: owner || user._id,
+      idMap,
+      created: created.users
+    });
+
+    const counts = await restoreShopData(data, { sameShop, targetShopId, idMap, name, owner, user, created });
+
+    backup.restores.push({
+      targetShop: targetShopId,
+      mode,
+      restoredBy: user._id
+    });
+    await backup.save();
+
+    return {
+      shop: targetShopId,
+      mode,
+      counts,
+      users,
+      previousBackup: previousBackup?._id
+    };
+  } catch (error) {
+    if (previousBackup) {
+      await rollbackShop(previousBackup, { targetShopId, user, created });
+    } else {
+      // A new shop, or a same-shop restore of a shop that no longer existed
+      await removePartialShop(targetShopId, created);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  getBackupDir,
+  getBackupPath,
+  createShopBackup,
+  readBackupFile,
+  restoreShopBackup
+};
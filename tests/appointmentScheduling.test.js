@@ -0,0 +1,82 @@
+const Appointment = require('../src/Models/Appointment.js');
+const {
+  getBusinessHours,
+  getDayRange,
+  checkSlotAvailability
+} = require('../src/utils/appointmentScheduling.js');
+
+const shop = (timezone) => ({
+  _id: '64b000000000000000000001',
+  settings: {
+    timezone,
+    businessHours: {
+      monday: { open: '09:00', close: '17:00' },
+      sunday: { closed: true }
+    },
+    appointmentSettings: { slotDuration: 30, maxAppointmentsPerDay: 20 }
+  }
+});
+
+describe('business hours', () => {
+  it('reads opening times in the shop timezone', () => {
+    const hours = getBusinessHours(shop('America/New_York'), '2026-10-19');
+
+    expect(hours.open.toISOString()).toBe('2026-10-19T13:00:00.000Z');
+    expect(hours.close.toISOString()).toBe('2026-10-19T21:00:00.000Z');
+  });
+
+  it('uses the shop day, not the server day', () => {
+    // Sunday 12:00 UTC is already Monday 01:00 in Auckland
+    const hours = getBusinessHours(shop('Pacific/Auckland'), new Date('2026-10-18T12:00:00Z'));
+
+    expect(hours.open.toISOString()).toBe('2026-10-18T20:00:00.000Z');
+  });
+
+  it('falls back to UTC for an unknown timezone', () => {
+    const { start } = getDayRange(shop('Not/AZone'), '2026-10-19');
+
+    expect(start.toISOString()).toBe('2026-10-19T00:00:00.000Z');
+  });
+});
+
+describe('checkSlotAvailability', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects a slot outside the shop hours', async () => {
+    const result = await checkSlotAvailability(shop('Europe/London'), {
+      startTime: new Date('2026-10-19T07:30:00Z'),
+      endTime: new Date('2026-10-19T08:00:00Z')
+    });
+
+    expect(result).toEqual({ statusCode: 400, message: 'Appointments must be between 09:00 and 17:00' });
+  });
+
+  it('counts the day in the shop timezone', async () => {
+    const countDocuments = jest.spyOn(Appointment, 'countDocuments').mockResolvedValue(0);
+
+    const result = await checkSlotAvailability(shop('Europe/London'), {
+      startTime: new Date('2026-10-19T08:00:00Z'),
+      endTime: new Date('2026-10-19T08:30:00Z')
+    });
+
+    expect(result).toBeNull();
+    expect(countDocuments.mock.calls[0][0].startTime).toEqual({
+      $gte: new Date('2026-10-18T23:00:00.000Z'),
+      $lte: new Date('2026-10-19T22:59:59.999Z')
+    });
+  });
+});
+
+describe('appointment status transitions', () => {
+  it('allows completing a confirmed appointment', () => {
+    expect(new Appointment({ status: 'confirmed' }).canTransitionTo('completed')).toBe(true);
+  });
+
+  it('rejects completing a cancelled appointment', () => {
+    expect(new Appointment({ status: 'cancelled' }).canTransitionTo('completed')).toBe(false);
+  });
+
+  it('rejects reopening a completed appointment', () => {
+    expect(new Appointment({ status: 'completed' }).canTransitionTo('scheduled')).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+
+const mockFiles = new Map();
+jest.mock('../src/storage', () => ({
+  getStorage: () => ({
+    save: async (key, buffer) => { mockFiles.set(key, buffer); },
+    remove: async (key) => { mockFiles.delete(key); }
+  })
+}));
+
+const Attachment = require('../src/Models/Attachment.js');
+const { detectMimeType, validateAttachmentFile, storeAttachment } = require('../src/utils/attachments.js');
+
+const PDF = Buffer.from('%PDF-1.4\n%fake\n');
+
+const upload = (originalname, buffer) => ({ originalname, buffer, size: buffer.length });
+
+describe('validateAttachmentFile', () => {
+  it('accepts a file whose extension matches its content', () => {
+    expect(detectMimeType(PDF)).toBe('application/pdf');
+    expect(validateAttachmentFile(upload('referral.pdf', PDF))).toBeNull();
+  });
+
+  it('rejects a renamed file', () => {
+    expect(validateAttachmentFile(upload('fundus.jpg', PDF)))
+      .toBe('File extension .jpg does not match its content (application/pdf)');
+  });
+
+  it('rejects unknown content', () => {
+    expect(validateAttachmentFile(upload('notes.pdf', Buffer.from('plain text'))))
+      .toMatch(/^Unsupported file type/);
+  });
+});
+
+describe('storeAttachment', () => {
+  const shop = { _id: new mongoose.Types.ObjectId(), getStorageQuota: () => 1024 * 1024 };
+  const customer = new mongoose.Types.ObjectId();
+  let image;
+
+  beforeAll(async () => {
+    image = await sharp({ create: { width: 600, height: 400, channels: 3, background: '#336699' } }).png().toBuffer();
+  });
+
+  beforeEach(() => {
+    mockFiles.clear();
+    jest.spyOn(Attachment, 'create').mockImplementation(async (doc) => doc);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('stores an image with a thumbnail', async () => {
+    jest.spyOn(Attachment, 'getShopUsage').mockResolvedValue({ bytes: 0, count: 0 });
+
+    const { attachment } = await storeAttachment({ shop, customer, file: upload('fundus.png', image), category: 'fundus_photo' });
+
+    expect(attachment).toEqual(expect.objectContaining({ mimeType: 'image/png', size: image.length }));
+    expect(mockFiles.get(attachment.storageKey)).toBe(image);
+    const thumbnail = await sharp(mockFiles.get(attachment.thumbnailKey)).metadata();
+    expect(thumbnail).toEqual(expect.objectContaining({ format: 'jpeg', width: 256 }));
+  });
+
+  it('refuses files over the shop quota', async () => {
+    jest.spyOn(Attachment, 'getShopUsage').mockResolvedValue({ bytes: 1024 * 1024 - 10, count: 3 });
+
+    const result = await storeAttachment({ shop, customer, file: upload('referral.pdf', PDF) });
+
+    expect(result.statusCode).toBe(413);
+    expect(mockFiles.size).toBe(0);
+    expect(Attachment.create).not.toHaveBeenCalled();
+  });
+
+  it('removes the stored files when the attachment cannot be saved', async () => {
+    jest.spyOn(Attachment, 'getShopUsage').mockResolvedValue({ bytes: 0, count: 0 });
+    Attachment.create.mockRejectedValue(new Error('Database unavailable'));
+
+    await expect(storeAttachment({ shop, customer, file: upload('fundus.png', image) }))
+      .rejects.toThrow('Database unavailable');
+    expect(mockFiles.size).toBe(0);
+  });
+});
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Invoice = require('../src/Models/Invoice.js');
+const Payment = require('../src/Models/Payment.js');
+const { calculateInvoiceTotals, derivePaymentStatus, formatInvoiceNumber } = require('../src/utils/billing.js');
+const { recordPayment } = require('../src/controllers/billingController.js');
+const { createResponse } = require('./helpers.js');
+
+jest.mock('../src/utils/auditLogger.js', () => ({ logAudit: jest.fn() }));
+
+describe('calculateInvoiceTotals', () => {
+  it('applies line discounts and tax per line', () => {
+    const items = [
+      { quantity: 1, unitPrice: 60, taxRate: 0 },
+      { quantity: 2, unitPrice: 49.99, discount: 10, taxRate: 20 }
+    ];
+
+    const totals = calculateInvoiceTotals(items);
+
+    expect(items[1]).toEqual(expect.objectContaining({ amount: 89.98, taxAmount: 18, total: 107.98 }));
+    expect(totals).toEqual({ subtotal: 159.98, discountTotal: 10, taxTotal: 18, total: 167.98 });
+  });
+
+  it('spreads an invoice discount over the lines before tax', () => {
+    const items = [
+      { quantity: 1, unitPrice: 100, taxRate: 20 },
+      { quantity: 1, unitPrice: 100, taxRate: 0 }
+    ];
+
+    const totals = calculateInvoiceTotals(items, { type: 'percent', value: 10 });
+
+    expect(items.map(item => item.total)).toEqual([108, 90]);
+    expect(totals).toEqual({ subtotal: 200, discountTotal: 20, taxTotal: 18, total: 198 });
+  });
+
+  it('never loses a cent when the discount does not split evenly', () => {
+    const items = [1, 2, 3].map(() => ({ quantity: 1, unitPrice: 10, taxRate: 0 }));
+
+    const totals = calculateInvoiceTotals(items, { type: 'amount', value: 10 });
+
+    expect(items.map(item => item.total)).toEqual([6.67, 6.67, 6.66]);
+    expect(totals.total).toBe(20);
+  });
+
+  it('caps an amount discount at the net amount', () => {
+    const totals = calculateInvoiceTotals([{ quantity: 1, unitPrice: 25 }], { type: 'amount', value: 40 });
+
+    expect(totals).toEqual({ subtotal: 25, discountTotal: 25, taxTotal: 0, total: 0 });
+  });
+});
+
+describe('derivePaymentStatus', () => {
+  it.each([
+    [{ total: 100 }, 'issued'],
+    [{ total: 100, amountPaid: 40 }, 'partially_paid'],
+    [{ total: 100, amountPaid: 100 }, 'paid'],
+    [{ total: 100, amountPaid: 100, amountRefunded: 30 }, 'partially_refunded'],
+    [{ total: 100, amountPaid: 100, amountRefunded: 100 }, 'refunded'],
+    // Partly paid, then partly refunded: money is still owed
+    [{ total: 100, amountPaid: 50, amountRefunded: 20 }, 'partially_paid'],
+    [{ total: 100, amountPaid: 50, amountRefunded: 50 }, 'issued']
+  ])('%o is %s', (amounts, status) => {
+    expect(derivePaymentStatus(amounts)).toBe(status);
+  });
+});
+
+describe('Invoice payment totals', () => {
+  // Issued invoices have their totals computed when they are saved
+  const issuedInvoice = async () => {
+    const invoice = new Invoice({
+      shop: new mongoose.Types.ObjectId(),
+      customer: new mongoose.Types.ObjectId(),
+      status: 'issued',
+      items: [{ description: 'Eye examination', quantity: 1, unitPrice: 100 }]
+    });
+    await invoice.validate();
+    return invoice;
+  };
+
+  it('keeps a partly paid, partly refunded invoice payable', async () => {
+    const invoice = await issuedInvoice();
+
+    invoice.applyPaymentTotals({ paid: 50, refunded: 20 });
+    await invoice.validate();
+
+    expect(invoice.status).toBe('partially_paid');
+    expect(Invoice.PAYABLE_STATUSES).toContain(invoice.status);
+    expect(invoice.balanceDue).toBe(70);
+    expect(invoice.getNetPaid()).toBe(30);
+  });
+
+  it('has nothing due once paid in full', async () => {
+    const invoice = await issuedInvoice();
+
+    invoice.applyPaymentTotals({ paid: 100, refunded: 0 });
+    await invoice.validate();
+
+    expect(invoice.status).toBe('paid');
+    expect(Invoice.PAYABLE_STATUSES).not.toContain(invoice.status);
+    expect(invoice.balanceDue).toBe(0);
+  });
+
+  it('owes nothing more after a refund on a paid invoice', async () => {
+    const invoice = await issuedInvoice();
+
+    invoice.applyPaymentTotals({ paid: 100, refunded: 30 });
+    await invoice.validate();
+
+    expect(invoice.status).toBe('partially_refunded');
+    expect(invoice.balanceDue).toBe(0);
+  });
+
+  it('leaves drafts alone', async () => {
+    const invoice = await issuedInvoice();
+    invoice.status = 'draft';
+
+    invoice.applyPaymentTotals({ paid: 0, refunded: 0 });
+
+    expect(invoice.status).toBe('draft');
+  });
+});
+
+describe('recordPayment', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('takes no more than what is owed after refunds', async () => {
+    const shopId = new mongoose.Types.ObjectId();
+    const invoice = new Invoice({
+      shop: shopId,
+      customer: new mongoose.Types.ObjectId(),
+      status: 'issued',
+      currency: 'EUR',
+      items: [{ description: 'Eye examination', quantity: 1, unitPrice: 100 }]
+    });
+    await invoice.validate();
+    invoice.applyPaymentTotals({ paid: 50, refunded: 20 });
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(invoice);
+    const res = createResponse();
+
+    await recordPayment({ params: { id: invoice._id.toString() }, body: { amount: 80 }, user: { shop: shopId } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Payment exceeds the balance due of 70.00 EUR' });
+  });
+});
+
+describe('Payment.getRevenue', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps currencies apart', async () => {
+    jest.spyOn(Payment, 'aggregate').mockResolvedValue([
+      { _id: 'EUR', amount: 340.5 },
+      { _id: 'USD', amount: 1199.999 }
+    ]);
+
+    expect(await Payment.getRevenue()).toEqual({ EUR: 340.5, USD: 1200 });
+    expect(Payment.aggregate.mock.calls[0][0][1].$group._id).toEqual({ $ifNull: ['$currency', 'USD'] });
+  });
+});
+
+describe('formatInvoiceNumber', () => {
+  it('pads the sequence after the shop prefix', () => {
+    expect(formatInvoiceNumber('OPT', 42)).toBe('OPT-000042');
+    expect(formatInvoiceNumber(undefined, 7)).toBe('INV-000007');
+  });
+});
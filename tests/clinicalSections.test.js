@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const OptometryRecord = require('../src/Models/OptometryRecord.js');
+const { getRecords } = require('../src/controllers/recordController.js');
+const { query, createResponse } = require('./helpers.js');
+
+const shopId = new mongoose.Types.ObjectId();
+
+const record = (fields) => new OptometryRecord({
+  shop: shopId,
+  customer: new mongoose.Types.ObjectId(),
+  date: new Date('2026-09-01'),
+  examinationType: 'comprehensive',
+  ...fields
+});
+
+const errorMessages = (doc) => Object.values(doc.validateSync()?.errors || {}).map(error => error.message);
+
+describe('clinical examination sections', () => {
+  it('accepts a complete set of findings', () => {
+    const doc = record({
+      iop: { right_eye: 16, left_eye: 23, method: 'goldmann', measuredAt: new Date('2026-09-01T10:15:00Z') },
+      slitLamp: { right_eye: { cornea: 'clear', vanHerick: 3 } },
+      fundus: { dilated: true, right_eye: { cdRatio: 0.3 }, left_eye: { cdRatio: 0.7 } },
+      coverTest: { distance: { deviation: 'exophoria', amount: 4, recovery: 'good' } },
+      colorVision: { test: 'ishihara', right_eye: 'normal', left_eye: 'normal' },
+      visualFields: { method: 'automated', right_eye: { result: 'full' } },
+      keratometry: { right_eye: { k1: 42.5, k1Axis: 180, k2: 43.25, k2Axis: 90 } },
+      binocularVision: { npc: 6, accommodation: { right_eye: 8 }, stereopsis: 40 }
+    });
+
+    expect(errorMessages(doc)).toEqual([]);
+  });
+
+  it('rejects values outside the clinical ranges', () => {
+    const doc = record({
+      iop: { right_eye: 95, method: 'guesswork' },
+      fundus: { left_eye: { cdRatio: 1.2 } },
+      keratometry: { right_eye: { k1: 25 } },
+      binocularVision: { npc: 60 }
+    });
+
+    expect(errorMessages(doc)).toEqual(expect.arrayContaining([
+      'IOP must be between 0 and 80 mmHg',
+      'Cup/disc ratio must be between 0 and 1',
+      'Keratometry must be between 30 and 60 D',
+      'Near point of convergence must be between 0 and 50 cm'
+    ]));
+    expect(doc.validateSync().errors['iop.method']).toBeDefined();
+  });
+});
+
+describe('getRecords clinical filters', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const listWith = async (params) => {
+    jest.spyOn(OptometryRecord, 'find').mockReturnValue(query([]));
+    jest.spyOn(OptometryRecord, 'countDocuments').mockResolvedValue(0);
+    const res = createResponse();
+    await getRecords({ query: params, user: { shop: shopId } }, res);
+    expect(res.status).not.toHaveBeenCalled();
+    return OptometryRecord.find.mock.calls[0][0];
+  };
+
+  it('finds records with a raised IOP in either eye', async () => {
+    const filter = await listWith({ examinationType: 'comprehensive', iopAbove: '21' });
+
+    expect(filter).toEqual({
+      shop: shopId,
+      examinationType: 'comprehensive',
+      $and: [{ $or: [{ 'iop.right_eye': { $gt: 21 } }, { 'iop.left_eye': { $gt: 21 } }] }]
+    });
+  });
+
+  it('combines section, cup/disc and colour vision filters', async () => {
+    const filter = await listWith({ section: 'iop, fundus', cdRatioAbove: '0.6', colorVision: 'deficient' });
+
+    expect(filter).toEqual({
+      shop: shopId,
+      iop: { $exists: true },
+      fundus: { $exists: true },
+      $and: [
+        { $or: [{ 'fundus.right_eye.cdRatio': { $gt: 0.6 } }, { 'fundus.left_eye.cdRatio': { $gt: 0.6 } }] },
+        { $or: [{ 'colorVision.right_eye': 'deficient' }, { 'colorVision.left_eye': 'deficient' }] }
+      ]
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+jest.mock('../src/utils/auditLogger.js', () => ({ logAudit: jest.fn() }));
+jest.mock('../src/utils/recalls.js', () => ({ refreshCustomerRecall: jest.fn() }));
+
+const OptometryRecord = require('../src/Models/OptometryRecord.js');
+const RecordRevision = require('../src/Models/RecordRevision.js');
+const { logAudit } = require('../src/utils/auditLogger.js');
+const { dispenseContactLenses } = require('../src/controllers/contactLensController.js');
+const { createResponse } = require('./helpers.js');
+
+describe('dispenseContactLenses', () => {
+  const shopId = new mongoose.Types.ObjectId();
+  const user = { _id: new mongoose.Types.ObjectId(), name: 'Sam Optom', shop: shopId };
+  let record;
+
+  beforeEach(() => {
+    record = new OptometryRecord({
+      shop: shopId,
+      customer: new mongoose.Types.ObjectId(),
+      date: new Date('2026-09-01'),
+      contact_lens: { right_eye: { power: -2, replacementSchedule: 'monthly' } }
+    });
+    jest.spyOn(OptometryRecord, 'findOne').mockResolvedValue(record);
+    // Run the validate hooks so the supply end date gets calculated
+    jest.spyOn(record, 'save').mockImplementation(async () => {
+      await record.validate();
+      return record;
+    });
+    jest.spyOn(RecordRevision, 'createFor').mockResolvedValue({ version: 2, changedFields: ['contactLensDispenses'] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const dispense = async () => {
+    const res = createResponse();
+    await dispenseContactLenses({
+      params: { id: record._id.toString() },
+      body: { dispensedAt: '2026-09-01', lensesPerEye: 3 },
+      user
+    }, res);
+    return res;
+  };
+
+  it('writes a revision for the dispense', async () => {
+    const res = await dispense();
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(record.contactLensDispenses).toHaveLength(1);
+    expect(record.contactLensDispenses[0]).toEqual(expect.objectContaining({
+      lensesPerEye: 3,
+      runsOutAt: new Date('2026-11-30'),
+      dispensedBy: user._id
+    }));
+    expect(RecordRevision.createFor).toHaveBeenCalledWith(record, expect.objectContaining({
+      action: 'update',
+      user,
+      previous: expect.objectContaining({ contactLensDispenses: [] })
+    }));
+    expect(logAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      entity: 'record',
+      description: 'Dispensed 3 contact lenses per eye',
+      metadata: expect.objectContaining({ version: 2, changedFields: ['contactLensDispenses'] })
+    }));
+  });
+
+  it('adds dispenses to a signed record without touching the fitting', async () => {
+    record.isLocked = true;
+    const fitting = JSON.stringify(record.contact_lens);
+
+    const res = await dispense();
+    await dispense();
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(record.contactLensDispenses).toHaveLength(2);
+    expect(JSON.stringify(record.contact_lens)).toBe(fitting);
+    expect(record.isLocked).toBe(true);
+  });
+
+  it('cannot be set through a record update or amendment', () => {
+    expect(OptometryRecord.PROTECTED_FIELDS).toContain('contactLensDispenses');
+  });
+});
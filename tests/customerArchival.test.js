@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+
+jest.mock('../src/utils/auditLogger.js', () => ({ logAudit: jest.fn() }));
+jest.mock('../src/utils/recalls.js', () => ({ refreshCustomerRecall: jest.fn() }));
+
+const Shop = require('../src/Models/Shop.js');
+const Customer = require('../src/Models/Customer.js');
+const OptometryRecord = require('../src/Models/OptometryRecord.js');
+const RecordRevision = require('../src/Models/RecordRevision.js');
+const Appointment = require('../src/Models/Appointment.js');
+const Attachment = require('../src/Models/Attachment.js');
+const ArchivedCustomer = require('../src/Models/ArchivedCustomer.js');
+const Recall = require('../src/Models/Recall.js');
+const Invoice = require('../src/Models/Invoice.js');
+const Payment = require('../src/Models/Payment.js');
+const Order = require('../src/Models/Order.js');
+const { archiveInactiveCustomers } = require('../src/jobs/customerArchival.js');
+const { restoreArchivedCustomer } = require('../src/controllers/archiveController.js');
+const { query, createResponse } = require('./helpers.js');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('archiveInactiveCustomers', () => {
+  const shop = { _id: id(), name: 'Test Optics', settings: { dataRetention: { customerRecords: 365 } } };
+  const customer = { _id: id(), name: 'Old Customer', lastVisit: new Date('2015-01-01') };
+  const record = { _id: id(), customer: customer._id };
+  const revision = { _id: id(), record: record._id };
+  const appointment = { _id: id(), customer: customer._id };
+  const attachment = { _id: id(), customer: customer._id };
+  const invoice = { _id: id(), customer: customer._id, status: 'paid' };
+  const payment = { _id: id(), customer: customer._id, invoice: invoice._id };
+  const order = { _id: id(), customer: customer._id, status: 'collected' };
+
+  let deletes;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Shop, 'find').mockReturnValue(query([shop]));
+    jest.spyOn(Customer, 'find').mockReturnValue(query([customer]));
+    jest.spyOn(Appointment, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Invoice, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Order, 'distinct').mockResolvedValue([]);
+    jest.spyOn(OptometryRecord, 'find').mockReturnValue(query([record]));
+    jest.spyOn(RecordRevision, 'find').mockReturnValue(query([revision]));
+    jest.spyOn(Appointment, 'find').mockReturnValue(query([appointment]));
+    jest.spyOn(Attachment, 'find').mockReturnValue(query([attachment]));
+    jest.spyOn(Invoice, 'find').mockReturnValue(query([invoice]));
+    jest.spyOn(Payment, 'find').mockReturnValue(query([payment]));
+    jest.spyOn(Order, 'find').mockReturnValue(query([order]));
+    jest.spyOn(ArchivedCustomer, 'create').mockResolvedValue({});
+    jest.spyOn(Recall, 'deleteOne').mockResolvedValue({});
+
+    deletes = {
+      records: jest.spyOn(OptometryRecord.collection, 'deleteMany').mockResolvedValue({}),
+      revisions: jest.spyOn(RecordRevision.collection, 'deleteMany').mockResolvedValue({}),
+      appointments: jest.spyOn(Appointment.collection, 'deleteMany').mockResolvedValue({}),
+      attachments: jest.spyOn(Attachment.collection, 'deleteMany').mockResolvedValue({}),
+      invoices: jest.spyOn(Invoice.collection, 'deleteMany').mockResolvedValue({}),
+      payments: jest.spyOn(Payment.collection, 'deleteMany').mockResolvedValue({}),
+      orders: jest.spyOn(Order.collection, 'deleteMany').mockResolvedValue({}),
+      customer: jest.spyOn(Customer.collection, 'deleteOne').mockResolvedValue({})
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.ARCHIVE_CUSTOMERS;
+    jest.restoreAllMocks();
+  });
+
+  it('is a dry run unless archiving is switched on', async () => {
+    const [report] = await archiveInactiveCustomers();
+
+    expect(report.dryRun).toBe(true);
+    expect(report.customers).toEqual([
+      expect.objectContaining({ id: customer._id, recordCount: 1, appointmentCount: 1, attachmentCount: 1 })
+    ]);
+    expect(ArchivedCustomer.create).not.toHaveBeenCalled();
+    Object.values(deletes).forEach(spy => expect(spy).not.toHaveBeenCalled());
+  });
+
+  it('archives the customer with revisions, appointments and attachments when switched on', async () => {
+    process.env.ARCHIVE_CUSTOMERS = 'true';
+
+    const [report] = await archiveInactiveCustomers();
+
+    expect(report.dryRun).toBe(false);
+    expect(ArchivedCustomer.create).toHaveBeenCalledWith(expect.objectContaining({
+      customerId: customer._id,
+      records: [record],
+      revisions: [revision],
+      appointments: [appointment],
+      attachments: [attachment]
+    }));
+    expect(deletes.revisions).toHaveBeenCalledWith({ _id: { $in: [revision._id] } });
+    expect(deletes.appointments).toHaveBeenCalledWith({ _id: { $in: [appointment._id] } });
+    expect(deletes.attachments).toHaveBeenCalledWith({ _id: { $in: [attachment._id] } });
+    expect(deletes.records).toHaveBeenCalledWith({ _id: { $in: [record._id] } });
+    expect(deletes.customer).toHaveBeenCalledWith({ _id: customer._id });
+  });
+
+  it('moves closed invoices, payments and orders into the archive', async () => {
+    process.env.ARCHIVE_CUSTOMERS = 'true';
+
+    const [report] = await archiveInactiveCustomers();
+
+    expect(report.customers[0]).toEqual(expect.objectContaining({ invoiceCount: 1, orderCount: 1 }));
+    expect(ArchivedCustomer.create).toHaveBeenCalledWith(expect.objectContaining({
+      invoices: [invoice],
+      payments: [payment],
+      orders: [order]
+    }));
+    expect(deletes.invoices).toHaveBeenCalledWith({ _id: { $in: [invoice._id] } });
+    expect(deletes.payments).toHaveBeenCalledWith({ _id: { $in: [payment._id] } });
+    expect(deletes.orders).toHaveBeenCalledWith({ _id: { $in: [order._id] } });
+  });
+
+  it('keeps customers with open invoices or orders', async () => {
+    process.env.ARCHIVE_CUSTOMERS = 'true';
+    Invoice.distinct.mockResolvedValue([customer._id]);
+
+    expect(await archiveInactiveCustomers()).toEqual([]);
+    expect(Invoice.distinct).toHaveBeenCalledWith('customer', expect.objectContaining({
+      status: { $in: ['draft', 'issued', 'partially_paid'] }
+    }));
+    expect(ArchivedCustomer.create).not.toHaveBeenCalled();
+
+    Invoice.distinct.mockResolvedValue([]);
+    Order.distinct.mockResolvedValue([customer._id]);
+
+    expect(await archiveInactiveCustomers()).toEqual([]);
+    expect(Order.distinct).toHaveBeenCalledWith('customer', expect.objectContaining({
+      status: { $nin: ['collected', 'cancelled'] }
+    }));
+    expect(ArchivedCustomer.create).not.toHaveBeenCalled();
+  });
+
+  it('skips customers restored from the archive within the retention period', async () => {
+    await archiveInactiveCustomers();
+
+    const filter = Customer.find.mock.calls[0][0];
+    expect(filter.$and).toContainEqual({
+      $or: [
+        { restoredFromArchiveAt: null },
+        { restoredFromArchiveAt: { $lt: expect.any(Date) } }
+      ]
+    });
+  });
+});
+
+describe('restoreArchivedCustomer', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('puts invoices, payments and orders back with the customer', async () => {
+    const customerId = id();
+    const invoice = { _id: id(), customer: customerId };
+    const payment = { _id: id(), customer: customerId, invoice: invoice._id };
+    const order = { _id: id(), customer: customerId };
+    const archive = new ArchivedCustomer({
+      shop: id(),
+      customerId,
+      customerName: 'Old Customer',
+      customer: { _id: customerId, name: 'Old Customer' },
+      invoices: [invoice],
+      payments: [payment],
+      orders: [order]
+    });
+    jest.spyOn(ArchivedCustomer, 'findById').mockResolvedValue(archive);
+    jest.spyOn(archive, 'save').mockResolvedValue(archive);
+    jest.spyOn(Customer, 'findById').mockReturnValue(query(null));
+    const inserts = {
+      customer: jest.spyOn(Customer.collection, 'insertOne').mockResolvedValue({}),
+      invoices: jest.spyOn(Invoice.collection, 'insertMany').mockResolvedValue({}),
+      payments: jest.spyOn(Payment.collection, 'insertMany').mockResolvedValue({}),
+      orders: jest.spyOn(Order.collection, 'insertMany').mockResolvedValue({})
+    };
+    const res = createResponse();
+
+    await restoreArchivedCustomer({ params: { id: archive._id.toString() }, user: { _id: id() } }, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(inserts.customer).toHaveBeenCalledWith(expect.objectContaining({ _id: customerId }));
+    expect(inserts.invoices).toHaveBeenCalledWith([invoice]);
+    expect(inserts.payments).toHaveBeenCalledWith([payment]);
+    expect(inserts.orders).toHaveBeenCalledWith([order]);
+    expect(archive.status).toBe('restored');
+  });
+});
+
+describe('startJobs', () => {
+  it('does not run the archival on start', () => {
+    jest.isolateModules(() => {
+      jest.doMock('../src/jobs/scheduler.js', () => ({ scheduleJob: jest.fn(), stopJobs: jest.fn() }));
+      const { scheduleJob } = require('../src/jobs/scheduler.js');
+      const { startJobs } = require('../src/jobs/index.js');
+
+      startJobs();
+
+      expect(scheduleJob).toHaveBeenCalledWith(
+        'customer-archival',
+        expect.any(Number),
+        expect.any(Function),
+        { runOnStart: false }
+      );
+    });
+  });
+});
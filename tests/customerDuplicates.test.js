@@ -0,0 +1,48 @@
+const Customer = require('../src/Models/Customer.js');
+const { mergeCustomerData } = require('../src/utils/customerDuplicates.js');
+
+const customer = (fields) => new Customer({ name: 'Jane Smith', phone: '0123456789', ...fields });
+
+describe('mergeCustomerData', () => {
+  it('fills a missing date of birth from the duplicate', () => {
+    const survivor = customer({});
+    const duplicate = customer({ dateOfBirth: new Date('1980-05-04') });
+
+    const changed = mergeCustomerData(survivor, duplicate);
+
+    expect(survivor.dateOfBirth).toEqual(new Date('1980-05-04'));
+    expect(changed).toContain('dateOfBirth');
+  });
+
+  it('keeps the survivor date of birth when both have one', () => {
+    const survivor = customer({ dateOfBirth: new Date('1980-05-04') });
+    const duplicate = customer({ dateOfBirth: new Date('1981-01-01') });
+
+    const changed = mergeCustomerData(survivor, duplicate);
+
+    expect(survivor.dateOfBirth).toEqual(new Date('1980-05-04'));
+    expect(changed).not.toContain('dateOfBirth');
+  });
+
+  it('replaces an estimated date of birth with a recorded one', () => {
+    const survivor = customer({ dateOfBirth: new Date('1980-01-01'), dateOfBirthEstimated: true });
+    const duplicate = customer({ dateOfBirth: new Date('1980-05-04') });
+
+    const changed = mergeCustomerData(survivor, duplicate);
+
+    expect(survivor.dateOfBirth).toEqual(new Date('1980-05-04'));
+    expect(survivor.dateOfBirthEstimated).toBe(false);
+    expect(changed).toContain('dateOfBirth');
+  });
+
+  it('combines medical history and keeps the latest visit', () => {
+    const survivor = customer({ medicalHistory: { allergies: ['penicillin'] }, lastVisit: new Date('2024-01-01') });
+    const duplicate = customer({ medicalHistory: { allergies: ['latex'] }, lastVisit: new Date('2025-06-01') });
+
+    const changed = mergeCustomerData(survivor, duplicate);
+
+    expect(survivor.medicalHistory.allergies).toEqual(['penicillin', 'latex']);
+    expect(survivor.lastVisit).toEqual(new Date('2025-06-01'));
+    expect(changed).toEqual(expect.arrayContaining(['medicalHistory.allergies', 'lastVisit']));
+  });
+});
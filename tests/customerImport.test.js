@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Customer = require('../src/Models/Customer.js');
+const Shop = require('../src/Models/Shop.js');
+const {
+  parseImportFile,
+  resolveColumnMapping,
+  mapRowToCustomer,
+  analyzeImport,
+  commitImport
+} = require('../src/utils/customerImport.js');
+const { buildSearchKeys } = require('../src/utils/searchKeys.js');
+const { importCustomers } = require('../src/controllers/customerImportController.js');
+const { query, createResponse } = require('./helpers.js');
+
+const shopId = new mongoose.Types.ObjectId();
+
+const result = (fields) => ({ row: 2, status: 'valid', errors: [], ...fields });
+
+const csvFile = (text) => ({ originalname: 'customers.csv', buffer: Buffer.from(text) });
+
+describe('parseImportFile', () => {
+  it('reads CSV rows by header, numbered as in the spreadsheet', async () => {
+    const { headers, rows } = await parseImportFile(csvFile([
+      '\uFEFFFull Name,Mobile,DOB',
+      'Jane Smith,0123456789,04/05/1980',
+      ',,',
+      'John Brown,0987654321,'
+    ].join('\n')));
+
+    expect(headers).toEqual(['Full Name', 'Mobile', 'DOB']);
+    expect(rows).toEqual([
+      { rowNumber: 2, values: { 'Full Name': 'Jane Smith', Mobile: '0123456789', DOB: '04/05/1980' } },
+      { rowNumber: 4, values: { 'Full Name': 'John Brown', Mobile: '0987654321', DOB: '' } }
+    ]);
+  });
+});
+
+describe('resolveColumnMapping', () => {
+  it('matches headers by name and lets an explicit mapping win', () => {
+    const { mapping, errors } = resolveColumnMapping(
+      ['Full Name', 'Mobile', 'Home Phone', 'E-mail'],
+      { phone: 'Home Phone' }
+    );
+
+    expect(errors).toEqual([]);
+    expect(mapping).toEqual({ name: 'Full Name', phone: 'Home Phone', email: 'E-mail' });
+  });
+
+  it('reports unknown fields, missing columns and a missing name', () => {
+    const { errors } = resolveColumnMapping(['Mobile'], { nickname: 'Mobile', email: 'Email' });
+
+    expect(errors).toEqual([
+      'Unknown customer field "nickname"',
+      'Column "Email" mapped to email was not found in the file',
+      'No column is mapped to the customer name'
+    ]);
+  });
+});
+
+describe('mapRowToCustomer', () => {
+  it('converts dates, lists, sex and email', () => {
+    const data = mapRowToCustomer(
+      { Name: 'Jane Smith', DOB: '04/05/1980', Sex: 'f', Email: 'Jane@Example.com', Allergies: 'latex; penicillin' },
+      { name: 'Name', dateOfBirth: 'DOB', sex: 'Sex', email: 'Email', 'medicalHistory.allergies': 'Allergies' }
+    );
+
+    expect(data).toEqual({
+      name: 'Jane Smith',
+      dateOfBirth: new Date(1980, 4, 4),
+      sex: 'Female',
+      email: 'jane@example.com',
+      medicalHistory: { allergies: ['latex', 'penicillin'] }
+    });
+  });
+});
+
+describe('analyzeImport', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const mapping = { name: 'Name', phone: 'Phone', email: 'Email' };
+  const row = (rowNumber, values) => ({ rowNumber, values });
+
+  it('flags invalid rows and duplicates of customers and of earlier rows', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), name: 'Jane Smith', phone: '0123456789', phoneDigits: '0123456789' };
+    jest.spyOn(Customer, 'find').mockReturnValue(query([existing]));
+
+    const results = await analyzeImport([
+      row(2, { Name: 'Jane Smith', Phone: '0123456789' }),
+      row(3, { Name: 'John Brown', Phone: '0987654321', Email: 'john@example.com' }),
+      row(4, { Name: 'Johnny Brown', Phone: '0111111111', Email: 'john@example.com' }),
+      row(5, { Name: '', Phone: '0222222222' })
+    ], mapping, shopId);
+
+    expect(results.map(r => r.status)).toEqual(['duplicate', 'valid', 'duplicate', 'invalid']);
+    expect(results[0].duplicateOf).toEqual({ customer: existing._id, name: 'Jane Smith', matchedOn: 'phone' });
+    expect(results[2].duplicateOf).toEqual({ row: 3 });
+    expect(results[3].errors.length).toBeGreaterThan(0);
+  });
+
+  it('matches phone numbers whatever their formatting', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), name: 'Jane Smith', phone: '(555) 123-4567', phoneDigits: '5551234567' };
+    jest.spyOn(Customer, 'find').mockReturnValue(query([existing]));
+
+    const results = await analyzeImport([
+      row(2, { Name: 'Jane Smith', Phone: '+1 555 123 4567' }),
+      row(3, { Name: 'John Brown', Phone: '0987 654 321' }),
+      row(4, { Name: 'Johnny Brown', Phone: '0987-654-321' })
+    ], mapping, shopId);
+
+    expect(Customer.find.mock.calls[0][0].$or[0]).toEqual({ phoneDigits: { $in: ['5551234567', '0987654321', '0987654321'] } });
+    expect(results.map(r => r.status)).toEqual(['duplicate', 'valid', 'duplicate']);
+    expect(results[0].duplicateOf).toEqual({ customer: existing._id, name: 'Jane Smith', matchedOn: 'phone' });
+    expect(results[2].duplicateOf).toEqual({ row: 3 });
+  });
+});
+
+describe('commitImport', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('stores search keys on created customers', async () => {
+    const insertMany = jest.spyOn(Customer.collection, 'insertMany').mockImplementation(async (docs) => ({
+      acknowledged: true,
+      insertedCount: docs.length,
+      insertedIds: Object.fromEntries(docs.map((doc, index) => [index, doc._id]))
+    }));
+
+    const [created] = await commitImport([result({ data: { name: 'Kathryn Smith', phone: '+1 555 123 4567' } })], shopId);
+
+    expect(created.status).toBe('created');
+    const [doc] = insertMany.mock.calls[0][0];
+    expect(doc).toEqual(expect.objectContaining(buildSearchKeys({ name: 'Kathryn Smith', phone: '+1 555 123 4567' })));
+  });
+
+  it('updates search keys, date of birth and age of existing customers', async () => {
+    const bulkWrite = jest.spyOn(Customer, 'bulkWrite').mockResolvedValue({});
+    const existing = new mongoose.Types.ObjectId();
+    const dateOfBirth = new Date('1980-05-04');
+
+    const [updated] = await commitImport([result({
+      status: 'duplicate',
+      duplicateOf: { customer: existing },
+      data: { name: 'Catherine Smith', phone: '555 987 6543', dateOfBirth, address: { city: 'Leeds' } }
+    })], shopId, { onDuplicate: 'update' });
+
+    expect(updated.status).toBe('updated');
+    const [{ updateOne }] = bulkWrite.mock.calls[0][0];
+    expect(updateOne.filter).toEqual({ _id: existing, shop: shopId });
+    expect(updateOne.update.$set).toEqual(expect.objectContaining({
+      name: 'Catherine Smith',
+      'address.city': 'Leeds',
+      dateOfBirth,
+      age: expect.any(Number),
+      phoneDigits: '5559876543',
+      nameTokens: ['catherine', 'smith'],
+      nameKeys: ['k0rn', 'sm0']
+    }));
+  });
+
+  it('leaves the name keys alone when a row does not set the name', async () => {
+    const bulkWrite = jest.spyOn(Customer, 'bulkWrite').mockResolvedValue({});
+
+    await commitImport([result({
+      status: 'duplicate',
+      duplicateOf: { customer: new mongoose.Types.ObjectId() },
+      data: { phone: '555 987 6543' }
+    })], shopId, { onDuplicate: 'update' });
+
+    const { $set } = bulkWrite.mock.calls[0][0][0].updateOne.update;
+    expect($set.phoneDigits).toBe('5559876543');
+    expect($set).not.toHaveProperty('nameTokens');
+    expect($set).not.toHaveProperty('nameKeys');
+  });
+});
+
+describe('importCustomers', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects an unknown target shop', async () => {
+    jest.spyOn(Shop, 'exists').mockResolvedValue(null);
+    jest.spyOn(Customer, 'find');
+    const res = createResponse();
+
+    await importCustomers({
+      file: csvFile('Name,Phone\nJane Smith,0123456789\n'),
+      body: { shop: shopId.toString() },
+      user: { role: 'admin' }
+    }, res);
+
+    expect(Shop.exists).toHaveBeenCalledWith({ _id: shopId.toString() });
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Shop not found' });
+    expect(Customer.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+jest.mock('../src/utils/auditLogger.js', () => ({ logAudit: jest.fn() }));
+jest.mock('../src/utils/recalls.js', () => ({ refreshCustomerRecall: jest.fn() }));
+
+const Customer = require('../src/Models/Customer.js');
+const OptometryRecord = require('../src/Models/OptometryRecord.js');
+const Appointment = require('../src/Models/Appointment.js');
+const Attachment = require('../src/Models/Attachment.js');
+const Invoice = require('../src/Models/Invoice.js');
+const Payment = require('../src/Models/Payment.js');
+const Order = require('../src/Models/Order.js');
+const RecordRevision = require('../src/Models/RecordRevision.js');
+const { logAudit } = require('../src/utils/auditLogger.js');
+const { mergeCustomers } = require('../src/controllers/customerController.js');
+const { query, createResponse } = require('./helpers.js');
+
+describe('mergeCustomers', () => {
+  const shopId = new mongoose.Types.ObjectId();
+  let survivor;
+  let duplicate;
+  let record;
+
+  beforeEach(() => {
+    survivor = new Customer({ shop: shopId, name: 'Jane Smith', phone: '0123456789' });
+    duplicate = new Customer({ shop: shopId, name: 'Jane Smyth', phone: '0123456789', email: 'jane@example.com' });
+    jest.spyOn(survivor, 'save').mockResolvedValue(survivor);
+    jest.spyOn(duplicate, 'save').mockResolvedValue(duplicate);
+
+    record = new OptometryRecord({ shop: shopId, customer: duplicate._id, date: new Date('2026-01-10') });
+    jest.spyOn(OptometryRecord, 'find').mockReturnValue(query([record]));
+    jest.spyOn(RecordRevision, 'createFor').mockResolvedValue({ version: 2, changedFields: ['customer'] });
+
+    jest.spyOn(Customer, 'findOne').mockImplementation(filter => (
+      query(filter._id.toString() === survivor._id.toString() ? survivor : duplicate)
+    ));
+    [
+      [OptometryRecord, 1],
+      [Appointment, 3],
+      [Attachment, 1],
+      [Invoice, 2],
+      [Payment, 4],
+      [Order, 1]
+    ].forEach(([Model, modifiedCount]) => {
+      jest.spyOn(Model, 'updateMany').mockReturnValue(query({ modifiedCount }));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const merge = async () => {
+    const res = createResponse();
+    await mergeCustomers({
+      params: { id: survivor._id.toString() },
+      body: { duplicateId: duplicate._id.toString() },
+      user: { _id: new mongoose.Types.ObjectId(), role: 'shop_owner', shop: shopId }
+    }, res);
+    return res;
+  };
+
+  it('reports every kind of moved document, payments included', async () => {
+    const res = await merge();
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].moved).toEqual({
+      records: 1,
+      appointments: 3,
+      attachments: 1,
+      invoices: 2,
+      payments: 4,
+      orders: 1
+    });
+    expect(Payment.updateMany).toHaveBeenCalledWith(
+      { customer: duplicate._id, shop: shopId },
+      { $set: { customer: survivor._id } }
+    );
+  });
+
+  it('writes a revision and an audit entry for every moved record', async () => {
+    await merge();
+
+    expect(RecordRevision.createFor).toHaveBeenCalledWith(record, expect.objectContaining({
+      action: 'merge',
+      previous: expect.objectContaining({ customer: duplicate._id })
+    }));
+    expect(record.customer).toEqual(survivor._id);
+    expect(logAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'merge',
+      entity: 'record',
+      entityId: record._id,
+      metadata: { version: 2, changedFields: ['customer'] }
+    }));
+  });
+
+  it('fills empty fields of the survivor and marks the duplicate merged', async () => {
+    await merge();
+
+    expect(survivor.email).toBe('jane@example.com');
+    expect(duplicate.isActive).toBe(false);
+    expect(duplicate.mergedInto).toEqual(survivor._id);
+    expect(logAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'merge' }));
+  });
+});
@@ -0,0 +1,82 @@
+const { Writable } = require('stream');
+const { column, streamExport } = require('../src/utils/dataExport.js');
+
+// Response stand-in collecting what is written. A stalled one never
+// acknowledges a write, like a client that stopped reading.
+const createResponse = ({ stalled = false } = {}) => {
+  const chunks = [];
+  const res = new Writable({
+    highWaterMark: 16,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      if (!stalled) callback();
+    }
+  });
+  res.headers = {};
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.body = () => chunks.join('');
+  return res;
+};
+
+// Cursor stand-in over `docs`; endless when no docs are given
+const createCursor = (docs) => {
+  const cursor = {
+    close: jest.fn(async () => {}),
+    async *[Symbol.asyncIterator]() {
+      if (docs) {
+        yield* docs;
+        return;
+      }
+      for (let index = 0; ; index += 1) {
+        yield { name: `Customer ${index}` };
+      }
+    }
+  };
+  return cursor;
+};
+
+const columns = [column('Name', 'name'), column('City', 'address.city')];
+
+describe('streamExport', () => {
+  it('writes a CSV download', async () => {
+    const res = createResponse();
+    const finished = new Promise(resolve => res.on('finish', resolve));
+
+    await streamExport(res, {
+      format: 'csv',
+      fileName: 'customers',
+      columns,
+      cursor: createCursor([{ name: 'Jane, Smith', address: { city: 'Leeds' } }, { name: '=cmd' }])
+    });
+    await finished;
+
+    expect(res.headers['Content-Type']).toBe('text/csv; charset=utf-8');
+    expect(res.body()).toBe('\uFEFFName,City\r\n"Jane, Smith",Leeds\r\n\'=cmd,\r\n');
+  });
+
+  it('stops and closes the cursor when the client disconnects while waiting for drain', async () => {
+    const res = createResponse({ stalled: true });
+    const cursor = createCursor();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const exporting = streamExport(res, { format: 'csv', fileName: 'customers', columns, cursor });
+    setTimeout(() => res.destroy(), 10);
+
+    await expect(exporting).resolves.toBeUndefined();
+    expect(cursor.close).toHaveBeenCalled();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('stops a JSON export when the client disconnects', async () => {
+    const res = createResponse({ stalled: true });
+    const cursor = createCursor();
+
+    const exporting = streamExport(res, { format: 'json', fileName: 'records', cursor });
+    setTimeout(() => res.destroy(), 10);
+
+    await expect(exporting).resolves.toBeUndefined();
+    expect(cursor.close).toHaveBeenCalled();
+  });
+});
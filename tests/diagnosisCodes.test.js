@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const OptometryRecord = require('../src/Models/OptometryRecord.js');
+const {
+  normalizeCode,
+  findDiagnosisCode,
+  searchDiagnosisCodes,
+  resolveDiagnoses
+} = require('../src/utils/diagnosisCodes.js');
+const { getDiagnosisReport } = require('../src/controllers/diagnosisController.js');
+const { createResponse } = require('./helpers.js');
+
+describe('diagnosis code lookup', () => {
+  it('finds codes written with or without the dot', () => {
+    expect(normalizeCode(' h401 ')).toBe('H40.1');
+    expect(findDiagnosisCode('h40.1').description).toBe('Primary open-angle glaucoma');
+    expect(findDiagnosisCode('Z99.9')).toBeNull();
+  });
+
+  it('ranks code matches before description and keyword matches', () => {
+    expect(searchDiagnosisCodes('H40.0')[0].code).toBe('H40.0');
+    expect(searchDiagnosisCodes('myopia').map(item => item.code).slice(0, 2)).toEqual(['H52.1', 'H44.2']);
+    expect(searchDiagnosisCodes('POAG').map(item => item.code)).toEqual(['H40.1']);
+  });
+
+  it('limits the search to a category', () => {
+    const results = searchDiagnosisCodes('', { category: 'diabetic' });
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every(item => item.category === 'diabetic')).toBe(true);
+  });
+});
+
+describe('resolveDiagnoses', () => {
+  it('fills in the standard description of known codes', () => {
+    const { diagnoses, errors } = resolveDiagnoses([{ code: 'h360', laterality: 'both' }]);
+
+    expect(errors).toEqual([]);
+    expect(diagnoses).toEqual([{ code: 'H36.0', description: 'Diabetic retinopathy', laterality: 'both' }]);
+  });
+
+  it('reports unknown codes by position', () => {
+    const { errors } = resolveDiagnoses([{ code: 'H52.1' }, { code: 'X12' }]);
+
+    expect(errors).toEqual(['Diagnosis 2: unknown diagnosis code X12']);
+  });
+
+  it('is applied when a record is validated', async () => {
+    const record = new OptometryRecord({
+      shop: new mongoose.Types.ObjectId(),
+      customer: new mongoose.Types.ObjectId(),
+      date: new Date('2026-09-01'),
+      diagnoses: [{ code: 'X12' }]
+    });
+
+    await expect(record.validate()).rejects.toThrow('Diagnosis 1: unknown diagnosis code X12');
+  });
+});
+
+describe('getDiagnosisReport', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const records = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+  const customers = [1, 2].map(() => new mongoose.Types.ObjectId());
+
+  const reportWith = async (query) => {
+    jest.spyOn(OptometryRecord, 'aggregate').mockResolvedValue([
+      { _id: 'H40.0', records: [records[0], records[1]], customers: [customers[0], customers[1]], lateralities: ['right', 'both'] },
+      { _id: 'H40.1', records: [records[1]], customers: [customers[1]], lateralities: ['left'] },
+      { _id: 'H52.1', records: [records[2]], customers: [customers[0]], lateralities: [null] }
+    ]);
+    const res = createResponse();
+    await getDiagnosisReport({ query, user: { shop: new mongoose.Types.ObjectId() } }, res);
+    expect(res.status).not.toHaveBeenCalled();
+    return res.json.mock.calls[0][0];
+  };
+
+  it('counts records, customers and laterality per code', async () => {
+    const report = await reportWith({});
+
+    expect(report.rows[0]).toEqual({
+      code: 'H40.0',
+      description: 'Glaucoma suspect',
+      category: 'glaucoma',
+      records: 2,
+      customers: 2,
+      laterality: { right: 1, left: 0, both: 1, not_applicable: 0 }
+    });
+    expect(report.rows[2].laterality.not_applicable).toBe(1);
+  });
+
+  it('groups codes by category without counting a record twice', async () => {
+    const report = await reportWith({ groupBy: 'category' });
+
+    expect(report.rows).toEqual([
+      expect.objectContaining({ category: 'glaucoma', codes: ['H40.0', 'H40.1'], records: 2, customers: 2 }),
+      expect.objectContaining({ category: 'refraction', codes: ['H52.1'], records: 1, customers: 1 })
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+const net = require('net');
+
+// Stand-ins shared by the test suites; no database or server is needed.
+
+// Chainable stand-in for a mongoose query resolving to `value`
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    setOptions: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    skip: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Express response recording the status and JSON body
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// SMTP server on a free local port that keeps every message it is given in
+// `messages` ({ from, to, data }). Set `rejectRecipients` to a reply such as
+// '550 No such user' to refuse recipients instead.
+const startSmtpSink = () => new Promise(resolve => {
+  const sink = { messages: [], rejectRecipients: null };
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    let envelope = null;
+    let readingData = false;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const handle = (line) => {
+      if (readingData) {
+        if (line === '.') {
+          readingData = false;
+          sink.messages.push(envelope);
+          reply('250 Queued');
+        } else {
+          envelope.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+        }
+        return;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      const address = (line.match(/<([^>]*)>/) || [])[1];
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 localhost');
+      } else if (command === 'MAIL') {
+        envelope = { from: address, to: [], data: '' };
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        if (sink.rejectRecipients) {
+          reply(sink.rejectRecipients);
+        } else {
+          envelope.to.push(address);
+          reply('250 OK');
+        }
+      } else if (command === 'DATA') {
+        readingData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else if (command === 'RSET' || command === 'NOOP') {
+        reply('250 OK');
+      } else {
+        reply('502 Command not implemented');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        handle(line);
+      }
+    });
+
+    reply('220 localhost ESMTP test sink');
+  });
+
+  sink.close = () => new Promise(done => {
+    sockets.forEach(socket => socket.destroy());
+    server.close(done);
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    sink.port = server.address().port;
+    resolve(sink);
+  });
+});
+
+module.exports = {
+  query,
+  createResponse,
+  startSmtpSink
+};
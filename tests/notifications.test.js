@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const EmailOutbox = require('../src/Models/EmailOutbox.js');
+const EmailTemplate = require('../src/Models/EmailTemplate.js');
+const Customer = require('../src/Models/Customer.js');
+const { sendMail } = require('../src/utils/mailer.js');
+const { queueEmail, notifyAppointment, processOutbox } = require('../src/utils/notifications.js');
+const { query, startSmtpSink } = require('./helpers.js');
+
+const shop = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Clear View Optics',
+  contact: { phone: '0123 456789' },
+  settings: { timezone: 'Europe/London', notifications: { email: true } }
+};
+
+describe('email notifications', () => {
+  const env = { ...process.env };
+  let smtp;
+
+  // Mail goes to a local SMTP server; the mailer connects on first send
+  beforeAll(async () => {
+    smtp = await startSmtpSink();
+    Object.assign(process.env, {
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(smtp.port),
+      SMTP_SECURE: 'false',
+      MAIL_FROM: 'Clear View Optics <hello@clearview.example>'
+    });
+    delete process.env.SMTP_USER;
+  });
+
+  afterAll(async () => {
+    process.env = env;
+    await smtp.close();
+  });
+
+  beforeEach(() => {
+    smtp.messages = [];
+    smtp.rejectRecipients = null;
+    jest.spyOn(EmailTemplate, 'findOne').mockResolvedValue(null);
+    jest.spyOn(EmailOutbox.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('sendMail', () => {
+    it('delivers through the configured SMTP server', async () => {
+      const info = await sendMail({ to: 'jane@example.com', subject: 'Your glasses are ready', text: 'Dear Jane Smith' });
+
+      expect(info.accepted).toEqual(['jane@example.com']);
+      expect(smtp.messages).toHaveLength(1);
+      const [message] = smtp.messages;
+      expect(message.from).toBe('hello@clearview.example');
+      expect(message.to).toEqual(['jane@example.com']);
+      expect(message.data).toContain('Subject: Your glasses are ready');
+      expect(message.data).toContain('Dear Jane Smith');
+    });
+  });
+
+  describe('queueEmail', () => {
+    it('only puts the email in the outbox', async () => {
+      const entry = await queueEmail({
+        shop,
+        type: 'recall',
+        to: 'jane@example.com',
+        context: { customer: { name: 'Jane Smith' }, recall: {} }
+      });
+
+      expect(entry.status).toBe('queued');
+      expect(entry.save).toHaveBeenCalled();
+      expect(entry.subject).toBe('Your eye examination is due');
+      expect(entry.text).toContain('Dear Jane Smith,');
+      expect(smtp.messages).toHaveLength(0);
+    });
+
+    it('skips the email when the shop turned emails off', async () => {
+      const entry = await queueEmail({
+        shop: { ...shop, settings: { notifications: { email: false } } },
+        type: 'recall',
+        to: 'jane@example.com',
+        context: {}
+      });
+
+      expect(entry.status).toBe('skipped');
+      expect(entry.lastError).toBe('Email notifications are disabled for this shop');
+    });
+  });
+
+  describe('notifyAppointment', () => {
+    it('writes to the stored customer email, in the shop time', async () => {
+      jest.spyOn(Customer, 'findById').mockReturnValue(query({ name: 'Jane Smith', email: 'jane@example.com' }));
+
+      const entry = await notifyAppointment({
+        _id: new mongoose.Types.ObjectId(),
+        shop: shop._id,
+        customer: new mongoose.Types.ObjectId(),
+        // 09:30 in London during British Summer Time
+        startTime: new Date('2026-07-14T08:30:00Z'),
+        type: 'routine'
+      }, 'appointment_confirmation', { shop });
+
+      expect(entry.to).toBe('jane@example.com');
+      expect(entry.text).toContain('booked for Tuesday 14 July 2026 at 09:30');
+      expect(smtp.messages).toHaveLength(0);
+    });
+  });
+
+  describe('processOutbox', () => {
+    const queuedEntry = (fields) => new EmailOutbox({
+      shop: shop._id,
+      type: 'recall',
+      to: 'jane@example.com',
+      subject: 'Your eye examination is due',
+      text: 'Dear Jane Smith',
+      status: 'sending',
+      ...fields
+    });
+
+    const runWith = async (entry) => {
+      jest.spyOn(EmailOutbox, 'updateMany').mockResolvedValue({});
+      jest.spyOn(EmailOutbox, 'findOneAndUpdate')
+        .mockResolvedValueOnce(entry)
+        .mockResolvedValueOnce(null);
+      return processOutbox();
+    };
+
+    it('sends queued emails', async () => {
+      const entry = queuedEntry();
+
+      const processed = await runWith(entry);
+
+      expect(processed).toBe(1);
+      expect(smtp.messages.map(message => message.to)).toEqual([['jane@example.com']]);
+      expect(entry.status).toBe('sent');
+      expect(entry.attempts).toBe(1);
+      expect(entry.messageId).toMatch(/^<.+@clearview\.example>$/);
+    });
+
+    it('schedules a retry when delivery fails', async () => {
+      smtp.rejectRecipients = '550 No such user';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const entry = queuedEntry({ attempts: 1 });
+      const before = Date.now();
+
+      await runWith(entry);
+
+      expect(entry.status).toBe('queued');
+      expect(entry.attempts).toBe(2);
+      expect(entry.lastError).toContain('550 No such user');
+      // Second retry waits five minutes
+      expect(entry.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 5 * 60 * 1000);
+      expect(entry.nextAttemptAt.getTime()).toBeLessThan(before + 6 * 60 * 1000);
+    });
+
+    it('gives up after the last attempt', async () => {
+      smtp.rejectRecipients = '550 No such user';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const entry = queuedEntry({ attempts: 4 });
+
+      await runWith(entry);
+
+      expect(entry.status).toBe('failed');
+      expect(entry.attempts).toBe(5);
+    });
+
+    it('counts an attempt when email is not configured', async () => {
+      delete process.env.SMTP_HOST;
+      const entry = queuedEntry();
+
+      await runWith(entry);
+      process.env.SMTP_HOST = '127.0.0.1';
+
+      expect(smtp.messages).toHaveLength(0);
+      expect(entry.status).toBe('queued');
+      expect(entry.lastError).toBe('Email is not configured');
+    });
+  });
+});
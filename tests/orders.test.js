@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Order = require('../src/Models/Order.js');
+const Shop = require('../src/Models/Shop.js');
+const Customer = require('../src/Models/Customer.js');
+const Invoice = require('../src/Models/Invoice.js');
+const OptometryRecord = require('../src/Models/OptometryRecord.js');
+const RecordRevision = require('../src/Models/RecordRevision.js');
+const Product = require('../src/Models/Product.js');
+const StockMovement = require('../src/Models/StockMovement.js');
+const { queueEmail } = require('../src/utils/notifications.js');
+const { getOverdueDays, findOverdueOrders, notifyOrderReady } = require('../src/utils/orders.js');
+const { updateOrder, updateOrderStatus } = require('../src/controllers/orderController.js');
+const { query, createResponse } = require('./helpers.js');
+
+jest.mock('../src/utils/auditLogger.js', () => ({ logAudit: jest.fn() }));
+jest.mock('../src/utils/recalls.js', () => ({ refreshCustomerRecall: jest.fn() }));
+
+jest.mock('../src/utils/notifications.js', () => ({
+  ...jest.requireActual('../src/utils/notifications.js'),
+  queueEmail: jest.fn()
+}));
+
+const shopId = new mongoose.Types.ObjectId();
+
+const newOrder = (fields = {}) => new Order({
+  shop: shopId,
+  customer: new mongoose.Types.ObjectId(),
+  record: new mongoose.Types.ObjectId(),
+  orderNumber: 'ORD-000001',
+  ...fields
+});
+
+describe('Order status', () => {
+  it('only allows the listed transitions', () => {
+    const order = newOrder();
+
+    expect(order.canMoveTo('at_lab')).toBe(true);
+    expect(order.canMoveTo('ready')).toBe(false);
+
+    order.status = 'cancelled';
+    expect(Order.STATUSES.some(status => order.canMoveTo(status))).toBe(false);
+  });
+
+  it('keeps the history and counts remakes', () => {
+    const order = newOrder();
+    const user = { _id: new mongoose.Types.ObjectId() };
+
+    order.moveTo('received', { user });
+    order.moveTo('remake', { user, note: 'Wrong axis' });
+
+    expect(order.status).toBe('remake');
+    expect(order.remakeCount).toBe(1);
+    expect(order.statusHistory.map(entry => entry.status)).toEqual(['received', 'remake']);
+    expect(order.statusHistory[1]).toEqual(expect.objectContaining({ changedBy: user._id, note: 'Wrong axis' }));
+    expect(order.statusChangedAt).toEqual(order.getStatusDate('remake'));
+  });
+});
+
+describe('findOverdueOrders', () => {
+  beforeEach(() => {
+    jest.spyOn(Order, 'find').mockReturnValue(query([]));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('uses the shop limits over the defaults', () => {
+    expect(getOverdueDays({ settings: { orders: { overdueDays: { ready: 7 } } } }))
+      .toEqual({ ...Order.DEFAULT_OVERDUE_DAYS, ready: 7 });
+  });
+
+  it('lists orders past the lab date as overdue at the lab', async () => {
+    const now = Date.now();
+    const statuses = await findOverdueOrders({ _id: shopId });
+
+    const filters = Object.fromEntries(Order.find.mock.calls.map(([filter]) => [filter.status, filter]));
+    const atLab = filters.at_lab.$or;
+    expect(atLab[0].statusChangedAt.$lt.getTime())
+      .toBeCloseTo(moment(now).subtract(10, 'days').valueOf(), -3);
+    expect(atLab[1]['lab.expectedAt'].$lt.getTime()).toBeCloseTo(now, -3);
+    expect(filters.ready.$or).toBeUndefined();
+    expect(statuses.map(group => group.status)).toEqual(Object.keys(Order.DEFAULT_OVERDUE_DAYS));
+  });
+
+  it('gives the days each order spent in its status', async () => {
+    const order = newOrder({ status: 'at_lab', statusChangedAt: moment().subtract(3, 'days').toDate() });
+    Order.find.mockImplementation(filter => query(filter.status === 'at_lab' ? [order] : []));
+
+    const statuses = await findOverdueOrders({ _id: shopId });
+
+    const atLab = statuses.find(group => group.status === 'at_lab');
+    expect(atLab.total).toBe(1);
+    expect(atLab.orders[0]).toEqual(expect.objectContaining({ orderNumber: 'ORD-000001', daysInStatus: 3 }));
+  });
+});
+
+describe('notifyOrderReady', () => {
+  const shop = { _id: shopId, name: 'Test Optics' };
+  const customer = { name: 'Jane Smith', email: 'jane@example.com' };
+
+  beforeEach(() => {
+    jest.spyOn(Shop, 'findById').mockReturnValue(query(shop));
+    jest.spyOn(Customer, 'findById').mockReturnValue(query(customer));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueEmail.mockReset();
+  });
+
+  it('queues the email and keeps the outcome on the order', async () => {
+    const outbox = new mongoose.Types.ObjectId();
+    queueEmail.mockResolvedValue({ _id: outbox, to: customer.email, status: 'queued' });
+    const order = newOrder();
+
+    const notification = await notifyOrderReady(order);
+
+    expect(queueEmail).toHaveBeenCalledWith(expect.objectContaining({
+      shop,
+      type: 'order_ready',
+      to: customer.email,
+      related: { entity: 'order', id: order._id }
+    }));
+    expect(notification).toEqual(expect.objectContaining({ channel: 'email', status: 'queued', outbox }));
+    expect(order.notifications).toHaveLength(1);
+  });
+
+  it('records a skipped email for customers without an address', async () => {
+    queueEmail.mockResolvedValue({ _id: new mongoose.Types.ObjectId(), status: 'skipped', lastError: 'No email address' });
+    const order = newOrder();
+
+    const notification = await notifyOrderReady(order);
+
+    expect(notification).toEqual(expect.objectContaining({ status: 'skipped', error: 'No email address' }));
+  });
+});
+
+describe('updateOrder', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const update = async (order, body) => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+    const res = createResponse();
+    await updateOrder({ params: { id: order._id.toString() }, body, user: { shop: shopId } }, res);
+    return res;
+  };
+
+  it('links an invoice of the same shop', async () => {
+    const invoice = new mongoose.Types.ObjectId();
+    jest.spyOn(Invoice, 'exists').mockResolvedValue({ _id: invoice });
+    const order = newOrder();
+
+    const res = await update(order, { invoice: invoice.toString() });
+
+    expect(Invoice.exists).toHaveBeenCalledWith({ _id: invoice.toString(), shop: shopId });
+    expect(res.status).not.toHaveBeenCalled();
+    expect(order.invoice).toEqual(invoice);
+  });
+
+  it('refuses an invoice of another shop', async () => {
+    jest.spyOn(Invoice, 'exists').mockResolvedValue(null);
+    const order = newOrder();
+
+    const res = await update(order, { invoice: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Invoice not found' });
+    expect(order.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('cancelling an order', () => {
+  const productId = new mongoose.Types.ObjectId();
+  let record;
+
+  beforeEach(() => {
+    record = new OptometryRecord({
+      shop: shopId,
+      customer: new mongoose.Types.ObjectId(),
+      date: new Date('2026-09-01'),
+      products: [{ role: 'frame', product: productId, sku: 'FR-001', quantity: 1 }],
+      productsOrderedAt: new Date()
+    });
+    const released = OptometryRecord.hydrate({ ...record.toObject(), productsOrderedAt: undefined });
+    jest.spyOn(OptometryRecord, 'findOne').mockResolvedValue(record);
+    jest.spyOn(OptometryRecord, 'findOneAndUpdate').mockResolvedValue(released);
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue({ stock: { quantity: 4 } });
+    jest.spyOn(StockMovement, 'create').mockResolvedValue({});
+    jest.spyOn(RecordRevision, 'createFor').mockResolvedValue({ version: 2, changedFields: ['productsOrderedAt'] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const cancel = async (order) => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+    const res = createResponse();
+    await updateOrderStatus({ params: { id: order._id.toString() }, body: { status: 'cancelled' }, user: { shop: shopId } }, res);
+    return res;
+  };
+
+  it('returns the stock products taken for the order', async () => {
+    const order = newOrder({ record: record._id, stockTaken: true });
+
+    const res = await cancel(order);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(OptometryRecord.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: record._id, productsOrderedAt: { $exists: true } },
+      { $unset: { productsOrderedAt: 1, productsOrderedBy: 1 } },
+      { new: true }
+    );
+    expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: productId, shop: shopId },
+      { $inc: { 'stock.quantity': 1 } },
+      { new: true }
+    );
+    expect(StockMovement.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'adjust',
+      quantity: 1,
+      reference: 'ORD-000001',
+      reason: 'Order cancelled'
+    }));
+    expect(order.status).toBe('cancelled');
+    expect(order.stockTaken).toBe(false);
+  });
+
+  it('leaves the stock alone when the order took none', async () => {
+    const order = newOrder({ record: record._id });
+
+    await cancel(order);
+
+    expect(order.status).toBe('cancelled');
+    expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('still cancels when the products were already returned', async () => {
+    OptometryRecord.findOneAndUpdate.mockResolvedValue(null);
+    const order = newOrder({ record: record._id, stockTaken: true });
+
+    const res = await cancel(order);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(order.status).toBe('cancelled');
+    expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
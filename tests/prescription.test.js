@@ -0,0 +1,163 @@
+const {
+  parseDiopter,
+  parseAxis,
+  parseVisualAcuity,
+  parsePrescription,
+  transpose,
+  toMinusCylinder,
+  toPlusCylinder,
+  sphericalEquivalent,
+  nearPrescription,
+  computeEye
+} = require('../src/utils/prescription.js');
+
+describe('parseDiopter', () => {
+  it.each([
+    ['-1.50', -1.5],
+    ['+2', 2],
+    ['−0,75', -0.75],
+    [' -2.25 DS ', -2.25],
+    ['.5', 0.5],
+    ['plano', 0],
+    ['PL', 0],
+    ['-0.00', 0]
+  ])('reads %p as %p', (raw, value) => {
+    expect(parseDiopter(raw)).toEqual({ value });
+  });
+
+  it('leaves empty values unset', () => {
+    expect(parseDiopter('  ')).toEqual({ value: null });
+    expect(parseDiopter(undefined)).toEqual({ value: null });
+  });
+
+  it('only accepts quarter diopter steps', () => {
+    expect(parseDiopter('-1.30')).toEqual({ error: 'Sphere must be in 0.25 D steps' });
+    expect(parseDiopter('-1.125', 'cyl')).toEqual({ error: 'Cylinder must be in 0.25 D steps' });
+  });
+
+  it('checks the range of each kind', () => {
+    expect(parseDiopter('-31')).toEqual({ error: 'Sphere must be between -30 and 30' });
+    expect(parseDiopter('-10.25', 'cyl')).toEqual({ error: 'Cylinder must be between -10 and 10' });
+    expect(parseDiopter('4.25', 'add')).toEqual({ error: 'Add power must be between 0.25 and 4' });
+  });
+
+  it('does not take plano as an add power', () => {
+    expect(parseDiopter('plano', 'add')).toEqual({ error: 'Add power "plano" is not a valid number' });
+  });
+});
+
+describe('parseAxis', () => {
+  it('reads whole degrees and records 0 as 180', () => {
+    expect(parseAxis('90°')).toEqual({ value: 90 });
+    expect(parseAxis('0')).toEqual({ value: 180 });
+  });
+
+  it('rejects fractions and values over 180', () => {
+    expect(parseAxis('90.5').error).toBe('Axis "90.5" must be a whole number of degrees');
+    expect(parseAxis('181')).toEqual({ error: 'Axis must be between 1 and 180' });
+  });
+});
+
+describe('parseVisualAcuity', () => {
+  it.each([
+    ['6/9+2', { va: '6/9+2', decimal: 0.67 }],
+    ['20/40', { va: '6/12', decimal: 0.5 }],
+    ['0.5', { va: '6/12', decimal: 0.5 }],
+    ['n6', { va: 'N6', decimal: null }],
+    ['fc', { va: 'CF', decimal: null }],
+    ['NLP', { va: 'NPL', decimal: null }]
+  ])('reads %p', (raw, expected) => {
+    expect(parseVisualAcuity(raw)).toEqual(expected);
+  });
+
+  it('rejects unknown notations', () => {
+    expect(parseVisualAcuity('good')).toEqual({ error: 'Visual acuity "good" is not a recognized notation' });
+  });
+});
+
+describe('parsePrescription', () => {
+  it('keeps the raw text next to the parsed values and takes nv as the add', () => {
+    const { right_eye: right, errors } = parsePrescription({
+      right_eye: { dv: { sph: '-1,50', cyl: '-0.75', axis: '180', va: '6/6' }, nv: { sph: '+2.00' } }
+    });
+
+    expect(errors).toEqual([]);
+    expect(right.dv).toEqual({
+      sph: '-1,50',
+      cyl: '-0.75',
+      axis: '180',
+      va: '6/6',
+      parsed: { sph: -1.5, cyl: -0.75, axis: 180, va: '6/6', vaDecimal: 1 }
+    });
+    expect(right.add.parsed.sph).toBe(2);
+  });
+
+  it('reports errors by field path', () => {
+    const { errors } = parsePrescription({
+      left_eye: { dv: { sph: '-1.30', cyl: '-1.00' } }
+    });
+
+    expect(errors).toEqual([
+      { field: 'left_eye.dv.sph', message: 'Sphere must be in 0.25 D steps' },
+      { field: 'left_eye.dv.axis', message: 'Axis is required when cylinder is set' }
+    ]);
+  });
+});
+
+describe('transpose', () => {
+  it('converts between plus and minus cylinder', () => {
+    expect(transpose({ sph: -1, cyl: -0.5, axis: 180 })).toEqual({ sph: -1.5, cyl: 0.5, axis: 90 });
+    expect(transpose({ sph: -1.5, cyl: 0.5, axis: 90 })).toEqual({ sph: -1, cyl: -0.5, axis: 180 });
+    expect(transpose({ sph: 0.5, cyl: -0.5, axis: 45 })).toEqual({ sph: 0, cyl: 0.5, axis: 135 });
+  });
+
+  it('leaves spherical prescriptions alone', () => {
+    expect(transpose({ sph: -2, cyl: 0, axis: null })).toEqual({ sph: -2, cyl: 0, axis: null });
+    expect(transpose({ sph: null, cyl: null })).toEqual({ sph: null, cyl: null, axis: null });
+  });
+
+  it('only transposes into the requested form', () => {
+    const minus = { sph: 1, cyl: -1, axis: 30 };
+    const plus = { sph: 0, cyl: 1, axis: 120 };
+
+    expect(toMinusCylinder(minus)).toEqual(minus);
+    expect(toMinusCylinder(plus)).toEqual(minus);
+    expect(toPlusCylinder(minus)).toEqual(plus);
+    expect(toPlusCylinder(plus)).toEqual(plus);
+  });
+});
+
+describe('sphericalEquivalent', () => {
+  it('adds half the cylinder to the sphere', () => {
+    expect(sphericalEquivalent({ sph: -2, cyl: -0.75 })).toBe(-2.375);
+    expect(sphericalEquivalent({ sph: null, cyl: -1 })).toBe(-0.5);
+    expect(sphericalEquivalent({ sph: 0.25, cyl: -0.5 })).toBe(0);
+    expect(sphericalEquivalent({ sph: null, cyl: null })).toBeNull();
+  });
+
+  it('is the same in either cylinder form', () => {
+    const rx = { sph: -1, cyl: -1.5, axis: 10 };
+    expect(sphericalEquivalent(transpose(rx))).toBe(sphericalEquivalent(rx));
+  });
+});
+
+describe('nearPrescription', () => {
+  it('adds the add power to the distance sphere', () => {
+    expect(nearPrescription({ sph: -1.5, cyl: -0.5, axis: 90 }, 2)).toEqual({ sph: 0.5, cyl: -0.5, axis: 90 });
+    expect(nearPrescription({ sph: -1.5, cyl: -0.5, axis: 90 }, null)).toBeNull();
+  });
+});
+
+describe('computeEye', () => {
+  it('works from the raw text of records saved before parsed values existed', () => {
+    const eye = computeEye({ dv: { sph: '-1.00', cyl: '+0.50', axis: '90' }, add: { sph: '+2.50' } });
+
+    expect(eye).toEqual({
+      distance: { sph: -0.5, cyl: -0.5, axis: 180 },
+      sphericalEquivalent: -0.75,
+      add: 2.5,
+      near: { sph: 2, cyl: -0.5, axis: 180 },
+      nearSphericalEquivalent: 1.75
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  annualizedRate,
+  buildEyeSeries,
+  getProgression,
+  getShopThreshold
+} = require('../src/utils/progression.js');
+
+const eye = (sph, cyl = null, axis = null, vaDecimal = null) => ({
+  dv: { parsed: { sph, cyl, axis, va: vaDecimal ? `6/${6 / vaDecimal}` : null, vaDecimal } }
+});
+
+const record = (date, right, left = right) => ({ _id: date, date: new Date(date), right_eye: right, left_eye: left });
+
+describe('annualizedRate', () => {
+  it('is the least-squares slope of the spherical equivalent per year', () => {
+    const series = [
+      { date: '2022-01-01', sphericalEquivalent: -1 },
+      { date: '2023-01-01', sphericalEquivalent: -1.5 },
+      { date: '2024-01-01', sphericalEquivalent: -2 }
+    ];
+
+    expect(annualizedRate(series)).toBe(-0.5);
+  });
+
+  it('needs two points at least 90 days apart', () => {
+    expect(annualizedRate([{ date: '2024-01-01', sphericalEquivalent: -1 }])).toBeNull();
+    expect(annualizedRate([
+      { date: '2024-01-01', sphericalEquivalent: -1 },
+      { date: '2024-02-01', sphericalEquivalent: -2 }
+    ])).toBeNull();
+  });
+
+  it('skips visits without a spherical equivalent', () => {
+    expect(annualizedRate([
+      { date: '2022-01-01', sphericalEquivalent: -1 },
+      { date: '2023-01-01', sphericalEquivalent: null },
+      { date: '2024-01-01', sphericalEquivalent: -2 }
+    ])).toBe(-0.5);
+  });
+});
+
+describe('buildEyeSeries', () => {
+  it('gives the change from the previous visit', () => {
+    const { series, totalChange } = buildEyeSeries([
+      record('2024-01-01', eye(-1, -0.5, 90, 1)),
+      record('2024-07-01', eye(-1.5, -1, 95, 0.8))
+    ], 'right_eye');
+
+    expect(series[0].delta).toBeNull();
+    expect(series[1].delta).toEqual({
+      days: 182,
+      sph: -0.5,
+      cyl: -0.5,
+      axis: 5,
+      sphericalEquivalent: -0.75,
+      vaDecimal: -0.2
+    });
+    expect(totalChange).toBe(-0.75);
+  });
+
+  it('measures an axis change the short way round', () => {
+    const { series } = buildEyeSeries([
+      record('2024-01-01', eye(-1, -1, 179)),
+      record('2025-01-01', eye(-1, -1, 1)),
+      record('2026-01-01', eye(-1, -1, 178))
+    ], 'right_eye');
+
+    expect(series[1].delta.axis).toBe(2);
+    expect(series[2].delta.axis).toBe(-3);
+  });
+
+  it('leaves out visits without a distance prescription', () => {
+    const { series } = buildEyeSeries([
+      record('2024-01-01', eye(-1)),
+      record('2025-01-01', eye(null))
+    ], 'right_eye');
+
+    expect(series).toHaveLength(1);
+  });
+});
+
+describe('getProgression', () => {
+  const records = [
+    record('2025-01-01', eye(-2), eye(-1)),
+    record('2023-01-01', eye(-0.5), eye(-1))
+  ];
+
+  it('flags eyes changing faster than the threshold', () => {
+    const progression = getProgression(records);
+
+    expect(progression.visits).toBe(2);
+    expect(progression.right_eye.series.map(point => point.sph)).toEqual([-0.5, -2]);
+    expect(progression.right_eye.annualRate).toBe(-0.75);
+    expect(progression.flagged).toBe(true);
+    expect(progression.flaggedEyes).toEqual(['right_eye']);
+  });
+
+  it('uses the shop threshold', () => {
+    expect(getProgression(records, 1).flagged).toBe(false);
+    expect(getShopThreshold({ settings: { clinical: { progressionThreshold: 0.25 } } })).toBe(0.25);
+    expect(getShopThreshold(null)).toBe(0.5);
+  });
+});
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Recall = require('../src/Models/Recall.js');
+const Customer = require('../src/Models/Customer.js');
+const OptometryRecord = require('../src/Models/OptometryRecord.js');
+const {
+  DEFAULT_RECALL_SETTINGS,
+  getRecallSettings,
+  computeRecall,
+  refreshCustomerRecall,
+  getRecallWindow
+} = require('../src/utils/recalls.js');
+const { DIAGNOSIS_CODES } = require('../src/utils/diagnosisCodes.js');
+const { query } = require('./helpers.js');
+
+const examDate = new Date('2026-03-10');
+const adult = { dateOfBirth: new Date('1970-01-01') };
+
+describe('getRecallSettings', () => {
+  it('uses the shop rules over the defaults', () => {
+    const settings = getRecallSettings({ settings: { recalls: { routineMonths: 18, childMonths: null } } });
+
+    expect(settings).toEqual({ ...DEFAULT_RECALL_SETTINGS, routineMonths: 18 });
+  });
+});
+
+describe('computeRecall', () => {
+  it('recalls adults after the routine interval', () => {
+    expect(computeRecall(adult, { date: examDate }, DEFAULT_RECALL_SETTINGS)).toEqual({
+      rule: 'routine',
+      intervalMonths: 24,
+      dueDate: moment(examDate).add(24, 'months').toDate()
+    });
+  });
+
+  it('recalls diabetics sooner, by condition or diagnosis code', () => {
+    const byCondition = computeRecall(
+      { ...adult, medicalHistory: { conditions: ['Type 2 Diabetes'] } },
+      { date: examDate },
+      DEFAULT_RECALL_SETTINGS
+    );
+    const byCode = computeRecall(adult, { date: examDate, diagnoses: [{ code: 'H36.0' }] }, DEFAULT_RECALL_SETTINGS);
+
+    expect(byCondition).toEqual(expect.objectContaining({ rule: 'diabetic', intervalMonths: 12 }));
+    expect(byCode.rule).toBe('diabetic');
+  });
+
+  it('takes every code of the diabetic category', () => {
+    const codes = DIAGNOSIS_CODES.filter(diagnosis => diagnosis.category === 'diabetic').map(diagnosis => diagnosis.code);
+
+    expect(codes.length).toBeGreaterThan(0);
+    codes.forEach(code => {
+      expect(computeRecall(adult, { date: examDate, diagnoses: [{ code }] }, DEFAULT_RECALL_SETTINGS).rule).toBe('diabetic');
+    });
+    expect(computeRecall(adult, { date: examDate, diagnoses: [{ code: 'H52.1' }] }, DEFAULT_RECALL_SETTINGS).rule).toBe('routine');
+  });
+
+  it('recalls children after the child interval', () => {
+    const child = { dateOfBirth: moment().subtract(10, 'years').toDate() };
+
+    expect(computeRecall(child, { date: examDate }, { ...DEFAULT_RECALL_SETTINGS, childMonths: 6 }))
+      .toEqual(expect.objectContaining({ rule: 'child', intervalMonths: 6 }));
+  });
+
+  it('prefers the next appointment set by the clinician', () => {
+    const nextAppointment = new Date('2026-06-01');
+
+    expect(computeRecall(adult, { date: examDate, nextAppointment }, DEFAULT_RECALL_SETTINGS))
+      .toEqual({ rule: 'clinician', intervalMonths: null, dueDate: nextAppointment });
+  });
+});
+
+describe('refreshCustomerRecall', () => {
+  const shop = { _id: new mongoose.Types.ObjectId(), settings: {} };
+  const customer = new Customer({ shop: shop._id, name: 'Jane Smith', phone: '0123456789', dateOfBirth: adult.dateOfBirth });
+
+  beforeEach(() => {
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(customer);
+    jest.spyOn(Recall.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('starts a new recall after a newer exam', async () => {
+    const record = { _id: new mongoose.Types.ObjectId(), date: examDate };
+    const existing = new Recall({
+      shop: shop._id,
+      customer: customer._id,
+      lastRecord: new mongoose.Types.ObjectId(),
+      lastExamDate: new Date('2024-03-01'),
+      rule: 'routine',
+      dueDate: new Date('2026-03-01'),
+      status: 'contacted'
+    });
+    existing.addAttempt({ outcome: 'contacted', method: 'phone' });
+    jest.spyOn(OptometryRecord, 'findOne').mockReturnValue(query(record));
+    jest.spyOn(Recall, 'findOne').mockResolvedValue(existing);
+
+    const recall = await refreshCustomerRecall(shop, customer._id);
+
+    expect(recall).toBe(existing);
+    expect(recall.save).toHaveBeenCalled();
+    expect(recall.status).toBe('pending');
+    expect(recall.attempts).toHaveLength(0);
+    expect(recall.lastRecord).toEqual(record._id);
+    expect(recall.dueDate).toEqual(moment(examDate).add(24, 'months').toDate());
+  });
+
+  it('removes the recall when no completed record is left', async () => {
+    jest.spyOn(OptometryRecord, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Recall, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    const recall = await refreshCustomerRecall(shop, customer._id);
+
+    expect(recall).toBeNull();
+    expect(Recall.deleteOne).toHaveBeenCalledWith({ shop: shop._id, customer: customer._id });
+  });
+});
+
+describe('getRecallWindow', () => {
+  const now = new Date(2026, 9, 19, 14, 0);
+
+  it('lists recalls due before today as overdue', () => {
+    expect(getRecallWindow('overdue', now)).toEqual({ $lt: new Date(2026, 9, 19) });
+  });
+
+  it('covers the whole calendar month', () => {
+    expect(getRecallWindow('due_this_month', now)).toEqual({
+      $gte: new Date(2026, 9, 1),
+      $lte: new Date(2026, 9, 31, 23, 59, 59, 999)
+    });
+  });
+
+  it('ignores unknown filters', () => {
+    expect(getRecallWindow('someday', now)).toBeNull();
+  });
+});
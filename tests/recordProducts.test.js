@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+jest.mock('../src/utils/auditLogger.js', () => ({ logAudit: jest.fn() }));
+jest.mock('../src/utils/recalls.js', () => ({ refreshCustomerRecall: jest.fn() }));
+
+const OptometryRecord = require('../src/Models/OptometryRecord.js');
+const RecordRevision = require('../src/Models/RecordRevision.js');
+const Product = require('../src/Models/Product.js');
+const StockMovement = require('../src/Models/StockMovement.js');
+const { logAudit } = require('../src/utils/auditLogger.js');
+const { placeRecordProductOrder } = require('../src/utils/inventory.js');
+const { setRecordProducts } = require('../src/controllers/inventoryController.js');
+const { query, createResponse } = require('./helpers.js');
+
+describe('record products', () => {
+  const shopId = new mongoose.Types.ObjectId();
+  const user = { _id: new mongoose.Types.ObjectId(), name: 'Sam Optom', shop: shopId };
+  let frame;
+  let record;
+
+  beforeEach(() => {
+    frame = new Product({ shop: shopId, sku: 'FR-001', category: 'frame', brand: 'Acme', model: 'Round' });
+    record = new OptometryRecord({ shop: shopId, customer: new mongoose.Types.ObjectId(), date: new Date('2026-09-01') });
+    jest.spyOn(RecordRevision, 'createFor').mockResolvedValue({ version: 3, changedFields: ['products'] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('writes a revision when products are linked to a record', async () => {
+    jest.spyOn(OptometryRecord, 'findOne').mockResolvedValue(record);
+    jest.spyOn(record, 'save').mockResolvedValue(record);
+    jest.spyOn(Product, 'find').mockResolvedValue([frame]);
+    const res = createResponse();
+
+    await setRecordProducts({
+      params: { id: record._id.toString() },
+      body: { products: [{ role: 'frame', product: frame._id.toString() }] },
+      user
+    }, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(RecordRevision.createFor).toHaveBeenCalledWith(record, expect.objectContaining({
+      action: 'update',
+      user,
+      previous: expect.objectContaining({ products: [] })
+    }));
+    expect(record.products[0]).toEqual(expect.objectContaining({ sku: 'FR-001', role: 'frame' }));
+    expect(logAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      entity: 'record',
+      description: 'Linked stock products',
+      metadata: { skus: ['FR-001'], version: 3, changedFields: ['products'] }
+    }));
+  });
+
+  it('writes a revision when the linked products are ordered', async () => {
+    record.products = [{ role: 'frame', product: frame._id, sku: 'FR-001', quantity: 1 }];
+    const claimed = OptometryRecord.hydrate({ ...record.toObject(), productsOrderedAt: new Date() });
+    jest.spyOn(OptometryRecord, 'findOneAndUpdate').mockResolvedValue(claimed);
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue({ stock: { quantity: 4 } });
+    jest.spyOn(StockMovement, 'create').mockResolvedValue({});
+
+    const result = await placeRecordProductOrder({ user }, record, { reference: 'ORD-000001' });
+
+    expect(result.record).toBe(claimed);
+    expect(RecordRevision.createFor).toHaveBeenCalledWith(claimed, expect.objectContaining({
+      action: 'update',
+      previous: expect.not.objectContaining({ productsOrderedAt: expect.anything() })
+    }));
+    expect(logAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      description: 'Ordered linked products',
+      metadata: expect.objectContaining({ skus: ['FR-001'], reference: 'ORD-000001' })
+    }));
+  });
+
+  it('writes no revision when the order cannot be placed', async () => {
+    record.products = [{ role: 'frame', product: frame._id, sku: 'FR-001', quantity: 1 }];
+    jest.spyOn(OptometryRecord, 'findOneAndUpdate').mockResolvedValue(record);
+    jest.spyOn(OptometryRecord, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Product, 'findById').mockReturnValue(query({ sku: 'FR-001', stock: { quantity: 0 } }));
+
+    const result = await placeRecordProductOrder({ user }, record, { reference: 'ORD-000001' });
+
+    expect(result.statusCode).toBe(400);
+    expect(OptometryRecord.updateOne).toHaveBeenCalled();
+    expect(RecordRevision.createFor).not.toHaveBeenCalled();
+  });
+});
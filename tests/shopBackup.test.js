@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-backup-'));
+process.env.BACKUP_DIR = path.join(tmpDir, 'backups');
+process.env.UPLOAD_DIR = path.join(tmpDir, 'uploads');
+
+const Shop = require('../src/Models/Shop.js');
+const User = require('../src/Models/User.js');
+const Backup = require('../src/Models/Backup.js');
+const { createShopBackup, restoreShopBackup } = require('../src/utils/shopBackup.js');
+const { query } = require('./helpers.js');
+
+const { ObjectId } = mongoose.Types;
+
+const shopId = new ObjectId();
+const ownerId = new ObjectId();
+const customerId = new ObjectId();
+const recordId = new ObjectId();
+const attachmentId = new ObjectId();
+
+const fixtures = {
+  Customer: [{ _id: customerId, shop: shopId, name: 'Jane Smith' }],
+  OptometryRecord: [{ _id: recordId, shop: shopId, customer: customerId }],
+  RecordRevision: [{ _id: new ObjectId(), shop: shopId, record: recordId, version: 1, snapshot: { customer: customerId } }],
+  Appointment: [{ _id: new ObjectId(), shop: shopId, customer: customerId, confirmationCode: 'ABCD2345' }],
+  Permission: [],
+  Invoice: [{ _id: new ObjectId(), shop: shopId, customer: customerId, invoiceNumber: 'INV-000001' }],
+  Payment: [],
+  Product: [],
+  StockMovement: [],
+  Order: [],
+  Recall: [{ _id: new ObjectId(), shop: shopId, customer: customerId, lastRecord: recordId }],
+  Attachment: [{
+    _id: attachmentId,
+    shop: shopId,
+    customer: customerId,
+    storageKey: `${shopId}/${attachmentId}/original.pdf`
+  }],
+  Counter: [{ _id: new ObjectId(), shop: shopId, name: 'invoice', value: 1 }],
+  EmailTemplate: []
+};
+
+const model = (name) => mongoose.model(name);
+
+describe('shop backup round trip', () => {
+  let backup;
+  let inserted;
+
+  beforeAll(async () => {
+    fs.mkdirSync(path.join(process.env.UPLOAD_DIR, `${shopId}/${attachmentId}`), { recursive: true });
+    fs.writeFileSync(path.join(process.env.UPLOAD_DIR, fixtures.Attachment[0].storageKey), 'referral letter');
+
+    jest.spyOn(Shop, 'findById').mockReturnValue(query({ _id: shopId, name: 'Test Optics', owner: ownerId }));
+    jest.spyOn(User, 'find').mockReturnValue(query([{ _id: ownerId, email: 'owner@example.com', role: 'shop_owner', shop: shopId }]));
+    Object.entries(fixtures).forEach(([name, docs]) => {
+      jest.spyOn(model(name), 'find').mockReturnValue(query(docs));
+    });
+    jest.spyOn(Backup, 'create').mockImplementation(async (doc) => ({ ...doc, restores: [], save: jest.fn() }));
+
+    backup = await createShopBackup({ _id: shopId, name: 'Test Optics' }, { trigger: 'manual' });
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    inserted = {};
+    backup.save.mockClear();
+    jest.spyOn(User, 'findOne').mockReturnValue(query({ _id: ownerId, shop: shopId }));
+    jest.spyOn(Shop.collection, 'insertOne').mockResolvedValue({});
+    jest.spyOn(Shop.collection, 'deleteOne').mockResolvedValue({});
+    Object.keys(fixtures).forEach(name => {
+      jest.spyOn(model(name).collection, 'insertMany').mockImplementation(async (docs) => {
+        inserted[name] = docs;
+      });
+      jest.spyOn(model(name).collection, 'deleteMany').mockResolvedValue({});
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  it('counts every collection in the backup index', () => {
+    expect(backup.counts).toEqual(expect.objectContaining({
+      customers: 1,
+      records: 1,
+      revisions: 1,
+      invoices: 1,
+      recalls: 1,
+      attachments: 1,
+      counters: 1
+    }));
+  });
+
+  it('restores into a new shop with fresh IDs and consistent references', async () => {
+    const result = await restoreShopBackup(backup, { mode: 'new', user: { _id: ownerId } });
+
+    const [customer] = inserted.Customer;
+    const [record] = inserted.OptometryRecord;
+    expect(result.shop).not.toEqual(shopId);
+    expect(customer._id).not.toEqual(customerId);
+    expect(customer.shop).toEqual(result.shop);
+    expect(record.customer).toEqual(customer._id);
+    expect(inserted.RecordRevision[0].record).toEqual(record._id);
+    expect(inserted.RecordRevision[0].snapshot.customer).toEqual(customer._id);
+    expect(inserted.Invoice[0]).toEqual(expect.objectContaining({ customer: customer._id, invoiceNumber: 'INV-000001' }));
+    expect(inserted.Recall[0].lastRecord).toEqual(record._id);
+    expect(inserted.Counter[0]).toEqual(expect.objectContaining({ shop: result.shop, name: 'invoice', value: 1 }));
+    expect(result.counts.invoices).toBe(1);
+  });
+
+  it('gives copied appointments new confirmation codes', async () => {
+    await restoreShopBackup(backup, { mode: 'new', user: { _id: ownerId } });
+
+    const [appointment] = inserted.Appointment;
+    expect(appointment.confirmationCode).toMatch(/^[A-Z2-9]{8}$/);
+    expect(appointment.confirmationCode).not.toBe('ABCD2345');
+  });
+
+  it('copies attachment files under the new shop', async () => {
+    const result = await restoreShopBackup(backup, { mode: 'new', user: { _id: ownerId } });
+
+    const [attachment] = inserted.Attachment;
+    expect(attachment.storageKey).toBe(`${result.shop}/${attachment._id}/original.pdf`);
+    expect(fs.readFileSync(path.join(process.env.UPLOAD_DIR, attachment.storageKey), 'utf8')).toBe('referral letter');
+  });
+
+  it('removes the partial shop when a new-shop restore fails', async () => {
+    // Counters are written after the attachment files were copied
+    model('Counter').collection.insertMany.mockRejectedValue(new Error('insert failed'));
+
+    await expect(restoreShopBackup(backup, { mode: 'new', user: { _id: ownerId } })).rejects.toThrow('insert failed');
+
+    const [newShopId] = Shop.collection.insertOne.mock.calls[0].map(doc => doc._id);
+    expect(model('Customer').collection.deleteMany).toHaveBeenCalledWith({ shop: newShopId });
+    expect(model('Attachment').collection.deleteMany).toHaveBeenCalledWith({ shop: newShopId });
+    expect(Shop.collection.deleteOne).toHaveBeenCalledWith({ _id: newShopId });
+    expect(fs.existsSync(path.join(process.env.UPLOAD_DIR, inserted.Attachment[0].storageKey))).toBe(false);
+    expect(backup.save).not.toHaveBeenCalled();
+  });
+
+  describe('over the same shop', () => {
+    // The shop as it is now, changed since the backup was taken
+    const currentCustomer = { _id: new ObjectId(), shop: shopId, name: 'John Doe' };
+    const currentSettings = { timezone: 'Europe/London' };
+
+    beforeEach(() => {
+      jest.spyOn(Shop, 'exists').mockResolvedValue(true);
+      jest.spyOn(Shop.collection, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Shop, 'findById').mockReturnValue(query({ _id: shopId, name: 'Test Optics', owner: ownerId, settings: currentSettings }));
+      jest.spyOn(User, 'find').mockReturnValue(query([{ _id: ownerId, email: 'owner@example.com', role: 'shop_owner', shop: shopId }]));
+      Object.keys(fixtures).forEach(name => {
+        jest.spyOn(model(name), 'find').mockReturnValue(query(name === 'Customer' ? [currentCustomer] : []));
+      });
+      jest.spyOn(Backup, 'create').mockImplementation(async (doc) => ({ _id: new ObjectId(), ...doc }));
+    });
+
+    it('keeps IDs and confirmation codes', async () => {
+      const result = await restoreShopBackup(backup, { mode: 'same', user: { _id: ownerId } });
+
+      expect(result.shop).toEqual(shopId);
+      expect(model('Customer').collection.deleteMany).toHaveBeenCalledWith({ shop: shopId });
+      expect(inserted.Customer[0]._id).toEqual(customerId);
+      expect(inserted.Appointment[0].confirmationCode).toBe('ABCD2345');
+    });
+
+    it('backs up the current state before replacing it', async () => {
+      const result = await restoreShopBackup(backup, { mode: 'same', user: { _id: ownerId } });
+
+      const [previous] = Backup.create.mock.calls[0];
+      expect(previous).toEqual(expect.objectContaining({ shop: shopId, trigger: 'pre_restore' }));
+      expect(previous.fileName).not.toBe(backup.fileName);
+      expect(previous.counts.customers).toBe(1);
+      expect(result.previousBackup).toBeDefined();
+    });
+
+    it('puts the previous data back when the restore fails', async () => {
+      model('Counter').collection.insertMany.mockRejectedValueOnce(new Error('insert failed'));
+
+      await expect(restoreShopBackup(backup, { mode: 'same', user: { _id: ownerId } })).rejects.toThrow('insert failed');
+
+      const customerInserts = model('Customer').collection.insertMany.mock.calls;
+      expect(customerInserts).toHaveLength(2);
+      expect(customerInserts[1][0]).toEqual([currentCustomer]);
+      expect(Shop.collection.updateOne).toHaveBeenLastCalledWith(
+        { _id: shopId },
+        { $set: expect.objectContaining({ settings: currentSettings }) }
+      );
+      expect(Shop.collection.deleteOne).not.toHaveBeenCalled();
+      expect(backup.save).not.toHaveBeenCalled();
+    });
+  });
+});